@@ -85,8 +85,11 @@ class AlertsManager {
             
             // Update alert sections
             await Promise.all([
-                this.updateLowStockAlerts(alerts.lowStock || []),
-                this.updateExpiryAlerts(alerts.expiring || [], alerts.expired || [])
+                this.updateRecallAlerts(alerts.recalls || []),
+                this.updateColdChainAlerts(alerts.excursions || []),
+                this.updateLowStockAlerts([...(alerts.outOfStock || []), ...(alerts.lowStock || [])]),
+                this.updateExpiryAlerts(alerts.expiring || [], alerts.expired || []),
+                this.updateStockOutForecastAlerts(alerts.stockOutForecast || [])
             ]);
             
             // Update alert counts
@@ -104,6 +107,149 @@ class AlertsManager {
         await this.loadAlerts();
     }
 
+    // Recall Alerts
+    // One card per recalled lot still on hand; these outrank every other alert
+    async updateRecallAlerts(recalledItems) {
+        const container = Utils.$('#recallAlerts');
+        if (!container) return;
+
+        if (!recalledItems || recalledItems.length === 0) {
+            container.innerHTML = this.getNoAlertsHTML('recall');
+            return;
+        }
+
+        container.innerHTML = recalledItems.map(item => this.createRecallAlertHTML(item)).join('');
+        this.attachAlertEventListeners(container);
+    }
+
+    createRecallAlertHTML(item) {
+        const { lot, recall } = item;
+
+        return `
+            <div class="alert-card critical recall" data-item-id="${item.id}" data-lot-id="${lot.id}" data-alert-type="recall">
+                <div class="alert-header">
+                    <div class="alert-icon">
+                        <i class="fas fa-ban"></i>
+                    </div>
+                    <div class="alert-info">
+                        <h4>${Utils.sanitizeInput(item.name)}</h4>
+                        <p class="alert-category">${Utils.sanitizeInput(item.category)}</p>
+                    </div>
+                    <div class="alert-status">
+                        <span class="status-badge quarantined">Recalled</span>
+                    </div>
+                </div>
+                
+                <div class="alert-body">
+                    <div class="alert-details">
+                        <div class="detail-item">
+                            <span class="detail-label">Recall:</span>
+                            <span class="detail-value">${Utils.sanitizeInput(recall.number)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Batch:</span>
+                            <span class="detail-value">${Utils.sanitizeInput(lot.batchNumber)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Quarantined:</span>
+                            <span class="detail-value">${lot.quantity} at ${Utils.sanitizeInput(inventoryManager.getLocationName(lot.locationId))}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Recall Date:</span>
+                            <span class="detail-value">${Utils.formatDate(recall.recallDate)}</span>
+                        </div>
+                    </div>
+                    
+                    <div class="alert-message">
+                        <p class="text-danger">
+                            <strong>${Utils.sanitizeInput(recall.reason)}</strong>
+                        </p>
+                        <p>This lot is quarantined and cannot be dispensed. Return it to the supplier or dispose of it.</p>
+                    </div>
+                </div>
+                
+                <div class="alert-actions">
+                    <button class="btn btn-danger btn-sm" onclick="recallsManager.viewRecall('${recall.id}')">
+                        <i class="fas fa-ban"></i>
+                        Clear Recalled Stock
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Cold Chain Alerts
+    // One card per excursion waiting for review, listing the lots stored there at the time
+    async updateColdChainAlerts(excursions) {
+        const container = Utils.$('#coldChainAlerts');
+        if (!container) return;
+
+        if (!excursions || excursions.length === 0) {
+            container.innerHTML = this.getNoAlertsHTML('cold-chain');
+            return;
+        }
+
+        container.innerHTML = excursions.map(excursion => this.createColdChainAlertHTML(excursion)).join('');
+    }
+
+    createColdChainAlertHTML(excursion) {
+        const sensitiveCount = excursion.lots.filter(lot => lot.temperatureSensitive).length;
+
+        return `
+            <div class="alert-card critical excursion" data-excursion-id="${excursion.id}" data-alert-type="excursion">
+                <div class="alert-header">
+                    <div class="alert-icon">
+                        <i class="fas fa-thermometer-full"></i>
+                    </div>
+                    <div class="alert-info">
+                        <h4>${Utils.sanitizeInput(excursion.locationName)}</h4>
+                        <p class="alert-category">${excursion.number}</p>
+                    </div>
+                    <div class="alert-status">
+                        <span class="status-badge quarantined">${excursion.ongoing ? 'Out of Range' : 'Excursion'}</span>
+                    </div>
+                </div>
+                
+                <div class="alert-body">
+                    <div class="alert-details">
+                        <div class="detail-item">
+                            <span class="detail-label">Recorded:</span>
+                            <span class="detail-value text-danger">${excursion.lowestTemp} to ${excursion.highestTemp}°C</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Required:</span>
+                            <span class="detail-value">${excursion.rangeMin} to ${excursion.rangeMax}°C</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Between:</span>
+                            <span class="detail-value">${Utils.formatDateTime(excursion.windowStart)} and ${Utils.formatDateTime(excursion.windowEnd)}</span>
+                        </div>
+                    </div>
+                    
+                    <div class="alert-message">
+                        ${excursion.lots.length ? `
+                            <p>Lots stored here during the excursion:</p>
+                            <ul class="excursion-lots">
+                                ${excursion.lots.map(lot => `
+                                    <li class="${lot.temperatureSensitive ? 'text-danger' : ''}">
+                                        ${Utils.sanitizeInput(lot.itemName)} &middot; ${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'} &middot; ${lot.quantity} units
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : '<p>No stock was stored here during the excursion.</p>'}
+                    </div>
+                </div>
+                
+                <div class="alert-actions">
+                    <button class="btn btn-danger btn-sm" onclick="coldChainManager.viewExcursion('${excursion.id}')">
+                        <i class="fas fa-lock"></i>
+                        ${sensitiveCount > 0 ? `Quarantine ${sensitiveCount} Lot${sensitiveCount === 1 ? '' : 's'}` : 'Review Excursion'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
     // Low Stock Alerts
     async updateLowStockAlerts(lowStockItems) {
         const container = Utils.$('#lowStockAlerts');
@@ -129,7 +275,13 @@ class AlertsManager {
 
     createLowStockAlertHTML(item, alertType) {
         const isOutOfStock = alertType === 'out-of-stock';
-        const urgencyClass = isOutOfStock ? 'critical' : item.quantity <= Math.floor((item.lowStockThreshold || 10) / 2) ? 'critical' : 'warning';
+        const available = inventoryData.getAvailableQuantity(item);
+        const quarantined = inventoryData.getQuarantinedQuantity(item);
+        const urgencyClass = isOutOfStock ? 'critical' : available <= inventoryData.getCriticalThreshold(item) ? 'critical' : 'warning';
+        const onOrder = inventoryData.getOnOrderQuantity(item.id);
+        const substitutes = inventoryData.getSubstitutes(item);
+        // Batches are tracked per lot; list those still in stock
+        const batches = [...new Set(inventoryData.getSortedLots(item).map(lot => lot.batchNumber).filter(Boolean))];
         
         return `
             <div class="alert-card ${urgencyClass}" data-item-id="${item.id}" data-alert-type="${alertType}">
@@ -151,17 +303,30 @@ class AlertsManager {
                 <div class="alert-body">
                     <div class="alert-details">
                         <div class="detail-item">
-                            <span class="detail-label">Current Quantity:</span>
-                            <span class="detail-value ${isOutOfStock ? 'text-danger' : 'text-warning'}">${item.quantity}</span>
+                            <span class="detail-label">Available:</span>
+                            <span class="detail-value ${isOutOfStock ? 'text-danger' : 'text-warning'}">${inventoryData.formatQuantity(item, available)}</span>
                         </div>
+                        ${quarantined > 0 ? `
+                            <div class="detail-item">
+                                <span class="detail-label">On Hold:</span>
+                                <span class="detail-value text-danger">${inventoryData.formatQuantity(item, quarantined)}</span>
+                            </div>
+                        ` : ''}
                         <div class="detail-item">
                             <span class="detail-label">Threshold:</span>
                             <span class="detail-value">${item.lowStockThreshold || 10}</span>
                         </div>
-                        ${item.batchNumber ? `
+                        ${onOrder > 0 ? `
                             <div class="detail-item">
-                                <span class="detail-label">Batch:</span>
-                                <span class="detail-value">${Utils.sanitizeInput(item.batchNumber)}</span>
+                                <span class="detail-label">On Order:</span>
+                                <span class="detail-value">${onOrder}</span>
+                            </div>
+                        ` : ''}
+                        ${substitutes ? this.createSubstituteDetailsHTML(item, substitutes) : ''}
+                        ${batches.length > 0 ? `
+                            <div class="detail-item">
+                                <span class="detail-label">${batches.length === 1 ? 'Batch' : 'Batches'}:</span>
+                                <span class="detail-value">${batches.map(batch => Utils.sanitizeInput(batch)).join(', ')}</span>
                             </div>
                         ` : ''}
                     </div>
@@ -170,16 +335,18 @@ class AlertsManager {
                         <p>
                             ${isOutOfStock ? 
                                 'This item is completely out of stock and needs immediate restocking.' :
-                                `Only ${item.quantity} unit${item.quantity === 1 ? '' : 's'} remaining. Consider restocking soon.`
+                                available > 0 ?
+                                    `Only ${inventoryData.formatQuantity(item, available)} available. Consider restocking soon.` :
+                                    'All stock on hand is on hold; none can be used until it is released.'
                             }
                         </p>
                     </div>
                 </div>
                 
                 <div class="alert-actions">
-                    <button class="btn btn-primary btn-sm" onclick="inventoryManager.editItem('${item.id}')">
-                        <i class="fas fa-plus"></i>
-                        ${isOutOfStock ? 'Restock Now' : 'Update Stock'}
+                    <button class="btn btn-primary btn-sm" onclick="purchaseOrdersManager.restockItem('${item.id}')">
+                        <i class="fas fa-file-invoice"></i>
+                        ${isOutOfStock ? 'Restock Now' : 'Order Stock'}
                     </button>
                     <button class="btn btn-secondary btn-sm" onclick="alertsManager.dismissAlert('${item.id}', '${alertType}')">
                         <i class="fas fa-times"></i>
@@ -190,7 +357,28 @@ class AlertsManager {
         `;
     }
 
+    // The rest of the item's substitute group and their combined stock against the group threshold
+    createSubstituteDetailsHTML(item, substitutes) {
+        const available = substitutes.substitutes.filter(member => member.quantity > 0);
+
+        return `
+            <div class="detail-item">
+                <span class="detail-label">Substitutes:</span>
+                <span class="detail-value">
+                    ${available.length > 0
+                        ? available.map(member => `${Utils.sanitizeInput(member.name)} (${inventoryData.formatQuantity(item, member.quantity)})`).join(', ')
+                        : 'None in stock'}
+                </span>
+            </div>
+            <div class="detail-item">
+                <span class="detail-label">Group Stock:</span>
+                <span class="detail-value">${inventoryData.formatQuantity(item, substitutes.quantity)} in ${Utils.sanitizeInput(substitutes.name)}, threshold ${inventoryData.formatQuantity(item, substitutes.threshold)}</span>
+            </div>
+        `;
+    }
+
     // Expiry Alerts
+    // Each entry is an item paired with one of its lots, so alerts are raised per lot
     async updateExpiryAlerts(expiringSoonItems, expiredItems) {
         const container = Utils.$('#expiryAlerts');
         if (!container) return;
@@ -204,8 +392,8 @@ class AlertsManager {
 
         // Sort by urgency (expired first, then by days until expiry)
         const sortedItems = allExpiryItems.sort((a, b) => {
-            const aDays = inventoryData.getDaysUntilExpiry(a.expiryDate);
-            const bDays = inventoryData.getDaysUntilExpiry(b.expiryDate);
+            const aDays = inventoryData.getDaysUntilExpiry(inventoryData.getLotExpiry(a.lot));
+            const bDays = inventoryData.getDaysUntilExpiry(inventoryData.getLotExpiry(b.lot));
             
             // Expired items first (negative days)
             if (aDays < 0 && bDays >= 0) return -1;
@@ -216,8 +404,7 @@ class AlertsManager {
         });
 
         const alertsHTML = sortedItems.map(item => {
-            const daysUntilExpiry = inventoryData.getDaysUntilExpiry(item.expiryDate);
-            const isExpired = daysUntilExpiry < 0;
+            const isExpired = inventoryData.isExpired(inventoryData.getLotExpiry(item.lot));
             return this.createExpiryAlertHTML(item, isExpired ? 'expired' : 'expiring');
         }).join('');
 
@@ -226,8 +413,10 @@ class AlertsManager {
     }
 
     createExpiryAlertHTML(item, alertType) {
+        const { lot } = item;
         const isExpired = alertType === 'expired';
-        const daysUntilExpiry = inventoryData.getDaysUntilExpiry(item.expiryDate);
+        const beyondUse = inventoryData.usesBeyondUseDate(lot);
+        const daysUntilExpiry = inventoryData.getDaysUntilExpiry(inventoryData.getLotExpiry(lot));
         const urgencyClass = isExpired ? 'critical' : daysUntilExpiry <= 7 ? 'critical' : 'warning';
         
         let timeMessage;
@@ -239,7 +428,7 @@ class AlertsManager {
         }
 
         return `
-            <div class="alert-card ${urgencyClass}" data-item-id="${item.id}" data-alert-type="${alertType}">
+            <div class="alert-card ${urgencyClass}" data-item-id="${item.id}" data-lot-id="${lot.id}" data-alert-type="${alertType}">
                 <div class="alert-header">
                     <div class="alert-icon">
                         <i class="fas ${isExpired ? 'fa-calendar-times' : 'fa-clock'}"></i>
@@ -258,17 +447,23 @@ class AlertsManager {
                 <div class="alert-body">
                     <div class="alert-details">
                         <div class="detail-item">
-                            <span class="detail-label">Expiry Date:</span>
-                            <span class="detail-value">${Utils.formatDate(item.expiryDate)}</span>
+                            <span class="detail-label">${beyondUse ? 'Beyond-Use Date:' : 'Expiry Date:'}</span>
+                            <span class="detail-value">${Utils.formatDate(inventoryData.getLotExpiry(lot))}</span>
                         </div>
+                        ${lot.openedDate ? `
+                            <div class="detail-item">
+                                <span class="detail-label">Opened:</span>
+                                <span class="detail-value">${Utils.formatDate(lot.openedDate)}</span>
+                            </div>
+                        ` : ''}
                         <div class="detail-item">
-                            <span class="detail-label">Quantity:</span>
-                            <span class="detail-value">${item.quantity}</span>
+                            <span class="detail-label">Lot Quantity:</span>
+                            <span class="detail-value">${lot.quantity} of ${item.quantity}</span>
                         </div>
-                        ${item.batchNumber ? `
+                        ${lot.batchNumber ? `
                             <div class="detail-item">
                                 <span class="detail-label">Batch:</span>
-                                <span class="detail-value">${Utils.sanitizeInput(item.batchNumber)}</span>
+                                <span class="detail-value">${Utils.sanitizeInput(lot.batchNumber)}</span>
                             </div>
                         ` : ''}
                     </div>
@@ -279,19 +474,110 @@ class AlertsManager {
                         </p>
                         <p>
                             ${isExpired ? 
-                                'This item has expired and should be removed from inventory immediately.' :
-                                'This item is nearing expiration. Use or dispose of it soon.'
+                                (beyondUse ? 'This opened container is past its beyond-use date and should be disposed of.' : 'This lot has expired and should be removed from inventory immediately.') :
+                                (beyondUse ? 'This opened container is nearing its beyond-use date. Use it up or dispose of it soon.' : 'This lot is nearing expiration. Use or dispose of it soon.')
                             }
                         </p>
                     </div>
                 </div>
                 
                 <div class="alert-actions">
-                    <button class="btn ${isExpired ? 'btn-danger' : 'btn-warning'} btn-sm" onclick="inventoryManager.editItem('${item.id}')">
-                        <i class="fas ${isExpired ? 'fa-trash' : 'fa-edit'}"></i>
-                        ${isExpired ? 'Remove Item' : 'Update Item'}
+                    ${isExpired ? `
+                    <button class="btn btn-danger btn-sm" onclick="wastageManager.startDisposal('${item.id}', '${lot.id}', 'expired')">
+                        <i class="fas fa-dumpster"></i>
+                        Dispose of Lot
+                    </button>` : `
+                    <button class="btn btn-warning btn-sm" onclick="inventoryManager.editItem('${item.id}')">
+                        <i class="fas fa-edit"></i>
+                        Update Item
+                    </button>`}
+                    <button class="btn btn-secondary btn-sm" onclick="alertsManager.dismissAlert('${item.id}', '${alertType}', '${lot.id}')">
+                        <i class="fas fa-times"></i>
+                        Dismiss
                     </button>
-                    <button class="btn btn-secondary btn-sm" onclick="alertsManager.dismissAlert('${item.id}', '${alertType}')">
+                </div>
+            </div>
+        `;
+    }
+
+    // Stock-Out Forecast Alerts
+    // Items whose burn rate empties them before an order placed today could arrive
+    async updateStockOutForecastAlerts(forecastItems) {
+        const container = Utils.$('#stockOutForecastAlerts');
+        if (!container) return;
+
+        if (!forecastItems || forecastItems.length === 0) {
+            container.innerHTML = this.getNoAlertsHTML('stock-out-forecast');
+            return;
+        }
+
+        container.innerHTML = forecastItems.map(item => this.createStockOutForecastAlertHTML(item)).join('');
+        this.attachAlertEventListeners(container);
+    }
+
+    createStockOutForecastAlertHTML(item) {
+        const { daysOfSupply, stockOutDate, averageDailyUsage, leadTimeDays } = item.forecast;
+        const urgencyClass = daysOfSupply <= Math.floor(leadTimeDays / 2) ? 'critical' : 'warning';
+        const onOrder = inventoryData.getOnOrderQuantity(item.id);
+        const shortfallDays = leadTimeDays - daysOfSupply;
+
+        return `
+            <div class="alert-card ${urgencyClass}" data-item-id="${item.id}" data-alert-type="stock-out-forecast">
+                <div class="alert-header">
+                    <div class="alert-icon">
+                        <i class="fas fa-hourglass-half"></i>
+                    </div>
+                    <div class="alert-info">
+                        <h4>${Utils.sanitizeInput(item.name)}</h4>
+                        <p class="alert-category">${Utils.sanitizeInput(item.category)}</p>
+                    </div>
+                    <div class="alert-status">
+                        <span class="status-badge low-stock">Running Out</span>
+                    </div>
+                </div>
+                
+                <div class="alert-body">
+                    <div class="alert-details">
+                        <div class="detail-item">
+                            <span class="detail-label">Current Quantity:</span>
+                            <span class="detail-value">${item.quantity}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Daily Usage:</span>
+                            <span class="detail-value">${averageDailyUsage}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Projected Stock-Out:</span>
+                            <span class="detail-value text-warning">${Utils.formatDate(stockOutDate)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">Lead Time:</span>
+                            <span class="detail-value">${leadTimeDays} day${leadTimeDays === 1 ? '' : 's'}</span>
+                        </div>
+                        ${onOrder > 0 ? `
+                            <div class="detail-item">
+                                <span class="detail-label">On Order:</span>
+                                <span class="detail-value">${onOrder}</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                    
+                    <div class="alert-message">
+                        <p class="${urgencyClass === 'critical' ? 'text-danger' : 'text-warning'}">
+                            <strong>${daysOfSupply} day${daysOfSupply === 1 ? '' : 's'} of supply left</strong>
+                        </p>
+                        <p>
+                            At the current rate this item runs out about ${shortfallDays} day${shortfallDays === 1 ? '' : 's'} before a new order could arrive.
+                        </p>
+                    </div>
+                </div>
+                
+                <div class="alert-actions">
+                    <button class="btn btn-primary btn-sm" onclick="purchaseOrdersManager.restockItem('${item.id}')">
+                        <i class="fas fa-file-invoice"></i>
+                        Order Stock
+                    </button>
+                    <button class="btn btn-secondary btn-sm" onclick="alertsManager.dismissAlert('${item.id}', 'stock-out-forecast')">
                         <i class="fas fa-times"></i>
                         Dismiss
                     </button>
@@ -311,6 +597,21 @@ class AlertsManager {
                 icon: 'fas fa-check-circle text-success',
                 title: 'No Expiry Alerts',
                 message: 'No items are expired or expiring soon.'
+            },
+            'stock-out-forecast': {
+                icon: 'fas fa-check-circle text-success',
+                title: 'No Stock-Out Forecasts',
+                message: 'Stock on hand covers every supplier lead time.'
+            },
+            'recall': {
+                icon: 'fas fa-check-circle text-success',
+                title: 'No Recalled Stock',
+                message: 'No lots on hand match an open recall.'
+            },
+            'cold-chain': {
+                icon: 'fas fa-check-circle text-success',
+                title: 'No Temperature Excursions',
+                message: 'Every fridge and freezer reading is within range.'
             }
         };
 
@@ -340,15 +641,16 @@ class AlertsManager {
         });
     }
 
-    async dismissAlert(itemId, alertType) {
-        const alertCard = Utils.$(`[data-item-id="${itemId}"][data-alert-type="${alertType}"]`);
+    async dismissAlert(itemId, alertType, lotId = null) {
+        const lotSelector = lotId ? `[data-lot-id="${lotId}"]` : '';
+        const alertCard = Utils.$(`[data-item-id="${itemId}"]${lotSelector}[data-alert-type="${alertType}"]`);
         if (alertCard) {
             // Add dismissal animation
             alertCard.style.opacity = '0.5';
             alertCard.style.pointerEvents = 'none';
             
             // Store dismissed alert (in real app, this might be sent to backend)
-            this.storeDismissedAlert(itemId, alertType);
+            this.storeDismissedAlert(itemId, alertType, lotId);
             
             // Remove after animation
             setTimeout(() => {
@@ -359,14 +661,16 @@ class AlertsManager {
         }
     }
 
-    storeDismissedAlert(itemId, alertType) {
+    storeDismissedAlert(itemId, alertType, lotId = null) {
         const dismissed = Utils.getStorage('dismissedAlerts', []);
         dismissed.push({
             itemId,
+            lotId,
             alertType,
             dismissedAt: new Date().toISOString()
         });
         Utils.setStorage('dismissedAlerts', dismissed);
+        inventoryData.logAlertDismissal(itemId, alertType, lotId);
     }
 
     async dismissAllAlerts() {
@@ -375,7 +679,7 @@ class AlertsManager {
             alertCards.forEach(card => {
                 const itemId = card.dataset.itemId;
                 const alertType = card.dataset.alertType;
-                this.dismissAlert(itemId, alertType);
+                this.dismissAlert(itemId, alertType, card.dataset.lotId);
             });
             
             uiManager.showToast('All alerts dismissed', 'success');
@@ -439,10 +743,13 @@ class AlertsManager {
 
     // Alert Counts
     updateAlertCounts(alerts) {
-        const lowStockCount = (alerts.lowStock || []).length;
+        const lowStockCount = (alerts.outOfStock || []).length + (alerts.lowStock || []).length;
         const expiringCount = (alerts.expiring || []).length;
         const expiredCount = (alerts.expired || []).length;
-        const totalCount = lowStockCount + expiringCount + expiredCount;
+        const forecastCount = (alerts.stockOutForecast || []).length;
+        const recallCount = (alerts.recalls || []).length;
+        const excursionCount = (alerts.excursions || []).length;
+        const totalCount = lowStockCount + expiringCount + expiredCount + forecastCount + recallCount + excursionCount;
 
         // Update section headers
         const lowStockHeader = Utils.$('#lowStockAlertsHeader');
@@ -7,7 +7,27 @@ class InventoryAPI {
         this.endpoints = {
             items: '/inventory',
             analytics: '/analytics',
-            alerts: '/alerts'
+            alerts: '/alerts',
+            transactions: '/transactions',
+            imports: '/import',
+            activity: '/activity',
+            locations: '/locations',
+            suppliers: '/suppliers',
+            purchaseOrders: '/purchase-orders',
+            transfers: '/transfers',
+            countSessions: '/count-sessions',
+            cycleCounts: '/cycle-counts',
+            disposals: '/disposals',
+            kits: '/kits',
+            patientDispensings: '/patient-dispensings',
+            substituteGroups: '/substitute-groups',
+            recalls: '/recalls',
+            temperatureReadings: '/temperature-readings',
+            excursions: '/excursions',
+            reorderPoints: '/reorder-points',
+            valuation: '/valuation',
+            departments: '/departments',
+            settings: '/settings'
         };
         
         // Simulate network delay for realistic behavior
@@ -57,7 +77,10 @@ class InventoryAPI {
     async simulateAPICall(method, endpoint, data) {
         const response = { success: true, data: null, message: '' };
 
-        switch (endpoint) {
+        // Filters travel as query parameters and are applied client-side
+        const [path] = endpoint.split('?');
+
+        switch (path) {
             case this.endpoints.items:
                 response.data = this.handleInventoryRequest(method, data);
                 break;
@@ -67,10 +90,136 @@ class InventoryAPI {
             case this.endpoints.alerts:
                 response.data = this.handleAlertsRequest();
                 break;
+            case this.endpoints.transactions:
+                response.data = window.inventoryData.getTransactions(data || {});
+                break;
+            case this.endpoints.imports:
+                response.data = window.inventoryData.importData(data, { witness: data.witness });
+                break;
+            case this.endpoints.activity:
+                response.data = window.inventoryData.getRecentActivity(data || {});
+                break;
+            case this.endpoints.locations:
+                response.data = this.handleLocationRequest(method, data);
+                break;
+            case this.endpoints.suppliers:
+                response.data = this.handleSupplierRequest(method, data);
+                break;
+            case this.endpoints.purchaseOrders:
+                response.data = this.handlePurchaseOrderRequest(method, data);
+                break;
+            case this.endpoints.transfers:
+                response.data = this.handleTransferRequest(method, data);
+                break;
+            case this.endpoints.countSessions:
+                response.data = this.handleCountSessionRequest(method, data);
+                break;
+            case this.endpoints.cycleCounts:
+                response.data = window.inventoryData.getCycleCountSchedule(data || {});
+                break;
+            case `${this.endpoints.cycleCounts}/due`:
+                response.data = window.inventoryData.getCycleCountsDue();
+                break;
+            case this.endpoints.disposals:
+                response.data = this.handleDisposalRequest(method, data);
+                break;
+            case `${this.endpoints.disposals}/report`:
+                response.data = window.inventoryData.getWastageReport(data || {});
+                break;
+            case this.endpoints.kits:
+                response.data = this.handleKitRequest(method, data);
+                break;
+            case `${this.endpoints.kits}/availability`:
+                response.data = window.inventoryData.getKitAvailabilitySummary((data || {}).locationId || null);
+                break;
+            case `${this.endpoints.kits}/usages`:
+                response.data = window.inventoryData.getKitUsages(data || {});
+                break;
+            case this.endpoints.patientDispensings:
+                response.data = this.handlePatientDispensingRequest(method, data);
+                break;
+            case this.endpoints.recalls:
+                response.data = this.handleRecallRequest(method, data);
+                break;
+            case this.endpoints.temperatureReadings:
+                response.data = this.handleTemperatureReadingRequest(method, data);
+                break;
+            case `${this.endpoints.temperatureReadings}/checks`:
+                response.data = window.inventoryData.getTemperatureChecks();
+                break;
+            case this.endpoints.excursions:
+                response.data = window.inventoryData.getExcursions(data || {});
+                break;
+            case this.endpoints.reorderPoints:
+                response.data = method === 'POST'
+                    ? window.inventoryData.recalculateReorderPoints()
+                    : window.inventoryData.getAllItems().map(item => window.inventoryData.getReorderSuggestion(item));
+                break;
+            case this.endpoints.valuation:
+                response.data = window.inventoryData.getValuationReport();
+                break;
+            case `${this.endpoints.valuation}/consumption`:
+                response.data = window.inventoryData.getCostOfGoodsConsumed(data || {});
+                break;
+            case this.endpoints.departments:
+                response.data = this.handleDepartmentRequest(method, data);
+                break;
+            case `${this.endpoints.departments}/budgets`:
+                response.data = window.inventoryData.getBudgetSummary();
+                break;
+            case this.endpoints.substituteGroups:
+                response.data = this.handleSubstituteGroupRequest(method, data);
+                break;
+            case `${this.endpoints.substituteGroups}/stock`:
+                response.data = window.inventoryData.getSubstituteGroupSummary();
+                break;
+            case this.endpoints.settings:
+                response.data = method === 'PUT'
+                    ? window.inventoryData.updateSettings(data)
+                    : window.inventoryData.getSettings();
+                break;
             default:
-                if (endpoint.startsWith(this.endpoints.items + '/')) {
-                    const id = endpoint.split('/').pop();
-                    response.data = this.handleSingleItemRequest(method, id, data);
+                if (path.startsWith(this.endpoints.items + '/')) {
+                    const [id, subresource] = path.slice(this.endpoints.items.length + 1).split('/');
+                    response.data = subresource
+                        ? this.handleItemSubresourceRequest(method, id, subresource, data)
+                        : this.handleSingleItemRequest(method, id, data);
+                } else if (path.startsWith(this.endpoints.locations + '/')) {
+                    const id = path.slice(this.endpoints.locations.length + 1);
+                    response.data = this.handleSingleLocationRequest(method, id, data);
+                } else if (path.startsWith(this.endpoints.departments + '/')) {
+                    const id = path.slice(this.endpoints.departments.length + 1);
+                    response.data = this.handleSingleDepartmentRequest(method, id, data);
+                } else if (path.startsWith(this.endpoints.substituteGroups + '/')) {
+                    const id = path.slice(this.endpoints.substituteGroups.length + 1);
+                    response.data = this.handleSingleSubstituteGroupRequest(method, id, data);
+                } else if (path.startsWith(this.endpoints.suppliers + '/')) {
+                    const [id, subresource] = path.slice(this.endpoints.suppliers.length + 1).split('/');
+                    response.data = this.handleSingleSupplierRequest(method, id, subresource, data);
+                } else if (path.startsWith(this.endpoints.purchaseOrders + '/')) {
+                    const [id, action] = path.slice(this.endpoints.purchaseOrders.length + 1).split('/');
+                    response.data = this.handleSinglePurchaseOrderRequest(method, id, action, data);
+                } else if (path.startsWith(this.endpoints.transfers + '/')) {
+                    const [id, action] = path.slice(this.endpoints.transfers.length + 1).split('/');
+                    response.data = this.handleSingleTransferRequest(method, id, action, data);
+                } else if (path.startsWith(this.endpoints.countSessions + '/')) {
+                    const [id, action] = path.slice(this.endpoints.countSessions.length + 1).split('/');
+                    response.data = this.handleSingleCountSessionRequest(method, id, action, data);
+                } else if (path.startsWith(this.endpoints.kits + '/')) {
+                    const [id, action] = path.slice(this.endpoints.kits.length + 1).split('/');
+                    response.data = this.handleSingleKitRequest(method, id, action, data);
+                } else if (path.startsWith(this.endpoints.patientDispensings + '/')) {
+                    const id = path.slice(this.endpoints.patientDispensings.length + 1);
+                    if (method !== 'GET') {
+                        throw new Error('Patient dispensing records cannot be changed');
+                    }
+                    response.data = window.inventoryData.getPatientDispensingById(id);
+                } else if (path.startsWith(this.endpoints.recalls + '/')) {
+                    const [id, action] = path.slice(this.endpoints.recalls.length + 1).split('/');
+                    response.data = this.handleSingleRecallRequest(method, id, action, data);
+                } else if (path.startsWith(this.endpoints.excursions + '/')) {
+                    const [id, action] = path.slice(this.endpoints.excursions.length + 1).split('/');
+                    response.data = this.handleSingleExcursionRequest(method, id, action, data);
                 } else {
                     throw new Error('Endpoint not found');
                 }
@@ -105,108 +254,1756 @@ class InventoryAPI {
             default:
                 throw new Error('Method not supported for single item');
         }
-    }
+    }
+
+    // Handle requests for resources nested under an item (e.g. /inventory/:id/lots)
+    handleItemSubresourceRequest(method, id, subresource, data) {
+        switch (`${method} ${subresource}`) {
+            case 'GET lots':
+                return window.inventoryData.getItemById(id)?.lots || null;
+            case 'POST lots':
+                return window.inventoryData.addLot(id, data);
+            case 'POST lot-status':
+                return window.inventoryData.setLotStatus(id, data.lotId, data);
+            case 'POST open':
+                return window.inventoryData.openContainer(id, data.lotId, data.openedDate);
+            case 'POST dispense':
+                return window.inventoryData.dispense(id, data.quantity, {
+                    allowExpired: !!data.allowExpired,
+                    reason: data.reason,
+                    locationId: data.locationId || null,
+                    witness: data.witness || null,
+                    unit: data.unit || null
+                });
+            case 'GET transactions':
+                return window.inventoryData.getTransactions({ itemId: id });
+            case 'POST transactions':
+                return window.inventoryData.adjustQuantity(id, data.delta, { type: data.type, reason: data.reason, witness: data.witness });
+            case 'GET register':
+                return window.inventoryData.getControlledRegister(id);
+            case 'GET reorder-suggestion': {
+                const item = window.inventoryData.getItemById(id);
+                return item ? window.inventoryData.getReorderSuggestion(item) : null;
+            }
+            case 'POST reorder-suggestion':
+                return window.inventoryData.applyReorderSuggestion(id);
+            case 'GET locations': {
+                const item = window.inventoryData.getItemById(id);
+                return item ? window.inventoryData.getItemLocationStock(item) : null;
+            }
+            case 'GET stock-out-forecast': {
+                const item = window.inventoryData.getItemById(id);
+                return item ? window.inventoryData.getStockOutForecast(item) : null;
+            }
+            default:
+                throw new Error(`Method not supported for item ${subresource}`);
+        }
+    }
+
+    // Handle storage location requests
+    handleLocationRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getAllLocations();
+            case 'POST':
+                return window.inventoryData.addLocation(data);
+            default:
+                throw new Error('Method not supported for locations collection');
+        }
+    }
+
+    handleSingleLocationRequest(method, id, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getLocationById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateLocation(id, data);
+            case 'DELETE':
+                return window.inventoryData.deleteLocation(id);
+            default:
+                throw new Error('Method not supported for location');
+        }
+    }
+
+    // Handle department requests
+    handleDepartmentRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getAllDepartments();
+            case 'POST':
+                return window.inventoryData.addDepartment(data);
+            default:
+                throw new Error('Method not supported for departments collection');
+        }
+    }
+
+    handleSingleDepartmentRequest(method, id, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getDepartmentById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateDepartment(id, data);
+            case 'DELETE':
+                return window.inventoryData.deleteDepartment(id);
+            default:
+                throw new Error('Method not supported for department');
+        }
+    }
+
+    // Handle substitute group requests
+    handleSubstituteGroupRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getAllSubstituteGroups();
+            case 'POST':
+                return window.inventoryData.addSubstituteGroup(data);
+            default:
+                throw new Error('Method not supported for substitute groups collection');
+        }
+    }
+
+    handleSingleSubstituteGroupRequest(method, id, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getSubstituteGroupById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateSubstituteGroup(id, data);
+            case 'DELETE':
+                return window.inventoryData.deleteSubstituteGroup(id);
+            default:
+                throw new Error('Method not supported for substitute group');
+        }
+    }
+
+    // Handle supplier directory requests
+    handleSupplierRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getAllSuppliers();
+            case 'POST':
+                return window.inventoryData.addSupplier(data);
+            default:
+                throw new Error('Method not supported for suppliers collection');
+        }
+    }
+
+    // Handle single supplier requests, including the items it supplies
+    handleSingleSupplierRequest(method, id, subresource, data) {
+        switch (subresource ? `${method} ${subresource}` : method) {
+            case 'GET':
+                return window.inventoryData.getSupplierById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateSupplier(id, data);
+            case 'DELETE':
+                return window.inventoryData.deleteSupplier(id);
+            case 'GET items':
+                return window.inventoryData.getSupplierItems(id);
+            default:
+                throw new Error('Method not supported for supplier');
+        }
+    }
+
+    // Handle purchase order collection requests
+    handlePurchaseOrderRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getPurchaseOrders(data || {});
+            case 'POST':
+                return window.inventoryData.createPurchaseOrder(data);
+            default:
+                throw new Error('Method not supported for purchase orders collection');
+        }
+    }
+
+    // Handle single purchase order requests, its workflow actions (submit, receive, cancel)
+    // and its budget check
+    handleSinglePurchaseOrderRequest(method, id, action, data) {
+        if (id === 'drafts' && method === 'POST') {
+            return window.inventoryData.buildDraftPurchaseOrders();
+        }
+
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getPurchaseOrderById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updatePurchaseOrder(id, data);
+            case 'DELETE':
+                return window.inventoryData.deletePurchaseOrder(id);
+            case 'POST submit':
+                return window.inventoryData.submitPurchaseOrder(id);
+            case 'POST receive':
+                return window.inventoryData.receivePurchaseOrder(id, data.receipts);
+            case 'POST cancel':
+                return window.inventoryData.cancelPurchaseOrder(id);
+            case 'GET budget': {
+                const order = window.inventoryData.getPurchaseOrderById(id);
+                return order ? window.inventoryData.getPurchaseOrderBudgetCheck(order) : null;
+            }
+            default:
+                throw new Error('Method not supported for purchase order');
+        }
+    }
+
+    // Handle stock transfer collection requests
+    handleTransferRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getTransfers(data || {});
+            case 'POST':
+                return window.inventoryData.createTransfer(data);
+            default:
+                throw new Error('Method not supported for transfers collection');
+        }
+    }
+
+    // Handle single transfer requests and its workflow actions (dispatch, receive, cancel)
+    handleSingleTransferRequest(method, id, action, data) {
+        if (id === 'discrepancies' && method === 'GET') {
+            return window.inventoryData.getTransferDiscrepancies();
+        }
+
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getTransferById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateTransfer(id, data);
+            case 'POST dispatch':
+                return window.inventoryData.dispatchTransfer(id, data.dispatches);
+            case 'POST receive':
+                return window.inventoryData.receiveTransfer(id, data.receipts);
+            case 'POST cancel':
+                return window.inventoryData.cancelTransfer(id);
+            default:
+                throw new Error('Method not supported for transfer');
+        }
+    }
+
+    // Handle count session collection requests
+    handleCountSessionRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getCountSessions(data || {});
+            case 'POST':
+                return window.inventoryData.createCountSession(data);
+            default:
+                throw new Error('Method not supported for count sessions collection');
+        }
+    }
+
+    // Handle single count session requests: entering counts, the variance report, posting
+    handleSingleCountSessionRequest(method, id, action, data) {
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getCountSessionById(id);
+            case 'POST counts':
+                return window.inventoryData.recordCounts(id, data.counts);
+            case 'GET variance': {
+                const session = window.inventoryData.getCountSessionById(id);
+                return session ? window.inventoryData.getCountVariance(session) : null;
+            }
+            case 'POST post':
+                return window.inventoryData.postCountSession(id, { witness: data.witness });
+            case 'POST cancel':
+                return window.inventoryData.cancelCountSession(id);
+            default:
+                throw new Error('Method not supported for count session');
+        }
+    }
+
+    // Handle disposal requests; each disposal books waste against one lot
+    handleDisposalRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getDisposals(data || {});
+            case 'POST': {
+                const { itemId, ...disposal } = data;
+                return window.inventoryData.disposeLot(itemId, disposal);
+            }
+            default:
+                throw new Error('Method not supported for disposals');
+        }
+    }
+
+    // Handle patient dispensing requests; records are never edited, like the ledger behind them
+    handlePatientDispensingRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getPatientDispensings(data || {});
+            case 'POST': {
+                const { itemId, ...dispensing } = data;
+                return window.inventoryData.dispenseToPatient(itemId, dispensing);
+            }
+            default:
+                throw new Error('Method not supported for patient dispensings');
+        }
+    }
+
+    // Handle procedure kit requests
+    handleKitRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getAllKits();
+            case 'POST':
+                return window.inventoryData.addKit(data);
+            default:
+                throw new Error('Method not supported for kits collection');
+        }
+    }
+
+    // Handle single kit requests, including performing it
+    handleSingleKitRequest(method, id, action, data) {
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getKitById(id);
+            case 'PUT':
+            case 'PATCH':
+                return window.inventoryData.updateKit(id, data);
+            case 'DELETE':
+                return window.inventoryData.deleteKit(id);
+            case 'GET availability': {
+                const kit = window.inventoryData.getKitById(id);
+                return kit ? window.inventoryData.getKitAvailability(kit, (data || {}).locationId || null) : null;
+            }
+            case 'POST perform':
+                return window.inventoryData.performKit(id, data);
+            default:
+                throw new Error('Method not supported for kit');
+        }
+    }
+
+    // Handle recall collection requests
+    handleRecallRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getRecalls(data || {});
+            case 'POST':
+                return window.inventoryData.createRecall(data);
+            default:
+                throw new Error('Method not supported for recalls collection');
+        }
+    }
+
+    // Handle single recall requests: clearing matched lots, closing and the recall report
+    handleSingleRecallRequest(method, id, action, data) {
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getRecallById(id);
+            case 'GET report': {
+                const recall = window.inventoryData.getRecallById(id);
+                return recall ? window.inventoryData.getRecallReport(recall) : null;
+            }
+            case 'POST resolve':
+                return window.inventoryData.resolveRecallLot(id, data.lotId, data);
+            case 'POST close':
+                return window.inventoryData.closeRecall(id);
+            default:
+                throw new Error('Method not supported for recall');
+        }
+    }
+
+    // Handle temperature reading requests; POST takes a batch so data-logger imports go in one call
+    handleTemperatureReadingRequest(method, data) {
+        switch (method) {
+            case 'GET':
+                return window.inventoryData.getTemperatureReadings(data || {});
+            case 'POST':
+                return window.inventoryData.recordTemperatureReadings(data.locationId, data.readings, data.source);
+            default:
+                throw new Error('Method not supported for temperature readings');
+        }
+    }
+
+    // Handle single excursion requests: the affected lots and the review outcome
+    handleSingleExcursionRequest(method, id, action, data) {
+        switch (action ? `${method} ${action}` : method) {
+            case 'GET':
+                return window.inventoryData.getExcursionById(id);
+            case 'GET lots': {
+                const excursion = window.inventoryData.getExcursionById(id);
+                return excursion ? window.inventoryData.getExcursionLots(excursion) : null;
+            }
+            case 'POST quarantine':
+                return window.inventoryData.quarantineExcursionLots(id, data.lotIds, data.notes);
+            case 'POST dismiss':
+                return window.inventoryData.dismissExcursion(id, data.notes);
+            default:
+                throw new Error('Method not supported for excursion');
+        }
+    }
+
+    // Handle analytics requests
+    handleAnalyticsRequest() {
+        return {
+            stats: window.inventoryData.getStats(),
+            recentActivity: window.inventoryData.getRecentActivity(),
+            lowStockItems: window.inventoryData.getLowStockItems(),
+            outOfStockItems: window.inventoryData.getOutOfStockItems(),
+            expiringSoonItems: window.inventoryData.getExpiringSoonItems(),
+            expiredItems: window.inventoryData.getExpiredItems(),
+            runningOutSoonItems: window.inventoryData.getRunningOutSoonItems(),
+            cycleCountsDue: window.inventoryData.getCycleCountsDue(),
+            recalledItems: window.inventoryData.getRecalledItems(),
+            excursions: window.inventoryData.getOpenExcursions(),
+            budgets: window.inventoryData.getBudgetSummary(),
+            kits: window.inventoryData.getKitAvailabilitySummary()
+        };
+    }
+
+    // Handle alerts requests
+    handleAlertsRequest() {
+        return {
+            critical: window.inventoryData.getCriticalAlerts(),
+            lowStock: window.inventoryData.getLowStockItems(),
+            outOfStock: window.inventoryData.getOutOfStockItems(),
+            expiring: window.inventoryData.getExpiringSoonItems(),
+            expired: window.inventoryData.getExpiredItems(),
+            stockOutForecast: window.inventoryData.getRunningOutSoonItems(),
+            recalls: window.inventoryData.getRecalledItems(),
+            excursions: window.inventoryData.getOpenExcursions()
+        };
+    }
+
+    // Utility method for delays
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // CRUD Operations for Inventory Items
+
+    // Get all items
+    async getAllItems(filters = {}) {
+        let endpoint = this.endpoints.items;
+        
+        // Add query parameters for filtering
+        const params = new URLSearchParams();
+        if (filters.category) params.append('category', filters.category);
+        if (filters.status) params.append('status', filters.status);
+        if (filters.search) params.append('search', filters.search);
+        if (filters.supplier) params.append('supplier', filters.supplier);
+        if (filters.location) params.append('location', filters.location);
+        if (filters.controlled) params.append('controlled', 'true');
+        
+        if (params.toString()) {
+            endpoint += '?' + params.toString();
+        }
+
+        const response = await this.request('GET', endpoint);
+        return this.applyFilters(response.data, filters);
+    }
+
+    // Get item by ID
+    async getItem(id) {
+        const response = await this.request('GET', `${this.endpoints.items}/${id}`);
+        return response.data;
+    }
+
+    // Create new item
+    async createItem(itemData) {
+        const response = await this.request('POST', this.endpoints.items, itemData);
+        return response.data;
+    }
+
+    // Update existing item
+    async updateItem(id, itemData) {
+        const item = await this.getItem(id);
+        if (item && (item.controlled || itemData.controlled) && this.changesQuantities(item, itemData)) {
+            throw new ValidationError(`${item.name} is a controlled substance; change its stock through a witnessed register entry`);
+        }
+
+        const response = await this.request('PUT', `${this.endpoints.items}/${id}`, itemData);
+        return response.data;
+    }
+
+    // Partially update item
+    async patchItem(id, updates) {
+        const response = await this.request('PATCH', `${this.endpoints.items}/${id}`, updates);
+        return response.data;
+    }
+
+    // Delete item
+    async deleteItem(id) {
+        const item = await this.getItem(id);
+        if (item && item.controlled && item.quantity > 0) {
+            throw new ValidationError(`${item.name} still has ${item.quantity} on the controlled register; record its disposal first`);
+        }
+
+        const response = await this.request('DELETE', `${this.endpoints.items}/${id}`);
+        return response.data;
+    }
+
+    // Stock Ledger Operations
+
+    // Book a quantity change against an item as a ledger transaction
+    async postTransaction(id, { type = 'adjust', delta, reason = '', witness = null }) {
+        const item = await this.getItem(id);
+        if (item && item.controlled) {
+            this.assertControlledMovement(item, { reason, witness });
+        }
+        this.assertItemQuantity(item, Math.abs(delta));
+
+        const response = await this.request('POST', `${this.endpoints.items}/${id}/transactions`, {
+            type,
+            delta,
+            reason,
+            witness
+        });
+        if (!response.data) {
+            throw new Error('Item not found');
+        }
+        return response.data;
+    }
+
+    // Get the ledger entries for one item
+    async getItemTransactions(id) {
+        const response = await this.request('GET', `${this.endpoints.items}/${id}/transactions`);
+        return response.data;
+    }
+
+    // Get ledger entries across all items, optionally filtered by type or lot
+    async getTransactions(filters = {}) {
+        const response = await this.request('GET', this.endpoints.transactions, filters);
+        return response.data;
+    }
+
+    // Controlled Substance Operations
+
+    // Get the running register of a controlled item
+    async getControlledRegister(itemId) {
+        const response = await this.request('GET', `${this.endpoints.items}/${itemId}/register`);
+        return response.data;
+    }
+
+    // Controlled stock moves only with a reason and a witness other than the current user
+    assertControlledMovement(item, { reason, witness }) {
+        if (!reason || !reason.trim()) {
+            throw new ValidationError(`Enter a reason for this movement of ${item.name}`);
+        }
+        if (!witness || !witness.trim()) {
+            throw new ValidationError(`${item.name} is a controlled substance; a second person must witness this`);
+        }
+        if (witness.trim().toLowerCase() === window.inventoryData.getCurrentUser().trim().toLowerCase()) {
+            throw new ValidationError('The witness must be someone other than you');
+        }
+    }
+
+    // Whether an edit would change the item's total or any lot's quantity
+    changesQuantities(item, itemData) {
+        const quantity = itemData.quantity;
+        if (quantity !== undefined && quantity !== null && quantity !== '' && parseFloat(quantity) !== item.quantity) {
+            return true;
+        }
+        return (itemData.lots || []).some(lotData => {
+            const lot = item.lots.find(existing => existing.id === lotData.id);
+            return lotData.quantity !== undefined && (parseFloat(lotData.quantity) || 0) !== (lot ? lot.quantity : 0);
+        });
+    }
+
+    // Stock Transfer Operations
+
+    // Get transfers, optionally filtered by status or a location at either end
+    async getTransfers(filters = {}) {
+        const response = await this.request('GET', this.endpoints.transfers, filters);
+        return response.data;
+    }
+
+    // Get transfer by ID
+    async getTransfer(id) {
+        const response = await this.request('GET', `${this.endpoints.transfers}/${id}`);
+        return response.data;
+    }
+
+    // Request a transfer between two locations
+    async createTransfer(transferData) {
+        if (!transferData.sourceLocationId || !transferData.destinationLocationId) {
+            throw new ValidationError('Choose where the stock comes from and where it goes');
+        }
+        if (transferData.sourceLocationId === transferData.destinationLocationId) {
+            throw new ValidationError('Source and destination must be different locations');
+        }
+        this.validateTransferLines(transferData.sourceLocationId, transferData.lines || []);
+        const response = await this.request('POST', this.endpoints.transfers, transferData);
+        return response.data;
+    }
+
+    // Replace the lines or notes of a requested transfer
+    async updateTransfer(id, updates) {
+        const transfer = await this.assertTransferStatus(id, ['requested'], 'Only requested transfers can be edited');
+        this.validateTransferLines(transfer.sourceLocationId, updates.lines || []);
+        const response = await this.request('PUT', `${this.endpoints.transfers}/${id}`, updates);
+        return response.data;
+    }
+
+    // Take stock out of the source location; it is in transit until received
+    async dispatchTransfer(id, dispatches = []) {
+        const transfer = await this.assertTransferStatus(id, ['requested'], 'Only requested transfers can be dispatched');
+        if (transfer.lines.length === 0) {
+            throw new ValidationError(`${transfer.number} has no lines to dispatch`);
+        }
+
+        const quantities = transfer.lines.map(line => {
+            const item = window.inventoryData.getItemById(line.itemId);
+            if (!item) {
+                throw new ValidationError(`${line.itemName} no longer exists; remove it from the transfer`);
+            }
+
+            const dispatch = dispatches.find(candidate => candidate.lineId === line.id);
+            const quantity = dispatch ? Number(dispatch.quantity) || 0 : line.quantityRequested;
+            this.assertItemQuantity(item, quantity);
+            return quantity;
+        });
+
+        // Lines drawing on the same lot have to fit in it together
+        const lotTotals = window.inventoryData.getTransferLotTotals(transfer, quantities);
+        transfer.lines.forEach(line => {
+            const lot = window.inventoryData.getLot(line.itemId, line.lotId);
+            if (!lot || lot.quantity < lotTotals.get(line.lotId)) {
+                throw new ValidationError(`Only ${lot ? lot.quantity : 0} ${line.itemName} left in ${line.batchNumber || 'the selected lot'}`);
+            }
+        });
+
+        const response = await this.request('POST', `${this.endpoints.transfers}/${id}/dispatch`, { dispatches });
+        return response.data;
+    }
+
+    // Book dispatched stock into the destination location
+    async receiveTransfer(id, receipts = []) {
+        const transfer = await this.assertTransferStatus(id, ['dispatched'], 'Only dispatched transfers can be received');
+        if (receipts.some(receipt => receipt.quantity < 0)) {
+            throw new ValidationError('Received quantities cannot be negative');
+        }
+        transfer.lines.forEach(line => {
+            const receipt = receipts.find(candidate => candidate.lineId === line.id);
+            const quantity = receipt ? Number(receipt.quantity) || 0 : line.quantityDispatched;
+            if (quantity === 0) return;
+
+            const item = window.inventoryData.getItemById(line.itemId);
+            if (!item) {
+                throw new ValidationError(`${line.itemName} no longer exists`);
+            }
+            this.assertItemQuantity(item, quantity);
+        });
+
+        const response = await this.request('POST', `${this.endpoints.transfers}/${id}/receive`, { receipts });
+        return response.data;
+    }
+
+    // Cancel a transfer that has not been dispatched
+    async cancelTransfer(id) {
+        await this.assertTransferStatus(id, ['requested'], 'Only requested transfers can be cancelled');
+        const response = await this.request('POST', `${this.endpoints.transfers}/${id}/cancel`);
+        return response.data;
+    }
+
+    // Get received transfer lines where the received quantity differs from the dispatched one
+    async getTransferDiscrepancies() {
+        const response = await this.request('GET', `${this.endpoints.transfers}/discrepancies`);
+        return response.data;
+    }
+
+    // Lines without a lot are picked from unexpired stock at the source, so check there is enough of it
+    validateTransferLines(sourceLocationId, lines) {
+        const location = window.inventoryData.getLocationById(sourceLocationId);
+        lines.forEach(line => this.assertItemQuantity(window.inventoryData.getItemById(line.itemId), line.quantityRequested));
+        lines.filter(line => !line.lotId).forEach(line => {
+            const item = window.inventoryData.getItemById(line.itemId);
+            if (!item) {
+                throw new ValidationError('Item not found');
+            }
+            const available = window.inventoryData.getDispensableQuantity({
+                ...item,
+                lots: window.inventoryData.getLocationLots(item, sourceLocationId)
+            });
+            if (available < line.quantityRequested) {
+                throw new ValidationError(`Only ${available} unexpired ${item.name} at ${location ? location.name : 'the source location'}`);
+            }
+        });
+    }
+
+    async assertTransferStatus(id, allowed, message) {
+        const transfer = await this.getTransfer(id);
+        if (!transfer) {
+            throw new ValidationError('Transfer not found');
+        }
+        if (!allowed.includes(transfer.status)) {
+            throw new ValidationError(message);
+        }
+        return transfer;
+    }
+
+    // Stock Count Operations
+
+    // Get count sessions, optionally filtered by status
+    async getCountSessions(filters = {}) {
+        const response = await this.request('GET', this.endpoints.countSessions, filters);
+        return response.data;
+    }
+
+    // Get count session by ID
+    async getCountSession(id) {
+        const response = await this.request('GET', `${this.endpoints.countSessions}/${id}`);
+        return response.data;
+    }
+
+    // Open a count session, freezing expected quantities for the chosen items and locations
+    async createCountSession(sessionData) {
+        const open = await this.getCountSessions({ status: 'open' });
+        const overlapping = open.find(session => this.countScopesOverlap(session, sessionData));
+        if (overlapping) {
+            throw new ValidationError(`${overlapping.number} is already counting some of this stock`);
+        }
+
+        const hasStock = window.inventoryData.items.some(item =>
+            (!sessionData.itemIds || sessionData.itemIds.length === 0 || sessionData.itemIds.includes(item.id)) &&
+            item.lots.some(lot => lot.quantity > 0 &&
+                (!sessionData.locationIds || sessionData.locationIds.length === 0 || sessionData.locationIds.includes(lot.locationId)))
+        );
+        if (!hasStock) {
+            throw new ValidationError('There is no stock to count in this scope');
+        }
+
+        const response = await this.request('POST', this.endpoints.countSessions, sessionData);
+        return response.data;
+    }
+
+    // Enter counted quantities as [{ lineId, countedQuantity, unit }]
+    async recordCounts(id, counts) {
+        const session = await this.assertCountSessionStatus(id, ['open'], 'Counts can only be entered on an open session');
+        counts.filter(count => count.countedQuantity !== null && count.countedQuantity !== '').forEach(count => {
+            const line = session.lines.find(candidate => candidate.id === count.lineId);
+            if (line) this.assertItemQuantity(window.inventoryData.getItemById(line.itemId), count.countedQuantity, count.unit);
+        });
+
+        const response = await this.request('POST', `${this.endpoints.countSessions}/${id}/counts`, { counts });
+        return response.data;
+    }
+
+    // Add one unit to the line matching a scanned batch number, SKU or item name
+    async scanCount(id, code) {
+        const session = await this.assertCountSessionStatus(id, ['open'], 'Counts can only be entered on an open session');
+        const line = window.inventoryData.findCountLine(session, code);
+        if (!line) {
+            throw new ValidationError(`Nothing on ${session.number} matches "${code}"`);
+        }
+
+        const updated = await this.recordCounts(id, [{ lineId: line.id, countedQuantity: (line.countedQuantity || 0) + 1 }]);
+        return { session: updated, line: updated.lines.find(candidate => candidate.id === line.id) };
+    }
+
+    // Get expected, counted, difference and value impact per line
+    async getCountVariance(id) {
+        const response = await this.request('GET', `${this.endpoints.countSessions}/${id}/variance`);
+        return response.data;
+    }
+
+    // Book the counted differences as count transactions and close the session
+    async postCountSession(id, { witness = null } = {}) {
+        const session = await this.assertCountSessionStatus(id, ['open'], 'Only open sessions can be posted');
+        if (!session.lines.some(line => line.countedQuantity !== null)) {
+            throw new ValidationError(`Nothing has been counted on ${session.number} yet`);
+        }
+
+        const controlled = this.getControlledCountVariances(session);
+        if (controlled.length > 0) {
+            this.assertControlledMovement(window.inventoryData.getItemById(controlled[0].itemId), {
+                reason: `Stocktake ${session.number}`,
+                witness
+            });
+        }
+
+        const response = await this.request('POST', `${this.endpoints.countSessions}/${id}/post`, { witness });
+        return response.data;
+    }
+
+    // Abandon an open session without touching stock
+    async cancelCountSession(id) {
+        await this.assertCountSessionStatus(id, ['open'], 'Only open sessions can be cancelled');
+        const response = await this.request('POST', `${this.endpoints.countSessions}/${id}/cancel`);
+        return response.data;
+    }
+
+    // Counted lines of controlled substances that differ from what was expected
+    getControlledCountVariances(session) {
+        return session.lines.filter(line =>
+            line.countedQuantity !== null &&
+            line.countedQuantity !== line.expectedQuantity &&
+            window.inventoryData.getItemById(line.itemId)?.controlled
+        );
+    }
+
+    // Two scopes overlap when they share an item and a location; empty lists mean everything
+    countScopesOverlap(a, b) {
+        const shares = (first = [], second = []) =>
+            first.length === 0 || second.length === 0 || first.some(id => second.includes(id));
+        return shares(a.itemIds, b.itemIds) && shares(a.locationIds, b.locationIds);
+    }
+
+    // Get every item's ABC class and next cycle count date (category, abcClass)
+    async getCycleCountSchedule(filters = {}) {
+        const response = await this.request('GET', this.endpoints.cycleCounts, filters);
+        return response.data;
+    }
+
+    // Get the items due for a cycle count today, including overdue ones
+    async getCycleCountsDue() {
+        const response = await this.request('GET', `${this.endpoints.cycleCounts}/due`);
+        return response.data;
+    }
+
+    async assertCountSessionStatus(id, allowed, message) {
+        const session = await this.getCountSession(id);
+        if (!session) {
+            throw new ValidationError('Count session not found');
+        }
+        if (!allowed.includes(session.status)) {
+            throw new ValidationError(message);
+        }
+        return session;
+    }
+
+    // Disposal Operations
+
+    // Get disposals, optionally filtered by item, reason or category
+    async getDisposals(filters = {}) {
+        const response = await this.request('GET', this.endpoints.disposals, filters);
+        return response.data;
+    }
+
+    // Take stock out of one lot as waste, recording why and how it was disposed of
+    async disposeLot(itemId, { lotId, quantity, reason, method, notes = '', witness = null }) {
+        const item = await this.getItem(itemId);
+        if (!item) {
+            throw new ValidationError('Item not found');
+        }
+
+        const lot = item.lots.find(existing => existing.id === lotId);
+        if (!lot) {
+            throw new ValidationError('Select the lot to dispose of');
+        }
+        if (!(quantity > 0)) {
+            throw new ValidationError('Disposal quantity must be greater than zero');
+        }
+        this.assertItemQuantity(item, quantity);
+        if (quantity > lot.quantity) {
+            throw new ValidationError(`Only ${lot.quantity} in ${lot.batchNumber ? `batch ${lot.batchNumber}` : 'this lot'}`);
+        }
+        if (!window.inventoryData.disposalReasons.includes(reason)) {
+            throw new ValidationError('Select a disposal reason');
+        }
+        if (!window.inventoryData.disposalMethods.includes(method)) {
+            throw new ValidationError('Select a disposal method');
+        }
+        if (item.controlled) {
+            this.assertControlledMovement(item, { reason, witness });
+        }
+
+        const response = await this.request('POST', this.endpoints.disposals, {
+            itemId, lotId, quantity, reason, method, notes, witness
+        });
+        return response.data;
+    }
+
+    // Get value lost per month, per category and per reason (from, to)
+    async getWastageReport(filters = {}) {
+        const response = await this.request('GET', `${this.endpoints.disposals}/report`, filters);
+        return response.data;
+    }
+
+    // Patient Dispensing Operations
+
+    // Get patient dispensing records, newest first (patientReference, itemId, lotId, batchNumber)
+    async getPatientDispensings(filters = {}) {
+        const response = await this.request('GET', this.endpoints.patientDispensings, filters);
+        return response.data;
+    }
+
+    // Get patient dispensing record by ID
+    async getPatientDispensing(id) {
+        const response = await this.request('GET', `${this.endpoints.patientDispensings}/${id}`);
+        return response.data;
+    }
+
+    // Dispense to a patient from a chosen lot, or first-expired-first-out, and keep the record
+    async dispenseToPatient(itemId, { quantity, unit = null, lotId = null, locationId = null, patientReference, prescriber, notes = '', witness = null }) {
+        const data = window.inventoryData;
+        const item = await this.getItem(itemId);
+        if (!item) {
+            throw new ValidationError('Item not found');
+        }
+
+        const errors = [];
+        if (!Utils.validateRequired(patientReference)) {
+            errors.push('Patient reference is required');
+        }
+        if (!Utils.validateRequired(prescriber)) {
+            errors.push('Prescriber is required');
+        }
+        if (!(quantity > 0)) {
+            errors.push('Dispense quantity must be greater than zero');
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        this.assertItemQuantity(item, quantity, unit);
+
+        const lot = lotId ? item.lots.find(existing => existing.id === lotId) : null;
+        if (lotId && !lot) {
+            throw new ValidationError('Select a lot of this item');
+        }
+        if (lot && data.isLotHeld(lot)) {
+            throw new ValidationError(`${data.getLotLabel(lot)} is quarantined and can't be dispensed`);
+        }
+        if (lot && data.isExpired(data.getLotExpiry(lot))) {
+            throw new ValidationError(`${data.getLotLabel(lot)} has expired and can't be dispensed to a patient`);
+        }
+
+        const plan = data.planPatientDispense(item, data.toBaseQuantity(item, quantity, unit), { lotId, locationId });
+        if (plan.shortfall > 0) {
+            throw new ValidationError(
+                `Only ${data.formatQuantity(item, plan.available, item.unit)} of ${item.name} available to dispense` +
+                (lot ? ` from ${data.getLotLabel(lot)}` : ' from unexpired lots') +
+                (locationId && !lot ? ` at ${data.getLocationById(locationId)?.name || 'this location'}` : '')
+            );
+        }
+
+        if (item.controlled) {
+            this.assertControlledMovement(item, { reason: `Dispensed to patient ${patientReference}`, witness });
+        }
+
+        const response = await this.request('POST', this.endpoints.patientDispensings, {
+            itemId, quantity, unit, lotId, locationId, patientReference, prescriber, notes, witness
+        });
+        return response.data;
+    }
+
+    // Procedure Kit Operations
+
+    // Get all kits
+    async getKits() {
+        const response = await this.request('GET', this.endpoints.kits);
+        return response.data;
+    }
+
+    // Get kit by ID
+    async getKit(id) {
+        const response = await this.request('GET', `${this.endpoints.kits}/${id}`);
+        return response.data;
+    }
+
+    // Create new kit
+    async createKit(kitData) {
+        this.validateKitData(kitData);
+        const response = await this.request('POST', this.endpoints.kits, kitData);
+        return response.data;
+    }
+
+    // Update existing kit
+    async updateKit(id, kitData) {
+        this.validateKitData({ ...kitData, id });
+        const response = await this.request('PUT', `${this.endpoints.kits}/${id}`, kitData);
+        return response.data;
+    }
+
+    // Delete a kit; its past usages are kept
+    async deleteKit(id) {
+        const response = await this.request('DELETE', `${this.endpoints.kits}/${id}`);
+        if (!response.data) {
+            throw new ValidationError('Kit not found');
+        }
+        return response.data;
+    }
+
+    // Get how many complete kits can be made up from stock, optionally at one location
+    async getKitAvailability(filters = {}) {
+        const response = await this.request('GET', `${this.endpoints.kits}/availability`, filters);
+        return response.data;
+    }
+
+    // Get kit usages, newest first, optionally for one kit
+    async getKitUsages(filters = {}) {
+        const response = await this.request('GET', `${this.endpoints.kits}/usages`, filters);
+        return response.data;
+    }
+
+    // Record a procedure: every component is dispensed, or nothing is when any is short
+    async performKit(id, { count = 1, locationId = null, notes = '', witness = null } = {}) {
+        const data = window.inventoryData;
+        const kit = await this.getKit(id);
+        if (!kit) {
+            throw new ValidationError('Kit not found');
+        }
+        if (!Number.isInteger(Number(count)) || Number(count) < 1) {
+            throw new ValidationError('Enter a whole number of kits');
+        }
+        if (kit.components.length === 0) {
+            throw new ValidationError(`${kit.name} has no components`);
+        }
+
+        const shortfalls = data.getKitShortfalls(kit, Number(count), locationId);
+        if (shortfalls.length > 0) {
+            const location = locationId ? ` at ${data.getLocationById(locationId)?.name || 'this location'}` : '';
+            throw new ValidationError(`Not enough stock for ${count} × ${kit.name}${location}; nothing was used. Short of ` +
+                shortfalls.map(component => {
+                    const item = data.getItemById(component.itemId);
+                    if (!item) return `${component.itemName} (no longer in inventory)`;
+                    return `${item.name} (need ${data.formatQuantity(item, component.needed, item.unit)}, ${data.formatQuantity(item, component.available, item.unit)} available)`;
+                }).join(', '));
+        }
+
+        const controlled = kit.components
+            .map(component => data.getItemById(component.itemId))
+            .filter(item => item.controlled);
+        if (controlled.length > 0) {
+            this.assertControlledMovement(controlled[0], { reason: kit.name, witness });
+        }
+
+        const response = await this.request('POST', `${this.endpoints.kits}/${id}/perform`, { count: Number(count), locationId, notes, witness });
+        return response.data;
+    }
+
+    // Valuation Operations
+
+    // Get stock value by category and location at the clinic's costing method
+    async getValuationReport() {
+        const response = await this.request('GET', this.endpoints.valuation);
+        return response.data;
+    }
+
+    // Get the cost of stock dispensed per month (from, to)
+    async getCostOfGoodsConsumed(filters = {}) {
+        const response = await this.request('GET', `${this.endpoints.valuation}/consumption`, filters);
+        return response.data;
+    }
+
+    // Recall Operations
+
+    // Get recalls, optionally filtered by status
+    async getRecalls(filters = {}) {
+        const response = await this.request('GET', this.endpoints.recalls, filters);
+        return response.data;
+    }
+
+    // Get recall by ID
+    async getRecall(id) {
+        const response = await this.request('GET', `${this.endpoints.recalls}/${id}`);
+        return response.data;
+    }
+
+    // Record a recall; matching lots are quarantined straight away
+    async createRecall(recallData) {
+        if (!recallData.itemId && !(recallData.product || '').trim()) {
+            throw new ValidationError('Select the recalled product or enter its name');
+        }
+        if (!recallData.batchNumbers || recallData.batchNumbers.length === 0) {
+            throw new ValidationError('Enter at least one recalled batch number');
+        }
+        if (!(recallData.reason || '').trim()) {
+            throw new ValidationError('Enter the reason for the recall');
+        }
+        if (recallData.recallDate && !Utils.isValidDate(recallData.recallDate)) {
+            throw new ValidationError('Recall date is not a valid date');
+        }
+
+        const response = await this.request('POST', this.endpoints.recalls, recallData);
+        return response.data;
+    }
+
+    // Clear recalled stock from a lot by returning it to the supplier or disposing of it
+    async resolveRecallLot(id, lotId, { action, quantity, method = 'pharmacy-return', witness = null }) {
+        const recall = await this.assertRecallStatus(id, ['open'], 'Only open recalls can be cleared');
+        const match = recall.matches.find(candidate => candidate.lotId === lotId);
+        const lot = match ? window.inventoryData.getLot(match.itemId, lotId) : null;
+        if (!lot) {
+            throw new ValidationError(`That lot is not part of ${recall.number}`);
+        }
+        if (!['returned', 'disposed'].includes(action)) {
+            throw new ValidationError('Choose whether the stock was returned or disposed of');
+        }
+        if (!(quantity > 0) || quantity > lot.quantity) {
+            throw new ValidationError(`Enter a quantity greater than zero and no more than ${lot.quantity}`);
+        }
+
+        const item = window.inventoryData.getItemById(match.itemId);
+        this.assertItemQuantity(item, quantity);
+        if (action === 'disposed' && item.controlled) {
+            this.assertControlledMovement(item, { reason: recall.reason, witness });
+        }
+
+        const response = await this.request('POST', `${this.endpoints.recalls}/${id}/resolve`, {
+            lotId, action, quantity, method, witness
+        });
+        return response.data;
+    }
+
+    // Close a recall once none of its stock is left on hand or in transit
+    async closeRecall(id) {
+        await this.assertRecallStatus(id, ['open'], 'This recall is already closed');
+        const report = await this.getRecallReport(id);
+        if (report.totals.onHand > 0) {
+            throw new ValidationError(`Return or dispose of the ${report.totals.onHand} recalled unit${report.totals.onHand === 1 ? '' : 's'} still on hand first`);
+        }
+        if (report.totals.inTransit > 0) {
+            throw new ValidationError(`Receive the ${report.totals.inTransit} recalled unit${report.totals.inTransit === 1 ? '' : 's'} still in transit first, so they can be quarantined`);
+        }
+
+        const response = await this.request('POST', `${this.endpoints.recalls}/${id}/close`);
+        return response.data;
+    }
+
+    // Get matched lots with units dispensed, returned, disposed and still on hand
+    async getRecallReport(id) {
+        const response = await this.request('GET', `${this.endpoints.recalls}/${id}/report`);
+        return response.data;
+    }
+
+    async assertRecallStatus(id, allowed, message) {
+        const recall = await this.getRecall(id);
+        if (!recall) {
+            throw new ValidationError('Recall not found');
+        }
+        if (!allowed.includes(recall.status)) {
+            throw new ValidationError(message);
+        }
+        return recall;
+    }
+
+    // Cold Chain Operations
+
+    // Get temperature readings, oldest first (locationId, from, to)
+    async getTemperatureReadings(filters = {}) {
+        const response = await this.request('GET', this.endpoints.temperatureReadings, filters);
+        return response.data;
+    }
+
+    // Record one min/max reading; resolves with the reading and any excursion it raised
+    async recordTemperatureReading(locationId, reading) {
+        const errors = this.validateTemperatureReading(reading);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return this.postTemperatureReadings(locationId, [reading], 'manual');
+    }
+
+    // Import readings from a data-logger CSV export
+    async importTemperatureLog(locationId, csvText) {
+        const readings = this.parseTemperatureLog(csvText);
+        return this.postTemperatureReadings(locationId, readings, 'logger');
+    }
+
+    async postTemperatureReadings(locationId, readings, source) {
+        if (!window.inventoryData.getLocationById(locationId)) {
+            throw new ValidationError('Select the location the readings are for');
+        }
+
+        const response = await this.request('POST', this.endpoints.temperatureReadings, { locationId, readings, source });
+        return response.data;
+    }
+
+    validateTemperatureReading(reading, prefix = '') {
+        const errors = [];
+        const minTemp = parseFloat(reading.minTemp);
+        const maxTemp = parseFloat(reading.maxTemp);
+
+        if (!reading.recordedAt || !Utils.isValidDate(reading.recordedAt)) {
+            errors.push(`${prefix}Enter when the reading was taken`);
+        } else if (new Date(reading.recordedAt) > new Date()) {
+            errors.push(`${prefix}Reading time cannot be in the future`);
+        }
+        if (isNaN(minTemp) || isNaN(maxTemp)) {
+            errors.push(`${prefix}Enter the minimum and maximum temperature`);
+        } else if (minTemp > maxTemp) {
+            errors.push(`${prefix}Minimum temperature cannot be above the maximum`);
+        } else if (minTemp < -80 || maxTemp > 60) {
+            errors.push(`${prefix}Temperatures must be between -80°C and 60°C`);
+        }
+
+        return errors;
+    }
+
+    // Data loggers export a header row followed by one row per reading. A time column is
+    // required (or separate date and time columns), plus either min and max columns or a
+    // single temperature column. Commas, semicolons and tabs are accepted as separators.
+    parseTemperatureLog(csvText) {
+        const lines = (csvText || '').split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) {
+            throw new ValidationError('The file has no readings');
+        }
+
+        const separator = [',', ';', '\t'].find(candidate => lines[0].includes(candidate)) || ',';
+        const split = line => line.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const headers = split(lines[0]).map(header => header.toLowerCase());
+        const column = (...names) => headers.findIndex(header => names.some(name => header.includes(name)));
+
+        const timeColumn = column('timestamp', 'datetime', 'date');
+        const clockColumn = headers.findIndex(header => header === 'time');
+        const minColumn = column('min');
+        const maxColumn = column('max');
+        const tempColumn = column('temp', 'reading', 'value');
+        if (timeColumn === -1 || ((minColumn === -1 || maxColumn === -1) && tempColumn === -1)) {
+            throw new ValidationError('The file needs a time column and either min/max or temperature columns');
+        }
+
+        const errors = [];
+        const readings = lines.slice(1).map((line, index) => {
+            const cells = split(line);
+            const time = clockColumn !== -1 && clockColumn !== timeColumn
+                ? `${cells[timeColumn]}T${cells[clockColumn]}`
+                : cells[timeColumn].replace(' ', 'T');
+            const reading = {
+                recordedAt: time,
+                minTemp: minColumn !== -1 && maxColumn !== -1 ? cells[minColumn] : cells[tempColumn],
+                maxTemp: minColumn !== -1 && maxColumn !== -1 ? cells[maxColumn] : cells[tempColumn]
+            };
+            errors.push(...this.validateTemperatureReading(reading, `Row ${index + 2}: `));
+            return reading;
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors.slice(0, 5));
+        }
+        return readings;
+    }
+
+    // Get morning and afternoon readings taken today at each monitored location
+    async getTemperatureChecks() {
+        const response = await this.request('GET', `${this.endpoints.temperatureReadings}/checks`);
+        return response.data;
+    }
+
+    // Get excursions (status, locationId)
+    async getExcursions(filters = {}) {
+        const response = await this.request('GET', this.endpoints.excursions, filters);
+        return response.data;
+    }
+
+    // Get excursion by ID
+    async getExcursion(id) {
+        const response = await this.request('GET', `${this.endpoints.excursions}/${id}`);
+        return response.data;
+    }
+
+    // Get every lot stored at the location during the excursion window
+    async getExcursionLots(id) {
+        const response = await this.request('GET', `${this.endpoints.excursions}/${id}/lots`);
+        return response.data;
+    }
+
+    // Quarantine the chosen lots and mark the excursion as reviewed
+    async quarantineExcursionLots(id, lotIds = [], notes = '') {
+        await this.assertExcursionStatus(id, ['open'], 'This excursion has already been reviewed');
+        if (lotIds.length === 0) {
+            throw new ValidationError('Select the lots to quarantine, or dismiss the excursion');
+        }
+
+        const response = await this.request('POST', `${this.endpoints.excursions}/${id}/quarantine`, { lotIds, notes });
+        return response.data;
+    }
+
+    // Mark the excursion as reviewed without quarantining anything
+    async dismissExcursion(id, notes = '') {
+        await this.assertExcursionStatus(id, ['open'], 'This excursion has already been reviewed');
+        if (!notes.trim()) {
+            throw new ValidationError('Enter why no stock needs to be quarantined');
+        }
+
+        const response = await this.request('POST', `${this.endpoints.excursions}/${id}/dismiss`, { notes: notes.trim() });
+        return response.data;
+    }
+
+    async assertExcursionStatus(id, allowed, message) {
+        const excursion = await this.getExcursion(id);
+        if (!excursion) {
+            throw new ValidationError('Excursion not found');
+        }
+        if (!allowed.includes(excursion.status)) {
+            throw new ValidationError(message);
+        }
+        return excursion;
+    }
+
+    // Storage Location Operations
+
+    // Get all storage locations
+    async getLocations() {
+        const response = await this.request('GET', this.endpoints.locations);
+        return response.data;
+    }
+
+    // Get location by ID
+    async getLocation(id) {
+        const response = await this.request('GET', `${this.endpoints.locations}/${id}`);
+        return response.data;
+    }
+
+    // Create new location
+    async createLocation(locationData) {
+        const response = await this.request('POST', this.endpoints.locations, locationData);
+        return response.data;
+    }
+
+    // Update existing location
+    async updateLocation(id, locationData) {
+        const response = await this.request('PUT', `${this.endpoints.locations}/${id}`, locationData);
+        return response.data;
+    }
+
+    // Delete a location; it must not hold any stock
+    async deleteLocation(id) {
+        const location = await this.getLocation(id);
+        if (!location) {
+            throw new ValidationError('Location not found');
+        }
+
+        const stockedItems = window.inventoryData.getAllItems()
+            .filter(item => window.inventoryData.getLocationQuantity(item, id) > 0);
+        if (stockedItems.length > 0) {
+            throw new ValidationError(`${location.name} still holds stock of ${stockedItems.length} item${stockedItems.length === 1 ? '' : 's'}`);
+        }
+
+        const openTransfers = window.inventoryData.getTransfers({ locationId: id })
+            .filter(transfer => ['requested', 'dispatched'].includes(transfer.status));
+        if (openTransfers.length > 0) {
+            throw new ValidationError(`${location.name} is on open transfer ${openTransfers[0].number}`);
+        }
+
+        const response = await this.request('DELETE', `${this.endpoints.locations}/${id}`);
+        if (!response.data) {
+            throw new ValidationError('The last remaining location cannot be deleted');
+        }
+        return response.data;
+    }
+
+    // Get an item's stock and thresholds per location
+    async getItemLocationStock(itemId) {
+        const response = await this.request('GET', `${this.endpoints.items}/${itemId}/locations`);
+        return response.data;
+    }
+
+    // Department Budget Operations
+
+    // Get all departments
+    async getDepartments() {
+        const response = await this.request('GET', this.endpoints.departments);
+        return response.data;
+    }
+
+    // Get department by ID
+    async getDepartment(id) {
+        const response = await this.request('GET', `${this.endpoints.departments}/${id}`);
+        return response.data;
+    }
+
+    // Create new department
+    async createDepartment(departmentData) {
+        const response = await this.request('POST', this.endpoints.departments, departmentData);
+        return response.data;
+    }
+
+    // Update existing department
+    async updateDepartment(id, departmentData) {
+        const response = await this.request('PUT', `${this.endpoints.departments}/${id}`, departmentData);
+        return response.data;
+    }
+
+    // Delete a department; its locations are left unassigned
+    async deleteDepartment(id) {
+        const response = await this.request('DELETE', `${this.endpoints.departments}/${id}`);
+        if (!response.data) {
+            throw new ValidationError('Department not found');
+        }
+        return response.data;
+    }
+
+    // Get budget against actual spend for every department's current period
+    async getBudgetSummary() {
+        const response = await this.request('GET', `${this.endpoints.departments}/budgets`);
+        return response.data;
+    }
+
+    // Substitute Group Operations
+
+    // Get all substitute groups
+    async getSubstituteGroups() {
+        const response = await this.request('GET', this.endpoints.substituteGroups);
+        return response.data;
+    }
+
+    // Get substitute group by ID
+    async getSubstituteGroup(id) {
+        const response = await this.request('GET', `${this.endpoints.substituteGroups}/${id}`);
+        return response.data;
+    }
+
+    // Create new substitute group
+    async createSubstituteGroup(groupData) {
+        this.validateSubstituteGroupData(groupData);
+        const response = await this.request('POST', this.endpoints.substituteGroups, groupData);
+        return response.data;
+    }
+
+    // Update existing substitute group
+    async updateSubstituteGroup(id, groupData) {
+        this.validateSubstituteGroupData({ ...groupData, id });
+        const response = await this.request('PUT', `${this.endpoints.substituteGroups}/${id}`, groupData);
+        return response.data;
+    }
+
+    // Delete a substitute group; its items go back to being evaluated on their own
+    async deleteSubstituteGroup(id) {
+        const response = await this.request('DELETE', `${this.endpoints.substituteGroups}/${id}`);
+        if (!response.data) {
+            throw new ValidationError('Substitute group not found');
+        }
+        return response.data;
+    }
+
+    // Get each group's items and combined stock against the group threshold
+    async getSubstituteGroupStock() {
+        const response = await this.request('GET', `${this.endpoints.substituteGroups}/stock`);
+        return response.data;
+    }
+
+    // Supplier Directory Operations
+
+    // Get all suppliers
+    async getSuppliers() {
+        const response = await this.request('GET', this.endpoints.suppliers);
+        return response.data;
+    }
+
+    // Get supplier by ID
+    async getSupplier(id) {
+        const response = await this.request('GET', `${this.endpoints.suppliers}/${id}`);
+        return response.data;
+    }
+
+    // Create new supplier
+    async createSupplier(supplierData) {
+        const response = await this.request('POST', this.endpoints.suppliers, supplierData);
+        return response.data;
+    }
+
+    // Update existing supplier
+    async updateSupplier(id, supplierData) {
+        const response = await this.request('PUT', `${this.endpoints.suppliers}/${id}`, supplierData);
+        return response.data;
+    }
+
+    // Delete supplier and unlink it from its items
+    async deleteSupplier(id) {
+        const response = await this.request('DELETE', `${this.endpoints.suppliers}/${id}`);
+        return response.data;
+    }
+
+    // Get the items a supplier is linked to, as preferred or alternate
+    async getSupplierItems(id) {
+        const response = await this.request('GET', `${this.endpoints.suppliers}/${id}/items`);
+        return response.data;
+    }
+
+    // Purchase Order Operations
+
+    // Get purchase orders, optionally filtered by status or supplier
+    async getPurchaseOrders(filters = {}) {
+        const response = await this.request('GET', this.endpoints.purchaseOrders, filters);
+        return response.data;
+    }
+
+    // Get purchase order by ID
+    async getPurchaseOrder(id) {
+        const response = await this.request('GET', `${this.endpoints.purchaseOrders}/${id}`);
+        return response.data;
+    }
+
+    // Create a draft purchase order for one supplier
+    async createPurchaseOrder(orderData) {
+        if (!orderData.supplierId) {
+            throw new ValidationError('A supplier is required');
+        }
+        const response = await this.request('POST', this.endpoints.purchaseOrders, orderData);
+        return response.data;
+    }
+
+    // Replace the lines or notes of a draft purchase order
+    async updatePurchaseOrder(id, updates) {
+        await this.assertPurchaseOrderStatus(id, ['draft'], 'Only draft orders can be edited');
+        const response = await this.request('PUT', `${this.endpoints.purchaseOrders}/${id}`, updates);
+        return response.data;
+    }
+
+    // Delete a draft purchase order
+    async deletePurchaseOrder(id) {
+        await this.assertPurchaseOrderStatus(id, ['draft'], 'Only draft orders can be deleted');
+        const response = await this.request('DELETE', `${this.endpoints.purchaseOrders}/${id}`);
+        return response.data;
+    }
+
+    // Build draft purchase orders, one per supplier, from the current low stock items
+    async buildDraftPurchaseOrders() {
+        const response = await this.request('POST', `${this.endpoints.purchaseOrders}/drafts`);
+        return response.data;
+    }
+
+    // Send a draft purchase order to its supplier
+    async submitPurchaseOrder(id) {
+        const order = await this.assertPurchaseOrderStatus(id, ['draft'], 'Only draft orders can be submitted');
+        if (order.lines.length === 0) {
+            throw new ValidationError(`${order.number} has no lines to order`);
+        }
+
+        const budgetCheck = await this.getPurchaseOrderBudgetCheck(id);
+        if (budgetCheck && budgetCheck.exceeds && window.inventoryData.settings.budgetPolicy === 'block') {
+            throw new ValidationError(`${order.number} would bring ${budgetCheck.departmentName} to ${Utils.formatCurrency(budgetCheck.projected)} against a budget of ${Utils.formatCurrency(budgetCheck.budget)}`);
+        }
 
-    // Handle analytics requests
-    handleAnalyticsRequest() {
-        return {
-            stats: window.inventoryData.getStats(),
-            recentActivity: window.inventoryData.getRecentActivity(),
-            lowStockItems: window.inventoryData.getLowStockItems(),
-            expiringSoonItems: window.inventoryData.getExpiringSoonItems(),
-            expiredItems: window.inventoryData.getExpiredItems()
-        };
+        const response = await this.request('POST', `${this.endpoints.purchaseOrders}/${id}/submit`);
+        return response.data;
     }
 
-    // Handle alerts requests
-    handleAlertsRequest() {
-        return {
-            critical: window.inventoryData.getCriticalAlerts(),
-            lowStock: window.inventoryData.getLowStockItems(),
-            expiring: window.inventoryData.getExpiringSoonItems(),
-            expired: window.inventoryData.getExpiredItems()
-        };
+    // Receive goods against a purchase order; each receipt becomes a new lot
+    async receivePurchaseOrder(id, receipts) {
+        await this.assertPurchaseOrderStatus(id, ['submitted', 'partially-received'], 'Only submitted orders can be received');
+
+        const entered = receipts.filter(receipt => receipt.quantity > 0);
+        if (entered.length === 0) {
+            throw new ValidationError('Enter a received quantity for at least one line');
+        }
+        entered.forEach(receipt => this.validateLotData(receipt));
+
+        const order = await this.getPurchaseOrder(id);
+        entered.forEach(receipt => {
+            const line = order.lines.find(candidate => candidate.id === receipt.lineId);
+            if (!line) {
+                throw new ValidationError(`Line ${receipt.lineId} is not on ${order.number}`);
+            }
+
+            const item = window.inventoryData.getItemById(line.itemId);
+            if (!item) {
+                throw new ValidationError(`${line.itemName} no longer exists; receive the other lines without it`);
+            }
+            this.assertItemQuantity(item, receipt.quantity, receipt.unit);
+        });
+
+        const response = await this.request('POST', `${this.endpoints.purchaseOrders}/${id}/receive`, { receipts: entered });
+        return response.data;
     }
 
-    // Utility method for delays
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Cancel an order, or close a partially received one short
+    async cancelPurchaseOrder(id) {
+        await this.assertPurchaseOrderStatus(id, ['draft', 'submitted', 'partially-received'], 'This order is already closed');
+        const response = await this.request('POST', `${this.endpoints.purchaseOrders}/${id}/cancel`);
+        return response.data;
     }
 
-    // CRUD Operations for Inventory Items
+    // Get what the order would bring its department's spend to this period
+    async getPurchaseOrderBudgetCheck(id) {
+        const response = await this.request('GET', `${this.endpoints.purchaseOrders}/${id}/budget`);
+        return response.data;
+    }
 
-    // Get all items
-    async getAllItems(filters = {}) {
-        let endpoint = this.endpoints.items;
-        
-        // Add query parameters for filtering
-        const params = new URLSearchParams();
-        if (filters.category) params.append('category', filters.category);
-        if (filters.status) params.append('status', filters.status);
-        if (filters.search) params.append('search', filters.search);
-        
-        if (params.toString()) {
-            endpoint += '?' + params.toString();
+    async assertPurchaseOrderStatus(id, allowed, message) {
+        const order = await this.getPurchaseOrder(id);
+        if (!order) {
+            throw new ValidationError('Purchase order not found');
         }
+        if (!allowed.includes(order.status)) {
+            throw new ValidationError(message);
+        }
+        return order;
+    }
 
-        const response = await this.request('GET', endpoint);
-        return this.applyFilters(response.data, filters);
+    // Reorder Planning Operations
+
+    // Get the suggested reorder point and quantity for one item
+    async getReorderSuggestion(itemId) {
+        const response = await this.request('GET', `${this.endpoints.items}/${itemId}/reorder-suggestion`);
+        return response.data;
     }
 
-    // Get item by ID
-    async getItem(id) {
-        const response = await this.request('GET', `${this.endpoints.items}/${id}`);
+    // Apply an item's suggestion to its low stock threshold and reorder quantity
+    async applyReorderSuggestion(itemId) {
+        const response = await this.request('POST', `${this.endpoints.items}/${itemId}/reorder-suggestion`);
+        if (!response.data) {
+            throw new ValidationError('Not enough dispensing history to suggest a reorder point');
+        }
         return response.data;
     }
 
-    // Create new item
-    async createItem(itemData) {
-        const response = await this.request('POST', this.endpoints.items, itemData);
+    // Get suggestions for every item
+    async getReorderSuggestions() {
+        const response = await this.request('GET', this.endpoints.reorderPoints);
         return response.data;
     }
 
-    // Update existing item
-    async updateItem(id, itemData) {
-        const response = await this.request('PUT', `${this.endpoints.items}/${id}`, itemData);
+    // Recalculate and apply reorder points for every item with usage history
+    async recalculateReorderPoints() {
+        const response = await this.request('POST', this.endpoints.reorderPoints);
         return response.data;
     }
 
-    // Partially update item
-    async patchItem(id, updates) {
-        const response = await this.request('PATCH', `${this.endpoints.items}/${id}`, updates);
+    // Get clinic-wide planning settings
+    async getSettings() {
+        const response = await this.request('GET', this.endpoints.settings);
         return response.data;
     }
 
-    // Delete item
-    async deleteItem(id) {
-        const response = await this.request('DELETE', `${this.endpoints.items}/${id}`);
+    // Update clinic-wide planning settings
+    async updateSettings(updates) {
+        if (updates.costingMethod !== undefined && !window.inventoryData.costingMethods.includes(updates.costingMethod)) {
+            throw new ValidationError('Choose FIFO or weighted-average costing');
+        }
+        if (updates.budgetSpendBasis !== undefined && !window.inventoryData.budgetSpendBases.includes(updates.budgetSpendBasis)) {
+            throw new ValidationError('Measure budget spend from receipts or consumption');
+        }
+        if (updates.budgetPolicy !== undefined && !window.inventoryData.budgetPolicies.includes(updates.budgetPolicy)) {
+            throw new ValidationError('Orders over budget can be flagged or blocked');
+        }
+        const response = await this.request('PUT', this.endpoints.settings, updates);
         return response.data;
     }
 
-    // Update item quantity
-    async updateQuantity(id, quantity) {
-        return this.patchItem(id, { quantity });
+    // Get a page of the activity log, optionally filtered by event type
+    async getActivity(filters = {}) {
+        const response = await this.request('GET', this.endpoints.activity, filters);
+        return response.data;
     }
 
-    // Increase item quantity
-    async increaseQuantity(id, amount = 1) {
+    // Update item quantity
+    async updateQuantity(id, quantity, reason = 'Quantity set') {
         const item = await this.getItem(id);
         if (item) {
-            return this.updateQuantity(id, item.quantity + amount);
+            return this.postTransaction(id, { delta: Math.max(0, quantity) - item.quantity, reason });
         }
         throw new Error('Item not found');
     }
 
+    // Increase item quantity
+    async increaseQuantity(id, amount = 1, reason = 'Quantity increased') {
+        return this.postTransaction(id, { delta: amount, reason });
+    }
+
     // Decrease item quantity
-    async decreaseQuantity(id, amount = 1) {
+    async decreaseQuantity(id, amount = 1, reason = 'Quantity decreased') {
         const item = await this.getItem(id);
         if (item) {
-            const newQuantity = Math.max(0, item.quantity - amount);
-            return this.updateQuantity(id, newQuantity);
+            return this.postTransaction(id, { delta: -Math.min(amount, item.quantity), reason });
         }
         throw new Error('Item not found');
     }
 
+    // Lot Operations
+
+    // Get the lots held for an item
+    async getLots(itemId) {
+        const response = await this.request('GET', `${this.endpoints.items}/${itemId}/lots`);
+        return response.data;
+    }
+
+    // Receive a new lot into an existing item; lotData.unit may name any of the item's units
+    async addLot(itemId, lotData) {
+        this.assertItemQuantity(await this.getItem(itemId), lotData.quantity, lotData.unit);
+
+        const response = await this.request('POST', `${this.endpoints.items}/${itemId}/lots`, lotData);
+        return response.data;
+    }
+
+    // Hold a lot in quarantine, release it back to stock or reject it
+    async setLotStatus(itemId, lotId, { status, reason = '' } = {}) {
+        const item = await this.getItem(itemId);
+        const lot = item ? item.lots.find(candidate => candidate.id === lotId) : null;
+        if (!lot) {
+            throw new ValidationError('Lot not found');
+        }
+        if (!(window.inventoryData.lotStatusTransitions[lot.status] || []).includes(status)) {
+            throw new ValidationError(`This lot is ${lot.status} and can't be ${status}`);
+        }
+        if (window.inventoryData.isLotHeld({ status }) && !reason.trim()) {
+            throw new ValidationError('Enter the reason for holding this lot');
+        }
+        const recall = lot.recallId ? await this.getRecall(lot.recallId) : null;
+        if (recall && recall.status === 'open') {
+            throw new ValidationError(`This lot is held by ${recall.number}; clear it from the recall instead`);
+        }
+
+        const response = await this.request('POST', `${this.endpoints.items}/${itemId}/lot-status`, {
+            lotId,
+            status,
+            reason: reason.trim()
+        });
+        return response.data;
+    }
+
+    // Mark one container of a lot as opened; resolves with the item and the opened lot
+    async openContainer(itemId, lotId, openedDate = new Date().toISOString().split('T')[0]) {
+        const item = await this.getItem(itemId);
+        const lot = item ? item.lots.find(candidate => candidate.id === lotId) : null;
+        if (!lot) {
+            throw new ValidationError('Lot not found');
+        }
+        if (!item.stableDaysAfterOpening) {
+            throw new ValidationError(`Set how many days ${item.name} is stable after opening first`);
+        }
+        if (lot.openedDate) {
+            throw new ValidationError('This container is already open');
+        }
+        if (lot.quantity === 0) {
+            throw new ValidationError('This lot has no stock to open');
+        }
+        if (window.inventoryData.isLotHeld(lot)) {
+            throw new ValidationError(`This lot is ${lot.status} and can't be opened`);
+        }
+        if (!Utils.isValidDate(openedDate) || new Date(openedDate) > new Date()) {
+            throw new ValidationError('Enter the date the container was opened');
+        }
+
+        const response = await this.request('POST', `${this.endpoints.items}/${itemId}/open`, { lotId, openedDate });
+        return response.data;
+    }
+
+    // Dispense stock first-expired-first-out; resolves with the lots drawn from.
+    // The quantity is in the base unit unless another of the item's units is given.
+    async dispense(itemId, quantity, { allowExpired = false, locationId = null, reason, witness = null, unit = null } = {}) {
+        if (!quantity || quantity <= 0) {
+            throw new ValidationError('Dispense quantity must be greater than zero');
+        }
+
+        const item = await this.getItem(itemId);
+        if (item && item.controlled) {
+            this.assertControlledMovement(item, { reason, witness });
+        }
+        this.assertItemQuantity(item, quantity, unit);
+
+        const response = await this.request('POST', `${this.endpoints.items}/${itemId}/dispense`, {
+            quantity,
+            allowExpired,
+            locationId,
+            reason,
+            witness,
+            unit
+        });
+        const result = response.data;
+
+        if (!result) {
+            throw new Error('Item not found');
+        }
+
+        if (result.shortfall > 0) {
+            throw new ValidationError(
+                `Only ${result.available} ${allowExpired ? '' : 'unexpired '}${window.inventoryData.getUnitLabel(result.item.unit, result.available)} of ${result.item.name} available to dispense` +
+                (locationId ? ` at ${window.inventoryData.getLocationById(locationId)?.name || 'this location'}` : '') +
+                (result.item.lots.some(lot => window.inventoryData.isLotHeld(lot)) ? ' (quarantined lots excluded)' : '')
+            );
+        }
+
+        return result;
+    }
+
     // Search items
     async searchItems(query) {
         const response = await this.request('GET', `${this.endpoints.items}?search=${encodeURIComponent(query)}`);
@@ -239,6 +2036,18 @@ class InventoryAPI {
         return analytics.expiredItems;
     }
 
+    // Get items projected to run out before a new order could arrive
+    async getRunningOutSoonItems() {
+        const analytics = await this.getAnalytics();
+        return analytics.runningOutSoonItems;
+    }
+
+    // Get an item's burn rate and projected stock-out date
+    async getStockOutForecast(itemId) {
+        const response = await this.request('GET', `${this.endpoints.items}/${itemId}/stock-out-forecast`);
+        return response.data;
+    }
+
     // Alert Operations
 
     // Get all alerts
@@ -292,31 +2101,45 @@ class InventoryAPI {
         const data = window.inventoryData.exportData();
         
         if (format === 'csv') {
-            return this.convertToCSV(items);
+            return this.convertToCSV(this.flattenLots(items));
         }
         
         return data;
     }
 
-    // Import inventory data
-    async importData(data, merge = false) {
-        if (!merge) {
-            // Clear existing data if not merging
-            const currentItems = await this.getAllItems();
-            await this.bulkDeleteItems(currentItems.map(item => item.id));
+    // Import inventory data; quantity differences are booked through the ledger
+    async importData(data, merge = false, { witness = null } = {}) {
+        const collections = merge ? this.mergeImportCollections(data) : data;
+        const items = collections.items || [];
+
+        // Controlled balances only move through witnessed register entries, lot by lot
+        const movedControlled = window.inventoryData
+            .getImportMovements(items.map(item => window.inventoryData.normalizeItem(item)))
+            .find(item => item.controlled);
+        if (movedControlled) {
+            this.assertControlledMovement(movedControlled, { reason: 'Imported data', witness });
         }
-        
-        const results = [];
-        for (const item of data.items || []) {
-            try {
-                const result = await this.createItem(item);
-                results.push({ success: true, item: result });
-            } catch (error) {
-                results.push({ success: false, item, error: error.message });
-            }
+
+        // The rest of the export (suppliers, locations, orders, registers...) is restored with the items
+        const response = await this.request('POST', this.endpoints.imports, { ...collections, items, witness });
+        if (!response.data) {
+            throw new ValidationError('Import file does not contain any inventory items');
         }
-        
-        return results;
+
+        return this.getAllItems();
+    }
+
+    // Keeps the current records that the import does not mention, collection by collection;
+    // a record in the file replaces the current one with the same id
+    mergeImportCollections(data) {
+        const merged = { ...data };
+        Object.entries(window.inventoryData.exportData())
+            .filter(([key, records]) => Array.isArray(records) && Array.isArray(data[key]))
+            .forEach(([key, records]) => {
+                const importedIds = new Set(data[key].map(record => record.id));
+                merged[key] = [...records.filter(record => !importedIds.has(record.id)), ...data[key]];
+            });
+        return merged;
     }
 
     // Utility Methods
@@ -326,20 +2149,61 @@ class InventoryAPI {
         let filteredItems = [...items];
 
         if (filters.search) {
-            filteredItems = window.inventoryData.searchItems(filters.search);
+            const matchingIds = new Set(window.inventoryData.searchItems(filters.search).map(item => item.id));
+            filteredItems = filteredItems.filter(item => matchingIds.has(item.id));
         }
 
         if (filters.category) {
             filteredItems = filteredItems.filter(item => item.category === filters.category);
         }
 
+        if (filters.supplier) {
+            filteredItems = filteredItems.filter(item => 
+                (item.suppliers || []).some(link => link.supplierId === filters.supplier)
+            );
+        }
+
         if (filters.status) {
-            filteredItems = window.inventoryData.filterByStatus(filters.status);
+            const matchingIds = new Set(window.inventoryData.filterByStatus(filters.status).map(item => item.id));
+            filteredItems = filteredItems.filter(item => matchingIds.has(item.id));
+        }
+
+        if (filters.location) {
+            const matchingIds = new Set(window.inventoryData.filterByLocation(filters.location).map(item => item.id));
+            filteredItems = filteredItems.filter(item => matchingIds.has(item.id));
+        }
+
+        if (filters.controlled) {
+            filteredItems = filteredItems.filter(item => item.controlled);
         }
 
         return filteredItems;
     }
 
+    // One row per lot, carrying the item details alongside the lot fields
+    flattenLots(items) {
+        return items.flatMap(({ lots, quantity, expiryDate, suppliers, packSizes = [], locationThresholds = {}, ...item }) =>
+            lots.map(lot => ({
+                ...item,
+                locationThresholds: Object.entries(locationThresholds)
+                    .map(([locationId, threshold]) => `${window.inventoryData.getLocationById(locationId)?.name || locationId}=${threshold}`)
+                    .join('; '),
+                packSizes: packSizes.map(pack => `${pack.unit}=${pack.factor}`).join(' '),
+                preferredSupplier: window.inventoryData.getPreferredSupplier({ suppliers })?.name || '',
+                lotId: lot.id,
+                batchNumber: lot.batchNumber,
+                location: window.inventoryData.getLocationById(lot.locationId)?.name || '',
+                quantity: lot.quantity,
+                unitCost: lot.unitCost ?? '',
+                expiryDate: lot.expiryDate,
+                openedDate: lot.openedDate || '',
+                beyondUseDate: lot.beyondUseDate || '',
+                receivedDate: lot.receivedDate,
+                lotStatus: lot.status
+            }))
+        );
+    }
+
     // Convert data to CSV format
     convertToCSV(data) {
         if (!data.length) return '';
@@ -361,13 +2225,13 @@ class InventoryAPI {
         return csvContent;
     }
 
-    // Validate item data
-    validateItemData(itemData) {
-        const required = ['name', 'category', 'quantity', 'expiryDate'];
+    // Validate item data (new items also need the expiry date of their first lot)
+    validateItemData(itemData, isUpdate = false) {
+        const required = isUpdate ? ['name', 'category', 'quantity'] : ['name', 'category', 'quantity', 'expiryDate'];
         const errors = [];
 
         for (const field of required) {
-            if (!itemData[field]) {
+            if (!Utils.validateRequired(itemData[field])) {
                 errors.push(`${field} is required`);
             }
         }
@@ -380,6 +2244,260 @@ class InventoryAPI {
             errors.push('Invalid expiry date');
         }
 
+        const baseUnit = (itemData.unit || 'unit').trim();
+        const packUnits = [];
+        (itemData.packSizes || []).forEach(pack => {
+            const unit = (pack.unit || '').trim();
+            if (!unit || !(parseInt(pack.factor) > 1) || String(parseInt(pack.factor)) !== String(pack.factor).trim()) {
+                errors.push(`Pack size "${unit || pack.factor}" needs a unit name and must hold a whole number of ${window.inventoryData.getUnitLabel(baseUnit, 2)} above one`);
+            } else if (unit === baseUnit || packUnits.includes(unit)) {
+                errors.push(`The unit ${unit} is defined more than once`);
+            }
+            packUnits.push(unit);
+        });
+
+        if (itemData.unitCost !== undefined && itemData.unitCost !== null && itemData.unitCost !== '' && !(parseFloat(itemData.unitCost) >= 0)) {
+            errors.push('Unit cost must be zero or more');
+        }
+
+        const stableDays = itemData.stableDaysAfterOpening;
+        if (stableDays !== undefined && stableDays !== null && stableDays !== '' && !(parseInt(stableDays) > 0)) {
+            errors.push('Days stable after opening must be a whole number above zero');
+        }
+
+        const data = window.inventoryData;
+        const precision = itemData.quantityPrecision;
+        if (precision !== undefined && precision !== '' && data.normalizeQuantityPrecision(precision) !== Number(precision)) {
+            errors.push(`Decimal places must be a whole number from 0 to ${data.maxQuantityPrecision}`);
+        } else {
+            const places = data.normalizeQuantityPrecision(precision);
+            [['quantity', 'Quantity'], ['lowStockThreshold', 'Low stock threshold']].forEach(([field, label]) => {
+                const value = itemData[field];
+                if (value !== undefined && value !== null && value !== '' && data.roundQuantity(value, places) !== Number(value)) {
+                    errors.push(places === 0
+                        ? `${label} must be a whole number`
+                        : `${label} can have at most ${places} decimal place${places === 1 ? '' : 's'}`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return true;
+    }
+
+    assertItemUnit(item, unit) {
+        if (item && window.inventoryData.getUnitFactor(item, unit) === null) {
+            throw new ValidationError(`${item.name} has no unit called ${unit}`);
+        }
+    }
+
+    // A quantity in any of the item's units must come to no more decimal places than the item keeps
+    assertItemQuantity(item, quantity, unit = null) {
+        if (!item) return;
+        this.assertItemUnit(item, unit);
+        if (!(Number(quantity) > 0)) return;
+
+        const data = window.inventoryData;
+        const precision = data.getQuantityPrecision(item);
+        const baseQuantity = data.roundQuantity(Number(quantity) * data.getUnitFactor(item, unit));
+        if (data.roundQuantity(baseQuantity, precision) !== baseQuantity) {
+            throw new ValidationError(precision === 0
+                ? `${item.name} is counted in whole ${data.getUnitLabel(item.unit || 'unit', 2)}`
+                : `${item.name} quantities can have at most ${precision} decimal place${precision === 1 ? '' : 's'}`);
+        }
+    }
+
+    // Validate data for a lot being received
+    validateLotData(lotData) {
+        const errors = [];
+
+        if (!lotData.quantity || lotData.quantity <= 0) {
+            errors.push('Lot quantity must be greater than zero');
+        }
+
+        if (!lotData.expiryDate || !Utils.isValidDate(lotData.expiryDate)) {
+            errors.push('A valid lot expiry date is required');
+        }
+
+        const unitCost = lotData.unitCost;
+        if (unitCost !== undefined && unitCost !== null && unitCost !== '' && !(parseFloat(unitCost) >= 0)) {
+            errors.push('Unit cost must be zero or more');
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return true;
+    }
+
+    // Validate data for a location record
+    validateLocationData(locationData) {
+        const errors = [];
+
+        if (!Utils.validateRequired(locationData.name)) {
+            errors.push('Location name is required');
+        }
+
+        const duplicate = window.inventoryData.getAllLocations().find(location =>
+            location.id !== locationData.id &&
+            location.name.toLowerCase() === (locationData.name || '').trim().toLowerCase()
+        );
+        if (duplicate) {
+            errors.push(`A location called ${duplicate.name} already exists`);
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return true;
+    }
+
+    validateDepartmentData(departmentData) {
+        const errors = [];
+
+        if (!Utils.validateRequired(departmentData.name)) {
+            errors.push('Department name is required');
+        }
+
+        const duplicate = window.inventoryData.getAllDepartments().find(department =>
+            department.id !== departmentData.id &&
+            department.name.toLowerCase() === (departmentData.name || '').trim().toLowerCase()
+        );
+        if (duplicate) {
+            errors.push(`A department called ${duplicate.name} already exists`);
+        }
+
+        if (departmentData.budget !== '' && (isNaN(departmentData.budget) || departmentData.budget < 0)) {
+            errors.push('Budget must be a non-negative amount');
+        }
+
+        if (!window.inventoryData.budgetPeriods.includes(departmentData.budgetPeriod)) {
+            errors.push('Choose a monthly or quarterly budget');
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return true;
+    }
+
+    validateSubstituteGroupData(groupData) {
+        const data = window.inventoryData;
+        const errors = [];
+
+        if (!Utils.validateRequired(groupData.name)) {
+            errors.push('Group name is required');
+        }
+
+        const duplicate = data.getAllSubstituteGroups().find(group =>
+            group.id !== groupData.id &&
+            group.name.toLowerCase() === (groupData.name || '').trim().toLowerCase()
+        );
+        if (duplicate) {
+            errors.push(`A group called ${duplicate.name} already exists`);
+        }
+
+        if (!data.substituteBases.includes(groupData.basis)) {
+            errors.push('Choose generic or therapeutic equivalents');
+        }
+
+        const items = (groupData.itemIds || []).map(itemId => data.getItemById(itemId));
+        if (items.length < 2 || items.some(item => !item)) {
+            errors.push('Choose at least two items that can substitute for each other');
+        } else {
+            const units = new Set(items.map(item => item.unit || 'unit'));
+            if (units.size > 1) {
+                errors.push(`Items in a group must be counted in the same unit, not ${[...units].join(' and ')}`);
+            }
+
+            items.forEach(item => {
+                const other = data.getItemSubstituteGroup(item.id);
+                if (other && other.id !== groupData.id) {
+                    errors.push(`${item.name} is already in ${other.name}`);
+                }
+            });
+        }
+
+        const threshold = groupData.lowStockThreshold;
+        if (threshold !== '' && threshold !== null && threshold !== undefined && (isNaN(threshold) || threshold < 0)) {
+            errors.push('Group threshold must be a non-negative number');
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return true;
+    }
+
+    validateKitData(kitData) {
+        const errors = [];
+
+        if (!Utils.validateRequired(kitData.name)) {
+            errors.push('Kit name is required');
+        }
+
+        const duplicate = window.inventoryData.getAllKits().find(kit =>
+            kit.id !== kitData.id &&
+            kit.name.toLowerCase() === (kitData.name || '').trim().toLowerCase()
+        );
+        if (duplicate) {
+            errors.push(`A kit called ${duplicate.name} already exists`);
+        }
+
+        const components = kitData.components || [];
+        if (components.length === 0) {
+            errors.push('Add at least one item to the kit');
+        }
+
+        components.forEach(component => {
+            const item = window.inventoryData.getItemById(component.itemId);
+            if (!item) {
+                errors.push('Select an item for every component');
+            } else if (!(component.quantity > 0)) {
+                errors.push(`Enter how much ${item.name} the kit uses`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError([...new Set(errors)]);
+        }
+
+        components.forEach(component => {
+            this.assertItemQuantity(window.inventoryData.getItemById(component.itemId), component.quantity, component.unit);
+        });
+
+        return true;
+    }
+
+    // Validate data for a supplier record
+    validateSupplierData(supplierData) {
+        const errors = [];
+
+        if (!Utils.validateRequired(supplierData.name)) {
+            errors.push('Supplier name is required');
+        }
+
+        if (supplierData.leadTimeDays !== '' && (isNaN(supplierData.leadTimeDays) || supplierData.leadTimeDays < 0)) {
+            errors.push('Lead time must be a non-negative number of days');
+        }
+
+        if (supplierData.minimumOrderQuantity !== '' && (isNaN(supplierData.minimumOrderQuantity) || supplierData.minimumOrderQuantity < 0)) {
+            errors.push('Minimum order quantity must be non-negative');
+        }
+
+        (supplierData.contacts || []).forEach(contact => {
+            if (contact.email && !Utils.validateEmail(contact.email)) {
+                errors.push(`Invalid email for contact ${contact.name || contact.email}`);
+            }
+        });
+
         if (errors.length > 0) {
             throw new ValidationError(errors);
         }
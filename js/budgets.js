@@ -0,0 +1,282 @@
+// Department Budgets Module
+// Handles the department list, department form, budget settings and budget against actual
+
+class BudgetsManager {
+    constructor() {
+        this.periodLabels = {
+            'monthly': 'Monthly',
+            'quarterly': 'Quarterly'
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetDepartmentForm();
+        this.loadBudgets();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'budgets') {
+                this.refreshBudgets();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'budgets') {
+                this.refreshBudgets();
+            }
+        });
+
+        const departmentForm = Utils.$('#departmentForm');
+        const addDepartmentBtn = Utils.$('#addDepartmentBtn');
+        const cancelDepartmentBtn = Utils.$('#cancelDepartmentBtn');
+        const spendBasisSelect = Utils.$('#budgetSpendBasisSelect');
+        const policySelect = Utils.$('#budgetPolicySelect');
+
+        if (departmentForm) {
+            departmentForm.addEventListener('submit', (e) => {
+                this.handleSaveDepartment(e);
+            });
+        }
+
+        if (addDepartmentBtn) {
+            addDepartmentBtn.addEventListener('click', () => {
+                this.resetDepartmentForm();
+                Utils.$('#departmentName').focus();
+            });
+        }
+
+        if (cancelDepartmentBtn) {
+            cancelDepartmentBtn.addEventListener('click', () => {
+                this.resetDepartmentForm();
+            });
+        }
+
+        if (spendBasisSelect) {
+            spendBasisSelect.addEventListener('change', (e) => {
+                this.handleSettingChange({ budgetSpendBasis: e.target.value },
+                    `Budgets now measure spend from ${e.target.value === 'receipts' ? 'goods received' : 'stock dispensed'}`);
+            });
+        }
+
+        if (policySelect) {
+            policySelect.addEventListener('change', (e) => {
+                this.handleSettingChange({ budgetPolicy: e.target.value },
+                    `Orders over budget will be ${e.target.value === 'block' ? 'blocked' : 'flagged'}`);
+            });
+        }
+    }
+
+    // Data Loading
+    async loadBudgets() {
+        try {
+            const settings = await inventoryAPI.getSettings();
+            const spendBasisSelect = Utils.$('#budgetSpendBasisSelect');
+            const policySelect = Utils.$('#budgetPolicySelect');
+            if (spendBasisSelect) spendBasisSelect.value = settings.budgetSpendBasis;
+            if (policySelect) policySelect.value = settings.budgetPolicy;
+
+            const budgets = await inventoryAPI.getBudgetSummary();
+            this.renderDepartmentTable(budgets, settings.budgetSpendBasis);
+        } catch (error) {
+            uiManager.showToast('Failed to load budgets', 'error');
+            console.error('Error loading budgets:', error);
+        }
+    }
+
+    async refreshBudgets() {
+        await this.loadBudgets();
+    }
+
+    async handleSettingChange(updates, message) {
+        try {
+            await inventoryAPI.updateSettings(updates);
+            uiManager.showToast(message, 'success');
+            this.refreshBudgets();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update budget settings', 'error');
+                console.error('Error updating budget settings:', error);
+            }
+        }
+    }
+
+    // Table Rendering
+    renderDepartmentTable(budgets, spendBasis) {
+        const tbody = Utils.$('#departmentTableBody');
+        if (!tbody) return;
+
+        if (!budgets || budgets.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-wallet"></i>
+                        <h3>No departments yet</h3>
+                        <p>Add the departments or cost centres that spend on consumables.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = budgets.map(budget => this.createDepartmentRowHTML(budget, spendBasis)).join('');
+    }
+
+    // The figure the budget is measured against is shown in bold
+    createDepartmentRowHTML(budget, spendBasis) {
+        const locations = inventoryData.getDepartmentLocations(budget.departmentId);
+
+        return `
+            <tr data-department-id="${budget.departmentId}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(budget.name)}</strong>
+                        <small>${locations.length > 0 ? locations.map(location => Utils.sanitizeInput(location.name)).join(', ') : 'No locations'}</small>
+                    </div>
+                </td>
+                <td>
+                    <div class="item-name">
+                        <strong>${this.periodLabels[budget.budgetPeriod]}</strong>
+                        <small>${Utils.formatDate(budget.period.from)} - ${Utils.formatDate(budget.period.to)}</small>
+                    </div>
+                </td>
+                <td>${budget.budget > 0 ? Utils.formatCurrency(budget.budget) : 'No limit'}</td>
+                <td>${spendBasis === 'receipts' ? `<strong>${Utils.formatCurrency(budget.received)}</strong>` : Utils.formatCurrency(budget.received)}</td>
+                <td>${spendBasis === 'consumption' ? `<strong>${Utils.formatCurrency(budget.consumed)}</strong>` : Utils.formatCurrency(budget.consumed)}</td>
+                <td>${budget.committed > 0 ? Utils.formatCurrency(budget.committed) : '-'}</td>
+                <td>${this.createRemainingHTML(budget)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="budgetsManager.editDepartment('${budget.departmentId}')" title="Edit department">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete" onclick="budgetsManager.confirmDeleteDepartment('${budget.departmentId}')" title="Delete department">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    createRemainingHTML(budget) {
+        switch (budget.status) {
+            case 'unbudgeted':
+                return '-';
+            case 'over':
+                return `<span class="text-danger">${Utils.formatCurrency(-budget.remaining)} over</span>`;
+            case 'warning':
+                return `<span class="text-warning">${Utils.formatCurrency(budget.remaining)} (${Math.round(budget.share * 100)}% used)</span>`;
+            default:
+                return Utils.formatCurrency(budget.remaining);
+        }
+    }
+
+    // Department Operations
+    async handleSaveDepartment(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#departmentForm')) {
+            return;
+        }
+
+        try {
+            const departmentId = Utils.$('#departmentId').value;
+            const departmentData = this.getDepartmentFromForm();
+
+            inventoryAPI.validateDepartmentData({ ...departmentData, id: departmentId });
+
+            const department = departmentId
+                ? await inventoryAPI.updateDepartment(departmentId, departmentData)
+                : await inventoryAPI.createDepartment(departmentData);
+
+            uiManager.showToast(`${department.name} ${departmentId ? 'updated' : 'added'} successfully`, 'success');
+            this.resetDepartmentForm();
+            this.refreshBudgets();
+            uiManager.emitEvent('departmentsUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save department', 'error');
+                console.error('Error saving department:', error);
+            }
+        }
+    }
+
+    async editDepartment(departmentId) {
+        try {
+            const department = await inventoryAPI.getDepartment(departmentId);
+            if (!department) {
+                uiManager.showToast('Department not found', 'error');
+                return;
+            }
+
+            uiManager.populateForm('#departmentForm', {
+                departmentId: department.id,
+                departmentName: department.name,
+                departmentBudget: department.budget,
+                departmentBudgetPeriod: department.budgetPeriod
+            });
+            Utils.$('#departmentFormTitle').textContent = `Edit ${department.name}`;
+            Utils.$('#departmentName').focus();
+        } catch (error) {
+            uiManager.showToast('Failed to load department details', 'error');
+            console.error('Error loading department:', error);
+        }
+    }
+
+    async confirmDeleteDepartment(departmentId) {
+        try {
+            const department = await inventoryAPI.getDepartment(departmentId);
+            if (!department) return;
+
+            if (confirm(`Are you sure you want to delete "${department.name}"? Its locations will no longer be charged to a department.`)) {
+                await inventoryAPI.deleteDepartment(departmentId);
+                uiManager.showToast(`${department.name} deleted successfully`, 'success');
+                if (Utils.$('#departmentId').value === departmentId) {
+                    this.resetDepartmentForm();
+                }
+                this.refreshBudgets();
+                uiManager.emitEvent('departmentsUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete department', 'error');
+                console.error('Error deleting department:', error);
+            }
+        }
+    }
+
+    // Form Management
+    getDepartmentFromForm() {
+        const formData = uiManager.getFormData('#departmentForm');
+        return {
+            name: formData.departmentName.trim(),
+            budget: formData.departmentBudget === '' ? '' : parseFloat(formData.departmentBudget),
+            budgetPeriod: formData.departmentBudgetPeriod
+        };
+    }
+
+    resetDepartmentForm() {
+        const form = Utils.$('#departmentForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#departmentId').value = '';
+        Utils.$('#departmentFormTitle').textContent = 'Add Department';
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Budgets Manager
+window.budgetsManager = new BudgetsManager();
@@ -0,0 +1,556 @@
+// Cold Chain Module
+// Handles fridge and freezer temperature readings, data-logger imports and excursion review
+
+class ColdChainManager {
+    constructor() {
+        this.filters = {
+            status: 'open',
+            locationId: ''
+        };
+        this.selectedExcursionId = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetReadingForm();
+        this.loadColdChain();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'cold-chain') {
+                this.refreshColdChain();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'cold-chain') {
+                this.refreshColdChain();
+            }
+        });
+
+        uiManager.onEvent('locationsUpdated', () => {
+            this.refreshColdChain();
+        });
+
+        const readingForm = Utils.$('#temperatureReadingForm');
+        const importForm = Utils.$('#temperatureImportForm');
+        const statusFilter = Utils.$('#excursionStatusFilter');
+        const locationFilter = Utils.$('#readingLocationFilter');
+
+        if (readingForm) {
+            readingForm.addEventListener('submit', (e) => {
+                this.handleRecordReading(e);
+            });
+        }
+
+        if (importForm) {
+            importForm.addEventListener('submit', (e) => {
+                this.handleImportLog(e);
+            });
+        }
+
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadExcursions();
+            });
+        }
+
+        if (locationFilter) {
+            locationFilter.addEventListener('change', (e) => {
+                this.filters.locationId = e.target.value;
+                this.loadReadings();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadColdChain() {
+        try {
+            this.populateLocationOptions();
+            await Promise.all([
+                this.loadChecks(),
+                this.loadExcursions(),
+                this.loadReadings()
+            ]);
+        } catch (error) {
+            uiManager.showToast('Failed to load cold chain records', 'error');
+            console.error('Error loading cold chain records:', error);
+        }
+    }
+
+    async refreshColdChain() {
+        await this.loadColdChain();
+    }
+
+    // Only fridges, freezers and other monitored locations take readings
+    populateLocationOptions() {
+        const locations = inventoryData.getMonitoredLocations();
+        const options = locations.map(location =>
+            `<option value="${location.id}">${Utils.sanitizeInput(location.name)}</option>`
+        ).join('');
+
+        ['#readingLocation', '#importLocation'].forEach(selector => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = '<option value="">Select location</option>' + options;
+            select.value = locations.some(location => location.id === selected) ? selected : '';
+        });
+
+        const filter = Utils.$('#readingLocationFilter');
+        if (filter) {
+            filter.innerHTML = '<option value="">All Locations</option>' + options;
+            filter.value = locations.some(location => location.id === this.filters.locationId) ? this.filters.locationId : '';
+            this.filters.locationId = filter.value;
+        }
+    }
+
+    formatRange(range) {
+        return `${range.min} to ${range.max}°C`;
+    }
+
+    // Today's Checks
+    async loadChecks() {
+        const tbody = Utils.$('#temperatureChecks');
+        if (!tbody) return;
+
+        const checks = await inventoryAPI.getTemperatureChecks();
+        if (checks.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <i class="fas fa-thermometer-half"></i>
+                        <h3>No monitored locations</h3>
+                        <p>Set a location's storage condition to refrigerated or frozen to start logging its temperature.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = checks.map(check => `
+            <tr data-location-id="${check.locationId}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(check.locationName)}</strong>
+                        <small>${check.range.label}</small>
+                    </div>
+                </td>
+                <td>${this.formatRange(check.range)}</td>
+                <td>${this.createCheckCellHTML(check.morning, check.range)}</td>
+                <td>${this.createCheckCellHTML(check.afternoon, check.range)}</td>
+                <td>${check.lastReading ? Utils.formatDateTime(check.lastReading.recordedAt) : 'Never'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="coldChainManager.startReading('${check.locationId}')" title="Record reading">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    createCheckCellHTML(reading, range) {
+        if (!reading) {
+            return '<span class="text-warning">Due</span>';
+        }
+
+        const inRange = inventoryData.isReadingInRange(reading, range);
+        return `<span class="${inRange ? '' : 'text-danger'}">${reading.minTemp} / ${reading.maxTemp}°C</span>`;
+    }
+
+    // Prefill the reading form for a location from the checks table
+    startReading(locationId) {
+        this.resetReadingForm();
+        Utils.$('#readingLocation').value = locationId;
+
+        const form = Utils.$('#temperatureReadingForm');
+        if (form && form.scrollIntoView) {
+            form.scrollIntoView({ behavior: 'smooth' });
+        }
+        Utils.$('#readingMin').focus();
+    }
+
+    // Recording Readings
+    async handleRecordReading(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#temperatureReadingForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#temperatureReadingForm');
+
+        try {
+            const result = await inventoryAPI.recordTemperatureReading(formData.readingLocation, {
+                recordedAt: formData.readingTime,
+                minTemp: formData.readingMin,
+                maxTemp: formData.readingMax,
+                notes: formData.readingNotes.trim()
+            });
+
+            this.showRecordedToast(result);
+            this.resetReadingForm();
+            this.refreshColdChain();
+            if (result.excursions.length > 0) {
+                uiManager.emitEvent('inventoryUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record reading', 'error');
+                console.error('Error recording temperature reading:', error);
+            }
+        }
+    }
+
+    async handleImportLog(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#temperatureImportForm')) {
+            return;
+        }
+
+        const locationId = Utils.$('#importLocation').value;
+        const file = Utils.$('#temperatureLogFile').files[0];
+        if (!file) {
+            uiManager.showToast('Choose the data-logger file to import', 'error');
+            return;
+        }
+
+        try {
+            const csvText = await this.readFile(file);
+            const result = await inventoryAPI.importTemperatureLog(locationId, csvText);
+
+            this.showRecordedToast(result);
+            Utils.$('#temperatureImportForm').reset();
+            this.refreshColdChain();
+            if (result.excursions.length > 0) {
+                uiManager.emitEvent('inventoryUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to import temperature log', 'error');
+                console.error('Error importing temperature log:', error);
+            }
+        }
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    showRecordedToast({ readings, skipped, excursions }) {
+        const parts = [`${readings.length} reading${readings.length === 1 ? '' : 's'} recorded`];
+        if (skipped > 0) {
+            parts.push(`${skipped} already logged`);
+        }
+
+        if (excursions.length > 0) {
+            const numbers = excursions.map(excursion => excursion.number).join(', ');
+            uiManager.showToast(`${parts.join(', ')}. Temperature excursion ${numbers}: review the stored lots`, 'warning');
+        } else {
+            uiManager.showToast(parts.join(', '), 'success');
+        }
+    }
+
+    // Excursion List
+    async loadExcursions() {
+        const excursions = await inventoryAPI.getExcursions({ status: this.filters.status });
+        this.renderExcursionTable(excursions);
+        await this.renderExcursionDetail();
+    }
+
+    renderExcursionTable(excursions) {
+        const tbody = Utils.$('#excursionTableBody');
+        if (!tbody) return;
+
+        if (!excursions || excursions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-thermometer-half"></i>
+                        <h3>No excursions</h3>
+                        <p>Readings outside a location's required range will show up here for review.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedExcursions = [...excursions].sort((a, b) => new Date(b.windowEnd) - new Date(a.windowEnd));
+        tbody.innerHTML = sortedExcursions.map(excursion => this.createExcursionRowHTML(excursion)).join('');
+    }
+
+    createExcursionRowHTML(excursion) {
+        const lots = inventoryData.getExcursionLots(excursion);
+
+        return `
+            <tr data-excursion-id="${excursion.id}">
+                <td><strong>${excursion.number}</strong></td>
+                <td>${Utils.sanitizeInput(excursion.locationName)}</td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.formatDateTime(excursion.windowStart)}</strong>
+                        <small>to ${Utils.formatDateTime(excursion.windowEnd)}${excursion.ongoing ? ' (ongoing)' : ''}</small>
+                    </div>
+                </td>
+                <td>${excursion.rangeMin} to ${excursion.rangeMax}°C</td>
+                <td class="text-danger">${excursion.lowestTemp} / ${excursion.highestTemp}°C</td>
+                <td>${lots.length}</td>
+                <td><span class="status-badge ${excursion.status}">${this.getStatusLabel(excursion.status)}</span></td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="coldChainManager.viewExcursion('${excursion.id}')" title="Review excursion">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'open': 'Awaiting Review',
+            'quarantined': 'Lots Quarantined',
+            'dismissed': 'Dismissed'
+        };
+        return labels[status] || 'Unknown';
+    }
+
+    // Excursion Detail
+    // Open an excursion from anywhere, e.g. an excursion alert
+    async viewExcursion(excursionId) {
+        this.selectedExcursionId = excursionId;
+        uiManager.showSection('cold-chain');
+        await this.refreshColdChain();
+
+        const detail = Utils.$('#excursionDetail');
+        if (detail && detail.scrollIntoView) {
+            detail.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    async renderExcursionDetail() {
+        const container = Utils.$('#excursionDetail');
+        if (!container) return;
+
+        const excursion = this.selectedExcursionId ? await inventoryAPI.getExcursion(this.selectedExcursionId) : null;
+        if (!excursion) {
+            this.selectedExcursionId = null;
+            container.innerHTML = '';
+            return;
+        }
+
+        const lots = await inventoryAPI.getExcursionLots(excursion.id);
+        const isOpen = excursion.status === 'open';
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${excursion.number} &middot; ${Utils.sanitizeInput(excursion.locationName)}</h3>
+                    <p class="po-meta">
+                        ${Utils.formatDateTime(excursion.windowStart)} to ${Utils.formatDateTime(excursion.windowEnd)}
+                        &middot; Recorded <span class="text-danger">${excursion.lowestTemp} to ${excursion.highestTemp}°C</span>
+                        &middot; Required ${excursion.rangeMin} to ${excursion.rangeMax}°C
+                        ${excursion.ongoing ? ' &middot; <strong>Still out of range</strong>' : ''}
+                    </p>
+                    ${excursion.reviewedDate ? `
+                        <p class="po-meta">
+                            Reviewed ${Utils.formatDateTime(excursion.reviewedDate)} by ${Utils.sanitizeInput(excursion.reviewedBy || '')}
+                            ${excursion.reviewNotes ? ` &middot; ${Utils.sanitizeInput(excursion.reviewNotes)}` : ''}
+                        </p>
+                    ` : ''}
+                </div>
+                <span class="status-badge ${excursion.status}">${this.getStatusLabel(excursion.status)}</span>
+            </div>
+
+            ${lots.length ? `
+                <table class="inventory-table po-lines excursion-lines">
+                    <thead>
+                        <tr>
+                            ${isOpen ? '<th>Quarantine</th>' : ''}
+                            <th>Item</th>
+                            <th>Batch</th>
+                            <th>Expiry</th>
+                            <th>Storage</th>
+                            <th>On Hand</th>
+                            <th>Lot Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${lots.map(lot => this.createLotRowHTML(excursion, lot, isOpen)).join('')}
+                    </tbody>
+                </table>
+                ${isOpen ? '<p class="po-meta">Lots that must be kept in this location\'s condition are selected.</p>' : ''}
+            ` : '<p class="lot-empty">No stock was stored at this location during the excursion.</p>'}
+
+            ${isOpen ? `
+                <div class="form-group full-width">
+                    <label for="excursionNotes">Review Notes</label>
+                    <textarea id="excursionNotes" rows="2" placeholder="Cause, action taken, manufacturer advice..."></textarea>
+                </div>
+            ` : ''}
+
+            <div class="form-actions">
+                ${isOpen ? `
+                    <button type="button" class="btn btn-danger" onclick="coldChainManager.quarantineSelected('${excursion.id}')" ${lots.length === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-lock"></i>
+                        Quarantine Selected Lots
+                    </button>
+                    <button type="button" class="btn btn-secondary" onclick="coldChainManager.dismissExcursion('${excursion.id}')">
+                        <i class="fas fa-check"></i>
+                        Dismiss
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary" onclick="coldChainManager.closeDetail()">Close</button>
+            </div>
+        `;
+    }
+
+    createLotRowHTML(excursion, lot, isOpen) {
+        const held = lot.status === 'quarantined' || lot.status === 'rejected';
+        const quarantinedHere = excursion.quarantinedLotIds.includes(lot.lotId);
+        const range = inventoryData.storageConditions[lot.storageCondition];
+
+        return `
+            <tr data-lot-id="${lot.lotId}">
+                ${isOpen ? `
+                    <td>
+                        <input type="checkbox" data-field="quarantine" value="${lot.lotId}"
+                            ${lot.temperatureSensitive && !held ? 'checked' : ''} ${held ? 'disabled title="Already held"' : ''}>
+                    </td>
+                ` : ''}
+                <td><strong>${Utils.sanitizeInput(lot.itemName)}</strong></td>
+                <td>${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : '-'}</td>
+                <td>${lot.expiryDate ? Utils.formatDate(lot.expiryDate) : '-'}</td>
+                <td class="${lot.temperatureSensitive ? 'text-danger' : ''}">${range ? range.label : '-'}</td>
+                <td>${lot.quantity}</td>
+                <td>
+                    <span class="status-badge ${lot.status}">${inventoryManager.getStatusLabel(lot.status)}</span>
+                    ${quarantinedHere ? '<small>by this review</small>' : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    closeDetail() {
+        this.selectedExcursionId = null;
+        this.renderExcursionDetail();
+    }
+
+    // Excursion Review
+    async quarantineSelected(excursionId) {
+        const lotIds = Utils.$$('#excursionDetail [data-field="quarantine"]:checked').map(input => input.value);
+        const notes = Utils.$('#excursionNotes').value.trim();
+
+        try {
+            const excursion = await inventoryAPI.quarantineExcursionLots(excursionId, lotIds, notes);
+            const count = excursion.quarantinedLotIds.length;
+            uiManager.showToast(`${excursion.number} reviewed; ${count} lot${count === 1 ? '' : 's'} quarantined`, 'warning');
+            this.refreshColdChain();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to quarantine lots', 'error');
+                console.error('Error quarantining excursion lots:', error);
+            }
+        }
+    }
+
+    async dismissExcursion(excursionId) {
+        const notes = Utils.$('#excursionNotes').value;
+
+        try {
+            const excursion = await inventoryAPI.dismissExcursion(excursionId, notes);
+            uiManager.showToast(`${excursion.number} dismissed`, 'success');
+            this.refreshColdChain();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to dismiss excursion', 'error');
+                console.error('Error dismissing excursion:', error);
+            }
+        }
+    }
+
+    // Reading History
+    async loadReadings() {
+        const tbody = Utils.$('#readingTableBody');
+        if (!tbody) return;
+
+        const readings = await inventoryAPI.getTemperatureReadings({ locationId: this.filters.locationId });
+        if (readings.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <i class="fas fa-thermometer-half"></i>
+                        <h3>No readings</h3>
+                        <p>Record fridge readings twice a day or import a data-logger file.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        // Newest first; the most recent 100 are enough for a daily check
+        tbody.innerHTML = readings.slice(-100).reverse().map(reading => this.createReadingRowHTML(reading)).join('');
+    }
+
+    createReadingRowHTML(reading) {
+        const location = inventoryData.getLocationById(reading.locationId);
+        const range = location ? inventoryData.getStorageRange(location) : null;
+        const inRange = !range || inventoryData.isReadingInRange(reading, range);
+        const excursion = reading.excursionId ? inventoryData.getExcursionById(reading.excursionId) : null;
+
+        return `
+            <tr class="${inRange ? '' : 'reading-out-of-range'}">
+                <td>${Utils.formatDateTime(reading.recordedAt)}</td>
+                <td>${Utils.sanitizeInput(location ? location.name : 'Unknown location')}</td>
+                <td class="${inRange ? '' : 'text-danger'}">${reading.minTemp} / ${reading.maxTemp}°C</td>
+                <td>${reading.source === 'logger' ? 'Data logger' : 'Manual'}</td>
+                <td>${Utils.sanitizeInput(reading.user || '')}</td>
+                <td>
+                    ${excursion ? `<a href="#" onclick="coldChainManager.viewExcursion('${excursion.id}'); return false;">${excursion.number}</a>` : ''}
+                    ${reading.notes ? Utils.sanitizeInput(reading.notes) : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    // Form Management
+    resetReadingForm() {
+        const form = Utils.$('#temperatureReadingForm');
+        if (!form) return;
+
+        form.reset();
+        // datetime-local wants local time without seconds
+        const now = new Date();
+        now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+        Utils.$('#readingTime').value = now.toISOString().slice(0, 16);
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Cold Chain Manager
+window.coldChainManager = new ColdChainManager();
@@ -0,0 +1,315 @@
+// Controlled Register Module
+// Handles the per-substance register, witnessed entries and the printable register
+
+class ControlledRegisterManager {
+    constructor() {
+        this.selectedItemId = null;
+        this.rowsPerPage = 25;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadRegister();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'controlled') {
+                this.refreshRegister();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'controlled') {
+                this.refreshRegister();
+            }
+        });
+
+        const itemSelect = Utils.$('#registerItemSelect');
+        const entryForm = Utils.$('#registerEntryForm');
+        const printRegisterBtn = Utils.$('#printRegisterBtn');
+
+        if (itemSelect) {
+            itemSelect.addEventListener('change', (e) => {
+                this.selectedItemId = e.target.value || null;
+                this.renderRegister();
+            });
+        }
+
+        if (entryForm) {
+            entryForm.addEventListener('submit', (e) => {
+                this.handleRecordEntry(e);
+            });
+        }
+
+        if (printRegisterBtn) {
+            printRegisterBtn.addEventListener('click', () => {
+                this.printRegister();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadRegister() {
+        try {
+            await this.populateItemOptions();
+            await this.renderRegister();
+        } catch (error) {
+            uiManager.showToast('Failed to load controlled register', 'error');
+            console.error('Error loading controlled register:', error);
+        }
+    }
+
+    async refreshRegister() {
+        await this.loadRegister();
+    }
+
+    async populateItemOptions() {
+        const select = Utils.$('#registerItemSelect');
+        if (!select) return;
+
+        const items = await inventoryAPI.getAllItems({ controlled: true });
+        if (!items.some(item => item.id === this.selectedItemId)) {
+            this.selectedItemId = items.length ? items[0].id : null;
+        }
+
+        select.innerHTML = items.length
+            ? items.map(item => `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`).join('')
+            : '<option value="">No controlled substances</option>';
+        select.value = this.selectedItemId || '';
+    }
+
+    // Open the register for one substance, e.g. from the inventory table
+    async showRegister(itemId) {
+        this.selectedItemId = itemId;
+        uiManager.showSection('controlled');
+        await this.refreshRegister();
+    }
+
+    // Register Rendering
+    async renderRegister() {
+        const container = Utils.$('#controlledRegister');
+        if (!container) return;
+
+        if (!this.selectedItemId) {
+            container.innerHTML = '<p class="lot-empty">Flag an item as a controlled substance to keep a register for it.</p>';
+            return;
+        }
+
+        const register = await inventoryAPI.getControlledRegister(this.selectedItemId);
+        if (!register) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${Utils.sanitizeInput(register.itemName)}</h3>
+                    <p class="po-meta">${register.entries.length} entr${register.entries.length === 1 ? 'y' : 'ies'} · entries cannot be edited or removed</p>
+                </div>
+                <div class="register-balance">Balance <strong>${register.balance}</strong></div>
+            </div>
+
+            ${register.entries.length ? `
+                <table class="inventory-table register-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Batch</th>
+                            <th>Location</th>
+                            <th>In</th>
+                            <th>Out</th>
+                            <th>Balance</th>
+                            <th>Reason</th>
+                            <th>Recorded By</th>
+                            <th>Witness</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${register.entries.slice().reverse().map(entry => this.createEntryRowHTML(entry)).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="lot-empty">No movements recorded yet.</p>'}
+        `;
+    }
+
+    createEntryRowHTML(entry) {
+        return `
+            <tr>
+                <td>${Utils.formatDateTime(entry.timestamp)}</td>
+                <td><span class="ledger-type ${entry.type}">${Utils.capitalize(entry.type)}</span></td>
+                <td>${entry.batchNumber ? Utils.sanitizeInput(entry.batchNumber) : '-'}</td>
+                <td>${Utils.sanitizeInput(entry.locationName) || '-'}</td>
+                <td>${entry.quantityIn || ''}</td>
+                <td>${entry.quantityOut || ''}</td>
+                <td><strong>${entry.balance}</strong></td>
+                <td>
+                    ${Utils.sanitizeInput(entry.reason || '')}
+                    ${entry.reference ? `<small>${Utils.sanitizeInput(entry.reference)}</small>` : ''}
+                </td>
+                <td>${Utils.sanitizeInput(entry.user)}</td>
+                <td>${entry.witness ? Utils.sanitizeInput(entry.witness) : '-'}</td>
+            </tr>
+        `;
+    }
+
+    // Register Entries
+    async handleRecordEntry(e) {
+        e.preventDefault();
+
+        if (!this.selectedItemId) {
+            uiManager.showToast('Select a controlled substance first', 'error');
+            return;
+        }
+
+        if (!uiManager.validateForm('#registerEntryForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#registerEntryForm');
+        const type = formData.registerEntryType;
+        const quantity = parseFloat(formData.registerEntryQuantity) || 0;
+        const reason = formData.registerEntryReason.trim();
+        const witness = formData.registerEntryWitness.trim();
+
+        try {
+            const item = await inventoryAPI.getItem(this.selectedItemId);
+
+            if (type === 'adjust' ? quantity === 0 : quantity <= 0) {
+                throw new ValidationError(type === 'adjust' ? 'Enter the adjustment, e.g. 2 or -2' : 'Quantity must be greater than zero');
+            }
+
+            if (type === 'dispense') {
+                await inventoryAPI.dispense(item.id, quantity, { reason, witness });
+            } else {
+                const delta = type === 'waste' ? -quantity : quantity;
+                if (item.quantity + delta < 0) {
+                    throw new ValidationError(`Only ${item.quantity} of ${item.name} on the register`);
+                }
+                await inventoryAPI.postTransaction(item.id, { type, delta, reason, witness });
+            }
+
+            uiManager.showToast(`${Utils.capitalize(type)} of ${item.name} recorded`, 'success');
+            Utils.$('#registerEntryForm').reset();
+            this.renderRegister();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record register entry', 'error');
+                console.error('Error recording register entry:', error);
+            }
+        }
+    }
+
+    // Printable Register
+    // Each page repeats the header and carries the balance forward from the previous page
+    async printRegister() {
+        if (!this.selectedItemId) {
+            uiManager.showToast('Select a controlled substance to print', 'error');
+            return;
+        }
+
+        try {
+            const register = await inventoryAPI.getControlledRegister(this.selectedItemId);
+            const printWindow = window.open('', '_blank');
+            if (!printWindow) {
+                uiManager.showToast('Allow pop-ups to print the register', 'error');
+                return;
+            }
+
+            printWindow.document.write(this.getPrintableRegisterHTML(register));
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+        } catch (error) {
+            uiManager.showToast('Failed to print register', 'error');
+            console.error('Error printing register:', error);
+        }
+    }
+
+    getPrintableRegisterHTML(register) {
+        const pages = [];
+        for (let start = 0; start < register.entries.length; start += this.rowsPerPage) {
+            pages.push(register.entries.slice(start, start + this.rowsPerPage));
+        }
+        if (pages.length === 0) pages.push([]);
+
+        const printedAt = Utils.formatDateTime(new Date().toISOString());
+        const title = `Controlled Drug Register: ${Utils.sanitizeInput(register.itemName)}`;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 11px; margin: 0; }
+        .page { padding: 16px; page-break-after: always; }
+        .page:last-child { page-break-after: auto; }
+        .page-header { display: flex; justify-content: space-between; border-bottom: 2px solid #000; margin-bottom: 8px; }
+        h1 { font-size: 16px; margin: 0 0 4px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #666; padding: 3px 4px; text-align: left; }
+        th { background: #eee; }
+        .carried { font-style: italic; }
+        .signatures { margin-top: 24px; display: flex; gap: 48px; }
+    </style>
+</head>
+<body>
+    ${pages.map((entries, index) => {
+        const broughtForward = index === 0 ? 0 : pages[index - 1][pages[index - 1].length - 1].balance;
+        return `
+    <div class="page">
+        <div class="page-header">
+            <div>
+                <h1>${title}</h1>
+                <div>Printed ${printedAt} by ${Utils.sanitizeInput(inventoryData.getCurrentUser())} · Current balance ${register.balance}</div>
+            </div>
+            <div>Page ${index + 1} of ${pages.length}</div>
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th>Date</th><th>Type</th><th>Batch</th><th>Location</th><th>In</th><th>Out</th>
+                    <th>Balance</th><th>Reason</th><th>Reference</th><th>Recorded By</th><th>Witness</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr class="carried"><td colspan="6">Balance brought forward</td><td>${broughtForward}</td><td colspan="4"></td></tr>
+                ${entries.map(entry => `
+                <tr>
+                    <td>${Utils.formatDateTime(entry.timestamp)}</td>
+                    <td>${Utils.capitalize(entry.type)}</td>
+                    <td>${Utils.sanitizeInput(entry.batchNumber || '')}</td>
+                    <td>${Utils.sanitizeInput(entry.locationName)}</td>
+                    <td>${entry.quantityIn || ''}</td>
+                    <td>${entry.quantityOut || ''}</td>
+                    <td>${entry.balance}</td>
+                    <td>${Utils.sanitizeInput(entry.reason || '')}</td>
+                    <td>${Utils.sanitizeInput(entry.reference || '')}</td>
+                    <td>${Utils.sanitizeInput(entry.user)}</td>
+                    <td>${Utils.sanitizeInput(entry.witness || '')}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ${index === pages.length - 1 ? `
+        <div class="signatures">
+            <div>Checked by: ____________________</div>
+            <div>Signature: ____________________</div>
+            <div>Date: __________</div>
+        </div>` : ''}
+    </div>`;
+    }).join('')}
+</body>
+</html>`;
+    }
+}
+
+// Initialize Controlled Register Manager
+window.controlledRegisterManager = new ControlledRegisterManager();
@@ -7,6 +7,24 @@ class DashboardManager {
         this.autoRefreshEnabled = true;
         this.refreshRate = 30000; // 30 seconds
         this.animationDuration = 1000;
+        this.activityFilters = { type: '', page: 1, pageSize: 10 };
+        this.activityFieldLabels = {
+            lowStockThreshold: 'Threshold',
+            reorderQuantity: 'Reorder Quantity',
+            itemCount: 'Items',
+            alert: 'Alert',
+            locationThresholds: 'Location Thresholds',
+            lotStatus: 'Lot Status',
+            storageCondition: 'Storage',
+            stableDaysAfterOpening: 'Stable After Opening'
+        };
+        this.locationIcons = {
+            'store-room': 'fa-warehouse',
+            'treatment-room': 'fa-procedures',
+            'crash-cart': 'fa-ambulance',
+            'fridge': 'fa-snowflake',
+            'other': 'fa-map-marker-alt'
+        };
         this.init();
     }
 
@@ -39,6 +57,16 @@ class DashboardManager {
             });
         }
 
+        // Recent activity type filter
+        const activityTypeFilter = Utils.$('#activityTypeFilter');
+        if (activityTypeFilter) {
+            activityTypeFilter.addEventListener('change', (e) => {
+                this.activityFilters.type = e.target.value;
+                this.activityFilters.page = 1;
+                this.loadRecentActivity();
+            });
+        }
+
         // Auto-refresh toggle if it exists
         const autoRefreshToggle = Utils.$('#autoRefreshToggle');
         if (autoRefreshToggle) {
@@ -55,13 +83,20 @@ class DashboardManager {
             
             // Load analytics data
             const analytics = await inventoryAPI.getAnalytics();
+            // Stock alerts are raised for items that have run out as well as those running low
+            const stockAlertItems = [...analytics.outOfStockItems, ...analytics.lowStockItems];
             
             // Update all dashboard components
             await Promise.all([
                 this.updateStatistics(analytics.stats),
-                this.updateRecentActivity(analytics.recentActivity),
-                this.updateCriticalAlerts(analytics.lowStockItems, analytics.expiringSoonItems, analytics.expiredItems),
-                this.updateAlertBadge(analytics.lowStockItems, analytics.expiringSoonItems, analytics.expiredItems)
+                this.updateLocationBreakdown(analytics.stats.byLocation),
+                this.updateBudgetBreakdown(analytics.budgets),
+                this.loadRecentActivity(),
+                this.updateCriticalAlerts(stockAlertItems, analytics.expiringSoonItems, analytics.expiredItems, analytics.recalledItems, analytics.excursions),
+                this.updateRunningOutSoon(analytics.runningOutSoonItems),
+                this.updateCountsDue(analytics.cycleCountsDue),
+                this.updateKitAvailability(analytics.kits),
+                this.updateAlertBadge(stockAlertItems, analytics.expiringSoonItems, analytics.expiredItems, analytics.recalledItems, analytics.excursions)
             ]);
             
         } catch (error) {
@@ -98,10 +133,74 @@ class DashboardManager {
             }
         });
 
+        // Stock value is money, so it is shown as is rather than counted up
+        const stockValue = Utils.$('#stockValue');
+        if (stockValue) {
+            stockValue.textContent = uiManager.formatCurrency(stats.stockValue || 0);
+        }
+
         // Update stat card colors based on thresholds
         this.updateStatCardColors(stats);
     }
 
+    // Stock by Location
+    async updateLocationBreakdown(locationSummary) {
+        const container = Utils.$('#locationBreakdown');
+        if (!container) return;
+
+        container.innerHTML = (locationSummary || []).map(location => `
+            <div class="location-card" onclick="dashboardManager.viewLocation('${location.locationId}')" title="View stock at ${Utils.sanitizeInput(location.name)}">
+                <div class="location-card-header">
+                    <i class="fas ${this.locationIcons[location.type] || this.locationIcons.other}"></i>
+                    <strong>${Utils.sanitizeInput(location.name)}</strong>
+                </div>
+                <div class="location-card-stats">
+                    <span>${location.totalUnits} unit${location.totalUnits === 1 ? '' : 's'}</span>
+                    <span>${location.itemCount} item${location.itemCount === 1 ? '' : 's'}</span>
+                    ${location.lowStockCount > 0 ?
+                        `<span class="text-warning">${location.lowStockCount} low</span>` : ''
+                    }
+                    ${location.inTransitUnits > 0 ?
+                        `<span class="in-transit">${location.inTransitUnits} incoming</span>` : ''
+                    }
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Budget vs Actual
+    // Spend this period against each department's budget; the bar turns amber from the warning
+    // share and red once the budget is exceeded
+    async updateBudgetBreakdown(budgets) {
+        const container = Utils.$('#budgetBreakdown');
+        if (!container) return;
+
+        if (!budgets || budgets.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No department budgets set up.</p>';
+            return;
+        }
+
+        container.innerHTML = budgets.map(budget => `
+            <div class="location-card budget-card ${budget.status}" onclick="uiManager.showSection('budgets')" title="View ${Utils.sanitizeInput(budget.name)} budget">
+                <div class="location-card-header">
+                    <i class="fas ${budget.status === 'over' || budget.status === 'warning' ? 'fa-exclamation-triangle' : 'fa-wallet'}"></i>
+                    <strong>${Utils.sanitizeInput(budget.name)}</strong>
+                </div>
+                ${budget.budget > 0 ? `
+                    <div class="budget-bar">
+                        <span style="width: ${Math.min(100, Math.round(budget.share * 100))}%"></span>
+                    </div>
+                ` : ''}
+                <div class="location-card-stats">
+                    <span>${uiManager.formatCurrency(budget.spent)}${budget.budget > 0 ? ` of ${uiManager.formatCurrency(budget.budget)}` : ' spent'}</span>
+                    <span>${budget.budgetPeriod === 'quarterly' ? 'This quarter' : 'This month'}</span>
+                    ${budget.status === 'over' ? `<span class="text-danger">${uiManager.formatCurrency(-budget.remaining)} over</span>` : ''}
+                    ${budget.status === 'warning' ? `<span class="text-warning">${Math.round(budget.share * 100)}% used</span>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
     mapStatKey(elementKey) {
         const mapping = {
             totalItems: 'total',
@@ -153,26 +252,61 @@ class DashboardManager {
     }
 
     // Recent Activity Display
-    async updateRecentActivity(activities) {
+    async loadRecentActivity() {
+        try {
+            const activityPage = await inventoryAPI.getActivity(this.activityFilters);
+            this.updateRecentActivity(activityPage);
+        } catch (error) {
+            console.error('Error loading recent activity:', error);
+        }
+    }
+
+    async updateRecentActivity(activityPage) {
         const activityContainer = Utils.$('#recentActivity');
         if (!activityContainer) return;
 
-        if (!activities || activities.length === 0) {
+        this.updateActivityPagination(activityPage);
+
+        if (!activityPage || activityPage.entries.length === 0) {
             activityContainer.innerHTML = this.getEmptyActivityHTML();
             return;
         }
 
-        // Take only the most recent 10 activities
-        const recentActivities = activities.slice(0, 10);
-        
-        activityContainer.innerHTML = recentActivities.map(activity => 
+        activityContainer.innerHTML = activityPage.entries.map(activity => 
             this.createActivityItemHTML(activity)
         ).join('');
     }
 
+    updateActivityPagination(activityPage) {
+        const pagination = Utils.$('#activityPagination');
+        if (!pagination) return;
+
+        if (!activityPage || activityPage.totalPages <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        const { page, totalPages } = activityPage;
+        pagination.innerHTML = `
+            <button class="pagination-btn" ${page <= 1 ? 'disabled' : ''} onclick="dashboardManager.goToActivityPage(${page - 1})">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <span class="pagination-info">Page ${page} of ${totalPages}</span>
+            <button class="pagination-btn" ${page >= totalPages ? 'disabled' : ''} onclick="dashboardManager.goToActivityPage(${page + 1})">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+
+    goToActivityPage(page) {
+        this.activityFilters.page = page;
+        this.loadRecentActivity();
+    }
+
     createActivityItemHTML(activity) {
-        const timeAgo = this.getTimeAgo(activity.date || activity.item.lastUpdated);
+        const timeAgo = this.getTimeAgo(activity.timestamp);
         const iconClass = this.getActivityIcon(activity.type);
+        const changes = this.formatActivityChanges(activity.changes);
         
         return `
             <div class="activity-item">
@@ -181,18 +315,40 @@ class DashboardManager {
                 </div>
                 <div class="activity-content">
                     <div class="activity-title">${Utils.sanitizeInput(activity.message)}</div>
-                    <div class="activity-time">${timeAgo}</div>
+                    ${changes ? `<div class="activity-changes">${changes}</div>` : ''}
+                    <div class="activity-time" title="${Utils.formatDateTime(activity.timestamp)}">${timeAgo} &middot; ${Utils.sanitizeInput(activity.user || '')}</div>
                 </div>
             </div>
         `;
     }
 
+    formatActivityChanges(changes = {}) {
+        return Object.entries(changes).map(([field, { before, after }]) => {
+            const label = this.activityFieldLabels[field] || Utils.capitalize(field);
+            const from = before === undefined || before === null || before === '' ? '—' : before;
+            const to = after === undefined || after === null || after === '' ? '—' : after;
+            return `${Utils.sanitizeInput(label)}: ${Utils.sanitizeInput(String(from))} &rarr; ${Utils.sanitizeInput(String(to))}`;
+        }).join('; ');
+    }
+
     getActivityIcon(type) {
         const icons = {
             'updated': 'fas fa-edit',
             'created': 'fas fa-plus-circle',
             'deleted': 'fas fa-trash',
             'quantity-changed': 'fas fa-sort-numeric-up',
+            'restocked': 'fas fa-truck-loading',
+            'dispensed': 'fas fa-hand-holding-medical',
+            'transferred': 'fas fa-exchange-alt',
+            'counted': 'fas fa-clipboard-check',
+            'disposed': 'fas fa-dumpster',
+            'returned': 'fas fa-undo',
+            'lot-status-changed': 'fas fa-lock',
+            'temperature-excursion': 'fas fa-thermometer-full',
+            'container-opened': 'fas fa-box-open',
+            'imported': 'fas fa-file-import',
+            'threshold-changed': 'fas fa-sliders-h',
+            'alert-dismissed': 'fas fa-bell-slash',
             'low-stock': 'fas fa-exclamation-triangle',
             'expired': 'fas fa-calendar-times'
         };
@@ -225,11 +381,11 @@ class DashboardManager {
     }
 
     // Critical Alerts Display
-    async updateCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems) {
+    async updateCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems, recalledItems = [], excursions = []) {
         const alertsContainer = Utils.$('#criticalAlerts');
         if (!alertsContainer) return;
 
-        const criticalAlerts = this.prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems);
+        const criticalAlerts = this.prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems, recalledItems, excursions);
 
         if (criticalAlerts.length === 0) {
             alertsContainer.innerHTML = this.getNoAlertsHTML();
@@ -244,16 +400,42 @@ class DashboardManager {
         ).join('');
     }
 
-    prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems) {
+    prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems, recalledItems = [], excursions = []) {
         const alerts = [];
 
-        // Expired items (highest priority)
+        // Recalled lots still on the shelf come first
+        recalledItems.forEach(item => {
+            alerts.push({
+                type: 'recall',
+                priority: 'critical',
+                item,
+                message: `${item.name} (${inventoryData.getLotLabel(item.lot)}) is recalled under ${item.recall.number}`,
+                icon: 'fas fa-ban',
+                actionText: 'Clear recalled stock',
+                action: `recallsManager.viewRecall('${item.recall.id}')`
+            });
+        });
+
+        // Temperature excursions waiting for review
+        excursions.forEach(excursion => {
+            alerts.push({
+                type: 'excursion',
+                priority: 'critical',
+                item: null,
+                message: `${excursion.locationName} went out of range (${excursion.lowestTemp} to ${excursion.highestTemp}°C)`,
+                icon: 'fas fa-thermometer-full',
+                actionText: `Review ${excursion.lots.length} lot${excursion.lots.length === 1 ? '' : 's'}`,
+                action: `coldChainManager.viewExcursion('${excursion.id}')`
+            });
+        });
+
+        // Expired lots
         expiredItems.forEach(item => {
             alerts.push({
                 type: 'expired',
                 priority: 'high',
                 item,
-                message: `${item.name} has expired`,
+                message: `${item.name} (${inventoryData.getLotLabel(item.lot)}) has expired`,
                 icon: 'fas fa-calendar-times',
                 actionText: 'Remove from stock'
             });
@@ -266,6 +448,7 @@ class DashboardManager {
                 priority: 'high',
                 item,
                 message: `${item.name} is out of stock`,
+                description: this.getSubstitutesDescription(item),
                 icon: 'fas fa-exclamation-circle',
                 actionText: 'Restock now'
             });
@@ -274,29 +457,30 @@ class DashboardManager {
         // Critical low stock (less than half of threshold)
         lowStockItems.filter(item => 
             item.quantity > 0 && 
-            item.quantity <= Math.floor((item.lowStockThreshold || 10) / 2)
+            inventoryData.getAvailableQuantity(item) <= inventoryData.getCriticalThreshold(item)
         ).forEach(item => {
             alerts.push({
                 type: 'critical-low',
                 priority: 'high',
                 item,
-                message: `${item.name} critically low (${item.quantity} left)`,
+                message: `${item.name} critically low (${inventoryData.formatQuantity(item, inventoryData.getAvailableQuantity(item))} available)`,
+                description: this.getSubstitutesDescription(item),
                 icon: 'fas fa-exclamation-triangle',
                 actionText: 'Order immediately'
             });
         });
 
-        // Items expiring very soon (within 7 days)
+        // Lots expiring very soon (within 7 days)
         expiringSoonItems.filter(item => {
-            const days = inventoryData.getDaysUntilExpiry(item.expiryDate);
+            const days = inventoryData.getDaysUntilExpiry(inventoryData.getLotExpiry(item.lot));
             return days <= 7 && days > 0;
         }).forEach(item => {
-            const days = inventoryData.getDaysUntilExpiry(item.expiryDate);
+            const days = inventoryData.getDaysUntilExpiry(inventoryData.getLotExpiry(item.lot));
             alerts.push({
                 type: 'expiring-soon',
                 priority: 'medium',
                 item,
-                message: `${item.name} expires in ${days} day${days === 1 ? '' : 's'}`,
+                message: `${item.name} (${inventoryData.getLotLabel(item.lot)}) expires in ${days} day${days === 1 ? '' : 's'}`,
                 icon: 'fas fa-clock',
                 actionText: 'Use soon'
             });
@@ -304,21 +488,33 @@ class DashboardManager {
 
         // Sort by priority (high first)
         return alerts.sort((a, b) => {
-            const priorityOrder = { high: 3, medium: 2, low: 1 };
+            const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
             return priorityOrder[b.priority] - priorityOrder[a.priority];
         });
     }
 
+    // What a short item's substitute group can give in its place, or null when it has no group
+    getSubstitutesDescription(item) {
+        const substitutes = inventoryData.getSubstitutes(item);
+        if (!substitutes) return null;
+
+        const available = substitutes.substitutes.filter(member => member.quantity > 0);
+        return available.length > 0
+            ? `Use instead: ${available.map(member => `${member.name} (${inventoryData.formatQuantity(item, member.quantity)})`).join(', ')}`
+            : 'No substitutes in stock';
+    }
+
     createAlertItemHTML(alert) {
         return `
-            <div class="alert-item ${alert.type}" data-item-id="${alert.item.id}">
+            <div class="alert-item ${alert.type}" data-item-id="${alert.item ? alert.item.id : ''}">
                 <div class="alert-icon ${alert.priority}">
                     <i class="${alert.icon}"></i>
                 </div>
                 <div class="alert-content">
                     <div class="alert-title">${Utils.sanitizeInput(alert.message)}</div>
+                    ${alert.description ? `<div class="alert-description">${Utils.sanitizeInput(alert.description)}</div>` : ''}
                     <div class="alert-actions">
-                        <button class="btn-link" onclick="inventoryManager.editItem('${alert.item.id}')">
+                        <button class="btn-link" onclick="${alert.action || `inventoryManager.editItem('${alert.item.id}')`}">
                             ${alert.actionText}
                         </button>
                     </div>
@@ -327,6 +523,125 @@ class DashboardManager {
         `;
     }
 
+    // Running Out Soon Display
+    // Items whose days of supply won't cover their supplier lead time, fewest days first
+    async updateRunningOutSoon(runningOutSoonItems) {
+        const container = Utils.$('#runningOutSoon');
+        if (!container) return;
+
+        if (!runningOutSoonItems || runningOutSoonItems.length === 0) {
+            container.innerHTML = `
+                <div class="no-alerts">
+                    <i class="fas fa-check-circle text-success"></i>
+                    <p>Stock on hand covers every lead time</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = runningOutSoonItems.slice(0, 5).map(item =>
+            this.createRunningOutSoonItemHTML(item)
+        ).join('');
+    }
+
+    createRunningOutSoonItemHTML(item) {
+        const { daysOfSupply, stockOutDate, averageDailyUsage, leadTimeDays } = item.forecast;
+        const onOrder = inventoryData.getOnOrderQuantity(item.id);
+        const daysLabel = daysOfSupply === 0 ? 'Runs out today' : `${daysOfSupply} day${daysOfSupply === 1 ? '' : 's'} of supply`;
+
+        return `
+            <div class="alert-item stock-out-forecast" data-item-id="${item.id}">
+                <div class="alert-icon ${daysOfSupply <= Math.floor(leadTimeDays / 2) ? 'high' : 'medium'}">
+                    <i class="fas fa-hourglass-half"></i>
+                </div>
+                <div class="alert-content">
+                    <div class="alert-title">${Utils.sanitizeInput(item.name)} &middot; ${daysLabel}</div>
+                    <div class="alert-description">
+                        ${item.quantity} left at ${averageDailyUsage}/day, runs out ${Utils.formatDate(stockOutDate)}
+                        (lead time ${leadTimeDays} day${leadTimeDays === 1 ? '' : 's'})${onOrder > 0 ? `, ${onOrder} on order` : ''}
+                    </div>
+                    <div class="alert-actions">
+                        <button class="btn-link" onclick="purchaseOrdersManager.restockItem('${item.id}')">
+                            Order stock
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Today's cycle counts, including overdue ones, with one button to count them all
+    async updateCountsDue(cycleCountsDue) {
+        const container = Utils.$('#countsDueToday');
+        if (!container) return;
+
+        if (!cycleCountsDue || cycleCountsDue.length === 0) {
+            container.innerHTML = `
+                <div class="no-alerts">
+                    <i class="fas fa-check-circle text-success"></i>
+                    <p>No cycle counts due today</p>
+                </div>
+            `;
+            return;
+        }
+
+        const remaining = cycleCountsDue.length - 5;
+        container.innerHTML = cycleCountsDue.slice(0, 5).map(entry => `
+            <div class="alert-item cycle-count" data-item-id="${entry.itemId}">
+                <div class="alert-icon ${entry.daysUntilDue < 0 ? 'medium' : 'low'}">
+                    <i class="fas fa-clipboard-check"></i>
+                </div>
+                <div class="alert-content">
+                    <div class="alert-title">${Utils.sanitizeInput(entry.name)} &middot; Class ${entry.abcClass}</div>
+                    <div class="alert-description">
+                        ${entry.lastCountedDate ? `Last counted ${Utils.formatDate(entry.lastCountedDate)}` : 'Never counted'}
+                        ${entry.daysUntilDue < 0 ? ` &middot; ${-entry.daysUntilDue} day${entry.daysUntilDue === -1 ? '' : 's'} overdue` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('') + `
+            <div class="alert-actions counts-due-actions">
+                ${remaining > 0 ? `<span>and ${remaining} more</span>` : ''}
+                <button class="btn-link" onclick="stocktakeManager.startCycleCount()">
+                    Start count for ${cycleCountsDue.length} item${cycleCountsDue.length === 1 ? '' : 's'}
+                </button>
+            </div>
+        `;
+    }
+
+    // How many complete procedure kits the stock on hand makes up, fewest first
+    async updateKitAvailability(kits) {
+        const container = Utils.$('#kitAvailability');
+        if (!container) return;
+
+        if (!kits || kits.length === 0) {
+            container.innerHTML = `
+                <div class="no-alerts">
+                    <i class="fas fa-check-circle text-success"></i>
+                    <p>No procedure kits set up</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = kits.slice(0, 5).map(kit => {
+            const limitedBy = kit.limitedBy.map(component => Utils.sanitizeInput(component.itemName)).join(', ');
+            return `
+                <div class="alert-item kit-availability" data-kit-id="${kit.kitId}">
+                    <div class="alert-icon ${kit.available === 0 ? 'high' : kit.available <= 2 ? 'medium' : 'low'}">
+                        <i class="fas fa-briefcase-medical"></i>
+                    </div>
+                    <div class="alert-content">
+                        <div class="alert-title">${Utils.sanitizeInput(kit.name)} &middot; ${kit.available} kit${kit.available === 1 ? '' : 's'}</div>
+                        <div class="alert-description">
+                            ${kit.available === 0 ? `Can't be made up: short of ${limitedBy}` : `Limited by ${limitedBy}`}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     getNoAlertsHTML() {
         return `
             <div class="no-alerts">
@@ -337,9 +652,9 @@ class DashboardManager {
     }
 
     // Alert Badge Management
-    async updateAlertBadge(lowStockItems, expiringSoonItems, expiredItems) {
-        const criticalAlerts = this.prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems);
-        const alertCount = criticalAlerts.filter(alert => alert.priority === 'high').length;
+    async updateAlertBadge(lowStockItems, expiringSoonItems, expiredItems, recalledItems = [], excursions = []) {
+        const criticalAlerts = this.prepareCriticalAlerts(lowStockItems, expiringSoonItems, expiredItems, recalledItems, excursions);
+        const alertCount = criticalAlerts.filter(alert => alert.priority === 'critical' || alert.priority === 'high').length;
         
         uiManager.updateAlertBadge(alertCount);
     }
@@ -414,6 +729,14 @@ class DashboardManager {
         uiManager.showSection('inventory');
     }
 
+    // Opens the inventory filtered to one location
+    async viewLocation(locationId) {
+        inventoryManager.currentFilters.location = locationId;
+        const locationFilter = Utils.$('#locationFilter');
+        if (locationFilter) locationFilter.value = locationId;
+        uiManager.showSection('inventory');
+    }
+
     // Data Export from Dashboard
     async exportDashboardData() {
         try {
@@ -422,9 +745,11 @@ class DashboardManager {
                 stats: analytics.stats,
                 recentActivity: analytics.recentActivity,
                 criticalAlerts: this.prepareCriticalAlerts(
-                    analytics.lowStockItems, 
+                    [...analytics.outOfStockItems, ...analytics.lowStockItems],
                     analytics.expiringSoonItems, 
-                    analytics.expiredItems
+                    analytics.expiredItems,
+                    analytics.recalledItems,
+                    analytics.excursions
                 ),
                 exportDate: new Date().toISOString(),
                 refreshRate: this.refreshRate,
@@ -3,10 +3,95 @@
 
 class InventoryData {
     constructor() {
-        this.items = this.loadFromStorage() || this.getInitialData();
+        // Temperature range (°C) each storage condition must be kept within
+        this.storageConditions = {
+            'room-temperature': { label: 'Room temperature', min: 15, max: 25 },
+            'refrigerated': { label: 'Refrigerated', min: 2, max: 8 },
+            'frozen': { label: 'Frozen', min: -25, max: -15 }
+        };
+        this.budgetPeriods = ['monthly', 'quarterly'];
+        // Departments load before locations, which name the department their stock is charged to
+        this.departments = (this.loadFromStorage('clinicInventoryDepartments') || this.getInitialDepartments())
+            .map(department => this.createDepartment(department));
+        // Locations load first: lots fall back to the default location when they have none
+        this.locations = (this.loadFromStorage('clinicInventoryLocations') || this.getInitialLocations())
+            .map(location => this.createLocation(location));
+        this.locationTypes = ['store-room', 'treatment-room', 'crash-cart', 'fridge', 'other'];
+        // Held lots (quarantined, or rejected and awaiting disposal) stay on the shelf and count
+        // towards the quantity on hand, but can't be dispensed or transferred
+        this.lotStatuses = ['available', 'quarantined', 'released', 'rejected'];
+        // Units shown the same in singular and plural
+        this.unitAbbreviations = ['ml', 'l', 'g', 'mg', 'kg', 'mcg', 'iu'];
+        // Items keep whole quantities unless given decimal places (ml of disinfectant, litres of oxygen)
+        this.maxQuantityPrecision = 3;
+        this.heldLotStatuses = ['quarantined', 'rejected'];
+        this.lotStatusTransitions = {
+            available: ['quarantined'],
+            quarantined: ['released', 'rejected'],
+            released: ['quarantined'],
+            rejected: ['quarantined']
+        };
+        this.items = (this.loadFromStorage() || this.getInitialData()).map(item => this.normalizeItem(item));
+        this.transactions = (this.loadFromStorage('clinicInventoryLedger') || []).map(entry => Object.freeze(entry));
+        this.events = this.loadFromStorage('clinicInventoryEvents') || [];
+        this.suppliers = (this.loadFromStorage('clinicInventorySuppliers') || this.getInitialSuppliers())
+            .map(supplier => this.createSupplier(supplier));
+        this.purchaseOrders = this.loadFromStorage('clinicInventoryPurchaseOrders') || [];
+        this.purchaseOrderStatuses = ['draft', 'submitted', 'partially-received', 'received', 'cancelled'];
+        this.transfers = this.loadFromStorage('clinicInventoryTransfers') || [];
+        this.transferStatuses = ['requested', 'dispatched', 'received', 'cancelled'];
+        this.countSessions = this.loadFromStorage('clinicInventoryCountSessions') || [];
+        this.countSessionStatuses = ['open', 'posted', 'cancelled'];
+        this.disposals = this.loadFromStorage('clinicInventoryDisposals') || [];
+        this.disposalReasons = ['expired', 'damaged', 'contaminated', 'recalled', 'other'];
+        this.disposalMethods = ['pharmacy-return', 'sharps-bin', 'incineration', 'general-waste', 'other'];
+        this.recalls = this.loadFromStorage('clinicInventoryRecalls') || [];
+        this.recallStatuses = ['open', 'closed'];
+        this.temperatureReadings = this.loadFromStorage('clinicInventoryTemperatureReadings') || [];
+        this.excursions = this.loadFromStorage('clinicInventoryExcursions') || [];
+        this.excursionStatuses = ['open', 'quarantined', 'dismissed'];
+        this.kits = (this.loadFromStorage('clinicInventoryKits') || this.getInitialKits()).map(kit => this.createKit(kit));
+        this.kitUsages = this.loadFromStorage('clinicInventoryKitUsages') || [];
+        this.patientDispensings = this.loadFromStorage('clinicInventoryPatientDispensings') || [];
+        this.substituteBases = ['generic', 'therapeutic'];
+        this.substituteGroups = (this.loadFromStorage('clinicInventorySubstituteGroups') || []).map(group => this.createSubstituteGroup(group));
+        this.maxEvents = 1000;
         this.categories = ['Medicine', 'Consumable', 'Equipment', 'Supplement'];
+        this.transactionTypes = ['receive', 'dispense', 'adjust', 'waste', 'transfer', 'return', 'count'];
+        // Movements of controlled substances that need a witness and a reason
+        this.witnessedTransactionTypes = ['dispense', 'waste', 'adjust', 'count'];
         this.lowStockThreshold = 10;
         this.expiryWarningDays = 30;
+        this.settings = {
+            serviceLevel: 0.95,
+            usageLookbackDays: 90,
+            reviewPeriodDays: 30,
+            defaultLeadTimeDays: 7,
+            // Cumulative share of consumption value that closes classes A and B
+            abcClassShares: { A: 0.8, B: 0.95 },
+            cycleCountIntervalDays: { A: 30, B: 90, C: 365 },
+            costingMethod: 'fifo',
+            // Department spend is measured from goods received on their orders or from stock
+            // dispensed at their locations; orders that would exceed the budget are flagged or blocked
+            budgetSpendBasis: 'receipts',
+            budgetPolicy: 'flag',
+            budgetWarningShare: 0.8,
+            // Items never counted are spread over their first interval from this date
+            cycleCountStartDate: new Date().toISOString().split('T')[0],
+            ...this.loadFromStorage('clinicInventorySettings')
+        };
+        // One-sided z-scores for the service levels offered in the planner
+        this.serviceLevelZScores = { 0.9: 1.282, 0.95: 1.645, 0.975: 1.96, 0.99: 2.326 };
+        this.costingMethods = ['fifo', 'weighted-average'];
+        this.budgetSpendBases = ['receipts', 'consumption'];
+        this.budgetPolicies = ['flag', 'block'];
+
+        // The ledger is the source of truth for quantities once it exists
+        if (this.transactions.length === 0) {
+            this.recordOpeningBalances();
+        } else {
+            this.rebuildQuantitiesFromLedger();
+        }
     }
 
     getInitialData() {
@@ -15,10 +100,16 @@ class InventoryData {
                 id: '1',
                 name: 'Paracetamol 500mg',
                 category: 'Medicine',
-                quantity: 150,
                 lowStockThreshold: 20,
-                expiryDate: '2025-12-15',
-                batchNumber: 'PAR2024001',
+                lots: [
+                    { id: '1-1', batchNumber: 'PAR2024001', quantity: 60, expiryDate: '2025-12-15', receivedDate: '2024-01-15' },
+                    { id: '1-2', batchNumber: 'PAR2024002', quantity: 50, expiryDate: '2026-03-31', receivedDate: '2024-04-10' },
+                    { id: '1-3', batchNumber: 'PAR2024003', quantity: 40, expiryDate: '2026-09-30', receivedDate: '2024-07-22', locationId: 'loc-tr1' }
+                ],
+                suppliers: [
+                    { supplierId: 's1', sku: 'MS-PAR500', unitCost: 0.05, preferred: true },
+                    { supplierId: 's2', sku: 'HCD-2201', unitCost: 0.06 }
+                ],
                 description: 'Pain relief and fever reducer tablets',
                 dateAdded: '2024-01-15',
                 lastUpdated: '2024-08-01'
@@ -27,10 +118,14 @@ class InventoryData {
                 id: '2',
                 name: 'Surgical Masks',
                 category: 'Consumable',
-                quantity: 8,
                 lowStockThreshold: 50,
-                expiryDate: '2026-06-30',
-                batchNumber: 'MASK2024001',
+                lots: [
+                    { id: '2-1', batchNumber: 'MASK2024001', quantity: 8, expiryDate: '2026-06-30', receivedDate: '2024-02-01', locationId: 'loc-tr2' }
+                ],
+                suppliers: [
+                    { supplierId: 's3', sku: 'SG-MASK3P', unitCost: 0.12, preferred: true },
+                    { supplierId: 's1', sku: 'MS-MSK100', unitCost: 0.15 }
+                ],
                 description: '3-ply disposable surgical masks',
                 dateAdded: '2024-02-01',
                 lastUpdated: '2024-07-20'
@@ -39,10 +134,13 @@ class InventoryData {
                 id: '3',
                 name: 'Digital Thermometer',
                 category: 'Equipment',
-                quantity: 25,
                 lowStockThreshold: 5,
-                expiryDate: '2027-03-20',
-                batchNumber: 'THERM2024001',
+                lots: [
+                    { id: '3-1', batchNumber: 'THERM2024001', quantity: 25, expiryDate: '2027-03-20', receivedDate: '2024-01-10', locationId: 'loc-main' }
+                ],
+                suppliers: [
+                    { supplierId: 's2', sku: 'HCD-TH-IR', unitCost: 18.5, preferred: true }
+                ],
                 description: 'Digital infrared thermometer',
                 dateAdded: '2024-01-10',
                 lastUpdated: '2024-06-15'
@@ -51,10 +149,13 @@ class InventoryData {
                 id: '4',
                 name: 'Vitamin C Tablets',
                 category: 'Supplement',
-                quantity: 45,
                 lowStockThreshold: 15,
-                expiryDate: '2025-09-10',
-                batchNumber: 'VIT2024001',
+                lots: [
+                    { id: '4-1', batchNumber: 'VIT2024001', quantity: 45, expiryDate: '2025-09-10', receivedDate: '2024-03-01' }
+                ],
+                suppliers: [
+                    { supplierId: 's2', sku: 'HCD-VC1000', unitCost: 0.08, preferred: true }
+                ],
                 description: '1000mg Vitamin C tablets',
                 dateAdded: '2024-03-01',
                 lastUpdated: '2024-07-30'
@@ -63,10 +164,15 @@ class InventoryData {
                 id: '5',
                 name: 'Antibiotics - Amoxicillin',
                 category: 'Medicine',
-                quantity: 3,
                 lowStockThreshold: 10,
-                expiryDate: '2025-08-25',
-                batchNumber: 'AMOX2024001',
+                locationThresholds: { 'loc-cart': 6 },
+                lots: [
+                    { id: '5-1', batchNumber: 'AMOX2024001', quantity: 3, expiryDate: '2025-08-25', receivedDate: '2024-04-01', locationId: 'loc-cart' }
+                ],
+                suppliers: [
+                    { supplierId: 's1', sku: 'MS-AMX500', unitCost: 0.22, preferred: true },
+                    { supplierId: 's2', sku: 'HCD-2290', unitCost: 0.25 }
+                ],
                 description: '500mg Amoxicillin capsules',
                 dateAdded: '2024-04-01',
                 lastUpdated: '2024-08-05'
@@ -75,10 +181,21 @@ class InventoryData {
                 id: '6',
                 name: 'Disposable Gloves',
                 category: 'Consumable',
-                quantity: 120,
+                unit: 'glove',
+                packSizes: [
+                    { unit: 'box', factor: 100 },
+                    { unit: 'carton', factor: 1000 }
+                ],
+                displayUnit: 'box',
                 lowStockThreshold: 25,
-                expiryDate: '2026-12-31',
-                batchNumber: 'GLOVE2024001',
+                locationThresholds: { 'loc-tr1': 10, 'loc-cart': 5 },
+                lots: [
+                    { id: '6-1', batchNumber: 'GLOVE2024001', quantity: 120, expiryDate: '2026-12-31', receivedDate: '2024-02-15' }
+                ],
+                suppliers: [
+                    { supplierId: 's3', sku: 'SG-NIT-M', unitCost: 0.09, preferred: true },
+                    { supplierId: 's1', sku: 'MS-GLV-M', unitCost: 0.1 }
+                ],
                 description: 'Nitrile disposable gloves - Size M',
                 dateAdded: '2024-02-15',
                 lastUpdated: '2024-07-10'
@@ -87,10 +204,13 @@ class InventoryData {
                 id: '7',
                 name: 'Blood Pressure Monitor',
                 category: 'Equipment',
-                quantity: 12,
                 lowStockThreshold: 3,
-                expiryDate: '2028-01-15',
-                batchNumber: 'BP2024001',
+                lots: [
+                    { id: '7-1', batchNumber: 'BP2024001', quantity: 12, expiryDate: '2028-01-15', receivedDate: '2024-01-20', locationId: 'loc-tr1' }
+                ],
+                suppliers: [
+                    { supplierId: 's2', sku: 'HCD-BPM', unitCost: 42, preferred: true }
+                ],
                 description: 'Digital blood pressure monitor',
                 dateAdded: '2024-01-20',
                 lastUpdated: '2024-06-25'
@@ -99,10 +219,14 @@ class InventoryData {
                 id: '8',
                 name: 'Cough Syrup',
                 category: 'Medicine',
-                quantity: 18,
                 lowStockThreshold: 8,
-                expiryDate: '2025-08-15',
-                batchNumber: 'COUGH2024001',
+                stableDaysAfterOpening: 30,
+                lots: [
+                    { id: '8-1', batchNumber: 'COUGH2024001', quantity: 18, expiryDate: '2025-08-15', receivedDate: '2024-03-10' }
+                ],
+                suppliers: [
+                    { supplierId: 's1', sku: 'MS-CSP100', unitCost: 3.4, preferred: true }
+                ],
                 description: 'Pediatric cough syrup 100ml',
                 dateAdded: '2024-03-10',
                 lastUpdated: '2024-07-28'
@@ -111,10 +235,13 @@ class InventoryData {
                 id: '9',
                 name: 'Multivitamin Complex',
                 category: 'Supplement',
-                quantity: 6,
                 lowStockThreshold: 12,
-                expiryDate: '2025-11-30',
-                batchNumber: 'MULTI2024001',
+                lots: [
+                    { id: '9-1', batchNumber: 'MULTI2024001', quantity: 6, expiryDate: '2025-11-30', receivedDate: '2024-04-15' }
+                ],
+                suppliers: [
+                    { supplierId: 's2', sku: 'HCD-MVC', unitCost: 0.11, preferred: true }
+                ],
                 description: 'Complete multivitamin and mineral complex',
                 dateAdded: '2024-04-15',
                 lastUpdated: '2024-08-02'
@@ -123,80 +250,3428 @@ class InventoryData {
                 id: '10',
                 name: 'Insulin Pens',
                 category: 'Medicine',
-                quantity: 2,
+                storageCondition: 'refrigerated',
+                stableDaysAfterOpening: 28,
                 lowStockThreshold: 5,
-                expiryDate: '2025-08-30',
-                batchNumber: 'INS2024001',
+                lots: [
+                    { id: '10-1', batchNumber: 'INS2024001', quantity: 2, expiryDate: '2025-08-30', receivedDate: '2024-05-01', locationId: 'loc-fridge' }
+                ],
+                suppliers: [
+                    { supplierId: 's1', sku: 'MS-INSPEN', unitCost: 9.75, preferred: true }
+                ],
                 description: 'Disposable insulin pens',
                 dateAdded: '2024-05-01',
                 lastUpdated: '2024-08-06'
+            },
+            {
+                id: '11',
+                name: 'Morphine Sulfate 10mg/ml',
+                category: 'Medicine',
+                controlled: true,
+                lowStockThreshold: 5,
+                lots: [
+                    { id: '11-1', batchNumber: 'MOR2024001', quantity: 20, expiryDate: '2026-11-30', receivedDate: '2024-06-01' }
+                ],
+                suppliers: [
+                    { supplierId: 's1', sku: 'MS-MOR10', unitCost: 1.8, preferred: true }
+                ],
+                description: 'Injectable opioid analgesic, 1ml ampoules; kept in the locked controlled drugs cabinet',
+                dateAdded: '2024-06-01',
+                lastUpdated: '2024-08-06'
+            }
+        ];
+    }
+
+    getInitialLocations() {
+        return [
+            { id: 'loc-main', name: 'Main Store Room', type: 'store-room', description: 'Central stock room; deliveries are received here' },
+            { id: 'loc-tr1', name: 'Treatment Room 1', type: 'treatment-room', description: '', departmentId: 'dept-treatment' },
+            { id: 'loc-tr2', name: 'Treatment Room 2', type: 'treatment-room', description: '', departmentId: 'dept-treatment' },
+            { id: 'loc-cart', name: 'Crash Cart', type: 'crash-cart', description: 'Emergency cart; check after every use', departmentId: 'dept-emergency' },
+            { id: 'loc-fridge', name: 'Vaccine Fridge', type: 'fridge', description: 'Kept at 2-8°C', departmentId: 'dept-immunisation' }
+        ];
+    }
+
+    getInitialKits() {
+        return [
+            {
+                id: 'kit-infection-control',
+                name: 'Infection Control Kit',
+                description: 'Worn for every wound dressing and minor procedure',
+                components: [
+                    { itemId: '6', quantity: 2 },
+                    { itemId: '2', quantity: 1 }
+                ]
+            }
+        ];
+    }
+
+    getInitialDepartments() {
+        return [
+            { id: 'dept-treatment', name: 'Treatment Rooms', budget: 1500, budgetPeriod: 'monthly' },
+            { id: 'dept-emergency', name: 'Emergency Care', budget: 600, budgetPeriod: 'quarterly' },
+            { id: 'dept-immunisation', name: 'Immunisation', budget: 4000, budgetPeriod: 'quarterly' }
+        ];
+    }
+
+    getInitialSuppliers() {
+        return [
+            {
+                id: 's1',
+                name: 'MedSupply Co.',
+                contacts: [
+                    { name: 'Sarah Jenkins', role: 'Account Manager', phone: '+1 555 0142', email: 'orders@medsupply.example.com' }
+                ],
+                accountNumber: 'MS-44821',
+                leadTimeDays: 5,
+                minimumOrderQuantity: 10,
+                paymentTerms: 'Net 30'
+            },
+            {
+                id: 's2',
+                name: 'HealthCare Distributors',
+                contacts: [
+                    { name: 'David Okafor', role: 'Sales', phone: '+1 555 0187', email: 'sales@hcdist.example.com' },
+                    { name: 'Customer Service', role: 'Orders', phone: '+1 555 0100', email: 'service@hcdist.example.com' }
+                ],
+                accountNumber: 'HCD-10937',
+                leadTimeDays: 3,
+                minimumOrderQuantity: 5,
+                paymentTerms: 'Net 15'
+            },
+            {
+                id: 's3',
+                name: 'SafeGuard Medical',
+                contacts: [
+                    { name: 'Maria Lopez', role: 'Account Manager', phone: '+1 555 0163', email: 'maria.lopez@safeguard.example.com' }
+                ],
+                accountNumber: 'SGM-7720',
+                leadTimeDays: 7,
+                minimumOrderQuantity: 20,
+                paymentTerms: 'Net 45'
             }
         ];
     }
 
-    // CRUD Operations
-    getAllItems() {
-        return [...this.items];
+    // CRUD Operations
+    getAllItems() {
+        return [...this.items];
+    }
+
+    getItemById(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    addItem(itemData, reason = 'New item') {
+        const { quantity, batchNumber, expiryDate, lots, locationId, unitCost, ...details } = itemData;
+        const today = new Date().toISOString().split('T')[0];
+        const initialLots = Array.isArray(lots) ? lots : [{ quantity, batchNumber, expiryDate, receivedDate: today, locationId, unitCost }];
+
+        const newItem = this.syncItemTotals({
+            ...details,
+            id: this.generateId(),
+            controlled: Boolean(details.controlled),
+            storageCondition: this.storageConditions[details.storageCondition] ? details.storageCondition : 'room-temperature',
+            stableDaysAfterOpening: this.normalizeStableDays(details.stableDaysAfterOpening),
+            ...this.normalizeUnits(details),
+            suppliers: this.normalizeSupplierLinks(details.suppliers),
+            locationThresholds: this.normalizeLocationThresholds(details.locationThresholds),
+            lots: [],
+            dateAdded: today,
+            lastUpdated: today
+        });
+        this.items.push(newItem);
+
+        // Opening stock is booked in as a receipt so the ledger accounts for it
+        initialLots.forEach(({ unit, ...lotData }) => this.receiveLot(newItem, {
+            ...lotData,
+            quantity: this.toBaseQuantity(newItem, lotData.quantity, unit),
+            unitCost: this.toBaseUnitCost(newItem, lotData.unitCost, unit)
+        }, reason));
+        this.logEvent('created', newItem, `${newItem.name} was added`, {
+            quantity: { before: 0, after: newItem.quantity }
+        });
+        this.saveToStorage();
+        return newItem;
+    }
+
+    updateItem(id, updates) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            // Quantities only change through the ledger; lot metadata can be edited here
+            const { quantity, batchNumber, expiryDate, lots, ...details } = updates;
+            const item = this.items[index];
+
+            // Edits post no witness, so a controlled item's stock can't move here; refuse before
+            // anything changes rather than leave the other edits half applied
+            const controlled = details.controlled !== undefined ? Boolean(details.controlled) : item.controlled;
+            if (controlled && this.editMovesStock(item, { ...details, quantity, lots })) {
+                throw new Error(`${item.name} is a controlled substance; change its stock through a witnessed register entry`);
+            }
+
+            const before = { ...item };
+            Object.assign(item, details, { lastUpdated: new Date().toISOString().split('T')[0] });
+            if (details.suppliers) {
+                item.suppliers = this.normalizeSupplierLinks(details.suppliers);
+            }
+            if (details.locationThresholds) {
+                item.locationThresholds = this.normalizeLocationThresholds(details.locationThresholds);
+            }
+            if (details.controlled !== undefined) {
+                item.controlled = Boolean(details.controlled);
+            }
+            if (details.storageCondition !== undefined && !this.storageConditions[details.storageCondition]) {
+                item.storageCondition = before.storageCondition;
+            }
+            if (details.stableDaysAfterOpening !== undefined) {
+                item.stableDaysAfterOpening = this.normalizeStableDays(details.stableDaysAfterOpening);
+                this.updateBeyondUseDates(item);
+            }
+            if (['unit', 'packSizes', 'displayUnit', 'quantityPrecision'].some(field => details[field] !== undefined)) {
+                Object.assign(item, this.normalizeUnits({ ...before, ...details }));
+            }
+
+            if (Array.isArray(lots)) {
+                this.applyLotUpdates(item, lots);
+            }
+
+            if (quantity !== undefined && quantity !== null && quantity !== '') {
+                this.postAdjustment(item, this.parseQuantity(item, quantity) - item.quantity, {
+                    reason: 'Quantity edited'
+                });
+            }
+
+            this.syncItemTotals(item);
+            this.logItemChanges(before, item);
+            this.saveToStorage();
+            return item;
+        }
+        return null;
+    }
+
+    // Whether an edit would post a ledger adjustment to the item's total or an existing lot
+    editMovesStock(item, { quantity, lots, ...details }) {
+        const units = { ...item, ...this.normalizeUnits({ ...item, ...details }) };
+        if (quantity !== undefined && quantity !== null && quantity !== '' && this.parseQuantity(units, quantity) !== item.quantity) {
+            return true;
+        }
+        return (Array.isArray(lots) ? lots : []).some(lotData => {
+            const lot = item.lots.find(existing => existing.id === lotData.id);
+            return lot && lotData.quantity !== undefined && this.parseQuantity(units, lotData.quantity) !== lot.quantity;
+        });
+    }
+
+    deleteItem(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index !== -1) {
+            const deletedItem = this.items.splice(index, 1)[0];
+            this.substituteGroups.forEach(group => {
+                group.itemIds = group.itemIds.filter(itemId => itemId !== id);
+            });
+            this.logEvent('deleted', deletedItem, `${deletedItem.name} was deleted`, {
+                quantity: { before: deletedItem.quantity, after: 0 }
+            });
+            this.saveToStorage();
+            return deletedItem;
+        }
+        return null;
+    }
+
+    updateQuantity(id, newQuantity, reason = 'Quantity set') {
+        const item = this.getItemById(id);
+        if (item) {
+            return this.adjustQuantity(id, Math.max(0, newQuantity) - item.quantity, { reason });
+        }
+        return null;
+    }
+
+    increaseQuantity(id, amount = 1, reason = 'Quantity increased') {
+        return this.adjustQuantity(id, amount, { reason });
+    }
+
+    decreaseQuantity(id, amount = 1, reason = 'Quantity decreased') {
+        const item = this.getItemById(id);
+        if (item) {
+            return this.adjustQuantity(id, -Math.min(amount, item.quantity), { reason });
+        }
+        return null;
+    }
+
+    // Spreads a quantity change over the item's lots and books it in the ledger
+    adjustQuantity(id, delta, { type = 'adjust', reason = '', witness = null } = {}) {
+        const item = this.getItemById(id);
+        if (!item) return null;
+
+        const before = item.quantity;
+        this.postAdjustment(item, delta, { type, reason, witness });
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.syncItemTotals(item);
+        this.logQuantityEvent(item, type, before, reason);
+        this.saveToStorage();
+        return item;
+    }
+
+    postAdjustment(item, delta, { type = 'adjust', reason = '', witness = null } = {}) {
+        return this.planLotAdjustment(item, delta).map(change =>
+            this.recordTransaction(item, { type, lotId: change.lotId, delta: change.delta, reason, witness })
+        );
+    }
+
+    // Units of Measure
+    // Stock is always held in the item's base unit (e.g. glove); pack sizes say how many base
+    // units each larger unit holds (box = 100, carton = 1000). Quantities can be entered in
+    // any of these units and are converted on the way in.
+    normalizeUnits({ unit, packSizes, displayUnit, quantityPrecision }) {
+        const baseUnit = String(unit || '').trim() || 'unit';
+        const packs = (Array.isArray(packSizes) ? packSizes : [])
+            .map(pack => ({ unit: String(pack.unit || '').trim(), factor: parseInt(pack.factor) }))
+            .filter(pack => pack.unit && pack.unit !== baseUnit && pack.factor > 1)
+            .filter((pack, index, all) => all.findIndex(other => other.unit === pack.unit) === index)
+            .sort((a, b) => a.factor - b.factor);
+
+        return {
+            unit: baseUnit,
+            packSizes: packs,
+            displayUnit: packs.some(pack => pack.unit === displayUnit) ? displayUnit : baseUnit,
+            quantityPrecision: this.normalizeQuantityPrecision(quantityPrecision)
+        };
+    }
+
+    // Decimal places an item's quantities are kept to; 0 for stock counted in whole units
+    normalizeQuantityPrecision(value) {
+        const precision = parseInt(value);
+        return isNaN(precision) ? 0 : Math.min(this.maxQuantityPrecision, Math.max(0, precision));
+    }
+
+    getQuantityPrecision(item) {
+        return item ? this.normalizeQuantityPrecision(item.quantityPrecision) : this.maxQuantityPrecision;
+    }
+
+    // Scaled values go through toPrecision first so 1.005 rounds to 1.01 rather than 1.00
+    roundQuantity(value, precision = this.maxQuantityPrecision) {
+        const scale = Math.pow(10, precision);
+        return Math.round(parseFloat((Number(value) * scale).toPrecision(12))) / scale;
+    }
+
+    // An entered quantity, never negative, rounded to the item's decimal places
+    parseQuantity(item, value) {
+        return Math.max(0, this.roundQuantity(parseFloat(value) || 0, this.getQuantityPrecision(item)));
+    }
+
+    // For checks run before anything is written: a quantity with more decimal places than the
+    // item is counted in would otherwise be rounded silently
+    assertQuantityPrecision(item, quantity) {
+        const precision = this.getQuantityPrecision(item);
+        if (this.roundQuantity(quantity, precision) !== this.roundQuantity(quantity)) {
+            throw new Error(precision === 0
+                ? `${item.name} is counted in whole ${this.getUnitLabel(item.unit || 'unit', 2)}`
+                : `${item.name} quantities can have at most ${precision} decimal place${precision === 1 ? '' : 's'}`);
+        }
+    }
+
+    // Adds in whole thousandths so decimal quantities don't drift (0.1 + 0.2 stays 0.3)
+    sumQuantities(values) {
+        const scale = Math.pow(10, this.maxQuantityPrecision);
+        return values.reduce((total, value) => total + Math.round(value * scale), 0) / scale;
+    }
+
+    // The base unit first, then each pack size from smallest to largest
+    getItemUnits(item) {
+        return [{ unit: item.unit || 'unit', factor: 1 }, ...(item.packSizes || [])];
+    }
+
+    getUnitFactor(item, unit) {
+        if (!unit) return 1;
+        const match = this.getItemUnits(item).find(candidate => candidate.unit === unit);
+        return match ? match.factor : null;
+    }
+
+    toBaseQuantity(item, quantity, unit) {
+        const factor = this.getUnitFactor(item, unit);
+        if (factor === null) {
+            throw new Error(`${item.name} has no unit called ${unit}`);
+        }
+        return this.parseQuantity(item, Math.max(0, parseFloat(quantity) || 0) * factor);
+    }
+
+    getUnitLabel(unit, count) {
+        if (count === 1 || this.unitAbbreviations.includes(unit.toLowerCase())) return unit;
+        if (/(s|x|z|ch|sh)$/i.test(unit)) return `${unit}es`;
+        if (/[^aeiou]y$/i.test(unit)) return `${unit.slice(0, -1)}ies`;
+        return `${unit}s`;
+    }
+
+    // Whole units of the chosen size with any remainder in base units, e.g. "3 boxes + 20 gloves"
+    formatQuantity(item, quantity, unit = item.displayUnit) {
+        const baseUnit = item.unit || 'unit';
+        const factor = this.getUnitFactor(item, unit) || 1;
+        if (factor === 1 || quantity < factor) {
+            return `${quantity} ${this.getUnitLabel(baseUnit, quantity)}`;
+        }
+
+        const packs = Math.floor(quantity / factor);
+        const remainder = this.roundQuantity(quantity - packs * factor);
+        return `${packs} ${this.getUnitLabel(unit, packs)}` +
+            (remainder > 0 ? ` + ${remainder} ${this.getUnitLabel(baseUnit, remainder)}` : '');
+    }
+
+    // Lot Management
+    // The quantity and unit cost may be given in any of the item's units and are stored per base unit
+    addLot(itemId, { unit, ...lotData }, reason = 'Lot received', reference = null) {
+        const item = this.getItemById(itemId);
+        if (!item) return null;
+
+        const before = item.quantity;
+        this.receiveLot(item, {
+            ...lotData,
+            quantity: this.toBaseQuantity(item, lotData.quantity, unit),
+            unitCost: this.toBaseUnitCost(item, lotData.unitCost, unit)
+        }, reason, reference);
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.syncItemTotals(item);
+        this.logQuantityEvent(item, 'receive', before, reason);
+        this.saveToStorage();
+        return item;
+    }
+
+    // Creates an empty lot and books its stock in with a receive transaction
+    receiveLot(item, lotData, reason = 'Lot received', reference = null) {
+        const lot = this.createLot({ ...lotData, quantity: 0 });
+        item.lots.push(lot);
+        this.quarantineIfRecalled(item, lot);
+
+        const quantity = this.parseQuantity(item, lotData.quantity);
+        if (quantity > 0) {
+            this.recordTransaction(item, { type: 'receive', lotId: lot.id, delta: quantity, reason, reference });
+        }
+        return lot;
+    }
+
+    // Applies edited lot details; quantity differences are booked as adjustments
+    applyLotUpdates(item, lots) {
+        lots.forEach(lotData => {
+            const lot = item.lots.find(existing => existing.id === lotData.id);
+            if (!lot) {
+                this.receiveLot(item, lotData);
+                return;
+            }
+
+            const { quantity, ...details } = lotData;
+            Object.assign(lot, details);
+
+            const delta = this.parseQuantity(item, quantity) - lot.quantity;
+            if (quantity !== undefined && delta !== 0) {
+                this.recordTransaction(item, { type: 'adjust', lotId: lot.id, delta, reason: 'Lot quantity edited' });
+            }
+        });
+    }
+
+    getLot(itemId, lotId) {
+        const item = this.getItemById(itemId);
+        return item ? item.lots.find(lot => lot.id === lotId) || null : null;
+    }
+
+    createLot(lotData = {}) {
+        return {
+            ...lotData,
+            id: lotData.id || this.generateId(),
+            batchNumber: lotData.batchNumber || '',
+            quantity: Math.max(0, this.roundQuantity(parseFloat(lotData.quantity) || 0)),
+            unitCost: this.normalizeUnitCost(lotData.unitCost),
+            expiryDate: lotData.expiryDate || '',
+            receivedDate: lotData.receivedDate || new Date().toISOString().split('T')[0],
+            locationId: this.getLocationById(lotData.locationId) ? lotData.locationId : this.getDefaultLocationId(),
+            status: this.lotStatuses.includes(lotData.status) ? lotData.status : 'available',
+            holdReason: lotData.holdReason || '',
+            recallId: lotData.recallId || null,
+            statusDate: lotData.statusDate || null,
+            statusBy: lotData.statusBy || null,
+            openedDate: lotData.openedDate || null,
+            openedBy: lotData.openedBy || null,
+            beyondUseDate: lotData.beyondUseDate || null
+        };
+    }
+
+    // Stock Ledger
+    // Append-only: entries are frozen when written and there is no update or delete
+    recordTransaction(item, { type, lotId, delta, reason = '', reference = null, user = this.getCurrentUser(), witness = null }) {
+        if (!this.transactionTypes.includes(type)) {
+            throw new Error(`Unknown transaction type: ${type}`);
+        }
+
+        if (item.controlled && this.witnessedTransactionTypes.includes(type)) {
+            this.assertWitnessed(item, { reason, user, witness });
+        }
+
+        const lot = item.lots.find(existing => existing.id === lotId);
+        if (!lot) {
+            throw new Error(`Lot ${lotId} not found for ${item.name}`);
+        }
+
+        // Deltas worked out from decimal quantities can carry float noise such as 0.30000000000000004
+        const change = this.roundQuantity(delta);
+        const balance = this.sumQuantities([lot.quantity, change]);
+        if (balance < 0) {
+            throw new Error(`Insufficient stock in ${this.getLotLabel(lot)} of ${item.name}`);
+        }
+
+        lot.quantity = balance;
+        this.syncItemTotals(item);
+
+        const entry = Object.freeze({
+            id: this.generateId(),
+            itemId: item.id,
+            itemName: item.name,
+            lotId,
+            batchNumber: lot.batchNumber,
+            locationId: lot.locationId,
+            type,
+            delta: change,
+            lotBalance: lot.quantity,
+            balance: item.quantity,
+            reason,
+            reference,
+            user,
+            witness: witness || null,
+            timestamp: new Date().toISOString()
+        });
+        this.transactions.push(entry);
+        return entry;
+    }
+
+    getTransactions({ itemId, lotId, type } = {}) {
+        return this.transactions.filter(entry =>
+            (!itemId || entry.itemId === itemId) &&
+            (!lotId || entry.lotId === lotId) &&
+            (!type || entry.type === type)
+        );
+    }
+
+    getLedgerQuantity(itemId, lotId = null) {
+        return this.sumQuantities(this.getTransactions({ itemId, lotId }).map(entry => entry.delta));
+    }
+
+    // Resets every lot to the balance its ledger entries add up to
+    rebuildQuantitiesFromLedger() {
+        this.items.forEach(item => {
+            item.lots.forEach(lot => {
+                lot.quantity = this.getLedgerQuantity(item.id, lot.id);
+            });
+            this.syncItemTotals(item);
+        });
+        this.saveToStorage();
+    }
+
+    // Books the stock already on hand into an empty ledger
+    recordOpeningBalances(reason = 'Opening balance') {
+        this.items.forEach(item => {
+            item.lots.forEach(lot => {
+                const quantity = lot.quantity;
+                lot.quantity = 0;
+                if (quantity > 0) {
+                    this.recordTransaction(item, { type: 'receive', lotId: lot.id, delta: quantity, reason });
+                }
+            });
+            this.syncItemTotals(item);
+        });
+        this.saveToStorage();
+    }
+
+    getCurrentUser() {
+        return localStorage.getItem('clinicInventoryUser') || 'Clinic Staff';
+    }
+
+    setCurrentUser(name) {
+        localStorage.setItem('clinicInventoryUser', name);
+    }
+
+    // Dispensing
+    // First-expired-first-out: units come from the soonest-expiring lot and spill
+    // into the next one. Expired lots are skipped unless allowExpired is set, and
+    // nothing is taken when the request cannot be filled in full.
+    dispense(id, amount, { allowExpired = false, reason = 'Dispensed', locationId = null, witness = null, unit = null } = {}) {
+        const item = this.getItemById(id);
+        if (!item) return null;
+
+        const requested = this.toBaseQuantity(item, amount, unit);
+        const plan = this.planDispense(item, requested, allowExpired, locationId);
+        if (requested <= 0 || plan.shortfall > 0) {
+            return { item, requested, breakdown: [], shortfall: plan.shortfall, available: plan.available };
+        }
+
+        const before = item.quantity;
+        plan.breakdown.forEach(pick => {
+            this.recordTransaction(item, { type: 'dispense', lotId: pick.lotId, delta: -pick.quantity, reason, witness });
+        });
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.logQuantityEvent(item, 'dispense', before, reason);
+        this.saveToStorage();
+
+        return {
+            item,
+            requested,
+            breakdown: plan.breakdown,
+            shortfall: 0,
+            available: plan.available
+        };
+    }
+
+    // Works out which lots a dispense would draw from without changing anything.
+    // With a location only the lots kept there are considered.
+    planDispense(item, amount, allowExpired = false, locationId = null) {
+        const lots = this.getDispensableLots(item, allowExpired)
+            .filter(lot => !locationId || lot.locationId === locationId);
+        const breakdown = [];
+        let remaining = Math.max(0, amount);
+
+        for (const lot of lots) {
+            if (remaining === 0) break;
+            const taken = Math.min(lot.quantity, remaining);
+            breakdown.push({
+                lotId: lot.id,
+                batchNumber: lot.batchNumber,
+                expiryDate: lot.expiryDate,
+                locationId: lot.locationId,
+                expired: this.isExpired(this.getLotExpiry(lot)),
+                quantity: taken
+            });
+            remaining = this.roundQuantity(remaining - taken);
+        }
+
+        return { breakdown, shortfall: remaining, available: this.sumLots(lots) };
+    }
+
+    getDispensableLots(item, allowExpired = false) {
+        return this.getSortedLots(item).filter(lot =>
+            !this.isLotHeld(lot) &&
+            (allowExpired || !this.isExpired(this.getLotExpiry(lot)))
+        );
+    }
+
+    getDispensableQuantity(item, allowExpired = false) {
+        return this.sumLots(this.getDispensableLots(item, allowExpired));
+    }
+
+    // Lot Status
+    isLotHeld(lot) {
+        return this.heldLotStatuses.includes(lot.status);
+    }
+
+    // Held stock for the item, or for one location
+    getQuarantinedQuantity(item, locationId = null) {
+        const lots = locationId ? this.getLocationLots(item, locationId) : item.lots;
+        return this.sumLots(lots.filter(lot => this.isLotHeld(lot)));
+    }
+
+    // On hand less held stock; expired lots are still included
+    getAvailableQuantity(item, locationId = null) {
+        const onHand = locationId ? this.getLocationQuantity(item, locationId) : item.quantity;
+        return this.roundQuantity(this.sumQuantities([onHand, -this.getQuarantinedQuantity(item, locationId)]), this.getQuantityPrecision(item));
+    }
+
+    // A lot is put on hold, then released back to stock or rejected; a lot held by an
+    // open recall stays quarantined until the recall is closed out
+    setLotStatus(itemId, lotId, { status, reason = '' } = {}) {
+        const item = this.getItemById(itemId);
+        const lot = item ? item.lots.find(candidate => candidate.id === lotId) : null;
+        if (!lot) return null;
+
+        if (!(this.lotStatusTransitions[lot.status] || []).includes(status)) {
+            throw new Error(`A ${lot.status} lot can't be changed to ${status}`);
+        }
+        const recall = lot.recallId ? this.getRecallById(lot.recallId) : null;
+        if (recall && recall.status === 'open') {
+            throw new Error(`${this.getLotLabel(lot)} is held by recall ${recall.number}`);
+        }
+
+        const before = lot.status;
+        lot.status = status;
+        lot.holdReason = reason;
+        lot.statusDate = new Date().toISOString();
+        lot.statusBy = this.getCurrentUser();
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+
+        this.logEvent('lot-status-changed', item,
+            `${item.name} (${this.getLotLabel(lot)}) ${status}${reason ? ` (${reason})` : ''}`,
+            { lotStatus: { before, after: status } });
+        this.saveToStorage();
+        return item;
+    }
+
+    // Lots sorted by effective expiry date, soonest first; lots without a date sort last.
+    // Opened containers sort by their beyond-use date, so they are used up first.
+    getSortedLots(item, includeEmpty = false) {
+        return item.lots
+            .filter(lot => includeEmpty || lot.quantity > 0)
+            .sort((a, b) => {
+                if (!this.getLotExpiry(a)) return 1;
+                if (!this.getLotExpiry(b)) return -1;
+                return new Date(this.getLotExpiry(a)) - new Date(this.getLotExpiry(b));
+            });
+    }
+
+    // Opened Containers
+    // An opened container is only stable for the item's stableDaysAfterOpening; it expires on
+    // whichever comes first, its beyond-use date or the printed expiry date
+    getLotExpiry(lot) {
+        if (lot.beyondUseDate && (!lot.expiryDate || lot.beyondUseDate < lot.expiryDate)) {
+            return lot.beyondUseDate;
+        }
+        return lot.expiryDate;
+    }
+
+    // True when the beyond-use date comes before the printed expiry
+    usesBeyondUseDate(lot) {
+        return Boolean(lot.beyondUseDate) && this.getLotExpiry(lot) === lot.beyondUseDate;
+    }
+
+    getBeyondUseDate(item, openedDate) {
+        if (!item.stableDaysAfterOpening || !openedDate) return null;
+
+        const date = new Date(`${openedDate}T00:00:00`);
+        date.setDate(date.getDate() + item.stableDaysAfterOpening);
+        return date.toISOString().split('T')[0];
+    }
+
+    normalizeStableDays(value) {
+        const days = parseInt(value);
+        return days > 0 ? days : null;
+    }
+
+    // Recomputes the beyond-use dates of opened lots after the item's stability period changes
+    updateBeyondUseDates(item) {
+        item.lots
+            .filter(lot => lot.openedDate)
+            .forEach(lot => { lot.beyondUseDate = this.getBeyondUseDate(item, lot.openedDate); });
+        this.syncItemTotals(item);
+    }
+
+    // Opening one container of a lot holding several splits it off into its own lot, so the
+    // rest of the lot keeps its printed expiry. A lot of one container is marked opened as is.
+    openContainer(itemId, lotId, openedDate = new Date().toISOString().split('T')[0]) {
+        const item = this.getItemById(itemId);
+        const lot = item ? item.lots.find(candidate => candidate.id === lotId) : null;
+        if (!lot) return null;
+
+        if (!item.stableDaysAfterOpening) {
+            throw new Error(`${item.name} has no stability period after opening`);
+        }
+        if (lot.openedDate) {
+            throw new Error(`${this.getLotLabel(lot)} is already open`);
+        }
+        if (lot.quantity === 0) {
+            throw new Error(`${this.getLotLabel(lot)} of ${item.name} has no stock`);
+        }
+        if (this.isLotHeld(lot)) {
+            throw new Error(`${this.getLotLabel(lot)} is ${lot.status} (${lot.holdReason})`);
+        }
+
+        const opened = {
+            openedDate,
+            openedBy: this.getCurrentUser(),
+            beyondUseDate: this.getBeyondUseDate(item, openedDate)
+        };
+
+        let openedLot = lot;
+        if (lot.quantity > 1) {
+            const { id, quantity, ...details } = lot;
+            openedLot = this.createLot({ ...details, ...opened, quantity: 0 });
+            item.lots.push(openedLot);
+            this.recordTransaction(item, { type: 'transfer', lotId: lot.id, delta: -1, reason: 'Container opened' });
+            this.recordTransaction(item, { type: 'transfer', lotId: openedLot.id, delta: 1, reason: 'Container opened' });
+        } else {
+            Object.assign(lot, opened);
+        }
+
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.syncItemTotals(item);
+        this.logEvent('container-opened', item,
+            `${item.name} (${this.getLotLabel(lot)}) opened, use by ${this.formatDate(openedLot.beyondUseDate)}`);
+        this.saveToStorage();
+        return { item, lot: openedLot };
+    }
+
+    // Adds stock to the most recently received lot, removes it from the soonest-expiring lots
+    planLotAdjustment(item, delta) {
+        if (delta > 0) {
+            if (item.lots.length === 0) {
+                item.lots.push(this.createLot({ quantity: 0 }));
+            }
+            const latestLot = [...item.lots].sort((a, b) =>
+                new Date(b.receivedDate) - new Date(a.receivedDate)
+            )[0];
+            return [{ lotId: latestLot.id, delta }];
+        }
+
+        const changes = [];
+        let remaining = -delta;
+        this.getSortedLots(item).forEach(lot => {
+            const taken = Math.min(lot.quantity, remaining);
+            if (taken > 0) {
+                changes.push({ lotId: lot.id, delta: -taken });
+                remaining = this.roundQuantity(remaining - taken);
+            }
+        });
+        return changes;
+    }
+
+    sumLots(lots) {
+        return this.sumQuantities(lots.map(lot => lot.quantity));
+    }
+
+    // Recomputes the fields derived from an item's lots
+    syncItemTotals(item) {
+        item.quantity = this.sumLots(item.lots);
+        const nextLot = this.getSortedLots(item)[0] || this.getSortedLots(item, true)[0];
+        item.expiryDate = nextLot ? this.getLotExpiry(nextLot) : '';
+        return item;
+    }
+
+    // Upgrades single-batch records (batchNumber/expiryDate on the item) to the lot model
+    normalizeItem(item) {
+        const { batchNumber, expiryDate, ...details } = item;
+        const lots = Array.isArray(item.lots) ? item.lots : [{
+            id: `${item.id}-1`,
+            batchNumber,
+            quantity: item.quantity,
+            expiryDate,
+            receivedDate: item.dateAdded
+        }];
+        return this.syncItemTotals({
+            ...details,
+            controlled: Boolean(item.controlled),
+            storageCondition: this.storageConditions[item.storageCondition] ? item.storageCondition : 'room-temperature',
+            stableDaysAfterOpening: this.normalizeStableDays(item.stableDaysAfterOpening),
+            ...this.normalizeUnits(item),
+            suppliers: this.normalizeSupplierLinks(item.suppliers),
+            locationThresholds: this.normalizeLocationThresholds(item.locationThresholds),
+            lots: lots.map(lot => this.createLot(lot))
+        });
+    }
+
+    // Storage Locations
+    getAllLocations() {
+        return [...this.locations];
+    }
+
+    getLocationById(id) {
+        return this.locations.find(location => location.id === id);
+    }
+
+    // Deliveries and lots without a location go to the first location in the list
+    getDefaultLocationId() {
+        return this.locations.length > 0 ? this.locations[0].id : null;
+    }
+
+    addLocation(locationData) {
+        const location = this.createLocation({ ...locationData, id: this.generateId() });
+        this.locations.push(location);
+        this.saveToStorage();
+        return location;
+    }
+
+    updateLocation(id, updates) {
+        const location = this.getLocationById(id);
+        if (!location) return null;
+
+        Object.assign(location, this.createLocation({ ...location, ...updates, id }));
+        this.saveToStorage();
+        return location;
+    }
+
+    // Only empty locations with no open transfers can go; their empty lots move to the
+    // default location
+    deleteLocation(id) {
+        const index = this.locations.findIndex(location => location.id === id);
+        if (index === -1 || this.locations.length === 1) return null;
+
+        const location = this.locations[index];
+        if (this.items.some(item => this.getLocationQuantity(item, id) > 0)) {
+            throw new Error(`${location.name} still holds stock`);
+        }
+        const openTransfer = this.getTransfers({ locationId: id })
+            .find(transfer => ['requested', 'dispatched'].includes(transfer.status));
+        if (openTransfer) {
+            throw new Error(`${location.name} is on open transfer ${openTransfer.number}`);
+        }
+
+        const deletedLocation = this.locations.splice(index, 1)[0];
+        this.items.forEach(item => {
+            item.lots
+                .filter(lot => lot.locationId === id)
+                .forEach(lot => { lot.locationId = this.getDefaultLocationId(); });
+            delete item.locationThresholds[id];
+        });
+        this.saveToStorage();
+        return deletedLocation;
+    }
+
+    createLocation(locationData) {
+        return {
+            id: locationData.id,
+            name: (locationData.name || '').trim(),
+            type: locationData.type || 'other',
+            description: locationData.description || '',
+            departmentId: this.getDepartmentById(locationData.departmentId) ? locationData.departmentId : null,
+            // Fridges default to 2-8°C; everything else to room temperature
+            storageCondition: this.storageConditions[locationData.storageCondition]
+                ? locationData.storageCondition
+                : locationData.type === 'fridge' ? 'refrigerated' : 'room-temperature'
+        };
+    }
+
+    // Per-location thresholds keyed by location id; blank or unknown entries are dropped
+    normalizeLocationThresholds(thresholds = {}) {
+        return Object.entries(thresholds || {}).reduce((normalized, [locationId, value]) => {
+            if (value !== '' && value !== null && !isNaN(parseFloat(value)) && this.getLocationById(locationId)) {
+                normalized[locationId] = Math.max(0, this.roundQuantity(parseFloat(value)));
+            }
+            return normalized;
+        }, {});
+    }
+
+    getLocationLots(item, locationId) {
+        return item.lots.filter(lot => lot.locationId === locationId);
+    }
+
+    getLocationQuantity(item, locationId) {
+        return this.sumLots(this.getLocationLots(item, locationId));
+    }
+
+    getLocationThreshold(item, locationId) {
+        const threshold = (item.locationThresholds || {})[locationId];
+        return threshold === undefined ? null : threshold;
+    }
+
+    // Where an item is kept: every location holding stock or with a threshold set
+    getItemLocationStock(item) {
+        return this.locations
+            .map(location => {
+                const quantity = this.getLocationQuantity(item, location.id);
+                const threshold = this.getLocationThreshold(item, location.id);
+                return {
+                    locationId: location.id,
+                    locationName: location.name,
+                    quantity,
+                    lotCount: this.getLocationLots(item, location.id).filter(lot => lot.quantity > 0).length,
+                    threshold,
+                    lowStock: threshold !== null && quantity <= threshold
+                };
+            })
+            .filter(entry => entry.quantity > 0 || entry.threshold !== null);
+    }
+
+    // Items at or below their threshold for a location, each with the location figures attached
+    getLocationLowStockItems(locationId = null) {
+        return this.items.flatMap(item =>
+            this.getItemLocationStock(item)
+                .filter(entry => entry.lowStock && (!locationId || entry.locationId === locationId))
+                .map(entry => ({ ...item, locationStock: entry }))
+        );
+    }
+
+    // Totals per location for the dashboard breakdown
+    getLocationSummary() {
+        return this.locations.map(location => {
+            const stocked = this.items.filter(item => this.getLocationQuantity(item, location.id) > 0);
+            return {
+                locationId: location.id,
+                name: location.name,
+                type: location.type,
+                itemCount: stocked.length,
+                totalUnits: this.sumQuantities(this.items.map(item => this.getLocationQuantity(item, location.id))),
+                inTransitUnits: this.sumQuantities(this.items.map(item => this.getInTransitQuantity(item.id, location.id))),
+                lowStockCount: this.getLocationLowStockItems(location.id).length
+            };
+        });
+    }
+
+    // Supplier Management
+    getAllSuppliers() {
+        return [...this.suppliers];
+    }
+
+    getSupplierById(id) {
+        return this.suppliers.find(supplier => supplier.id === id);
+    }
+
+    addSupplier(supplierData) {
+        const supplier = this.createSupplier({ ...supplierData, id: this.generateId() });
+        this.suppliers.push(supplier);
+        this.saveToStorage();
+        return supplier;
+    }
+
+    updateSupplier(id, updates) {
+        const supplier = this.getSupplierById(id);
+        if (!supplier) return null;
+
+        Object.assign(supplier, this.createSupplier({ ...supplier, ...updates, id }));
+        this.saveToStorage();
+        return supplier;
+    }
+
+    // Items keep their other suppliers; the next one in line becomes preferred
+    deleteSupplier(id) {
+        const index = this.suppliers.findIndex(supplier => supplier.id === id);
+        if (index === -1) return null;
+
+        const deletedSupplier = this.suppliers.splice(index, 1)[0];
+        this.getSupplierItems(id).forEach(item => {
+            item.suppliers = this.normalizeSupplierLinks(item.suppliers.filter(link => link.supplierId !== id));
+        });
+        this.saveToStorage();
+        return deletedSupplier;
+    }
+
+    createSupplier(supplierData) {
+        const contacts = Array.isArray(supplierData.contacts) ? supplierData.contacts : [];
+        return {
+            id: supplierData.id,
+            name: (supplierData.name || '').trim(),
+            contacts: contacts
+                .filter(contact => contact.name || contact.phone || contact.email)
+                .map(contact => ({
+                    name: contact.name || '',
+                    role: contact.role || '',
+                    phone: contact.phone || '',
+                    email: contact.email || ''
+                })),
+            accountNumber: supplierData.accountNumber || '',
+            leadTimeDays: Math.max(0, parseInt(supplierData.leadTimeDays) || 0),
+            minimumOrderQuantity: Math.max(0, parseInt(supplierData.minimumOrderQuantity) || 0),
+            paymentTerms: supplierData.paymentTerms || ''
+        };
+    }
+
+    // One link per supplier, and exactly one preferred link whenever an item has any
+    normalizeSupplierLinks(links = []) {
+        const unique = (Array.isArray(links) ? links : [])
+            .filter((link, index, all) => link.supplierId && all.findIndex(other => other.supplierId === link.supplierId) === index);
+        const preferredIndex = Math.max(0, unique.findIndex(link => link.preferred));
+
+        return unique.map((link, index) => ({
+            supplierId: link.supplierId,
+            sku: link.sku || '',
+            unitCost: this.normalizeUnitCost(link.unitCost),
+            preferred: index === preferredIndex
+        }));
+    }
+
+    // Supplier links joined with the supplier record, preferred first
+    getItemSuppliers(item) {
+        return (item.suppliers || [])
+            .map(link => ({ ...link, supplier: this.getSupplierById(link.supplierId) }))
+            .filter(link => link.supplier)
+            .sort((a, b) => b.preferred - a.preferred);
+    }
+
+    getPreferredSupplier(item) {
+        const link = this.getItemSuppliers(item).find(candidate => candidate.preferred);
+        return link ? link.supplier : null;
+    }
+
+    getSupplierItems(supplierId) {
+        return this.items.filter(item => (item.suppliers || []).some(link => link.supplierId === supplierId));
+    }
+
+    // Purchase Orders
+    // draft -> submitted -> partially-received -> received; drafts and open orders can be cancelled
+    getPurchaseOrders({ status, supplierId } = {}) {
+        return this.purchaseOrders.filter(order =>
+            (!status || order.status === status) &&
+            (!supplierId || order.supplierId === supplierId)
+        );
+    }
+
+    getPurchaseOrderById(id) {
+        return this.purchaseOrders.find(order => order.id === id);
+    }
+
+    createPurchaseOrder({ supplierId, departmentId = null, lines = [], notes = '' }) {
+        const supplier = this.getSupplierById(supplierId);
+        if (!supplier) {
+            throw new Error('Unknown supplier');
+        }
+
+        const order = {
+            id: this.generateId(),
+            number: this.getNextPurchaseOrderNumber(),
+            supplierId,
+            supplierName: supplier.name,
+            departmentId: null,
+            departmentName: '',
+            status: 'draft',
+            lines: [],
+            notes,
+            createdDate: new Date().toISOString(),
+            submittedDate: null,
+            closedDate: null,
+            createdBy: this.getCurrentUser(),
+            overBudget: false
+        };
+        order.lines = this.createPurchaseOrderLines(order, lines);
+        this.chargePurchaseOrder(order, departmentId);
+
+        this.purchaseOrders.push(order);
+        this.saveToStorage();
+        return order;
+    }
+
+    // Only drafts can have their lines or department changed
+    updatePurchaseOrder(id, { lines, notes, departmentId }) {
+        const order = this.getPurchaseOrderById(id);
+        if (!order) return null;
+        this.assertPurchaseOrderStatus(order, ['draft']);
+
+        if (Array.isArray(lines)) order.lines = this.createPurchaseOrderLines(order, lines);
+        if (notes !== undefined) order.notes = notes;
+        if (departmentId !== undefined) this.chargePurchaseOrder(order, departmentId);
+        this.saveToStorage();
+        return order;
+    }
+
+    deletePurchaseOrder(id) {
+        const order = this.getPurchaseOrderById(id);
+        if (!order) return null;
+        this.assertPurchaseOrderStatus(order, ['draft']);
+
+        this.purchaseOrders = this.purchaseOrders.filter(candidate => candidate.id !== id);
+        this.saveToStorage();
+        return order;
+    }
+
+    submitPurchaseOrder(id) {
+        const order = this.getPurchaseOrderById(id);
+        if (!order) return null;
+        this.assertPurchaseOrderStatus(order, ['draft']);
+
+        if (order.lines.length === 0) {
+            throw new Error(`${order.number} has no lines to order`);
+        }
+
+        const budgetCheck = this.getPurchaseOrderBudgetCheck(order);
+        if (budgetCheck && budgetCheck.exceeds && this.settings.budgetPolicy === 'block') {
+            throw new Error(`${order.number} would take ${budgetCheck.departmentName} over its budget`);
+        }
+
+        order.overBudget = Boolean(budgetCheck && budgetCheck.exceeds);
+        order.status = 'submitted';
+        order.submittedDate = new Date().toISOString();
+        this.saveToStorage();
+        return order;
+    }
+
+    // Cancelling a partially received order closes it short; stock already received stays
+    cancelPurchaseOrder(id) {
+        const order = this.getPurchaseOrderById(id);
+        if (!order) return null;
+        this.assertPurchaseOrderStatus(order, ['draft', 'submitted', 'partially-received']);
+
+        order.status = 'cancelled';
+        order.closedDate = new Date().toISOString();
+        this.saveToStorage();
+        return order;
+    }
+
+    // Each receipt becomes a new lot booked in through the ledger. Receiving more or
+    // less than ordered is allowed; the difference stays visible on the line. Every
+    // receipt is checked before any lot is booked in, so a bad line receives nothing.
+    receivePurchaseOrder(id, receipts) {
+        const order = this.getPurchaseOrderById(id);
+        if (!order) return null;
+        this.assertPurchaseOrderStatus(order, ['submitted', 'partially-received']);
+
+        const plans = receipts.map(receipt => {
+            const line = order.lines.find(candidate => candidate.id === receipt.lineId);
+            if (!line) {
+                throw new Error(`Line ${receipt.lineId} is not on ${order.number}`);
+            }
+
+            const lineItem = this.getItemById(line.itemId);
+            if (!lineItem) {
+                throw new Error(`${line.itemName} no longer exists`);
+            }
+
+            const quantity = this.toBaseQuantity(lineItem, receipt.quantity, receipt.unit);
+            this.assertQuantityPrecision(lineItem, (parseFloat(receipt.quantity) || 0) * this.getUnitFactor(lineItem, receipt.unit));
+            return { receipt, line, quantity };
+        }).filter(plan => plan.quantity > 0);
+
+        plans.forEach(({ receipt, line, quantity }) => {
+            const item = this.addLot(line.itemId, {
+                batchNumber: receipt.batchNumber,
+                expiryDate: receipt.expiryDate,
+                locationId: receipt.locationId,
+                quantity,
+                unitCost: line.unitCost
+            }, `Received on ${order.number}`, order.number);
+
+            line.quantityReceived = this.sumQuantities([line.quantityReceived, quantity]);
+            line.receipts.push({
+                lotId: item.lots[item.lots.length - 1].id,
+                batchNumber: receipt.batchNumber || '',
+                expiryDate: receipt.expiryDate || '',
+                quantity,
+                receivedDate: new Date().toISOString(),
+                user: this.getCurrentUser()
+            });
+        });
+
+        const fullyReceived = order.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+        order.status = fullyReceived ? 'received' : 'partially-received';
+        if (fullyReceived) order.closedDate = new Date().toISOString();
+
+        this.saveToStorage();
+        return order;
+    }
+
+    // Lines where the quantity received differs from the quantity ordered
+    getPurchaseOrderVariances(order) {
+        return order.lines
+            .map(line => ({ ...line, variance: this.roundQuantity(line.quantityReceived - line.quantityOrdered) }))
+            .filter(line => line.variance !== 0 && (line.variance > 0 || ['received', 'cancelled'].includes(order.status)));
+    }
+
+    // Builds one draft per preferred supplier from the items that are low or out of stock.
+    // Items already on an open order, or with no supplier, are left out.
+    buildDraftPurchaseOrders() {
+        const candidates = [...this.getLowStockItems(), ...this.filterByStatus('out-of-stock')]
+            .filter(item => this.getOnOrderQuantity(item.id) === 0);
+        const unassigned = candidates.filter(item => !this.getPreferredSupplier(item));
+        const bySupplier = candidates.reduce((groups, item) => {
+            const supplier = this.getPreferredSupplier(item);
+            if (supplier) {
+                groups[supplier.id] = groups[supplier.id] || [];
+                groups[supplier.id].push(item);
+            }
+            return groups;
+        }, {});
+
+        const orders = Object.entries(bySupplier).map(([supplierId, items]) =>
+            this.createPurchaseOrder({
+                supplierId,
+                lines: items.map(item => ({
+                    itemId: item.id,
+                    quantityOrdered: this.getSuggestedOrderQuantity(item, this.getSupplierById(supplierId))
+                })),
+                notes: 'Drafted from low stock'
+            })
+        );
+
+        return { orders, unassigned };
+    }
+
+    // Uses the item's planned reorder quantity when it has one, otherwise tops it up
+    // to twice its threshold; either way the supplier's minimum order applies
+    getSuggestedOrderQuantity(item, supplier) {
+        const threshold = item.lowStockThreshold || this.lowStockThreshold;
+        const quantity = item.reorderQuantity || Math.max(1, threshold * 2 - item.quantity);
+        return Math.max(quantity, supplier ? supplier.minimumOrderQuantity : 0);
+    }
+
+    // Units ordered but not yet received on open orders
+    getOnOrderQuantity(itemId) {
+        return this.purchaseOrders
+            .filter(order => ['draft', 'submitted', 'partially-received'].includes(order.status))
+            .flatMap(order => order.lines)
+            .filter(line => line.itemId === itemId)
+            .map(line => Math.max(0, this.roundQuantity(line.quantityOrdered - line.quantityReceived)))
+            .reduce((total, outstanding) => this.sumQuantities([total, outstanding]), 0);
+    }
+
+    createPurchaseOrderLines(order, lines) {
+        return lines.map(lineData => {
+            const item = this.getItemById(lineData.itemId);
+            if (!item) {
+                throw new Error(`Unknown item ${lineData.itemId}`);
+            }
+
+            const link = (item.suppliers || []).find(candidate => candidate.supplierId === order.supplierId);
+            const existing = order.lines.find(line => line.id === lineData.id);
+            return {
+                id: lineData.id || this.generateId(),
+                itemId: item.id,
+                itemName: item.name,
+                supplierSku: lineData.supplierSku ?? link?.sku ?? '',
+                unitCost: lineData.unitCost ?? link?.unitCost ?? null,
+                quantityOrdered: this.parseQuantity(item, lineData.quantityOrdered) || 1,
+                quantityReceived: existing ? existing.quantityReceived : 0,
+                receipts: existing ? existing.receipts : []
+            };
+        });
+    }
+
+    // The department name is kept on the order so it still reads correctly if the department goes
+    chargePurchaseOrder(order, departmentId) {
+        const department = this.getDepartmentById(departmentId);
+        order.departmentId = department ? department.id : null;
+        order.departmentName = department ? department.name : '';
+    }
+
+    getNextPurchaseOrderNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.purchaseOrders.filter(order => order.number.startsWith(`PO-${year}-`)).length + 1;
+        return `PO-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    assertPurchaseOrderStatus(order, allowed) {
+        if (!allowed.includes(order.status)) {
+            throw new Error(`${order.number} is ${order.status}`);
+        }
+    }
+
+    // Stock Transfers
+    // requested -> dispatched -> received; only requests can be cancelled. Dispatch books
+    // stock out of the source lots and receipt books it into lots at the destination, so
+    // every transfer leaves a pair of 'transfer' ledger entries per line. In between the
+    // units are in transit and held at neither location.
+    getTransfers({ status, locationId } = {}) {
+        return this.transfers.filter(transfer =>
+            (!status || transfer.status === status) &&
+            (!locationId || transfer.sourceLocationId === locationId || transfer.destinationLocationId === locationId)
+        );
+    }
+
+    getTransferById(id) {
+        return this.transfers.find(transfer => transfer.id === id);
+    }
+
+    createTransfer({ sourceLocationId, destinationLocationId, lines = [], notes = '' }) {
+        const source = this.getLocationById(sourceLocationId);
+        const destination = this.getLocationById(destinationLocationId);
+        if (!source || !destination) {
+            throw new Error('Unknown location');
+        }
+        if (source.id === destination.id) {
+            throw new Error('Source and destination must be different locations');
+        }
+
+        const transfer = {
+            id: this.generateId(),
+            number: this.getNextTransferNumber(),
+            sourceLocationId,
+            sourceLocationName: source.name,
+            destinationLocationId,
+            destinationLocationName: destination.name,
+            status: 'requested',
+            lines: [],
+            notes,
+            requestedDate: new Date().toISOString(),
+            dispatchedDate: null,
+            receivedDate: null,
+            requestedBy: this.getCurrentUser(),
+            dispatchedBy: null,
+            receivedBy: null
+        };
+        transfer.lines = this.createTransferLines(transfer, lines);
+
+        this.transfers.push(transfer);
+        this.saveToStorage();
+        return transfer;
+    }
+
+    // Only requests can have their lines changed
+    updateTransfer(id, { lines, notes }) {
+        const transfer = this.getTransferById(id);
+        if (!transfer) return null;
+        this.assertTransferStatus(transfer, ['requested']);
+
+        if (Array.isArray(lines)) transfer.lines = this.createTransferLines(transfer, lines);
+        if (notes !== undefined) transfer.notes = notes;
+        this.saveToStorage();
+        return transfer;
+    }
+
+    cancelTransfer(id) {
+        const transfer = this.getTransferById(id);
+        if (!transfer) return null;
+        this.assertTransferStatus(transfer, ['requested']);
+
+        transfer.status = 'cancelled';
+        this.saveToStorage();
+        return transfer;
+    }
+
+    // Takes the dispatched quantities out of the source lots. Lines default to the
+    // requested quantity; a line dispatched as zero is left behind. Every line is checked
+    // before any stock moves, and lines drawing on the same lot are checked against it together.
+    dispatchTransfer(id, dispatches = []) {
+        const transfer = this.getTransferById(id);
+        if (!transfer) return null;
+        this.assertTransferStatus(transfer, ['requested']);
+
+        if (transfer.lines.length === 0) {
+            throw new Error(`${transfer.number} has no lines to dispatch`);
+        }
+
+        const quantities = transfer.lines.map(line => {
+            const item = this.getItemById(line.itemId);
+            if (!item) {
+                throw new Error(`${line.itemName} no longer exists`);
+            }
+
+            const dispatch = dispatches.find(candidate => candidate.lineId === line.id);
+            if (!dispatch) return line.quantityRequested;
+            this.assertQuantityPrecision(item, parseFloat(dispatch.quantity) || 0);
+            return this.parseQuantity(item, dispatch.quantity);
+        });
+        const lotTotals = this.getTransferLotTotals(transfer, quantities);
+
+        transfer.lines.forEach((line, index) => {
+            const quantity = lotTotals.get(line.lotId);
+            const lot = this.getLot(line.itemId, line.lotId);
+            if (!lot || lot.locationId !== transfer.sourceLocationId || lot.quantity < quantity) {
+                throw new Error(`Not enough ${line.itemName} in ${line.batchNumber || 'the selected lot'} at ${transfer.sourceLocationName}`);
+            }
+            if (quantities[index] > 0 && this.isLotHeld(lot)) {
+                throw new Error(`${line.itemName} ${line.batchNumber || 'lot'} is ${lot.status} (${lot.holdReason})`);
+            }
+        });
+
+        transfer.lines.forEach((line, index) => {
+            line.quantityDispatched = quantities[index];
+            if (line.quantityDispatched === 0) return;
+
+            const item = this.getItemById(line.itemId);
+            const before = item.quantity;
+            const reason = `Dispatched to ${transfer.destinationLocationName}`;
+            this.recordTransaction(item, { type: 'transfer', lotId: line.lotId, delta: -line.quantityDispatched, reason, reference: transfer.number });
+            item.lastUpdated = new Date().toISOString().split('T')[0];
+            this.logQuantityEvent(item, 'transfer', before, `${reason} on ${transfer.number}`);
+        });
+
+        transfer.status = 'dispatched';
+        transfer.dispatchedDate = new Date().toISOString();
+        transfer.dispatchedBy = this.getCurrentUser();
+        this.saveToStorage();
+        return transfer;
+    }
+
+    // Books the received quantities into a lot at the destination with the same batch and
+    // expiry, creating it if needed. Lines default to the dispatched quantity. Every line
+    // is checked before any stock is booked in.
+    receiveTransfer(id, receipts = []) {
+        const transfer = this.getTransferById(id);
+        if (!transfer) return null;
+        this.assertTransferStatus(transfer, ['dispatched']);
+
+        const quantities = transfer.lines.map(line => {
+            const receipt = receipts.find(candidate => candidate.lineId === line.id);
+            const quantity = receipt ? Math.max(0, parseFloat(receipt.quantity) || 0) : line.quantityDispatched;
+            if (quantity === 0) return 0;
+
+            const item = this.getItemById(line.itemId);
+            if (!item) {
+                throw new Error(`${line.itemName} no longer exists`);
+            }
+            this.assertQuantityPrecision(item, quantity);
+            return this.parseQuantity(item, quantity);
+        });
+
+        transfer.lines.forEach((line, index) => {
+            line.quantityReceived = quantities[index];
+            if (line.quantityReceived === 0) return;
+
+            const item = this.getItemById(line.itemId);
+            const lot = this.getTransferDestinationLot(item, line, transfer.destinationLocationId);
+            const before = item.quantity;
+            const reason = `Received from ${transfer.sourceLocationName}`;
+            this.recordTransaction(item, { type: 'transfer', lotId: lot.id, delta: line.quantityReceived, reason, reference: transfer.number });
+            // A batch recalled while it was on the road is held as it arrives
+            this.quarantineIfRecalled(item, lot);
+            line.destinationLotId = lot.id;
+            item.lastUpdated = new Date().toISOString().split('T')[0];
+            this.logQuantityEvent(item, 'transfer', before, `${reason} on ${transfer.number}`);
+        });
+
+        transfer.status = 'received';
+        transfer.receivedDate = new Date().toISOString();
+        transfer.receivedBy = this.getCurrentUser();
+        this.saveToStorage();
+        return transfer;
+    }
+
+    // The quantity taken from each source lot across the transfer's lines, keyed by lot id
+    getTransferLotTotals(transfer, quantities) {
+        return transfer.lines.reduce((totals, line, index) =>
+            totals.set(line.lotId, this.sumQuantities([totals.get(line.lotId) || 0, quantities[index]])), new Map());
+    }
+
+    // An opened container keeps its opening date and beyond-use date when it moves
+    getTransferDestinationLot(item, line, locationId) {
+        const sourceLot = item.lots.find(lot => lot.id === line.lotId);
+        const openedDate = sourceLot ? sourceLot.openedDate : null;
+        const existing = item.lots.find(lot =>
+            lot.locationId === locationId &&
+            lot.batchNumber === line.batchNumber &&
+            lot.expiryDate === line.expiryDate &&
+            lot.openedDate === openedDate
+        );
+        if (existing) return existing;
+
+        const lot = this.createLot({
+            batchNumber: line.batchNumber,
+            expiryDate: line.expiryDate,
+            receivedDate: sourceLot ? sourceLot.receivedDate : undefined,
+            openedDate,
+            openedBy: sourceLot ? sourceLot.openedBy : null,
+            beyondUseDate: sourceLot ? sourceLot.beyondUseDate : null,
+            unitCost: sourceLot ? sourceLot.unitCost : null,
+            locationId,
+            quantity: 0
+        });
+        item.lots.push(lot);
+        return lot;
+    }
+
+    // Received lines where the destination counted a different quantity than was dispatched
+    getTransferDiscrepancies(transferId = null) {
+        return this.transfers
+            .filter(transfer => transfer.status === 'received' && (!transferId || transfer.id === transferId))
+            .flatMap(transfer => transfer.lines
+                .filter(line => line.quantityReceived !== line.quantityDispatched)
+                .map(line => ({
+                    transferId: transfer.id,
+                    number: transfer.number,
+                    sourceLocationName: transfer.sourceLocationName,
+                    destinationLocationName: transfer.destinationLocationName,
+                    itemId: line.itemId,
+                    itemName: line.itemName,
+                    batchNumber: line.batchNumber,
+                    quantityDispatched: line.quantityDispatched,
+                    quantityReceived: line.quantityReceived,
+                    difference: this.roundQuantity(line.quantityReceived - line.quantityDispatched),
+                    receivedDate: transfer.receivedDate,
+                    receivedBy: transfer.receivedBy
+                }))
+            );
+    }
+
+    // Units dispatched but not yet received, optionally only those heading to one location
+    getInTransitQuantity(itemId, destinationLocationId = null) {
+        return this.getTransfers({ status: 'dispatched' })
+            .filter(transfer => !destinationLocationId || transfer.destinationLocationId === destinationLocationId)
+            .flatMap(transfer => transfer.lines)
+            .filter(line => line.itemId === itemId)
+            .reduce((total, line) => this.sumQuantities([total, line.quantityDispatched]), 0);
+    }
+
+    // Lines without a lot are picked first-expired-first-out from the source location,
+    // which may split them over several lots
+    createTransferLines(transfer, lines) {
+        return lines.flatMap(lineData => {
+            const item = this.getItemById(lineData.itemId);
+            if (!item) {
+                throw new Error(`Unknown item ${lineData.itemId}`);
+            }
+
+            const quantity = this.parseQuantity(item, lineData.quantityRequested) || 1;
+            const picks = lineData.lotId
+                ? [{ lotId: lineData.lotId, quantity }]
+                : this.planDispense(item, quantity, false, transfer.sourceLocationId).breakdown;
+
+            if (picks.length === 0) {
+                throw new Error(`No ${item.name} available at ${transfer.sourceLocationName}`);
+            }
+
+            return picks.map(pick => {
+                const lot = item.lots.find(candidate => candidate.id === pick.lotId);
+                if (!lot || lot.locationId !== transfer.sourceLocationId) {
+                    throw new Error(`That lot of ${item.name} is not at ${transfer.sourceLocationName}`);
+                }
+
+                return {
+                    id: (lineData.lotId && lineData.id) || this.generateId(),
+                    itemId: item.id,
+                    itemName: item.name,
+                    lotId: lot.id,
+                    batchNumber: lot.batchNumber,
+                    expiryDate: lot.expiryDate,
+                    quantityRequested: pick.quantity,
+                    quantityDispatched: 0,
+                    quantityReceived: 0,
+                    destinationLotId: null
+                };
+            });
+        });
+    }
+
+    getNextTransferNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.transfers.filter(transfer => transfer.number.startsWith(`TR-${year}-`)).length + 1;
+        return `TR-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    assertTransferStatus(transfer, allowed) {
+        if (!allowed.includes(transfer.status)) {
+            throw new Error(`${transfer.number} is ${transfer.status}`);
+        }
+    }
+
+    // Stock Counts
+    // Opening a session freezes the expected quantity of every stocked lot in scope. Posting
+    // books counted - expected on each lot as a 'count' transaction, so stock that moved while
+    // the count was under way is kept rather than overwritten. Uncounted lines are left alone.
+    getCountSessions({ status } = {}) {
+        return this.countSessions.filter(session => !status || session.status === status);
+    }
+
+    getCountSessionById(id) {
+        return this.countSessions.find(session => session.id === id);
+    }
+
+    // An empty item or location list means every item or every location
+    createCountSession({ name = '', itemIds = [], locationIds = [], notes = '' } = {}) {
+        const items = this.items
+            .filter(item => itemIds.length === 0 || itemIds.includes(item.id))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const locations = this.locations.filter(location => locationIds.length === 0 || locationIds.includes(location.id));
+
+        const lines = items.flatMap(item => this.getSortedLots(item)
+            .filter(lot => locations.some(location => location.id === lot.locationId))
+            .map(lot => ({
+                id: this.generateId(),
+                itemId: item.id,
+                itemName: item.name,
+                lotId: lot.id,
+                batchNumber: lot.batchNumber,
+                expiryDate: lot.expiryDate,
+                locationId: lot.locationId,
+                locationName: this.getLocationById(lot.locationId).name,
+                expectedQuantity: lot.quantity,
+                countedQuantity: null,
+                unitCost: this.getItemUnitCost(item)
+            }))
+        );
+
+        if (lines.length === 0) {
+            throw new Error('There is no stock to count in this scope');
+        }
+
+        const number = this.getNextCountNumber();
+        const session = {
+            id: this.generateId(),
+            number,
+            name: name || number,
+            status: 'open',
+            itemIds,
+            locationIds,
+            lines,
+            notes,
+            createdDate: new Date().toISOString(),
+            createdBy: this.getCurrentUser(),
+            postedDate: null,
+            postedBy: null
+        };
+
+        this.countSessions.push(session);
+        this.saveToStorage();
+        return session;
+    }
+
+    // Counts are entered as absolute quantities, in any of the item's units; a blank count
+    // marks the line uncounted again
+    recordCounts(id, counts = []) {
+        const session = this.getCountSessionById(id);
+        if (!session) return null;
+        this.assertCountSessionStatus(session, ['open']);
+
+        counts.forEach(({ lineId, countedQuantity, unit }) => {
+            const line = session.lines.find(candidate => candidate.id === lineId);
+            if (!line) return;
+            const item = this.getItemById(line.itemId);
+            line.countedQuantity = countedQuantity === null || countedQuantity === '' || countedQuantity === undefined
+                ? null
+                : item ? this.toBaseQuantity(item, countedQuantity, unit) : this.parseQuantity(null, countedQuantity);
+        });
+
+        this.saveToStorage();
+        return session;
+    }
+
+    // Scanned codes match a batch number first, then a supplier SKU or the item name
+    findCountLine(session, code) {
+        const needle = String(code || '').trim().toLowerCase();
+        if (!needle) return null;
+
+        return session.lines.find(line => line.batchNumber && line.batchNumber.toLowerCase() === needle) ||
+            session.lines.find(line => {
+                const item = this.getItemById(line.itemId);
+                return line.itemName.toLowerCase() === needle ||
+                    (item && (item.suppliers || []).some(link => link.sku && link.sku.toLowerCase() === needle));
+            }) || null;
+    }
+
+    // Variances on controlled substances are booked with the witness given here
+    postCountSession(id, { witness = null } = {}) {
+        const session = this.getCountSessionById(id);
+        if (!session) return null;
+        this.assertCountSessionStatus(session, ['open']);
+
+        const reason = `Stocktake ${session.number}`;
+        const variances = this.getCountVariance(session).lines.filter(line => line.difference);
+
+        // Every line is checked before the first entry is written, so a session that can't be
+        // posted stays open with nothing booked and can safely be posted again
+        const postings = variances.map(line => {
+            const item = this.getItemById(line.itemId);
+            const lot = item ? item.lots.find(candidate => candidate.id === line.lotId) : null;
+            if (!lot) {
+                throw new Error(`A counted lot of ${line.itemName} no longer exists`);
+            }
+            this.assertQuantityPrecision(item, line.countedQuantity);
+            // A lot that was drawn down during the count can only go to zero
+            return { item, lot, delta: Math.max(line.difference, -lot.quantity) };
+        });
+        postings
+            .filter(({ item, delta }) => item.controlled && delta !== 0)
+            .forEach(({ item }) => this.assertWitnessed(item, { reason, user: this.getCurrentUser(), witness }));
+
+        [...new Set(postings.map(({ item }) => item))].forEach(item => {
+            const before = item.quantity;
+            postings.filter(posting => posting.item === item && posting.delta !== 0).forEach(({ lot, delta }) => {
+                this.recordTransaction(item, { type: 'count', lotId: lot.id, delta, reason, reference: session.number, witness });
+            });
+            item.lastUpdated = new Date().toISOString().split('T')[0];
+            this.logQuantityEvent(item, 'count', before, reason);
+        });
+
+        session.status = 'posted';
+        session.postedDate = new Date().toISOString();
+        session.postedBy = this.getCurrentUser();
+        this.saveToStorage();
+        return session;
+    }
+
+    cancelCountSession(id) {
+        const session = this.getCountSessionById(id);
+        if (!session) return null;
+        this.assertCountSessionStatus(session, ['open']);
+
+        session.status = 'cancelled';
+        this.saveToStorage();
+        return session;
+    }
+
+    // Expected, counted, difference and value impact per line, with totals over the counted lines
+    getCountVariance(session) {
+        const lines = session.lines.map(line => {
+            const counted = line.countedQuantity !== null;
+            const difference = counted ? this.roundQuantity(line.countedQuantity - line.expectedQuantity) : null;
+            return {
+                ...line,
+                counted,
+                difference,
+                valueImpact: counted && line.unitCost !== null ? difference * line.unitCost : null
+            };
+        });
+        const countedLines = lines.filter(line => line.counted);
+
+        return {
+            sessionId: session.id,
+            number: session.number,
+            lines,
+            totals: {
+                lines: lines.length,
+                counted: countedLines.length,
+                uncounted: lines.length - countedLines.length,
+                expectedQuantity: this.sumQuantities(countedLines.map(line => line.expectedQuantity)),
+                countedQuantity: this.sumQuantities(countedLines.map(line => line.countedQuantity)),
+                difference: this.sumQuantities(countedLines.map(line => line.difference)),
+                valueImpact: countedLines.reduce((total, line) => total + (line.valueImpact || 0), 0)
+            }
+        };
+    }
+
+    // Unit cost from the preferred supplier link, falling back to the first linked supplier
+    getItemUnitCost(item) {
+        const link = this.getItemSuppliers(item).find(candidate => candidate.unitCost !== null && candidate.unitCost !== undefined);
+        return link ? link.unitCost : null;
+    }
+
+    getNextCountNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.countSessions.filter(session => session.number.startsWith(`SC-${year}-`)).length + 1;
+        return `SC-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    assertCountSessionStatus(session, allowed) {
+        if (!allowed.includes(session.status)) {
+            throw new Error(`${session.number} is ${session.status}`);
+        }
+    }
+
+    // Controlled Substances
+    // The register is read straight from the append-only ledger, so it cannot be edited
+    // after the fact. Witnessed movements carry the witness alongside the recording user.
+    getControlledItems() {
+        return this.items.filter(item => item.controlled).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    assertWitnessed(item, { reason, user, witness }) {
+        if (!reason || !reason.trim()) {
+            throw new Error(`A reason is required for every movement of ${item.name}`);
+        }
+        if (!witness || !witness.trim()) {
+            throw new Error(`${item.name} is a controlled substance; a second person must witness this`);
+        }
+        if (witness.trim().toLowerCase() === user.trim().toLowerCase()) {
+            throw new Error(`The witness must be someone other than ${user}`);
+        }
+    }
+
+    // Every movement of the item in order, with units in, units out and the running balance
+    getControlledRegister(itemId) {
+        const item = this.getItemById(itemId);
+        if (!item) return null;
+
+        return {
+            itemId: item.id,
+            itemName: item.name,
+            balance: item.quantity,
+            entries: this.getTransactions({ itemId }).map(entry => ({
+                id: entry.id,
+                timestamp: entry.timestamp,
+                type: entry.type,
+                batchNumber: entry.batchNumber,
+                locationName: this.getLocationById(entry.locationId)?.name || '',
+                quantityIn: entry.delta > 0 ? entry.delta : 0,
+                quantityOut: entry.delta < 0 ? -entry.delta : 0,
+                balance: entry.balance,
+                reason: entry.reason,
+                reference: entry.reference,
+                user: entry.user,
+                witness: entry.witness || null
+            }))
+        };
+    }
+
+    // Substitute Groups
+    // Items that can stand in for each other, as generic or therapeutic equivalents. An item
+    // belongs to one group at most and every item in a group is counted in the same base unit,
+    // so their stock can be added up. When a group is evaluated as a whole, an item at or below
+    // its own threshold is not low stock while the group's combined stock is above the group
+    // threshold; without a threshold of its own the group uses the highest of its items'.
+    getAllSubstituteGroups() {
+        return [...this.substituteGroups];
+    }
+
+    getSubstituteGroupById(id) {
+        return this.substituteGroups.find(group => group.id === id);
+    }
+
+    getItemSubstituteGroup(itemId) {
+        return this.substituteGroups.find(group => group.itemIds.includes(itemId));
+    }
+
+    addSubstituteGroup(groupData) {
+        const group = this.createSubstituteGroup({ ...groupData, id: this.generateId() });
+        this.substituteGroups.push(group);
+        this.saveToStorage();
+        return group;
+    }
+
+    updateSubstituteGroup(id, updates) {
+        const group = this.getSubstituteGroupById(id);
+        if (!group) return null;
+
+        Object.assign(group, this.createSubstituteGroup({ ...group, ...updates, id }));
+        this.saveToStorage();
+        return group;
+    }
+
+    deleteSubstituteGroup(id) {
+        const index = this.substituteGroups.findIndex(group => group.id === id);
+        if (index === -1) return null;
+
+        const deletedGroup = this.substituteGroups.splice(index, 1)[0];
+        this.saveToStorage();
+        return deletedGroup;
+    }
+
+    createSubstituteGroup(groupData) {
+        const threshold = parseFloat(groupData.lowStockThreshold);
+        return {
+            id: groupData.id,
+            name: (groupData.name || '').trim(),
+            basis: this.substituteBases.includes(groupData.basis) ? groupData.basis : 'generic',
+            itemIds: [...new Set(Array.isArray(groupData.itemIds) ? groupData.itemIds : [])]
+                .filter(itemId => this.getItemById(itemId)),
+            evaluateAsGroup: groupData.evaluateAsGroup !== false,
+            lowStockThreshold: threshold >= 0 ? threshold : null
+        };
+    }
+
+    getSubstituteGroupThreshold(group) {
+        if (group.lowStockThreshold !== null) return group.lowStockThreshold;
+
+        const thresholds = group.itemIds
+            .map(itemId => this.getItemById(itemId))
+            .filter(Boolean)
+            .map(item => item.lowStockThreshold || this.lowStockThreshold);
+        return thresholds.length > 0 ? Math.max(...thresholds) : this.lowStockThreshold;
+    }
+
+    // Each item's usable stock and the group's combined usable stock against its threshold.
+    // Held and expired lots can't stand in for a short item, so only dispensable stock counts
+    getSubstituteGroupStock(group) {
+        const items = group.itemIds.map(itemId => this.getItemById(itemId)).filter(Boolean);
+        const quantities = new Map(items.map(item => [item.id, this.getDispensableQuantity(item)]));
+        const quantity = this.sumQuantities([...quantities.values()]);
+        const threshold = this.getSubstituteGroupThreshold(group);
+
+        return {
+            groupId: group.id,
+            name: group.name,
+            basis: group.basis,
+            evaluateAsGroup: group.evaluateAsGroup,
+            quantity,
+            threshold,
+            low: quantity <= threshold,
+            items: items.map(item => ({
+                itemId: item.id,
+                name: item.name,
+                quantity: quantities.get(item.id),
+                threshold: item.lowStockThreshold || this.lowStockThreshold
+            }))
+        };
+    }
+
+    getSubstituteGroupSummary() {
+        return this.substituteGroups
+            .map(group => this.getSubstituteGroupStock(group))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // The other items in the item's group, most stock first, with the group's combined stock
+    getSubstitutes(item) {
+        const group = this.getItemSubstituteGroup(item.id);
+        if (!group) return null;
+
+        const stock = this.getSubstituteGroupStock(group);
+        const substitutes = stock.items
+            .filter(member => member.itemId !== item.id)
+            .sort((a, b) => b.quantity - a.quantity);
+        return substitutes.length > 0 ? { ...stock, substitutes } : null;
+    }
+
+    isCoveredBySubstitutes(item) {
+        const group = this.getItemSubstituteGroup(item.id);
+        if (!group || !group.evaluateAsGroup || group.itemIds.length < 2) return false;
+
+        return !this.getSubstituteGroupStock(group).low;
+    }
+
+    // Patient Dispensing
+    // Medicines handed to a patient are dispensed through the ledger like any other dispense, and
+    // a record keeps who received which lot, how much and who prescribed it, so a recalled batch
+    // can be traced to patients. The ledger entries carry the record number as their reference.
+    getPatientDispensings({ patientReference, itemId, lotId, batchNumber } = {}) {
+        const patient = (patientReference || '').trim().toLowerCase();
+        const batch = (batchNumber || '').trim().toLowerCase();
+        return this.patientDispensings
+            .filter(record =>
+                (!patient || record.patientReference.toLowerCase().includes(patient)) &&
+                (!itemId || record.itemId === itemId) &&
+                (!lotId || record.lots.some(lot => lot.lotId === lotId)) &&
+                (!batch || record.lots.some(lot => (lot.batchNumber || '').toLowerCase().includes(batch)))
+            )
+            .sort((a, b) => new Date(b.dispensedDate) - new Date(a.dispensedDate));
+    }
+
+    getPatientDispensingById(id) {
+        return this.patientDispensings.find(record => record.id === id);
+    }
+
+    // The lots a patient dispense would use: the chosen lot, or first-expired-first-out
+    planPatientDispense(item, quantity, { lotId = null, locationId = null } = {}) {
+        if (!lotId) {
+            return this.planDispense(item, quantity, false, locationId);
+        }
+
+        const lot = this.getDispensableLots(item).find(candidate => candidate.id === lotId);
+        if (!lot) {
+            return { breakdown: [], shortfall: quantity, available: 0 };
+        }
+
+        const taken = Math.min(lot.quantity, quantity);
+        return {
+            breakdown: taken > 0 ? [{
+                lotId: lot.id,
+                batchNumber: lot.batchNumber,
+                expiryDate: lot.expiryDate,
+                locationId: lot.locationId,
+                expired: false,
+                quantity: taken
+            }] : [],
+            shortfall: this.roundQuantity(quantity - taken),
+            available: lot.quantity
+        };
+    }
+
+    dispenseToPatient(itemId, { quantity, unit = null, lotId = null, locationId = null, patientReference, prescriber, notes = '', witness = null } = {}) {
+        const item = this.getItemById(itemId);
+        if (!item) return null;
+
+        const patient = (patientReference || '').trim();
+        if (!patient) {
+            throw new Error('A patient reference is required');
+        }
+        if (!(prescriber || '').trim()) {
+            throw new Error('The prescriber is required');
+        }
+
+        const requested = this.toBaseQuantity(item, quantity, unit);
+        const plan = this.planPatientDispense(item, requested, { lotId, locationId });
+        if (requested <= 0 || plan.shortfall > 0) {
+            throw new Error(`Only ${plan.available} of ${item.name} available to dispense`);
+        }
+
+        const number = this.getNextPatientDispensingNumber();
+        const reason = `Dispensed to patient ${patient}${notes ? `: ${notes}` : ''}`;
+        const before = item.quantity;
+        const lots = plan.breakdown.map(pick => {
+            const entry = this.recordTransaction(item, {
+                type: 'dispense', lotId: pick.lotId, delta: -pick.quantity, reason, reference: number, witness
+            });
+            return {
+                lotId: pick.lotId,
+                batchNumber: pick.batchNumber,
+                expiryDate: pick.expiryDate,
+                locationId: pick.locationId,
+                quantity: pick.quantity,
+                transactionId: entry.id
+            };
+        });
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.logQuantityEvent(item, 'dispense', before, reason);
+
+        const record = {
+            id: this.generateId(),
+            number,
+            patientReference: patient,
+            prescriber: prescriber.trim(),
+            itemId: item.id,
+            itemName: item.name,
+            quantity: requested,
+            lots,
+            notes,
+            user: this.getCurrentUser(),
+            witness: witness || null,
+            dispensedDate: new Date().toISOString()
+        };
+
+        this.patientDispensings.push(record);
+        this.saveToStorage();
+        return record;
+    }
+
+    getNextPatientDispensingNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.patientDispensings.filter(record => record.number.startsWith(`PD-${year}-`)).length + 1;
+        return `PD-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    // Procedure Kits
+    // A kit is a named list of items and the quantity of each used in one procedure, in base
+    // units. Performing a kit plans every component before anything is booked: if any one is
+    // short, nothing is taken. Otherwise each component is dispensed first-expired-first-out
+    // and the ledger entries share the kit usage number as their reference.
+    getAllKits() {
+        return [...this.kits];
+    }
+
+    getKitById(id) {
+        return this.kits.find(kit => kit.id === id);
+    }
+
+    addKit(kitData) {
+        const kit = this.createKit({ ...kitData, id: this.generateId() });
+        this.kits.push(kit);
+        this.saveToStorage();
+        return kit;
+    }
+
+    updateKit(id, updates) {
+        const kit = this.getKitById(id);
+        if (!kit) return null;
+
+        Object.assign(kit, this.createKit({ ...kit, ...updates, id }));
+        this.saveToStorage();
+        return kit;
+    }
+
+    // Past usages keep the kit name, so they still read correctly
+    deleteKit(id) {
+        const index = this.kits.findIndex(kit => kit.id === id);
+        if (index === -1) return null;
+
+        const deletedKit = this.kits.splice(index, 1)[0];
+        this.saveToStorage();
+        return deletedKit;
+    }
+
+    // Components may be entered in any of the item's units; an item listed twice is merged.
+    // The item name is kept so a component whose item has been deleted can still be named.
+    createKit(kitData) {
+        const components = (Array.isArray(kitData.components) ? kitData.components : []).reduce((merged, component) => {
+            const item = this.getItemById(component.itemId);
+            const quantity = item
+                ? this.parseQuantity(item, this.toBaseQuantity(item, component.quantity, component.unit))
+                : Math.max(0, parseFloat(component.quantity) || 0);
+            if (quantity <= 0) return merged;
+
+            const existing = merged.find(candidate => candidate.itemId === component.itemId);
+            if (existing) {
+                existing.quantity = this.sumQuantities([existing.quantity, quantity]);
+            } else {
+                merged.push({ itemId: component.itemId, itemName: item ? item.name : component.itemName || '', quantity });
+            }
+            return merged;
+        }, []);
+
+        return {
+            id: kitData.id,
+            name: (kitData.name || '').trim(),
+            description: kitData.description || '',
+            components
+        };
+    }
+
+    // Each component with the unexpired, unheld stock that can go into kits, optionally at one location
+    getKitComponents(kit, locationId = null) {
+        return kit.components.map(component => {
+            const item = this.getItemById(component.itemId);
+            const available = item
+                ? this.sumLots(this.getDispensableLots(item).filter(lot => !locationId || lot.locationId === locationId))
+                : 0;
+            return {
+                ...component,
+                itemName: item ? item.name : component.itemName,
+                missing: !item,
+                available,
+                kits: Math.floor(this.roundQuantity(available / component.quantity))
+            };
+        });
+    }
+
+    // How many complete kits the stock on hand makes up, and the components that limit it
+    getKitAvailability(kit, locationId = null) {
+        const components = this.getKitComponents(kit, locationId);
+        const available = components.length > 0 ? Math.min(...components.map(component => component.kits)) : 0;
+        return {
+            kitId: kit.id,
+            name: kit.name,
+            available,
+            limitedBy: components.filter(component => component.kits === available),
+            components
+        };
+    }
+
+    getKitAvailabilitySummary(locationId = null) {
+        return this.kits
+            .map(kit => this.getKitAvailability(kit, locationId))
+            .sort((a, b) => a.available - b.available || a.name.localeCompare(b.name));
+    }
+
+    // Components without enough stock for the given number of kits
+    getKitShortfalls(kit, count = 1, locationId = null) {
+        return this.getKitComponents(kit, locationId)
+            .map(component => {
+                const needed = this.roundQuantity(component.quantity * count);
+                return { ...component, needed, short: Math.max(0, this.roundQuantity(needed - component.available)) };
+            })
+            .filter(component => component.short > 0);
+    }
+
+    performKit(id, { count = 1, locationId = null, notes = '', witness = null } = {}) {
+        const kit = this.getKitById(id);
+        if (!kit) return null;
+
+        const kits = parseInt(count);
+        if (!(kits >= 1)) {
+            throw new Error('At least one kit must be performed');
+        }
+        if (kit.components.length === 0) {
+            throw new Error(`${kit.name} has no components`);
+        }
+
+        const shortfalls = this.getKitShortfalls(kit, kits, locationId);
+        if (shortfalls.length > 0) {
+            throw new Error(`Not enough stock for ${kits} × ${kit.name}: ${shortfalls.map(component => component.itemName).join(', ')}`);
+        }
+
+        const number = this.getNextKitUsageNumber();
+        const reason = `${kits} × ${kit.name}${notes ? `: ${notes}` : ''}`;
+        const plans = kit.components.map(component => {
+            const item = this.getItemById(component.itemId);
+            return { item, plan: this.planDispense(item, this.roundQuantity(component.quantity * kits), false, locationId) };
+        });
+
+        // Witness checks run before the first entry is written so a controlled component can't
+        // stop the kit part-way through
+        plans
+            .filter(({ item }) => item.controlled)
+            .forEach(({ item }) => this.assertWitnessed(item, { reason, user: this.getCurrentUser(), witness }));
+
+        const lines = plans.map(({ item, plan }) => {
+            const before = item.quantity;
+            plan.breakdown.forEach(pick => {
+                this.recordTransaction(item, { type: 'dispense', lotId: pick.lotId, delta: -pick.quantity, reason, reference: number, witness });
+            });
+            item.lastUpdated = new Date().toISOString().split('T')[0];
+            this.logQuantityEvent(item, 'dispense', before, reason);
+            return {
+                itemId: item.id,
+                itemName: item.name,
+                quantity: this.roundQuantity(before - item.quantity),
+                breakdown: plan.breakdown
+            };
+        });
+
+        const usage = {
+            id: this.generateId(),
+            number,
+            kitId: kit.id,
+            kitName: kit.name,
+            count: kits,
+            locationId,
+            notes,
+            lines,
+            user: this.getCurrentUser(),
+            witness: witness || null,
+            performedDate: new Date().toISOString()
+        };
+
+        this.kitUsages.push(usage);
+        this.saveToStorage();
+        return usage;
+    }
+
+    getKitUsages({ kitId } = {}) {
+        return this.kitUsages
+            .filter(usage => !kitId || usage.kitId === kitId)
+            .sort((a, b) => new Date(b.performedDate) - new Date(a.performedDate));
+    }
+
+    getNextKitUsageNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.kitUsages.filter(usage => usage.number.startsWith(`KT-${year}-`)).length + 1;
+        return `KT-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    // Disposals
+    // Disposing of stock books a 'waste' transaction against one lot and keeps a disposal record
+    // with the reason, the method and the value lost at the item's unit cost at the time.
+    getDisposals({ itemId, reason, category } = {}) {
+        return this.disposals.filter(disposal =>
+            (!itemId || disposal.itemId === itemId) &&
+            (!reason || disposal.reason === reason) &&
+            (!category || disposal.category === category)
+        );
+    }
+
+    getDisposalById(id) {
+        return this.disposals.find(disposal => disposal.id === id);
+    }
+
+    disposeLot(itemId, { lotId, quantity, reason, method, notes = '', witness = null } = {}) {
+        const item = this.getItemById(itemId);
+        if (!item) return null;
+
+        const lot = item.lots.find(existing => existing.id === lotId);
+        if (!lot) {
+            throw new Error(`Lot ${lotId} not found for ${item.name}`);
+        }
+        if (!this.disposalReasons.includes(reason)) {
+            throw new Error(`Unknown disposal reason: ${reason}`);
+        }
+        if (!this.disposalMethods.includes(method)) {
+            throw new Error(`Unknown disposal method: ${method}`);
+        }
+
+        const units = this.parseQuantity(item, quantity);
+        const number = this.getNextDisposalNumber();
+        const detail = `${reason}, ${method.replace(/-/g, ' ')}`;
+        const reasonText = `Disposed (${detail})${notes ? `: ${notes}` : ''}`;
+        const before = item.quantity;
+
+        const entry = this.recordTransaction(item, {
+            type: 'waste', lotId, delta: -units, reason: reasonText, reference: number, witness
+        });
+        item.lastUpdated = new Date().toISOString().split('T')[0];
+        this.syncItemTotals(item);
+        this.logQuantityEvent(item, 'waste', before, detail);
+
+        // Valued at the clinic's costing method, like the stock it leaves from the valuation
+        const costing = this.getItemCosting(item);
+        const issue = costing.issues.find(candidate => candidate.transactionId === entry.id);
+        const value = issue ? issue.cost : 0;
+        const unitCost = value > 0 || !costing.unpriced ? value / units : null;
+        const disposal = {
+            id: this.generateId(),
+            number,
+            itemId: item.id,
+            itemName: item.name,
+            category: item.category,
+            lotId,
+            batchNumber: lot.batchNumber,
+            expiryDate: lot.expiryDate,
+            locationId: lot.locationId,
+            quantity: units,
+            reason,
+            method,
+            notes,
+            unitCost,
+            value,
+            transactionId: entry.id,
+            user: entry.user,
+            witness: entry.witness,
+            disposedDate: entry.timestamp
+        };
+
+        this.disposals.push(disposal);
+        this.saveToStorage();
+        return disposal;
+    }
+
+    // Value lost per month and per category, newest month first
+    getWastageReport({ from, to } = {}) {
+        const disposals = this.disposals.filter(disposal =>
+            (!from || disposal.disposedDate.split('T')[0] >= from) &&
+            (!to || disposal.disposedDate.split('T')[0] <= to)
+        );
+
+        const summarise = keyOf => Object.values(disposals.reduce((groups, disposal) => {
+            const key = keyOf(disposal);
+            const group = groups[key] || (groups[key] = { key, disposals: 0, quantity: 0, value: 0, byCategory: {} });
+            group.disposals += 1;
+            group.quantity = this.sumQuantities([group.quantity, disposal.quantity]);
+            group.value += disposal.value;
+            group.byCategory[disposal.category] = (group.byCategory[disposal.category] || 0) + disposal.value;
+            return groups;
+        }, {}));
+
+        return {
+            months: summarise(disposal => disposal.disposedDate.slice(0, 7)).sort((a, b) => b.key.localeCompare(a.key)),
+            categories: summarise(disposal => disposal.category).sort((a, b) => b.value - a.value),
+            reasons: summarise(disposal => disposal.reason).sort((a, b) => b.value - a.value),
+            totals: {
+                disposals: disposals.length,
+                quantity: this.sumQuantities(disposals.map(disposal => disposal.quantity)),
+                value: disposals.reduce((total, disposal) => total + disposal.value, 0),
+                unpriced: disposals.filter(disposal => disposal.unitCost === null).length
+            }
+        };
+    }
+
+    getNextDisposalNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.disposals.filter(disposal => disposal.number.startsWith(`WD-${year}-`)).length + 1;
+        return `WD-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    // Inventory Valuation
+    // Each lot keeps the unit cost it was received at; lots without one fall back to the
+    // item's supplier cost. An item's ledger is replayed in order to value what is left:
+    // under FIFO stock leaves at the cost of the oldest units still held, under weighted
+    // average at the running average cost. Transfers and opened containers only move stock,
+    // so they don't change its cost.
+    normalizeUnitCost(value) {
+        return value === '' || value === null || value === undefined || isNaN(parseFloat(value)) ? null : Math.max(0, parseFloat(value));
+    }
+
+    // A cost entered per box is stored per glove
+    toBaseUnitCost(item, unitCost, unit) {
+        const cost = this.normalizeUnitCost(unitCost);
+        return cost === null ? null : cost / (this.getUnitFactor(item, unit) || 1);
+    }
+
+    roundCost(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    getItemCosting(item, method = this.settings.costingMethod) {
+        const fallbackCost = this.getItemUnitCost(item);
+        const layers = [];
+        const issues = [];
+        let quantity = 0;
+        let value = 0;
+        let unpriced = false;
+
+        const averageCost = () => quantity > 0 ? value / quantity : (fallbackCost || 0);
+        const issue = (entry, units) => {
+            let cost = 0;
+            if (method === 'fifo') {
+                let remaining = units;
+                while (remaining > 0 && layers.length > 0) {
+                    const taken = Math.min(layers[0].quantity, remaining);
+                    cost += taken * layers[0].unitCost;
+                    layers[0].quantity = this.roundQuantity(layers[0].quantity - taken);
+                    remaining = this.roundQuantity(remaining - taken);
+                    if (layers[0].quantity === 0) layers.shift();
+                }
+                cost += remaining * (fallbackCost || 0);
+            } else {
+                cost = units * averageCost();
+            }
+            quantity = Math.max(0, this.roundQuantity(quantity - units));
+            value = quantity > 0 ? Math.max(0, value - cost) : 0;
+            issues.push({ transactionId: entry.id, type: entry.type, lotId: entry.lotId || null, timestamp: entry.timestamp, quantity: units, cost });
+        };
+
+        const ledger = this.getTransactions({ itemId: item.id });
+        ledger.filter(entry => entry.type !== 'transfer').forEach(entry => {
+            if (entry.delta > 0) {
+                const lot = item.lots.find(candidate => candidate.id === entry.lotId);
+                const lotCost = lot ? lot.unitCost : null;
+                if (lotCost === null && fallbackCost === null) unpriced = true;
+                const unitCost = lotCost !== null ? lotCost : fallbackCost !== null ? fallbackCost : averageCost();
+                layers.push({ quantity: entry.delta, unitCost });
+                quantity = this.sumQuantities([quantity, entry.delta]);
+                value += entry.delta * unitCost;
+            } else if (entry.delta < 0) {
+                issue(entry, -entry.delta);
+            }
+        });
+
+        // Transfers net to nothing once received; whatever was dispatched but neither received
+        // nor still in transit was lost on the way
+        const transferred = this.sumQuantities(ledger.filter(entry => entry.type === 'transfer').map(entry => entry.delta));
+        const lost = this.roundQuantity(-transferred - this.getInTransitQuantity(item.id));
+        if (lost > 0) {
+            issue({ id: null, type: 'transfer', timestamp: new Date().toISOString() }, lost);
+        }
+
+        if (method === 'fifo') {
+            value = layers.reduce((total, layer) => total + layer.quantity * layer.unitCost, 0);
+        }
+
+        return {
+            itemId: item.id,
+            method,
+            quantity,
+            value,
+            unitCost: quantity > 0 ? value / quantity : fallbackCost,
+            unpriced,
+            issues
+        };
+    }
+
+    // Stock on hand and in transit at the clinic's costing method
+    getStockValue() {
+        return this.roundCost(this.items.reduce((total, item) => total + this.getItemCosting(item).value, 0));
+    }
+
+    // Value per category and per location; stock in transit is listed on its own
+    getValuationReport() {
+        const method = this.settings.costingMethod;
+        const rows = this.items.map(item => {
+            const costing = this.getItemCosting(item, method);
+            return {
+                itemId: item.id,
+                name: item.name,
+                category: item.category,
+                quantity: costing.quantity,
+                unitCost: costing.unitCost,
+                value: costing.value,
+                unpriced: costing.unpriced,
+                byLocation: this.locations.map(location => ({
+                    locationId: location.id,
+                    value: this.getLocationQuantity(item, location.id) * (costing.unitCost || 0)
+                }))
+            };
+        });
+
+        const categories = this.categories.map(category => {
+            const members = rows.filter(row => row.category === category);
+            return {
+                key: category,
+                items: members.filter(row => row.quantity > 0).length,
+                value: this.roundCost(members.reduce((total, row) => total + row.value, 0))
+            };
+        }).filter(group => group.items > 0);
+
+        const locations = this.locations.map(location => ({
+            key: location.id,
+            name: location.name,
+            items: this.items.filter(item => this.getLocationQuantity(item, location.id) > 0).length,
+            value: this.roundCost(rows.reduce((total, row) =>
+                total + row.byLocation.find(entry => entry.locationId === location.id).value, 0))
+        })).filter(group => group.items > 0);
+
+        const total = rows.reduce((sum, row) => sum + row.value, 0);
+        const onShelves = rows.reduce((sum, row) => sum + row.byLocation.reduce((subtotal, entry) => subtotal + entry.value, 0), 0);
+
+        return {
+            method,
+            categories,
+            locations,
+            inTransit: this.roundCost(Math.max(0, total - onShelves)),
+            items: rows
+                .filter(row => row.quantity > 0)
+                .map(({ byLocation, ...row }) => ({ ...row, value: this.roundCost(row.value) }))
+                .sort((a, b) => b.value - a.value),
+            totals: {
+                value: this.roundCost(total),
+                unpriced: rows.filter(row => row.unpriced && row.quantity > 0).length
+            }
+        };
+    }
+
+    // Cost of the stock dispensed per month, newest month first, valued at the costing method.
+    // A dispense books one ledger entry per lot it draws from, so entries are counted rather than dispenses
+    getCostOfGoodsConsumed({ from, to } = {}) {
+        const method = this.settings.costingMethod;
+        const issues = this.items.flatMap(item => this.getItemCosting(item, method).issues
+            .filter(issue => issue.type === 'dispense')
+            .filter(issue =>
+                (!from || issue.timestamp.split('T')[0] >= from) &&
+                (!to || issue.timestamp.split('T')[0] <= to)
+            )
+            .map(issue => ({ ...issue, category: item.category })));
+
+        const months = Object.values(issues.reduce((groups, issue) => {
+            const key = issue.timestamp.slice(0, 7);
+            const group = groups[key] || (groups[key] = { key, entries: 0, value: 0, byCategory: {} });
+            group.entries += 1;
+            group.value += issue.cost;
+            group.byCategory[issue.category] = (group.byCategory[issue.category] || 0) + issue.cost;
+            return groups;
+        }, {}))
+            .map(group => ({
+                ...group,
+                value: this.roundCost(group.value),
+                byCategory: Object.fromEntries(Object.entries(group.byCategory).map(([category, value]) => [category, this.roundCost(value)]))
+            }))
+            .sort((a, b) => b.key.localeCompare(a.key));
+
+        return {
+            method,
+            months,
+            totals: {
+                entries: issues.length,
+                value: this.roundCost(issues.reduce((total, issue) => total + issue.cost, 0))
+            }
+        };
+    }
+
+    // Department Budgets
+    // Each department has a monthly or quarterly budget for consumables. Spend for the current
+    // period is measured on the clinic's basis: 'receipts' counts goods received on orders
+    // charged to the department at the order line cost, 'consumption' counts stock dispensed
+    // from the department's locations at the costing method. An order is checked against what
+    // has been spent plus everything the department still has on order.
+    getAllDepartments() {
+        return [...this.departments];
+    }
+
+    getDepartmentById(id) {
+        return this.departments.find(department => department.id === id);
+    }
+
+    addDepartment(departmentData) {
+        const department = this.createDepartment({ ...departmentData, id: this.generateId() });
+        this.departments.push(department);
+        this.saveToStorage();
+        return department;
+    }
+
+    updateDepartment(id, updates) {
+        const department = this.getDepartmentById(id);
+        if (!department) return null;
+
+        Object.assign(department, this.createDepartment({ ...department, ...updates, id }));
+        this.saveToStorage();
+        return department;
+    }
+
+    // Its locations are no longer charged to anyone; orders keep the department name
+    deleteDepartment(id) {
+        const index = this.departments.findIndex(department => department.id === id);
+        if (index === -1) return null;
+
+        const deletedDepartment = this.departments.splice(index, 1)[0];
+        this.locations
+            .filter(location => location.departmentId === id)
+            .forEach(location => { location.departmentId = null; });
+        this.saveToStorage();
+        return deletedDepartment;
+    }
+
+    // A budget of zero means the department's spend is tracked but not limited
+    createDepartment(departmentData) {
+        return {
+            id: departmentData.id,
+            name: (departmentData.name || '').trim(),
+            budget: Math.max(0, this.roundCost(parseFloat(departmentData.budget) || 0)),
+            budgetPeriod: this.budgetPeriods.includes(departmentData.budgetPeriod) ? departmentData.budgetPeriod : 'monthly'
+        };
+    }
+
+    getDepartmentLocations(departmentId) {
+        return this.locations.filter(location => location.departmentId === departmentId);
+    }
+
+    // The month or quarter holding the date, as YYYY-MM-DD bounds
+    getBudgetPeriod(department, date = new Date()) {
+        const months = department.budgetPeriod === 'quarterly' ? 3 : 1;
+        const year = date.getFullYear();
+        const firstMonth = Math.floor(date.getMonth() / months) * months;
+        const lastDay = new Date(year, firstMonth + months, 0).getDate();
+        const pad = value => String(value).padStart(2, '0');
+        return {
+            from: `${year}-${pad(firstMonth + 1)}-01`,
+            to: `${year}-${pad(firstMonth + months)}-${pad(lastDay)}`
+        };
+    }
+
+    // Order lines without a supplier cost fall back to the item's
+    getPurchaseOrderLineCost(line) {
+        if (line.unitCost !== null && line.unitCost !== undefined) return line.unitCost;
+        const item = this.getItemById(line.itemId);
+        return (item && this.getItemUnitCost(item)) || 0;
+    }
+
+    // Value of what is still to be received on the order
+    getPurchaseOrderValue(order) {
+        return this.roundCost(order.lines.reduce((total, line) =>
+            total + Math.max(0, line.quantityOrdered - line.quantityReceived) * this.getPurchaseOrderLineCost(line), 0));
+    }
+
+    getReceiptSpend(departmentId, { from, to } = {}) {
+        return this.roundCost(this.purchaseOrders
+            .filter(order => order.departmentId === departmentId)
+            .flatMap(order => order.lines.flatMap(line => line.receipts
+                .filter(receipt =>
+                    (!from || receipt.receivedDate.split('T')[0] >= from) &&
+                    (!to || receipt.receivedDate.split('T')[0] <= to)
+                )
+                .map(receipt => receipt.quantity * this.getPurchaseOrderLineCost(line))))
+            .reduce((total, cost) => total + cost, 0));
+    }
+
+    // Every dispense from a location charged to a department, with its cost. Costing replays
+    // each item's whole ledger, so this is worked out once and filtered per department.
+    getDepartmentConsumption() {
+        const method = this.settings.costingMethod;
+        return this.items.flatMap(item => this.getItemCosting(item, method).issues
+            .filter(issue => issue.type === 'dispense')
+            .map(issue => {
+                const lot = item.lots.find(candidate => candidate.id === issue.lotId);
+                const location = lot ? this.getLocationById(lot.locationId) : null;
+                return { departmentId: location ? location.departmentId : null, date: issue.timestamp.split('T')[0], cost: issue.cost };
+            })
+            .filter(entry => entry.departmentId));
+    }
+
+    getConsumptionSpend(departmentId, { from, to } = {}, consumption = this.getDepartmentConsumption()) {
+        return this.roundCost(consumption
+            .filter(entry => entry.departmentId === departmentId && (!from || entry.date >= from) && (!to || entry.date <= to))
+            .reduce((total, entry) => total + entry.cost, 0));
+    }
+
+    // Still to be received on the department's submitted orders, leaving out one order if given
+    getCommittedSpend(departmentId, excludeOrderId = null) {
+        return this.roundCost(this.purchaseOrders
+            .filter(order =>
+                order.departmentId === departmentId &&
+                order.id !== excludeOrderId &&
+                ['submitted', 'partially-received'].includes(order.status)
+            )
+            .reduce((total, order) => total + this.getPurchaseOrderValue(order), 0));
+    }
+
+    // Budget against actual for the department's current period
+    getDepartmentBudget(department, consumption = this.getDepartmentConsumption()) {
+        const period = this.getBudgetPeriod(department);
+        const received = this.getReceiptSpend(department.id, period);
+        const consumed = this.getConsumptionSpend(department.id, period, consumption);
+        const spent = this.settings.budgetSpendBasis === 'consumption' ? consumed : received;
+        const share = department.budget > 0 ? spent / department.budget : 0;
+
+        let status = 'ok';
+        if (department.budget === 0) status = 'unbudgeted';
+        else if (spent > department.budget) status = 'over';
+        else if (share >= this.settings.budgetWarningShare) status = 'warning';
+
+        return {
+            departmentId: department.id,
+            name: department.name,
+            budget: department.budget,
+            budgetPeriod: department.budgetPeriod,
+            period,
+            received,
+            consumed,
+            spent,
+            committed: this.getCommittedSpend(department.id),
+            remaining: this.roundCost(department.budget - spent),
+            share,
+            status
+        };
+    }
+
+    getBudgetSummary() {
+        const consumption = this.getDepartmentConsumption();
+        return this.departments.map(department => this.getDepartmentBudget(department, consumption));
+    }
+
+    // Whether the order would take its department past this period's budget; null when the
+    // order isn't charged to a department with a budget
+    getPurchaseOrderBudgetCheck(order) {
+        const department = this.getDepartmentById(order.departmentId);
+        if (!department || department.budget === 0) return null;
+
+        const period = this.getBudgetPeriod(department);
+        const spent = this.settings.budgetSpendBasis === 'consumption'
+            ? this.getConsumptionSpend(department.id, period)
+            : this.getReceiptSpend(department.id, period);
+        const committed = this.getCommittedSpend(department.id, order.id);
+        const orderValue = this.getPurchaseOrderValue(order);
+        const projected = this.roundCost(spent + committed + orderValue);
+
+        return {
+            departmentId: department.id,
+            departmentName: department.name,
+            budget: department.budget,
+            period,
+            spent,
+            committed,
+            orderValue,
+            projected,
+            exceeds: projected > department.budget
+        };
+    }
+
+    // Recalls
+    // A recall names a product (or any product) and the batch numbers affected. Opening it
+    // quarantines every matching lot, and lots received later with a recalled batch number
+    // are quarantined as they arrive. Matching stock on a dispatched transfer is listed as in
+    // transit and quarantined when the transfer is received. Each matched lot is cleared by returning its stock to
+    // the supplier or disposing of it; the recall can be closed once nothing is left on hand.
+    getRecalls({ status } = {}) {
+        return this.recalls.filter(recall => !status || recall.status === status);
+    }
+
+    getRecallById(id) {
+        return this.recalls.find(recall => recall.id === id);
+    }
+
+    createRecall({ itemId = null, product = '', batchNumbers = [], reason = '', recallDate = '', notes = '' } = {}) {
+        const item = itemId ? this.getItemById(itemId) : null;
+        const recall = {
+            id: this.generateId(),
+            number: this.getNextRecallNumber(),
+            itemId: item ? item.id : null,
+            product: item ? item.name : product,
+            batchNumbers: [...new Set(batchNumbers.map(batch => String(batch).trim()).filter(Boolean))],
+            reason,
+            recallDate: recallDate || new Date().toISOString().split('T')[0],
+            notes,
+            status: 'open',
+            matches: [],
+            createdDate: new Date().toISOString(),
+            createdBy: this.getCurrentUser(),
+            closedDate: null,
+            closedBy: null
+        };
+
+        this.recalls.push(recall);
+        this.items.forEach(candidate => {
+            this.getSortedLots(candidate).forEach(lot => this.quarantineIfRecalled(candidate, lot, recall));
+        });
+        this.saveToStorage();
+        return recall;
+    }
+
+    recallMatchesLot(recall, item, lot) {
+        const batch = (lot.batchNumber || '').trim().toLowerCase();
+        return recall.status === 'open' &&
+            batch !== '' &&
+            (!recall.itemId || recall.itemId === item.id) &&
+            recall.batchNumbers.some(candidate => candidate.toLowerCase() === batch);
+    }
+
+    // Dispatched transfer lines carrying a batch the recall names
+    getRecallTransitLines(recall) {
+        return this.getTransfers({ status: 'dispatched' }).flatMap(transfer => transfer.lines
+            .filter(line => line.quantityDispatched > 0 &&
+                this.recallMatchesLot(recall, { id: line.itemId }, { batchNumber: line.batchNumber }))
+            .map(line => ({
+                transferId: transfer.id,
+                transferNumber: transfer.number,
+                itemId: line.itemId,
+                itemName: line.itemName,
+                batchNumber: line.batchNumber,
+                sourceLocationName: transfer.sourceLocationName,
+                destinationLocationName: transfer.destinationLocationName,
+                quantity: line.quantityDispatched
+            }))
+        );
+    }
+
+    // Checks one lot against the given recall, or every open recall
+    quarantineIfRecalled(item, lot, recall = null) {
+        const recalls = recall ? [recall] : this.getRecalls({ status: 'open' });
+        const match = recalls.find(candidate => this.recallMatchesLot(candidate, item, lot));
+        if (!match || match.matches.some(existing => existing.lotId === lot.id)) return null;
+
+        lot.status = 'quarantined';
+        lot.holdReason = `Recall ${match.number}`;
+        lot.recallId = match.id;
+        lot.statusDate = new Date().toISOString();
+        lot.statusBy = this.getCurrentUser();
+
+        const entry = {
+            itemId: item.id,
+            itemName: item.name,
+            lotId: lot.id,
+            batchNumber: lot.batchNumber,
+            expiryDate: lot.expiryDate,
+            locationId: lot.locationId,
+            matchedDate: new Date().toISOString(),
+            resolutions: []
+        };
+        match.matches.push(entry);
+        return entry;
+    }
+
+    // Clears recalled stock from one lot: 'returned' books a return, 'disposed' a disposal
+    resolveRecallLot(id, lotId, { action, quantity, method = 'pharmacy-return', witness = null } = {}) {
+        const recall = this.getRecallById(id);
+        if (!recall) return null;
+        if (recall.status !== 'open') {
+            throw new Error(`${recall.number} is ${recall.status}`);
+        }
+
+        const match = recall.matches.find(candidate => candidate.lotId === lotId);
+        const item = match ? this.getItemById(match.itemId) : null;
+        if (!item) {
+            throw new Error(`Lot ${lotId} is not part of ${recall.number}`);
+        }
+
+        const units = this.parseQuantity(item, quantity);
+        const resolution = { action, quantity: units, date: new Date().toISOString(), user: this.getCurrentUser(), reference: null };
+
+        if (action === 'disposed') {
+            const disposal = this.disposeLot(item.id, { lotId, quantity: units, reason: 'recalled', method, notes: recall.number, witness });
+            resolution.reference = disposal.number;
+        } else if (action === 'returned') {
+            const before = item.quantity;
+            const reason = `Returned to supplier (recall ${recall.number})`;
+            this.recordTransaction(item, { type: 'return', lotId, delta: -units, reason, reference: recall.number, witness });
+            item.lastUpdated = new Date().toISOString().split('T')[0];
+            this.syncItemTotals(item);
+            this.logQuantityEvent(item, 'return', before, `recall ${recall.number}`);
+        } else {
+            throw new Error(`Unknown recall action: ${action}`);
+        }
+
+        match.resolutions.push(resolution);
+        this.saveToStorage();
+        return recall;
     }
 
-    getItemById(id) {
-        return this.items.find(item => item.id === id);
+    closeRecall(id) {
+        const recall = this.getRecallById(id);
+        if (!recall) return null;
+
+        const { totals } = this.getRecallReport(recall);
+        if (totals.onHand > 0) {
+            throw new Error(`${totals.onHand} recalled unit${totals.onHand === 1 ? ' is' : 's are'} still on hand`);
+        }
+        if (totals.inTransit > 0) {
+            throw new Error(`${totals.inTransit} recalled unit${totals.inTransit === 1 ? ' is' : 's are'} still in transit`);
+        }
+
+        recall.status = 'closed';
+        recall.closedDate = new Date().toISOString();
+        recall.closedBy = this.getCurrentUser();
+        this.saveToStorage();
+        return recall;
     }
 
-    addItem(itemData) {
-        const newItem = {
-            ...itemData,
-            id: this.generateId(),
-            dateAdded: new Date().toISOString().split('T')[0],
-            lastUpdated: new Date().toISOString().split('T')[0]
+    // Per matched lot: what was on hand, dispensed before the match, returned, disposed and left
+    getRecallReport(recall) {
+        const lines = recall.matches.map(match => {
+            const lot = this.getLot(match.itemId, match.lotId);
+            const ledger = this.getTransactions({ itemId: match.itemId, lotId: match.lotId });
+            const sumOf = action => this.sumQuantities(match.resolutions
+                .filter(resolution => resolution.action === action)
+                .map(resolution => resolution.quantity));
+            const dispensed = -this.sumQuantities(ledger
+                .filter(entry => entry.type === 'dispense')
+                .map(entry => entry.delta));
+            const patientDispensings = this.getPatientDispensings({ lotId: match.lotId });
+
+            return {
+                ...match,
+                locationName: this.getLocationById(match.locationId)?.name || '',
+                dispensed,
+                dispensedToPatients: this.sumQuantities(patientDispensings.flatMap(record =>
+                    record.lots.filter(lot => lot.lotId === match.lotId).map(lot => lot.quantity)
+                )),
+                patients: [...new Set(patientDispensings.map(record => record.patientReference))],
+                returned: sumOf('returned'),
+                disposed: sumOf('disposed'),
+                onHand: lot ? lot.quantity : 0
+            };
+        });
+        const total = field => this.sumQuantities(lines.map(line => line[field]));
+        const inTransit = recall.status === 'open' ? this.getRecallTransitLines(recall) : [];
+
+        return {
+            recallId: recall.id,
+            number: recall.number,
+            lines,
+            inTransit,
+            totals: {
+                lots: lines.length,
+                dispensed: total('dispensed'),
+                dispensedToPatients: total('dispensedToPatients'),
+                patients: [...new Set(lines.flatMap(line => line.patients))],
+                returned: total('returned'),
+                disposed: total('disposed'),
+                onHand: total('onHand'),
+                inTransit: this.sumQuantities(inTransit.map(line => line.quantity))
+            }
         };
-        this.items.push(newItem);
+    }
+
+    // Matched lots of open recalls that still hold stock, one entry per lot
+    getRecalledItems() {
+        return this.getRecalls({ status: 'open' }).flatMap(recall =>
+            recall.matches
+                .map(match => ({ match, item: this.getItemById(match.itemId), lot: this.getLot(match.itemId, match.lotId) }))
+                .filter(({ item, lot }) => item && lot && lot.quantity > 0)
+                .map(({ item, lot }) => ({ ...item, lot, recall }))
+        );
+    }
+
+    getNextRecallNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.recalls.filter(recall => recall.number.startsWith(`RC-${year}-`)).length + 1;
+        return `RC-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    // Cold Chain
+    // Readings come from min/max thermometers, so each one covers the time since the previous
+    // reading at that location: an out-of-range reading means the temperature left the range
+    // somewhere in that gap, and the next in-range reading ends the excursion
+    getStorageRange(record) {
+        return this.storageConditions[record.storageCondition] || this.storageConditions['room-temperature'];
+    }
+
+    // Locations kept outside room temperature need readings twice a day
+    getMonitoredLocations() {
+        return this.locations.filter(location => location.storageCondition !== 'room-temperature');
+    }
+
+    getTemperatureReadings({ locationId, from, to } = {}) {
+        return this.temperatureReadings
+            .filter(reading =>
+                (!locationId || reading.locationId === locationId) &&
+                (!from || new Date(reading.recordedAt) >= new Date(`${from}T00:00:00`)) &&
+                (!to || new Date(reading.recordedAt) <= new Date(`${to}T23:59:59`))
+            )
+            .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+    }
+
+    isReadingInRange(reading, range) {
+        return reading.minTemp >= range.min && reading.maxTemp <= range.max;
+    }
+
+    // Readings are applied oldest first; one already logged for the same location and time is
+    // skipped, so a data-logger file can be imported again without doubling up
+    recordTemperatureReadings(locationId, readings = [], source = 'manual') {
+        const location = this.getLocationById(locationId);
+        if (!location) return null;
+
+        const loggedTimes = new Set(this.getTemperatureReadings({ locationId })
+            .map(reading => new Date(reading.recordedAt).getTime()));
+        const recorded = readings
+            .map(reading => ({
+                id: this.generateId(),
+                locationId,
+                recordedAt: new Date(reading.recordedAt).toISOString(),
+                minTemp: parseFloat(reading.minTemp),
+                maxTemp: parseFloat(reading.maxTemp),
+                source,
+                notes: reading.notes || '',
+                user: this.getCurrentUser(),
+                createdDate: new Date().toISOString(),
+                excursionId: null
+            }))
+            .filter(reading => {
+                const time = new Date(reading.recordedAt).getTime();
+                if (loggedTimes.has(time)) return false;
+                loggedTimes.add(time);
+                return true;
+            })
+            .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+
+        const excursions = new Set();
+        recorded.forEach(reading => {
+            const excursion = this.checkForExcursion(location, reading);
+            this.temperatureReadings.push(reading);
+            if (excursion) excursions.add(excursion);
+        });
+
         this.saveToStorage();
-        return newItem;
+        return { readings: recorded, skipped: readings.length - recorded.length, excursions: [...excursions] };
     }
 
-    updateItem(id, updates) {
-        const index = this.items.findIndex(item => item.id === id);
-        if (index !== -1) {
-            this.items[index] = {
-                ...this.items[index],
-                ...updates,
-                lastUpdated: new Date().toISOString().split('T')[0]
+    // Out-of-range readings extend the location's ongoing excursion while it is still open;
+    // once an excursion has been reviewed, further readings start a new one. Readings older
+    // than the latest one logged (e.g. a late logger import) never touch the ongoing excursion.
+    checkForExcursion(location, reading) {
+        const range = this.getStorageRange(location);
+        const logged = this.getTemperatureReadings({ locationId: location.id });
+        const previous = logged
+            .filter(candidate => new Date(candidate.recordedAt) < new Date(reading.recordedAt))
+            .pop();
+        const backdated = logged.length > 0 && logged[logged.length - 1] !== previous;
+        const ongoing = backdated ? null : this.excursions.find(excursion => excursion.locationId === location.id && excursion.ongoing);
+
+        if (this.isReadingInRange(reading, range)) {
+            if (ongoing) ongoing.ongoing = false;
+            return null;
+        }
+
+        let excursion = ongoing && ongoing.status === 'open' ? ongoing : null;
+        if (!excursion) {
+            if (ongoing) ongoing.ongoing = false;
+            excursion = {
+                id: this.generateId(),
+                number: this.getNextExcursionNumber(),
+                locationId: location.id,
+                locationName: location.name,
+                storageCondition: location.storageCondition,
+                rangeMin: range.min,
+                rangeMax: range.max,
+                windowStart: previous ? previous.recordedAt : reading.recordedAt,
+                windowEnd: reading.recordedAt,
+                lowestTemp: reading.minTemp,
+                highestTemp: reading.maxTemp,
+                readingIds: [],
+                ongoing: !backdated,
+                status: 'open',
+                detectedDate: new Date().toISOString(),
+                reviewedDate: null,
+                reviewedBy: null,
+                reviewNotes: '',
+                quarantinedLotIds: []
             };
-            this.saveToStorage();
-            return this.items[index];
+            this.excursions.push(excursion);
+            this.logEvent('temperature-excursion', null,
+                `${location.name} out of range: ${reading.minTemp}-${reading.maxTemp}°C (${range.min}-${range.max}°C) on ${excursion.number}`);
         }
-        return null;
+
+        excursion.windowEnd = reading.recordedAt;
+        excursion.lowestTemp = Math.min(excursion.lowestTemp, reading.minTemp);
+        excursion.highestTemp = Math.max(excursion.highestTemp, reading.maxTemp);
+        excursion.readingIds.push(reading.id);
+        reading.excursionId = excursion.id;
+        return excursion;
     }
 
-    deleteItem(id) {
-        const index = this.items.findIndex(item => item.id === id);
-        if (index !== -1) {
-            const deletedItem = this.items.splice(index, 1)[0];
-            this.saveToStorage();
-            return deletedItem;
+    getExcursions({ status, locationId } = {}) {
+        return this.excursions.filter(excursion =>
+            (!status || excursion.status === status) &&
+            (!locationId || excursion.locationId === locationId)
+        );
+    }
+
+    getExcursionById(id) {
+        return this.excursions.find(excursion => excursion.id === id);
+    }
+
+    // Every lot that held stock at the location at some point during the excursion window.
+    // Opening balances describe stock already on the shelf, so they don't count as arrivals.
+    getExcursionLots(excursion) {
+        const start = new Date(excursion.windowStart);
+        const end = new Date(excursion.windowEnd);
+
+        return this.items.flatMap(item => item.lots
+            .filter(lot => lot.locationId === excursion.locationId)
+            .filter(lot => {
+                if (lot.receivedDate && new Date(`${lot.receivedDate}T00:00:00`) > end) return false;
+
+                const movements = this.getTransactions({ itemId: item.id, lotId: lot.id })
+                    .filter(entry => entry.reason !== 'Opening balance');
+                const quantityAtStart = this.roundQuantity(lot.quantity - this.sumQuantities(movements
+                    .filter(entry => new Date(entry.timestamp) > start)
+                    .map(entry => entry.delta)));
+                const arrivedDuring = movements.some(entry =>
+                    entry.delta > 0 && new Date(entry.timestamp) > start && new Date(entry.timestamp) <= end
+                );
+                return quantityAtStart > 0 || arrivedDuring;
+            })
+            .map(lot => ({
+                itemId: item.id,
+                itemName: item.name,
+                lotId: lot.id,
+                batchNumber: lot.batchNumber,
+                expiryDate: lot.expiryDate,
+                quantity: lot.quantity,
+                status: lot.status,
+                storageCondition: item.storageCondition,
+                // Items meant to be kept in this location's condition are the ones at risk
+                temperatureSensitive: item.storageCondition === excursion.storageCondition
+            }))
+        );
+    }
+
+    // Open excursions with the lots they affect, for the alerts
+    getOpenExcursions() {
+        return this.getExcursions({ status: 'open' }).map(excursion => ({
+            ...excursion,
+            lots: this.getExcursionLots(excursion)
+        }));
+    }
+
+    // Holds the chosen lots; lots that are already held keep their current status
+    quarantineExcursionLots(id, lotIds = [], notes = '') {
+        const excursion = this.getExcursionById(id);
+        if (!excursion) return null;
+        this.assertExcursionStatus(excursion, ['open']);
+
+        const reason = `Temperature excursion ${excursion.number}`;
+        this.getExcursionLots(excursion)
+            .filter(entry => lotIds.includes(entry.lotId))
+            .forEach(entry => {
+                const lot = this.getLot(entry.itemId, entry.lotId);
+                if (this.isLotHeld(lot)) return;
+                this.setLotStatus(entry.itemId, entry.lotId, { status: 'quarantined', reason });
+                excursion.quarantinedLotIds.push(entry.lotId);
+            });
+
+        this.closeExcursionReview(excursion, 'quarantined', notes);
+        return excursion;
+    }
+
+    // Reviewed with no stock affected, e.g. a door left open briefly with nothing sensitive inside
+    dismissExcursion(id, notes = '') {
+        const excursion = this.getExcursionById(id);
+        if (!excursion) return null;
+        this.assertExcursionStatus(excursion, ['open']);
+
+        this.closeExcursionReview(excursion, 'dismissed', notes);
+        return excursion;
+    }
+
+    closeExcursionReview(excursion, status, notes) {
+        excursion.status = status;
+        excursion.reviewedDate = new Date().toISOString();
+        excursion.reviewedBy = this.getCurrentUser();
+        excursion.reviewNotes = notes;
+        this.saveToStorage();
+    }
+
+    assertExcursionStatus(excursion, allowed) {
+        if (!allowed.includes(excursion.status)) {
+            throw new Error(`${excursion.number} has already been ${excursion.status}`);
         }
-        return null;
     }
 
-    updateQuantity(id, newQuantity) {
-        return this.updateItem(id, { quantity: Math.max(0, newQuantity) });
+    // Morning (before noon) and afternoon readings taken today at each monitored location
+    getTemperatureChecks(date = new Date()) {
+        return this.getMonitoredLocations().map(location => {
+            const readings = this.getTemperatureReadings({ locationId: location.id });
+            const today = readings.filter(reading => new Date(reading.recordedAt).toDateString() === date.toDateString());
+
+            return {
+                locationId: location.id,
+                locationName: location.name,
+                storageCondition: location.storageCondition,
+                range: this.getStorageRange(location),
+                morning: today.find(reading => new Date(reading.recordedAt).getHours() < 12) || null,
+                afternoon: today.find(reading => new Date(reading.recordedAt).getHours() >= 12) || null,
+                lastReading: readings[readings.length - 1] || null
+            };
+        });
     }
 
-    increaseQuantity(id, amount = 1) {
-        const item = this.getItemById(id);
-        if (item) {
-            return this.updateQuantity(id, item.quantity + amount);
+    getNextExcursionNumber() {
+        const year = new Date().getFullYear();
+        const sequence = this.excursions.filter(excursion => excursion.number.startsWith(`TE-${year}-`)).length + 1;
+        return `TE-${year}-${String(sequence).padStart(4, '0')}`;
+    }
+
+    // Cycle Counting
+    // Items are ranked by consumption value (the cost of the units dispensed in the last year);
+    // the items making up the first 80% of value are class A, the next 15% class B and the
+    // rest class C. Each class has its own count interval, shortened for items whose recent
+    // counts found variances.
+    getConsumptionValue(item) {
+        const yearAgo = new Date();
+        yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+
+        // Each dispense is valued at the clinic's costing method, as in the cost of goods consumed
+        const used = this.getItemCosting(item).issues
+            .filter(issue => issue.type === 'dispense' && new Date(issue.timestamp) >= yearAgo);
+        const unitsUsed = this.sumQuantities(used.map(issue => issue.quantity));
+        const value = used.reduce((total, issue) => total + issue.cost, 0);
+        const unitCost = unitsUsed > 0 && value > 0 ? value / unitsUsed : this.getItemUnitCost(item);
+
+        return { unitsUsed, unitCost, value };
+    }
+
+    getAbcClassification() {
+        const ranked = this.items
+            .map(item => ({ item, ...this.getConsumptionValue(item) }))
+            .sort((a, b) => b.value - a.value || b.unitsUsed - a.unitsUsed || a.item.name.localeCompare(b.item.name));
+        const totalValue = ranked.reduce((total, entry) => total + entry.value, 0);
+        const { A, B } = this.settings.abcClassShares;
+
+        let cumulative = 0;
+        return ranked.map(({ item, unitsUsed, unitCost, value }) => {
+            const shareBefore = totalValue > 0 ? cumulative / totalValue : 1;
+            cumulative += value;
+
+            // An item belongs to the class in which its share of value starts
+            const abcClass = value === 0 ? 'C' : shareBefore < A ? 'A' : shareBefore < B ? 'B' : 'C';
+            return {
+                itemId: item.id,
+                name: item.name,
+                category: item.category,
+                unitsUsed,
+                unitCost,
+                consumptionValue: Math.round(value * 100) / 100,
+                share: totalValue > 0 ? Math.round((value / totalValue) * 1000) / 1000 : 0,
+                abcClass
+            };
+        });
+    }
+
+    // Posted counts of an item, newest first, with the variance each one found
+    getItemCountHistory(itemId) {
+        return this.getCountSessions({ status: 'posted' })
+            .map(session => {
+                const lines = session.lines.filter(line => line.itemId === itemId && line.countedQuantity !== null);
+                return {
+                    sessionId: session.id,
+                    number: session.number,
+                    date: session.postedDate,
+                    counted: lines.length > 0,
+                    difference: this.roundQuantity(this.sumQuantities(lines.map(line => line.countedQuantity)) - this.sumQuantities(lines.map(line => line.expectedQuantity))),
+                    hasVariance: lines.some(line => line.countedQuantity !== line.expectedQuantity)
+                };
+            })
+            .filter(entry => entry.counted)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    // Next due date per item. The interval is divided by one plus the number of counts in
+    // the last year that found a variance, down to a week.
+    getCycleCountSchedule({ category, abcClass } = {}) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const yearAgo = new Date(today);
+        yearAgo.setFullYear(yearAgo.getFullYear() - 1);
+        const classification = this.getAbcClassification();
+
+        return classification
+            .map(entry => {
+                const classMembers = classification.filter(candidate => candidate.abcClass === entry.abcClass);
+                const baseIntervalDays = this.settings.cycleCountIntervalDays[entry.abcClass];
+                const history = this.getItemCountHistory(entry.itemId);
+                const varianceCount = history.filter(count => count.hasVariance && new Date(count.date) >= yearAgo).length;
+                const intervalDays = Math.max(7, Math.round(baseIntervalDays / (1 + varianceCount)));
+                const lastCountedDate = history.length > 0 ? history[0].date.split('T')[0] : null;
+
+                // Never-counted items are spread evenly over their class's first interval
+                const dueDate = new Date(`${lastCountedDate || this.settings.cycleCountStartDate}T00:00:00`);
+                dueDate.setDate(dueDate.getDate() + (lastCountedDate
+                    ? intervalDays
+                    : Math.floor(classMembers.indexOf(entry) * intervalDays / classMembers.length)));
+
+                return {
+                    ...entry,
+                    baseIntervalDays,
+                    intervalDays,
+                    varianceCount,
+                    lastCountedDate,
+                    dueDate: dueDate.toISOString().split('T')[0],
+                    daysUntilDue: Math.round((dueDate - today) / (1000 * 60 * 60 * 24))
+                };
+            })
+            .filter(entry => (!category || entry.category === category) && (!abcClass || entry.abcClass === abcClass))
+            .sort((a, b) => a.daysUntilDue - b.daysUntilDue || a.name.localeCompare(b.name));
+    }
+
+    // Today's list, including anything overdue
+    getCycleCountsDue() {
+        return this.getCycleCountSchedule().filter(entry => entry.daysUntilDue <= 0);
+    }
+
+    // Reorder Planning
+    // Reorder point = average daily usage over the lead time plus safety stock, where
+    // safety stock = z(service level) x daily usage std. deviation x sqrt(lead time)
+    getReorderSuggestion(item) {
+        const usage = this.getDailyUsage(item.id);
+        const supplier = this.getPreferredSupplier(item);
+        const leadTimeDays = this.getLeadTimeDays(item);
+        const serviceLevel = this.settings.serviceLevel;
+
+        if (usage.totalUsed === 0) {
+            return {
+                itemId: item.id,
+                reorderPoint: null,
+                reorderQuantity: null,
+                reason: `No dispensing in the last ${this.settings.usageLookbackDays} days`
+            };
         }
-        return null;
+
+        const zScore = this.serviceLevelZScores[serviceLevel] || this.serviceLevelZScores[0.95];
+        const safetyStock = Math.ceil(zScore * usage.standardDeviation * Math.sqrt(leadTimeDays));
+        const reorderPoint = Math.ceil(usage.average * leadTimeDays) + safetyStock;
+        const reorderQuantity = Math.max(
+            1,
+            Math.ceil(usage.average * this.settings.reviewPeriodDays),
+            supplier ? supplier.minimumOrderQuantity : 0
+        );
+
+        return {
+            itemId: item.id,
+            averageDailyUsage: usage.average,
+            usageStandardDeviation: usage.standardDeviation,
+            historyDays: usage.days,
+            leadTimeDays,
+            leadTimeSource: supplier ? supplier.name : 'default',
+            serviceLevel,
+            safetyStock,
+            reorderPoint,
+            reorderQuantity
+        };
     }
 
-    decreaseQuantity(id, amount = 1) {
-        const item = this.getItemById(id);
-        if (item) {
-            return this.updateQuantity(id, item.quantity - amount);
+    // Units dispensed per day over the lookback window. Items younger than the window
+    // are measured from their first ledger entry so quiet early days don't dilute usage.
+    getDailyUsage(itemId) {
+        const entries = this.getTransactions({ itemId });
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const firstDay = entries.length > 0 ? new Date(entries[0].timestamp) : today;
+        firstDay.setHours(0, 0, 0, 0);
+        const historyDays = Math.floor((today - firstDay) / (1000 * 60 * 60 * 24)) + 1;
+        const days = Math.max(1, Math.min(this.settings.usageLookbackDays, historyDays));
+
+        const windowStart = new Date(today);
+        windowStart.setDate(windowStart.getDate() - (days - 1));
+
+        const daily = new Array(days).fill(0);
+        entries
+            .filter(entry => entry.type === 'dispense' && new Date(entry.timestamp) >= windowStart)
+            .forEach(entry => {
+                const day = new Date(entry.timestamp);
+                day.setHours(0, 0, 0, 0);
+                const index = Math.round((day - windowStart) / (1000 * 60 * 60 * 24));
+                if (index >= 0 && index < days) daily[index] += -entry.delta;
+            });
+
+        const totalUsed = daily.reduce((sum, value) => sum + value, 0);
+        const average = totalUsed / days;
+        const variance = daily.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / days;
+
+        return {
+            days,
+            totalUsed,
+            average: Math.round(average * 100) / 100,
+            standardDeviation: Math.round(Math.sqrt(variance) * 100) / 100
+        };
+    }
+
+    // The preferred supplier's lead time, or the clinic default when there is none
+    getLeadTimeDays(item) {
+        const supplier = this.getPreferredSupplier(item);
+        return supplier ? supplier.leadTimeDays : this.settings.defaultLeadTimeDays;
+    }
+
+    applyReorderSuggestion(itemId) {
+        const item = this.getItemById(itemId);
+        if (!item) return null;
+
+        const suggestion = this.getReorderSuggestion(item);
+        if (suggestion.reorderPoint === null) return null;
+
+        return this.updateItem(itemId, {
+            lowStockThreshold: suggestion.reorderPoint,
+            reorderQuantity: suggestion.reorderQuantity
+        });
+    }
+
+    // Applies suggestions to every item with usage history; the rest are left alone
+    recalculateReorderPoints() {
+        const updated = [];
+        const skipped = [];
+
+        this.items.forEach(item => {
+            const suggestion = this.getReorderSuggestion(item);
+            if (suggestion.reorderPoint === null) {
+                skipped.push({ itemId: item.id, name: item.name, reason: suggestion.reason });
+            } else {
+                const before = item.lowStockThreshold;
+                this.applyReorderSuggestion(item.id);
+                updated.push({ itemId: item.id, name: item.name, before, after: suggestion.reorderPoint });
+            }
+        });
+
+        return { updated, skipped };
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    updateSettings(updates) {
+        Object.assign(this.settings, updates);
+        this.saveToStorage();
+        return this.getSettings();
+    }
+
+    // Stock-Out Forecasting
+    // Days of supply = quantity on hand / average daily usage over the lookback window
+    getStockOutForecast(item) {
+        const usage = this.getDailyUsage(item.id);
+        const leadTimeDays = this.getLeadTimeDays(item);
+
+        if (usage.average === 0) {
+            return {
+                itemId: item.id,
+                averageDailyUsage: 0,
+                daysOfSupply: null,
+                stockOutDate: null,
+                leadTimeDays
+            };
         }
-        return null;
+
+        const daysOfSupply = Math.floor(item.quantity / usage.average);
+        const stockOutDate = new Date();
+        stockOutDate.setDate(stockOutDate.getDate() + daysOfSupply);
+
+        return {
+            itemId: item.id,
+            averageDailyUsage: usage.average,
+            daysOfSupply,
+            stockOutDate: stockOutDate.toISOString().split('T')[0],
+            leadTimeDays
+        };
+    }
+
+    // Stocked items projected to run out before an order placed today could arrive,
+    // soonest first. Each entry is the item with its forecast attached.
+    getRunningOutSoonItems() {
+        return this.items
+            .filter(item => item.quantity > 0)
+            .map(item => ({ ...item, forecast: this.getStockOutForecast(item) }))
+            .filter(item =>
+                item.forecast.daysOfSupply !== null &&
+                item.forecast.daysOfSupply < item.forecast.leadTimeDays
+            )
+            .sort((a, b) => a.forecast.daysOfSupply - b.forecast.daysOfSupply);
     }
 
     // Filtering and Search
@@ -205,40 +3680,44 @@ class InventoryData {
         return this.items.filter(item => 
             item.name.toLowerCase().includes(searchTerm) ||
             item.category.toLowerCase().includes(searchTerm) ||
-            item.batchNumber.toLowerCase().includes(searchTerm) ||
+            item.lots.some(lot => lot.batchNumber.toLowerCase().includes(searchTerm)) ||
             (item.description && item.description.toLowerCase().includes(searchTerm))
         );
     }
 
+    filterBySupplier(supplierId) {
+        if (!supplierId) return this.getAllItems();
+        return this.getSupplierItems(supplierId);
+    }
+
+    // Items with stock at the location, or a threshold there even when it has run out
+    filterByLocation(locationId) {
+        if (!locationId) return this.getAllItems();
+        return this.items.filter(item =>
+            this.getLocationQuantity(item, locationId) > 0 ||
+            this.getLocationThreshold(item, locationId) !== null
+        );
+    }
+
     filterByCategory(category) {
         if (!category) return this.getAllItems();
         return this.items.filter(item => item.category === category);
     }
 
     filterByStatus(status) {
-        const today = new Date();
-        
         switch (status) {
             case 'in-stock':
-                return this.items.filter(item => 
-                    item.quantity > (item.lowStockThreshold || this.lowStockThreshold) &&
-                    !this.isExpiringSoon(item.expiryDate) &&
-                    !this.isExpired(item.expiryDate)
-                );
+                return this.items.filter(item => this.getItemStatus(item) === 'in-stock');
             case 'low-stock':
-                return this.items.filter(item => 
-                    item.quantity <= (item.lowStockThreshold || this.lowStockThreshold) &&
-                    item.quantity > 0
-                );
+                return this.getLowStockItems();
             case 'out-of-stock':
                 return this.items.filter(item => item.quantity === 0);
             case 'expiring':
-                return this.items.filter(item => 
-                    this.isExpiringSoon(item.expiryDate) && 
-                    !this.isExpired(item.expiryDate)
-                );
+                return this.items.filter(item => this.getExpiringSoonLots(item).length > 0);
             case 'expired':
-                return this.items.filter(item => this.isExpired(item.expiryDate));
+                return this.items.filter(item => this.getExpiredLots(item).length > 0);
+            case 'quarantined':
+                return this.items.filter(item => this.getQuarantinedQuantity(item) > 0);
             default:
                 return this.getAllItems();
         }
@@ -250,7 +3729,7 @@ class InventoryData {
         const lowStock = this.getLowStockItems().length;
         const expiring = this.getExpiringSoonItems().length;
         const expired = this.getExpiredItems().length;
-        const inStock = total - lowStock - expired;
+        const inStock = this.items.filter(item => this.getItemStatus(item) === 'in-stock').length;
 
         return {
             total,
@@ -258,33 +3737,65 @@ class InventoryData {
             expiring,
             expired,
             inStock,
-            outOfStock: this.items.filter(item => item.quantity === 0).length
+            outOfStock: this.items.filter(item => item.quantity === 0).length,
+            stockValue: this.getStockValue(),
+            byLocation: this.getLocationSummary()
         };
     }
 
+    // Judged on available stock, so a balance that is mostly on hold still raises the alert
     getLowStockItems() {
         return this.items.filter(item => 
-            item.quantity <= (item.lowStockThreshold || this.lowStockThreshold) &&
-            item.quantity > 0
+            this.getAvailableQuantity(item) <= (item.lowStockThreshold || this.lowStockThreshold) &&
+            item.quantity > 0 &&
+            !this.isCoveredBySubstitutes(item)
+        );
+    }
+
+    // Items with nothing on hand; items whose substitute group has enough stock don't raise an alert
+    getOutOfStockItems() {
+        return this.items.filter(item => item.quantity === 0 && !this.isCoveredBySubstitutes(item));
+    }
+
+    // Stock at or below half the threshold is critical; halved in the item's smallest step
+    // so a 25 unit threshold stays critical at 12 and a 2.5 l threshold at 1.2 l
+    getCriticalThreshold(item) {
+        const scale = Math.pow(10, this.getQuantityPrecision(item));
+        const threshold = item.lowStockThreshold || this.lowStockThreshold;
+        return Math.floor(this.roundQuantity(threshold * scale) / 2) / scale;
+    }
+
+    // Stocked lots that expire within the warning window
+    getExpiringSoonLots(item) {
+        return this.getSortedLots(item).filter(lot =>
+            this.isExpiringSoon(this.getLotExpiry(lot)) &&
+            !this.isExpired(this.getLotExpiry(lot))
         );
     }
 
+    // Stocked lots that are past their expiry date
+    getExpiredLots(item) {
+        return this.getSortedLots(item).filter(lot => this.isExpired(this.getLotExpiry(lot)));
+    }
+
+    // Expiry checks are per lot: each entry is the item with the matching lot attached
     getExpiringSoonItems() {
-        return this.items.filter(item => 
-            this.isExpiringSoon(item.expiryDate) && 
-            !this.isExpired(item.expiryDate)
+        return this.items.flatMap(item =>
+            this.getExpiringSoonLots(item).map(lot => ({ ...item, lot }))
         );
     }
 
     getExpiredItems() {
-        return this.items.filter(item => this.isExpired(item.expiryDate));
+        return this.items.flatMap(item =>
+            this.getExpiredLots(item).map(lot => ({ ...item, lot }))
+        );
     }
 
     getCriticalAlerts() {
         const criticalItems = [];
         
         // Out of stock items
-        this.items.filter(item => item.quantity === 0).forEach(item => {
+        this.getOutOfStockItems().forEach(item => {
             criticalItems.push({
                 type: 'out-of-stock',
                 item,
@@ -297,66 +3808,187 @@ class InventoryData {
         // Extremely low stock (less than half of threshold)
         this.items.filter(item => 
             item.quantity > 0 && 
-            item.quantity <= Math.floor((item.lowStockThreshold || this.lowStockThreshold) / 2)
+            this.getAvailableQuantity(item) <= this.getCriticalThreshold(item) &&
+            !this.isCoveredBySubstitutes(item)
         ).forEach(item => {
             criticalItems.push({
                 type: 'critical-low',
                 item,
-                message: `${item.name} has critically low stock (${item.quantity} remaining)`,
+                message: `${item.name} has critically low stock (${this.formatQuantity(item, this.getAvailableQuantity(item))} available)`,
                 priority: 'high',
                 icon: 'fas fa-exclamation-triangle'
             });
         });
 
-        // Expired items
-        this.getExpiredItems().forEach(item => {
+        // Recalled lots still on hand come before everything else
+        this.getRecalledItems().forEach(entry => {
+            criticalItems.push({
+                type: 'recall',
+                item: entry,
+                lot: entry.lot,
+                message: `${entry.name} (${this.getLotLabel(entry.lot)}) is recalled under ${entry.recall.number}`,
+                priority: 'critical',
+                icon: 'fas fa-ban'
+            });
+        });
+
+        // Temperature excursions waiting for review
+        this.getOpenExcursions().forEach(excursion => {
+            criticalItems.push({
+                type: 'excursion',
+                item: null,
+                excursion,
+                message: `${excursion.locationName} went out of range (${excursion.lowestTemp} to ${excursion.highestTemp}°C), ${excursion.lots.length} lot${excursion.lots.length === 1 ? '' : 's'} affected`,
+                priority: 'critical',
+                icon: 'fas fa-thermometer-full'
+            });
+        });
+
+        // Expired lots
+        this.getExpiredItems().forEach(entry => {
             criticalItems.push({
                 type: 'expired',
-                item,
-                message: `${item.name} has expired on ${this.formatDate(item.expiryDate)}`,
+                item: entry,
+                lot: entry.lot,
+                message: this.usesBeyondUseDate(entry.lot)
+                    ? `${entry.name} (${this.getLotLabel(entry.lot)}) passed its beyond-use date on ${this.formatDate(entry.lot.beyondUseDate)}`
+                    : `${entry.name} (${this.getLotLabel(entry.lot)}) expired on ${this.formatDate(entry.lot.expiryDate)}`,
                 priority: 'high',
                 icon: 'fas fa-calendar-times'
             });
         });
 
-        // Expiring very soon (within 7 days)
-        this.items.filter(item => 
-            this.getDaysUntilExpiry(item.expiryDate) <= 7 && 
-            this.getDaysUntilExpiry(item.expiryDate) > 0
-        ).forEach(item => {
-            const days = this.getDaysUntilExpiry(item.expiryDate);
+        // Lots expiring very soon (within 7 days)
+        this.getExpiringSoonItems().filter(entry => 
+            this.getDaysUntilExpiry(this.getLotExpiry(entry.lot)) <= 7
+        ).forEach(entry => {
+            const days = this.getDaysUntilExpiry(this.getLotExpiry(entry.lot));
             criticalItems.push({
                 type: 'expiring-soon',
-                item,
-                message: `${item.name} expires in ${days} day${days === 1 ? '' : 's'}`,
+                item: entry,
+                lot: entry.lot,
+                message: `${entry.name} (${this.getLotLabel(entry.lot)}) expires in ${days} day${days === 1 ? '' : 's'}`,
                 priority: 'medium',
                 icon: 'fas fa-clock'
             });
         });
 
+        // Items projected to run out before a new order could arrive
+        this.getRunningOutSoonItems().forEach(entry => {
+            const days = entry.forecast.daysOfSupply;
+            criticalItems.push({
+                type: 'stock-out-forecast',
+                item: entry,
+                forecast: entry.forecast,
+                message: `${entry.name} runs out in ${days} day${days === 1 ? '' : 's'}, lead time is ${entry.forecast.leadTimeDays}`,
+                priority: 'medium',
+                icon: 'fas fa-hourglass-half'
+            });
+        });
+
         return criticalItems.sort((a, b) => {
-            const priorityOrder = { high: 3, medium: 2, low: 1 };
+            const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
             return priorityOrder[b.priority] - priorityOrder[a.priority];
         });
     }
 
-    getRecentActivity() {
-        const activities = [];
-        const sortedItems = [...this.items].sort((a, b) => 
-            new Date(b.lastUpdated) - new Date(a.lastUpdated)
-        );
+    // Activity Log
+    // User-facing events with a before/after diff, newest first. Unlike the
+    // ledger this is a feed, so it is capped at maxEvents entries.
+    logEvent(type, item, message, changes = {}) {
+        const event = {
+            id: this.generateId(),
+            type,
+            itemId: item ? item.id : null,
+            itemName: item ? item.name : null,
+            message,
+            changes,
+            user: this.getCurrentUser(),
+            timestamp: new Date().toISOString()
+        };
+        this.events.unshift(event);
+        this.events.splice(this.maxEvents);
+        return event;
+    }
 
-        sortedItems.slice(0, 10).forEach(item => {
-            activities.push({
-                type: 'updated',
-                item,
-                message: `${item.name} was updated`,
-                date: item.lastUpdated,
-                icon: 'fas fa-edit'
-            });
+    logQuantityEvent(item, transactionType, before, reason = '') {
+        const delta = this.roundQuantity(item.quantity - before);
+        if (delta === 0) return null;
+
+        const eventTypes = { receive: 'restocked', dispense: 'dispensed', transfer: 'transferred', count: 'counted', waste: 'disposed', return: 'returned' };
+        const type = eventTypes[transactionType] || 'quantity-changed';
+        const messages = {
+            restocked: `${item.name} restocked with ${delta} unit${delta === 1 ? '' : 's'}`,
+            dispensed: `${-delta} unit${delta === -1 ? '' : 's'} of ${item.name} dispensed`,
+            transferred: `${Math.abs(delta)} unit${Math.abs(delta) === 1 ? '' : 's'} of ${item.name} ${delta < 0 ? 'sent' : 'received'}${reason ? ` (${reason})` : ''}`,
+            returned: `${-delta} unit${delta === -1 ? '' : 's'} of ${item.name} returned${reason ? ` (${reason})` : ''}`,
+            disposed: `${-delta} unit${delta === -1 ? '' : 's'} of ${item.name} disposed${reason ? ` (${reason})` : ''}`,
+            counted: `${item.name} counted ${Math.abs(delta)} ${delta > 0 ? 'over' : 'short'}${reason ? ` (${reason})` : ''}`,
+            'quantity-changed': `${item.name} quantity ${delta > 0 ? 'increased' : 'decreased'} by ${Math.abs(delta)}${reason ? ` (${reason})` : ''}`
+        };
+
+        return this.logEvent(type, item, messages[type], {
+            quantity: { before, after: item.quantity }
+        });
+    }
+
+    // Threshold edits get their own event type; any other edited fields are logged as an update
+    logItemChanges(before, after) {
+        const fields = ['name', 'category', 'lowStockThreshold', 'description', 'quantity', 'reorderQuantity', 'controlled', 'storageCondition', 'stableDaysAfterOpening', 'unit', 'displayUnit', 'quantityPrecision'];
+        const changes = {};
+        fields.forEach(field => {
+            if (before[field] !== after[field]) {
+                changes[field] = { before: before[field], after: after[field] };
+            }
+        });
+
+        const supplierNames = item => this.getItemSuppliers(item).map(link => link.supplier.name).join(', ');
+        if (supplierNames(before) !== supplierNames(after)) {
+            changes.suppliers = { before: supplierNames(before), after: supplierNames(after) };
+        }
+
+        const locationThresholds = item => Object.entries(item.locationThresholds || {})
+            .map(([locationId, value]) => `${this.getLocationById(locationId)?.name || locationId}: ${value}`)
+            .join(', ');
+        if (locationThresholds(before) !== locationThresholds(after)) {
+            changes.locationThresholds = { before: locationThresholds(before), after: locationThresholds(after) };
+        }
+
+        const { lowStockThreshold, ...otherChanges } = changes;
+        if (lowStockThreshold) {
+            this.logEvent('threshold-changed', after,
+                `${after.name} low stock threshold changed from ${lowStockThreshold.before ?? 'default'} to ${lowStockThreshold.after}`,
+                { lowStockThreshold });
+        }
+        if (Object.keys(otherChanges).length > 0) {
+            this.logEvent('updated', after, `${after.name} was updated`, otherChanges);
+        }
+    }
+
+    logAlertDismissal(itemId, alertType, lotId = null) {
+        const item = this.getItemById(itemId);
+        const lot = lotId && item ? item.lots.find(candidate => candidate.id === lotId) : null;
+        const subject = item ? `${item.name}${lot ? ` (${this.getLotLabel(lot)})` : ''}` : 'Unknown item';
+
+        const event = this.logEvent('alert-dismissed', item || null, `${alertType} alert dismissed for ${subject}`, {
+            alert: { before: 'active', after: 'dismissed' }
         });
+        this.saveToStorage();
+        return event;
+    }
+
+    getRecentActivity({ type = '', page = 1, pageSize = 10 } = {}) {
+        const events = type ? this.events.filter(event => event.type === type) : this.events;
+        const totalPages = Math.max(1, Math.ceil(events.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), totalPages);
 
-        return activities;
+        return {
+            entries: events.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+            total: events.length,
+            page: currentPage,
+            pageSize,
+            totalPages
+        };
     }
 
     // Utility Methods
@@ -381,14 +4013,21 @@ class InventoryData {
         return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
     }
 
+    // Status is driven by the stocked lots: an item is only expired or expiring
+    // when none of its stock is outside that state
     getItemStatus(item) {
         if (item.quantity === 0) return 'out-of-stock';
-        if (this.isExpired(item.expiryDate)) return 'expired';
-        if (this.isExpiringSoon(item.expiryDate)) return 'expiring';
-        if (item.quantity <= (item.lowStockThreshold || this.lowStockThreshold)) return 'low-stock';
+        const lots = this.getSortedLots(item);
+        if (lots.every(lot => this.isExpired(this.getLotExpiry(lot)))) return 'expired';
+        if (lots.every(lot => this.isExpired(this.getLotExpiry(lot)) || this.isExpiringSoon(this.getLotExpiry(lot)))) return 'expiring';
+        if (this.getAvailableQuantity(item) <= (item.lowStockThreshold || this.lowStockThreshold) && !this.isCoveredBySubstitutes(item)) return 'low-stock';
         return 'in-stock';
     }
 
+    getLotLabel(lot) {
+        return lot.batchNumber ? `Batch ${lot.batchNumber}` : `Lot received ${this.formatDate(lot.receivedDate)}`;
+    }
+
     formatDate(dateString) {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-US', {
@@ -406,14 +4045,31 @@ class InventoryData {
     saveToStorage() {
         try {
             localStorage.setItem('clinicInventory', JSON.stringify(this.items));
+            localStorage.setItem('clinicInventoryLedger', JSON.stringify(this.transactions));
+            localStorage.setItem('clinicInventoryEvents', JSON.stringify(this.events));
+            localStorage.setItem('clinicInventorySuppliers', JSON.stringify(this.suppliers));
+            localStorage.setItem('clinicInventoryPurchaseOrders', JSON.stringify(this.purchaseOrders));
+            localStorage.setItem('clinicInventorySettings', JSON.stringify(this.settings));
+            localStorage.setItem('clinicInventoryLocations', JSON.stringify(this.locations));
+            localStorage.setItem('clinicInventoryTransfers', JSON.stringify(this.transfers));
+            localStorage.setItem('clinicInventoryCountSessions', JSON.stringify(this.countSessions));
+            localStorage.setItem('clinicInventoryDisposals', JSON.stringify(this.disposals));
+            localStorage.setItem('clinicInventoryRecalls', JSON.stringify(this.recalls));
+            localStorage.setItem('clinicInventoryTemperatureReadings', JSON.stringify(this.temperatureReadings));
+            localStorage.setItem('clinicInventoryExcursions', JSON.stringify(this.excursions));
+            localStorage.setItem('clinicInventoryDepartments', JSON.stringify(this.departments));
+            localStorage.setItem('clinicInventoryKits', JSON.stringify(this.kits));
+            localStorage.setItem('clinicInventoryKitUsages', JSON.stringify(this.kitUsages));
+            localStorage.setItem('clinicInventoryPatientDispensings', JSON.stringify(this.patientDispensings));
+            localStorage.setItem('clinicInventorySubstituteGroups', JSON.stringify(this.substituteGroups));
         } catch (error) {
             console.error('Error saving to localStorage:', error);
         }
     }
 
-    loadFromStorage() {
+    loadFromStorage(key = 'clinicInventory') {
         try {
-            const stored = localStorage.getItem('clinicInventory');
+            const stored = localStorage.getItem(key);
             return stored ? JSON.parse(stored) : null;
         } catch (error) {
             console.error('Error loading from localStorage:', error);
@@ -423,20 +4079,158 @@ class InventoryData {
 
     clearStorage() {
         localStorage.removeItem('clinicInventory');
+        localStorage.removeItem('clinicInventoryLedger');
+        localStorage.removeItem('clinicInventoryEvents');
+        localStorage.removeItem('clinicInventorySuppliers');
+        localStorage.removeItem('clinicInventoryPurchaseOrders');
+        localStorage.removeItem('clinicInventorySettings');
+        localStorage.removeItem('clinicInventoryLocations');
+        localStorage.removeItem('clinicInventoryTransfers');
+        localStorage.removeItem('clinicInventoryCountSessions');
+        localStorage.removeItem('clinicInventoryDisposals');
+        localStorage.removeItem('clinicInventoryRecalls');
+        localStorage.removeItem('clinicInventoryTemperatureReadings');
+        localStorage.removeItem('clinicInventoryExcursions');
+        localStorage.removeItem('clinicInventoryDepartments');
+        localStorage.removeItem('clinicInventoryKits');
+        localStorage.removeItem('clinicInventoryKitUsages');
+        localStorage.removeItem('clinicInventoryPatientDispensings');
+        localStorage.removeItem('clinicInventorySubstituteGroups');
     }
 
     // Export/Import functionality
+    // The ledger is append-only, so it is not part of the export: an import reconciles
+    // quantities through new ledger entries instead of replacing the history
     exportData() {
         return {
             items: this.items,
+            departments: this.departments,
+            locations: this.locations,
+            suppliers: this.suppliers,
+            purchaseOrders: this.purchaseOrders,
+            transfers: this.transfers,
+            countSessions: this.countSessions,
+            disposals: this.disposals,
+            recalls: this.recalls,
+            kits: this.kits,
+            kitUsages: this.kitUsages,
+            patientDispensings: this.patientDispensings,
+            substituteGroups: this.substituteGroups,
+            temperatureReadings: this.temperatureReadings,
+            excursions: this.excursions,
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: '2.1'
         };
     }
 
-    importData(data) {
+    // The items whose stock an import would move, flagged controlled if they are controlled now
+    // or in the file
+    getImportMovements(importedItems) {
+        const importedIds = new Set(importedItems.map(item => item.id));
+        const removed = this.items.filter(item => !importedIds.has(item.id) && item.quantity !== 0);
+        const changed = importedItems
+            .filter(imported => {
+                const existingLots = this.getItemById(imported.id)?.lots || [];
+                const currentQuantity = lotId => existingLots.find(lot => lot.id === lotId)?.quantity || 0;
+                return imported.lots.some(lot => lot.quantity !== currentQuantity(lot.id)) ||
+                    existingLots.some(lot => lot.quantity !== 0 && !imported.lots.some(importedLot => importedLot.id === lot.id));
+            })
+            .map(imported => ({ ...imported, controlled: imported.controlled || Boolean(this.getItemById(imported.id)?.controlled) }));
+        return [...removed, ...changed];
+    }
+
+    // Imported quantities are reconciled through the ledger rather than overwritten:
+    // each lot is adjusted from its current balance to the imported one. The whole file is
+    // checked first: controlled stock the import would move needs a witness, and a file that
+    // fails the check changes nothing.
+    importData(data, { witness = null } = {}) {
         if (data && data.items && Array.isArray(data.items)) {
-            this.items = data.items;
+            const user = this.getCurrentUser();
+            this.getImportMovements(data.items.map(item => this.normalizeItem(item)))
+                .filter(item => item.controlled)
+                .forEach(item => this.assertWitnessed(item, { reason: 'Imported data', user, witness }));
+
+            const countBefore = this.items.length;
+            // Departments first so imported locations keep theirs
+            if (Array.isArray(data.departments)) {
+                this.departments = data.departments.map(department => this.createDepartment(department));
+            }
+            if (Array.isArray(data.locations) && data.locations.length > 0) {
+                this.locations = data.locations.map(location => this.createLocation(location));
+            }
+            if (Array.isArray(data.suppliers)) {
+                this.suppliers = data.suppliers.map(supplier => this.createSupplier(supplier));
+            }
+            if (Array.isArray(data.purchaseOrders)) {
+                this.purchaseOrders = data.purchaseOrders;
+            }
+            if (Array.isArray(data.transfers)) {
+                this.transfers = data.transfers;
+            }
+            if (Array.isArray(data.countSessions)) {
+                this.countSessions = data.countSessions;
+            }
+            if (Array.isArray(data.disposals)) {
+                this.disposals = data.disposals;
+            }
+            if (Array.isArray(data.recalls)) {
+                this.recalls = data.recalls;
+            }
+            if (Array.isArray(data.kitUsages)) {
+                this.kitUsages = data.kitUsages;
+            }
+            if (Array.isArray(data.patientDispensings)) {
+                this.patientDispensings = data.patientDispensings;
+            }
+            if (Array.isArray(data.temperatureReadings)) {
+                this.temperatureReadings = data.temperatureReadings;
+            }
+            if (Array.isArray(data.excursions)) {
+                this.excursions = data.excursions;
+            }
+            const importedItems = data.items.map(item => this.normalizeItem(item));
+            const importedIds = new Set(importedItems.map(item => item.id));
+
+            this.items
+                .filter(item => !importedIds.has(item.id))
+                .forEach(item => this.postAdjustment(item, -item.quantity, { reason: 'Removed by import', witness }));
+
+            this.items = importedItems.map(imported => {
+                const existingLots = this.getItemById(imported.id)?.lots || [];
+                const currentQuantity = lotId => existingLots.find(lot => lot.id === lotId)?.quantity || 0;
+
+                // Lots missing from the import are kept and brought down to zero
+                const targets = [
+                    ...imported.lots,
+                    ...existingLots
+                        .filter(lot => !imported.lots.some(importedLot => importedLot.id === lot.id))
+                        .map(lot => ({ ...lot, quantity: 0 }))
+                ];
+                const item = this.syncItemTotals({
+                    ...imported,
+                    lots: targets.map(lot => ({ ...lot, quantity: currentQuantity(lot.id) }))
+                });
+
+                targets.forEach(target => {
+                    const lot = item.lots.find(candidate => candidate.id === target.id);
+                    const delta = target.quantity - lot.quantity;
+                    if (delta !== 0) {
+                        this.recordTransaction(item, { type: 'adjust', lotId: lot.id, delta, reason: 'Imported data', witness });
+                    }
+                });
+                return item;
+            });
+            // Kits and substitute groups last, once the items they refer to are in place
+            if (Array.isArray(data.kits)) {
+                this.kits = data.kits.map(kit => this.createKit(kit));
+            }
+            if (Array.isArray(data.substituteGroups)) {
+                this.substituteGroups = data.substituteGroups.map(group => this.createSubstituteGroup(group));
+            }
+
+            this.logEvent('imported', null, `${this.items.length} item${this.items.length === 1 ? '' : 's'} imported`, {
+                itemCount: { before: countBefore, after: this.items.length }
+            });
             this.saveToStorage();
             return true;
         }
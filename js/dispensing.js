@@ -0,0 +1,294 @@
+// Patient Dispensing Module
+// Handles dispensing to patients and searching the records by patient, item and lot
+
+class PatientDispensingManager {
+    constructor() {
+        this.filters = {
+            patientReference: '',
+            itemId: '',
+            batchNumber: ''
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadPatientDispensing();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'patient-dispensing') {
+                this.refreshPatientDispensing();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'patient-dispensing') {
+                this.populateItemOptions();
+            }
+        });
+
+        uiManager.onEvent('locationsUpdated', () => {
+            this.populateLocationOptions();
+        });
+
+        const dispensingForm = Utils.$('#patientDispensingForm');
+        const itemSelect = Utils.$('#dispensingItem');
+        const locationSelect = Utils.$('#dispensingLocation');
+        const patientSearch = Utils.$('#dispensingPatientSearch');
+        const itemFilter = Utils.$('#dispensingItemFilter');
+        const batchSearch = Utils.$('#dispensingBatchSearch');
+
+        if (dispensingForm) {
+            dispensingForm.addEventListener('submit', (e) => {
+                this.handleDispense(e);
+            });
+        }
+
+        if (itemSelect) {
+            itemSelect.addEventListener('change', () => {
+                this.populateLotOptions();
+            });
+        }
+
+        if (locationSelect) {
+            locationSelect.addEventListener('change', () => {
+                this.populateLotOptions();
+            });
+        }
+
+        if (patientSearch) {
+            patientSearch.addEventListener('input', Utils.debounce((e) => {
+                this.filters.patientReference = e.target.value;
+                this.loadRecords();
+            }, 300));
+        }
+
+        if (itemFilter) {
+            itemFilter.addEventListener('change', (e) => {
+                this.filters.itemId = e.target.value;
+                this.loadRecords();
+            });
+        }
+
+        if (batchSearch) {
+            batchSearch.addEventListener('input', Utils.debounce((e) => {
+                this.filters.batchNumber = e.target.value;
+                this.loadRecords();
+            }, 300));
+        }
+    }
+
+    // Data Loading
+    async loadPatientDispensing() {
+        try {
+            await this.populateLocationOptions();
+            await this.populateItemOptions();
+            await this.loadRecords();
+        } catch (error) {
+            uiManager.showToast('Failed to load patient dispensing', 'error');
+            console.error('Error loading patient dispensing:', error);
+        }
+    }
+
+    async refreshPatientDispensing() {
+        await this.loadPatientDispensing();
+    }
+
+    async loadRecords() {
+        const records = await inventoryAPI.getPatientDispensings(this.filters);
+        this.renderRecordTable(records);
+    }
+
+    async populateLocationOptions() {
+        const select = Utils.$('#dispensingLocation');
+        if (!select) return;
+
+        const locations = await inventoryAPI.getLocations();
+        const selected = select.value;
+        select.innerHTML = '<option value="">Any location</option>' + locations.map(location =>
+            `<option value="${location.id}">${Utils.sanitizeInput(location.name)}</option>`
+        ).join('');
+        select.value = locations.some(location => location.id === selected) ? selected : '';
+    }
+
+    // The form offers items with stock to dispense; the filter offers every item
+    async populateItemOptions() {
+        const items = Utils.sortBy(await inventoryAPI.getAllItems(), 'name');
+        [
+            { selector: '#dispensingItem', placeholder: 'Select item', options: items.filter(item => item.quantity > 0) },
+            { selector: '#dispensingItemFilter', placeholder: 'All Items', options: items }
+        ].forEach(({ selector, placeholder, options }) => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + options.map(item =>
+                `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`
+            ).join('');
+            select.value = options.some(item => item.id === selected) ? selected : '';
+        });
+        this.populateLotOptions();
+    }
+
+    // Unexpired, unheld lots at the chosen location; leaving the lot empty dispenses first-expired-first-out
+    populateLotOptions() {
+        const lotSelect = Utils.$('#dispensingLot');
+        const unitSelect = Utils.$('#dispensingUnit');
+        const item = inventoryData.getItemById(Utils.$('#dispensingItem').value);
+        const locationId = Utils.$('#dispensingLocation').value;
+        if (!lotSelect) return;
+
+        const lots = item
+            ? inventoryData.getDispensableLots(item).filter(lot => !locationId || lot.locationId === locationId)
+            : [];
+        const selected = lotSelect.value;
+        lotSelect.innerHTML = '<option value="">First expiring</option>' + lots.map(lot => `
+            <option value="${lot.id}">
+                ${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'} &middot; ${inventoryData.formatQuantity(item, lot.quantity)} &middot; ${Utils.sanitizeInput(inventoryManager.getLocationName(lot.locationId))}${lot.expiryDate ? ` &middot; exp ${Utils.formatDate(inventoryData.getLotExpiry(lot))}` : ''}
+            </option>
+        `).join('');
+        lotSelect.value = lots.some(lot => lot.id === selected) ? selected : '';
+
+        unitSelect.innerHTML = item ? inventoryData.getItemUnits(item).map(({ unit, factor }) =>
+            `<option value="${Utils.sanitizeInput(unit)}">${Utils.sanitizeInput(unit)}${factor > 1 ? ` (${factor} ${Utils.sanitizeInput(inventoryData.getUnitLabel(item.unit, factor))})` : ''}</option>`
+        ).join('') : '';
+        unitSelect.hidden = !item || item.packSizes.length === 0;
+
+        // Controlled substances can only be dispensed in front of a witness
+        Utils.$('#dispensingWitnessGroup').hidden = !(item && item.controlled);
+    }
+
+    // Table Rendering
+    renderRecordTable(records) {
+        const tbody = Utils.$('#patientDispensingTableBody');
+        if (!tbody) return;
+
+        if (!records || records.length === 0) {
+            const filtered = Object.values(this.filters).some(value => value);
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="lot-empty">${filtered ? 'No records match this search.' : 'Nothing dispensed to patients yet.'}</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = records.map(record => this.createRecordRowHTML(record)).join('');
+    }
+
+    createRecordRowHTML(record) {
+        const item = inventoryData.getItemById(record.itemId);
+        const formatQuantity = quantity => item ? inventoryData.formatQuantity(item, quantity) : quantity;
+
+        return `
+            <tr data-record-id="${record.id}">
+                <td>
+                    <div class="item-name">
+                        <strong>${record.number}</strong>
+                        ${record.notes ? `<small>${Utils.sanitizeInput(record.notes)}</small>` : ''}
+                    </div>
+                </td>
+                <td>${Utils.formatDateTime(record.dispensedDate)}</td>
+                <td>
+                    <button class="btn-link" onclick="patientDispensingManager.searchPatient('${record.id}')" title="Show everything dispensed to this patient">
+                        ${Utils.sanitizeInput(record.patientReference)}
+                    </button>
+                </td>
+                <td><strong>${Utils.sanitizeInput(record.itemName)}</strong></td>
+                <td>
+                    <div class="kit-components">
+                        ${record.lots.map(lot => `
+                            <span>
+                                ${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'}${record.lots.length > 1 ? ` &middot; ${formatQuantity(lot.quantity)}` : ''}
+                                ${lot.expiryDate ? `<small>exp ${Utils.formatDate(lot.expiryDate)}</small>` : ''}
+                            </span>
+                        `).join('')}
+                    </div>
+                </td>
+                <td>${formatQuantity(record.quantity)}</td>
+                <td>${Utils.sanitizeInput(record.prescriber)}</td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(record.user)}</strong>
+                        ${record.witness ? `<small>Witness: ${Utils.sanitizeInput(record.witness)}</small>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Search
+    // Everything dispensed to the patient on the given record
+    searchPatient(recordId) {
+        const record = inventoryData.getPatientDispensingById(recordId);
+        if (!record) return;
+
+        this.setFilters({ patientReference: record.patientReference, itemId: '', batchNumber: '' });
+    }
+
+    // Open the records for a batch, e.g. from a recall
+    searchBatch(batchNumber) {
+        uiManager.showSection('patient-dispensing');
+        this.setFilters({ patientReference: '', itemId: '', batchNumber });
+    }
+
+    setFilters(filters) {
+        this.filters = filters;
+        Utils.$('#dispensingPatientSearch').value = filters.patientReference;
+        Utils.$('#dispensingItemFilter').value = filters.itemId;
+        Utils.$('#dispensingBatchSearch').value = filters.batchNumber;
+        this.loadRecords();
+    }
+
+    // Dispensing Operations
+    async handleDispense(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#patientDispensingForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#patientDispensingForm');
+
+        try {
+            const record = await inventoryAPI.dispenseToPatient(formData.dispensingItem, {
+                quantity: parseFloat(formData.dispensingQuantity),
+                unit: formData.dispensingUnit || null,
+                lotId: formData.dispensingLot || null,
+                locationId: formData.dispensingLocation || null,
+                patientReference: formData.dispensingPatient.trim(),
+                prescriber: formData.dispensingPrescriber.trim(),
+                notes: formData.dispensingNotes.trim(),
+                witness: (formData.dispensingWitness || '').trim() || null
+            });
+
+            uiManager.showToast(`${record.number}: ${record.itemName} dispensed to ${record.patientReference}`, 'success');
+            this.resetDispensingForm();
+            this.refreshPatientDispensing();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record dispensing', 'error');
+                console.error('Error dispensing to patient:', error);
+            }
+        }
+    }
+
+    resetDispensingForm() {
+        const form = Utils.$('#patientDispensingForm');
+        if (!form) return;
+
+        form.reset();
+        this.populateLotOptions();
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Patient Dispensing Manager
+window.patientDispensingManager = new PatientDispensingManager();
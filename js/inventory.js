@@ -6,11 +6,14 @@ class InventoryManager {
         this.currentFilters = {
             search: '',
             category: '',
-            status: ''
+            status: '',
+            supplier: '',
+            location: ''
         };
         this.sortColumn = 'name';
         this.sortDirection = 'asc';
         this.selectedItems = new Set();
+        this.editSupplierLinks = [];
         this.init();
     }
 
@@ -32,6 +35,8 @@ class InventoryManager {
         // Filter controls
         const categoryFilter = Utils.$('#categoryFilter');
         const statusFilter = Utils.$('#statusFilter');
+        const supplierFilter = Utils.$('#supplierFilter');
+        const locationFilter = Utils.$('#locationFilter');
         const resetFilters = Utils.$('#resetFilters');
 
         if (categoryFilter) {
@@ -46,6 +51,18 @@ class InventoryManager {
             });
         }
 
+        if (supplierFilter) {
+            supplierFilter.addEventListener('change', (e) => {
+                this.handleSupplierFilter(e.target.value);
+            });
+        }
+
+        if (locationFilter) {
+            locationFilter.addEventListener('change', (e) => {
+                this.handleLocationFilter(e.target.value);
+            });
+        }
+
         if (resetFilters) {
             resetFilters.addEventListener('click', () => {
                 this.resetFilters();
@@ -73,6 +90,12 @@ class InventoryManager {
         const decreaseBtn = Utils.$('#decreaseBtn');
         const deleteItemBtn = Utils.$('#deleteItemBtn');
         const cancelEditBtn = Utils.$('#cancelEditBtn');
+        const addLotBtn = Utils.$('#addLotBtn');
+        const dispenseBtn = Utils.$('#dispenseBtn');
+        const lotStatusBtn = Utils.$('#lotStatusBtn');
+        const addSupplierLinkBtn = Utils.$('#addSupplierLinkBtn');
+        const serviceLevelSelect = Utils.$('#serviceLevelSelect');
+        const recalculateReorderBtn = Utils.$('#recalculateReorderBtn');
 
         if (increaseBtn) {
             increaseBtn.addEventListener('click', () => {
@@ -98,6 +121,42 @@ class InventoryManager {
             });
         }
 
+        if (addLotBtn) {
+            addLotBtn.addEventListener('click', () => {
+                this.handleReceiveLot();
+            });
+        }
+
+        if (dispenseBtn) {
+            dispenseBtn.addEventListener('click', () => {
+                this.handleDispense();
+            });
+        }
+
+        if (lotStatusBtn) {
+            lotStatusBtn.addEventListener('click', () => {
+                this.handleLotStatus();
+            });
+        }
+
+        if (addSupplierLinkBtn) {
+            addSupplierLinkBtn.addEventListener('click', () => {
+                this.handleAddSupplierLink();
+            });
+        }
+
+        if (serviceLevelSelect) {
+            serviceLevelSelect.addEventListener('change', (e) => {
+                this.handleServiceLevelChange(e.target.value);
+            });
+        }
+
+        if (recalculateReorderBtn) {
+            recalculateReorderBtn.addEventListener('click', () => {
+                this.recalculateAllReorderPoints();
+            });
+        }
+
         // Form cancel button
         const cancelBtn = Utils.$('#cancelBtn');
         if (cancelBtn) {
@@ -112,6 +171,16 @@ class InventoryManager {
                 this.refreshInventoryView();
             }
         });
+
+        // Keep supplier pickers in step with the directory
+        uiManager.onEvent('suppliersUpdated', () => {
+            this.populateSupplierOptions();
+        });
+
+        // Location pickers and the location filter follow the location list
+        uiManager.onEvent('locationsUpdated', () => {
+            this.populateLocationOptions().then(() => this.applyFilters());
+        });
     }
 
     setupFormValidation() {
@@ -135,6 +204,9 @@ class InventoryManager {
     async loadInventory() {
         try {
             uiManager.showLoading('Loading inventory...');
+            await this.populateSupplierOptions();
+            await this.populateLocationOptions();
+            await this.loadPlanningSettings();
             const items = await inventoryAPI.getAllItems(this.currentFilters);
             this.renderInventoryTable(items);
             this.updateInventoryStats(items);
@@ -166,6 +238,16 @@ class InventoryManager {
         await this.applyFilters();
     }
 
+    async handleSupplierFilter(supplierId) {
+        this.currentFilters.supplier = supplierId;
+        await this.applyFilters();
+    }
+
+    async handleLocationFilter(locationId) {
+        this.currentFilters.location = locationId;
+        await this.applyFilters();
+    }
+
     async applyFilters() {
         try {
             const items = await inventoryAPI.getAllItems(this.currentFilters);
@@ -177,19 +259,75 @@ class InventoryManager {
     }
 
     resetFilters() {
-        this.currentFilters = { search: '', category: '', status: '' };
+        this.currentFilters = { search: '', category: '', status: '', supplier: '', location: '' };
         
         const searchInput = Utils.$('#searchInput');
         const categoryFilter = Utils.$('#categoryFilter');
         const statusFilter = Utils.$('#statusFilter');
+        const supplierFilter = Utils.$('#supplierFilter');
+        const locationFilter = Utils.$('#locationFilter');
 
         if (searchInput) searchInput.value = '';
         if (categoryFilter) categoryFilter.value = '';
         if (statusFilter) statusFilter.value = '';
+        if (supplierFilter) supplierFilter.value = '';
+        if (locationFilter) locationFilter.value = '';
 
         this.applyFilters();
     }
 
+    // Fills every supplier picker, keeping whatever each one currently has selected
+    async populateSupplierOptions() {
+        const suppliers = await inventoryAPI.getSuppliers();
+        const pickers = [
+            { selector: '#supplierFilter', placeholder: 'All Suppliers' },
+            { selector: '#itemSupplier', placeholder: 'No supplier' },
+            { selector: '#newSupplierLink', placeholder: 'Select supplier' }
+        ];
+
+        pickers.forEach(({ selector, placeholder }) => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + suppliers.map(supplier =>
+                `<option value="${supplier.id}">${Utils.sanitizeInput(supplier.name)}</option>`
+            ).join('');
+            select.value = suppliers.some(supplier => supplier.id === selected) ? selected : '';
+        });
+
+        // A filter on a supplier that no longer exists would hide everything
+        if (this.currentFilters.supplier && !suppliers.some(supplier => supplier.id === this.currentFilters.supplier)) {
+            this.currentFilters.supplier = '';
+        }
+    }
+
+    // Fills every location picker; pickers without a placeholder default to the first location
+    async populateLocationOptions() {
+        const locations = await inventoryAPI.getLocations();
+        const pickers = [
+            { selector: '#locationFilter', placeholder: 'All Locations' },
+            { selector: '#itemLocation', placeholder: null },
+            { selector: '#newLotLocation', placeholder: null },
+            { selector: '#dispenseLocation', placeholder: 'Any location' }
+        ];
+
+        pickers.forEach(({ selector, placeholder }) => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = (placeholder !== null ? `<option value="">${placeholder}</option>` : '') + locations.map(location =>
+                `<option value="${location.id}">${Utils.sanitizeInput(location.name)}</option>`
+            ).join('');
+            select.value = locations.some(location => location.id === selected) ? selected : select.options[0]?.value || '';
+        });
+
+        if (this.currentFilters.location && !locations.some(location => location.id === this.currentFilters.location)) {
+            this.currentFilters.location = '';
+        }
+    }
+
     // Table Rendering
     renderInventoryTable(items) {
         const tbody = Utils.$('#inventoryTableBody');
@@ -209,26 +347,60 @@ class InventoryManager {
 
     createTableRowHTML(item) {
         const status = inventoryData.getItemStatus(item);
-        const expiryDate = Utils.formatDate(item.expiryDate);
+        const expiryDate = item.expiryDate ? Utils.formatDate(item.expiryDate) : '-';
         const daysUntilExpiry = inventoryData.getDaysUntilExpiry(item.expiryDate);
+        const stockedLots = inventoryData.getSortedLots(item);
+        const expiredLotCount = inventoryData.getExpiredLots(item).length;
+        const preferredSupplier = inventoryData.getPreferredSupplier(item);
+        const alternateCount = inventoryData.getItemSuppliers(item).length - 1;
+
+        // With a location filter the quantity and low stock flag are for that location
+        const locationId = this.currentFilters.location;
+        const quantity = locationId ? inventoryData.getLocationQuantity(item, locationId) : item.quantity;
+        const locationThreshold = locationId ? inventoryData.getLocationThreshold(item, locationId) : null;
+        const inTransit = inventoryData.getInTransitQuantity(item.id, locationId || null);
+        const quarantined = inventoryData.getQuarantinedQuantity(item, locationId || null);
+        const available = inventoryData.getAvailableQuantity(item, locationId || null);
+        // Stock on hold can't be used, so the low stock flag goes by what is available
+        const isLow = locationId ? locationThreshold !== null && available <= locationThreshold : available <= (item.lowStockThreshold || 10);
+        const substitutes = isLow || quantity <= 0 ? inventoryData.getSubstitutes(item) : null;
 
         return `
             <tr data-item-id="${item.id}">
                 <td>
                     <div class="item-name">
                         <strong>${Utils.sanitizeInput(item.name)}</strong>
-                        ${item.batchNumber ? `<small>Batch: ${Utils.sanitizeInput(item.batchNumber)}</small>` : ''}
+                        ${item.controlled ? '<span class="controlled-badge" title="Controlled substance">CD</span>' : ''}
+                        ${stockedLots.length === 1 && stockedLots[0].batchNumber ? 
+                            `<small>Batch: ${Utils.sanitizeInput(stockedLots[0].batchNumber)}</small>` : 
+                            stockedLots.length > 1 ? `<small>${stockedLots.length} lots</small>` : ''
+                        }
                     </div>
                 </td>
                 <td>
                     <span class="category-badge">${Utils.sanitizeInput(item.category)}</span>
                 </td>
+                <td>
+                    <div class="supplier-info">
+                        <span>${preferredSupplier ? Utils.sanitizeInput(preferredSupplier.name) : '-'}</span>
+                        ${alternateCount > 0 ? 
+                            `<small>+${alternateCount} alternate${alternateCount === 1 ? '' : 's'}</small>` : ''
+                        }
+                    </div>
+                </td>
                 <td>
                     <div class="quantity-display">
-                        <span class="quantity-number">${item.quantity}</span>
-                        ${item.quantity <= (item.lowStockThreshold || 10) ? '<i class="fas fa-exclamation-triangle text-warning" title="Low stock"></i>' : ''}
+                        <span class="quantity-number">${inventoryData.formatQuantity(item, quantity)}</span>
+                        ${isLow ? '<i class="fas fa-exclamation-triangle text-warning" title="Low stock"></i>' : ''}
+                        ${locationId ? `<small>of ${inventoryData.formatQuantity(item, item.quantity)} total</small>` : ''}
+                        ${inTransit > 0 ? `<small class="in-transit">+${inventoryData.formatQuantity(item, inTransit)} in transit</small>` : ''}
+                        ${quarantined > 0 ? `<small>${inventoryData.formatQuantity(item, available)} available</small>` : ''}
+                        ${substitutes ? this.createSubstitutesHTML(item, substitutes) : ''}
                     </div>
                 </td>
+                <td>
+                    ${quarantined > 0 ? `<span class="text-danger">${inventoryData.formatQuantity(item, quarantined)}</span>` : '-'}
+                </td>
                 <td>
                     <div class="expiry-info">
                         <span>${expiryDate}</span>
@@ -237,6 +409,9 @@ class InventoryManager {
                             daysUntilExpiry <= 0 ? 
                                 '<small class="text-danger">Expired</small>' : ''
                         }
+                        ${expiredLotCount > 0 && daysUntilExpiry > 0 ? 
+                            `<small class="text-danger">${expiredLotCount} expired lot${expiredLotCount === 1 ? '' : 's'}</small>` : ''
+                        }
                     </div>
                 </td>
                 <td>
@@ -247,12 +422,16 @@ class InventoryManager {
                         <button class="action-btn edit" onclick="inventoryManager.editItem('${item.id}')" title="Edit item">
                             <i class="fas fa-edit"></i>
                         </button>
+                        ${item.controlled ? `
+                        <button class="action-btn edit" onclick="controlledRegisterManager.showRegister('${item.id}')" title="Open controlled register">
+                            <i class="fas fa-book-medical"></i>
+                        </button>` : `
                         <button class="action-btn increase" onclick="inventoryManager.quickAdjustQuantity('${item.id}', 1)" title="Increase quantity">
                             <i class="fas fa-plus"></i>
                         </button>
                         <button class="action-btn decrease" onclick="inventoryManager.quickAdjustQuantity('${item.id}', -1)" title="Decrease quantity">
                             <i class="fas fa-minus"></i>
-                        </button>
+                        </button>`}
                         <button class="action-btn delete" onclick="inventoryManager.confirmDeleteItem('${item.id}')" title="Delete item">
                             <i class="fas fa-trash"></i>
                         </button>
@@ -265,7 +444,7 @@ class InventoryManager {
     getEmptyStateHTML() {
         return `
             <tr>
-                <td colspan="6" class="empty-state">
+                <td colspan="8" class="empty-state">
                     <i class="fas fa-boxes"></i>
                     <h3>No items found</h3>
                     <p>No inventory items match your current filters.</p>
@@ -284,11 +463,31 @@ class InventoryManager {
             'low-stock': 'Low Stock',
             'out-of-stock': 'Out of Stock',
             'expiring': 'Expiring Soon',
-            'expired': 'Expired'
+            'expired': 'Expired',
+            'quarantined': 'Quarantined',
+            'available': 'Available',
+            'released': 'Released',
+            'rejected': 'Rejected'
         };
         return labels[status] || 'Unknown';
     }
 
+    // What can be used instead of a short item, and the stock its substitute group holds in total
+    createSubstitutesHTML(item, substitutes) {
+        const available = substitutes.substitutes.filter(member => member.quantity > 0);
+
+        return `
+            <small class="substitutes-note">
+                ${available.length > 0
+                    ? `Use instead: ${available.map(member => `${Utils.sanitizeInput(member.name)} (${inventoryData.formatQuantity(item, member.quantity)})`).join(', ')}`
+                    : 'No substitutes in stock'}
+            </small>
+            <small class="substitutes-note">
+                ${Utils.sanitizeInput(substitutes.name)}: ${inventoryData.formatQuantity(item, substitutes.quantity)} combined${inventoryData.isCoveredBySubstitutes(item) ? ', covered' : ''}
+            </small>
+        `;
+    }
+
     attachTableEventListeners() {
         // Table sorting
         const tableHeaders = Utils.$$('#inventoryTable th[data-sort]');
@@ -331,8 +530,8 @@ class InventoryManager {
                 aVal = new Date(aVal);
                 bVal = new Date(bVal);
             } else if (this.sortColumn === 'quantity') {
-                aVal = parseInt(aVal);
-                bVal = parseInt(bVal);
+                aVal = parseFloat(aVal);
+                bVal = parseFloat(bVal);
             } else {
                 aVal = aVal?.toString().toLowerCase() || '';
                 bVal = bVal?.toString().toLowerCase() || '';
@@ -356,7 +555,7 @@ class InventoryManager {
 
         try {
             uiManager.showLoading('Adding item...');
-            const formData = uiManager.getFormData('#addItemForm');
+            const formData = this.getItemFromForm('#addItemForm');
             
             // Validate data
             await inventoryAPI.validateItemData(formData);
@@ -392,11 +591,11 @@ class InventoryManager {
 
         try {
             uiManager.showLoading('Updating item...');
-            const formData = uiManager.getFormData('#editItemForm');
+            const formData = this.getItemFromForm('#editItemForm');
             const itemId = Utils.$('#editItemId').value;
             
             // Validate data
-            await inventoryAPI.validateItemData(formData);
+            await inventoryAPI.validateItemData(formData, true);
             
             // Update item
             const updatedItem = await inventoryAPI.updateItem(itemId, formData);
@@ -432,8 +631,12 @@ class InventoryManager {
                 this.refreshInventoryView();
             }
         } catch (error) {
-            uiManager.showToast('Failed to delete item', 'error');
-            console.error('Error deleting item:', error);
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete item', 'error');
+                console.error('Error deleting item:', error);
+            }
         } finally {
             uiManager.hideLoading();
         }
@@ -448,8 +651,17 @@ class InventoryManager {
             }
 
             // Populate edit form
-            uiManager.populateForm('#editItemForm', item);
+            uiManager.populateForm('#editItemForm', this.getFormValuesForItem(item));
             Utils.$('#editItemId').value = itemId;
+            this.editSupplierLinks = item.suppliers.map(link => ({ ...link }));
+            this.renderSupplierLinks();
+            this.renderReorderSuggestion(itemId);
+            this.renderLocationStock(item);
+            this.renderLotList(item);
+            this.populateUnitOptions(item);
+            this.renderDispenseBreakdown([]);
+            this.renderLedger(itemId);
+            this.applyControlledState(item);
             
             // Show modal
             uiManager.showModal('Edit Item');
@@ -465,20 +677,482 @@ class InventoryManager {
             const item = await inventoryAPI.getItem(itemId);
             if (!item) return;
 
-            const newQuantity = Math.max(0, item.quantity + adjustment);
-            await inventoryAPI.updateQuantity(itemId, newQuantity);
-            
-            const action = adjustment > 0 ? 'increased' : 'decreased';
-            uiManager.showToast(`${item.name} quantity ${action}`, 'success');
+            if (item.controlled) {
+                uiManager.showToast(`${item.name} is a controlled substance; record movements in the controlled register`, 'error');
+                return;
+            }
+
+            // Taking stock off the shelf is a dispense, so it follows FEFO
+            if (adjustment < 0) {
+                const result = await inventoryAPI.dispense(itemId, -adjustment);
+                uiManager.showToast(`Dispensed ${item.name}: ${this.formatDispenseBreakdown(result.breakdown)}`, 'success');
+            } else {
+                await inventoryAPI.increaseQuantity(itemId, adjustment, 'Quick adjustment');
+                uiManager.showToast(`${item.name} quantity increased`, 'success');
+            }
             
             this.refreshInventoryView();
             
         } catch (error) {
-            uiManager.showToast('Failed to update quantity', 'error');
-            console.error('Error updating quantity:', error);
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update quantity', 'error');
+                console.error('Error updating quantity:', error);
+            }
+        }
+    }
+
+    async handleDispense() {
+        const itemId = Utils.$('#editItemId').value;
+        if (!itemId) return;
+
+        const quantity = parseFloat(Utils.$('#dispenseQuantity').value) || 0;
+        const unit = Utils.$('#dispenseUnit').value || null;
+        const allowExpired = Utils.$('#dispenseAllowExpired').checked;
+        const locationId = Utils.$('#dispenseLocation').value || null;
+        const reason = Utils.$('#dispenseReason').value.trim() || undefined;
+        const witness = Utils.$('#dispenseWitness').value.trim();
+
+        if (allowExpired && !confirm('Dispense from expired lots? Only do this if it has been explicitly authorised.')) {
+            return;
+        }
+
+        try {
+            const result = await inventoryAPI.dispense(itemId, quantity, { allowExpired, locationId, reason, witness, unit });
+
+            ['#dispenseQuantity', '#dispenseReason', '#dispenseWitness'].forEach(selector => {
+                Utils.$(selector).value = '';
+            });
+            Utils.$('#dispenseAllowExpired').checked = false;
+            Utils.$('#editItemQuantity').value = result.item.quantity;
+            this.renderLocationStock(result.item);
+            this.renderLotList(result.item);
+            this.renderDispenseBreakdown(result.breakdown);
+            this.renderLedger(itemId);
+
+            uiManager.showToast(`Dispensed ${inventoryData.formatQuantity(result.item, result.requested, unit)} of ${result.item.name}`, 'success');
+            this.refreshInventoryView();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to dispense item', 'error');
+                console.error('Error dispensing item:', error);
+            }
+        }
+    }
+
+    async renderLedger(itemId, limit = 10) {
+        const container = Utils.$('#editItemLedger');
+        if (!container) return;
+
+        const entries = (await inventoryAPI.getItemTransactions(itemId)) || [];
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No stock movements recorded.</p>';
+            return;
+        }
+
+        container.innerHTML = entries.slice(-limit).reverse().map(entry => `
+            <div class="ledger-row">
+                <span class="ledger-type ${entry.type}">${Utils.capitalize(entry.type)}</span>
+                <span class="ledger-delta ${entry.delta < 0 ? 'text-danger' : 'text-success'}">${entry.delta > 0 ? '+' : ''}${entry.delta}</span>
+                <span class="ledger-balance">Bal. ${entry.balance}</span>
+                <span class="ledger-detail">
+                    ${Utils.sanitizeInput(entry.reason || '')}${entry.batchNumber ? ` · ${Utils.sanitizeInput(entry.batchNumber)}` : ''}${entry.locationId ? ` · ${Utils.sanitizeInput(this.getLocationName(entry.locationId))}` : ''}
+                    <small>${Utils.formatDateTime(entry.timestamp)} · ${Utils.sanitizeInput(entry.user)}${entry.witness ? `, witnessed by ${Utils.sanitizeInput(entry.witness)}` : ''}</small>
+                </span>
+            </div>
+        `).join('');
+    }
+
+    // Controlled stock only moves through witnessed entries, so the quantity can't be typed over
+    applyControlledState(item) {
+        const quantityInput = Utils.$('#editItemQuantity');
+        quantityInput.readOnly = item.controlled;
+        ['#increaseBtn', '#decreaseBtn'].forEach(selector => {
+            Utils.$(selector).disabled = item.controlled;
+        });
+        Utils.$('#dispenseControlled').hidden = !item.controlled;
+        ['#dispenseReason', '#dispenseWitness'].forEach(selector => {
+            Utils.$(selector).value = '';
+        });
+    }
+
+    // Pick list telling staff which physical lot to take units from
+    renderDispenseBreakdown(breakdown) {
+        const container = Utils.$('#dispenseBreakdown');
+        if (!container) return;
+
+        if (!breakdown.length) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="breakdown-title">Pick from:</p>
+            ${breakdown.map(entry => `
+                <div class="lot-row location-lot-row">
+                    <span class="lot-batch">${entry.batchNumber ? Utils.sanitizeInput(entry.batchNumber) : 'No batch'}</span>
+                    <span class="lot-location">${Utils.sanitizeInput(this.getLocationName(entry.locationId))}</span>
+                    <span class="lot-quantity">${entry.quantity}</span>
+                    <span class="lot-expiry">${entry.expiryDate ? Utils.formatDate(entry.expiryDate) : '-'}</span>
+                    ${entry.expired ? '<span class="status-badge expired">Expired</span>' : '<span></span>'}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    formatDispenseBreakdown(breakdown) {
+        return breakdown.map(entry =>
+            `${entry.quantity} from ${entry.batchNumber ? `batch ${entry.batchNumber}` : 'unbatched lot'}`
+        ).join(', ');
+    }
+
+    async handleReceiveLot() {
+        const itemId = Utils.$('#editItemId').value;
+        if (!itemId) return;
+
+        const lotData = {
+            batchNumber: Utils.$('#newLotBatch').value.trim(),
+            expiryDate: Utils.$('#newLotExpiry').value,
+            quantity: parseFloat(Utils.$('#newLotQuantity').value) || 0,
+            unit: Utils.$('#newLotUnit').value || null,
+            unitCost: Utils.$('#newLotCost').value,
+            locationId: Utils.$('#newLotLocation').value
+        };
+
+        try {
+            inventoryAPI.validateLotData(lotData);
+            const item = await inventoryAPI.addLot(itemId, lotData);
+
+            ['#newLotBatch', '#newLotExpiry', '#newLotQuantity', '#newLotCost'].forEach(selector => {
+                Utils.$(selector).value = '';
+            });
+            Utils.$('#editItemQuantity').value = item.quantity;
+            this.renderLocationStock(item);
+            this.renderLotList(item);
+            this.renderLedger(itemId);
+
+            uiManager.showToast(`Lot received for ${item.name}`, 'success');
+            this.refreshInventoryView();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to receive lot', 'error');
+                console.error('Error receiving lot:', error);
+            }
+        }
+    }
+
+    renderLotList(item) {
+        const container = Utils.$('#editItemLots');
+        if (!container) return;
+
+        const lots = inventoryData.getSortedLots(item);
+        this.populateLotStatusOptions(lots);
+        if (lots.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No stock on hand.</p>';
+            return;
+        }
+
+        container.innerHTML = lots.map(lot => {
+            const expiry = inventoryData.getLotExpiry(lot);
+            const lotStatus = inventoryData.isLotHeld(lot) ? lot.status :
+                inventoryData.isExpired(expiry) ? 'expired' :
+                inventoryData.isExpiringSoon(expiry) ? 'expiring' :
+                lot.status === 'released' ? 'released' : 'in-stock';
+            const canOpen = item.stableDaysAfterOpening && !lot.openedDate && !inventoryData.isLotHeld(lot);
+
+            return `
+                <div class="lot-row location-lot-row" data-lot-id="${lot.id}">
+                    <span class="lot-batch">${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'}</span>
+                    <span class="lot-location">${Utils.sanitizeInput(this.getLocationName(lot.locationId))}</span>
+                    <span class="lot-quantity">
+                        ${lot.quantity}
+                        ${lot.unitCost !== null ? `<small class="lot-cost">${Utils.formatCurrency(lot.unitCost)} each</small>` : ''}
+                    </span>
+                    <span class="lot-expiry">
+                        ${expiry ? Utils.formatDate(expiry) : '-'}
+                        ${lot.openedDate ? `<small>Opened ${Utils.formatDate(lot.openedDate)}${inventoryData.usesBeyondUseDate(lot) && lot.expiryDate ? ` &middot; printed ${Utils.formatDate(lot.expiryDate)}` : ''}</small>` : ''}
+                    </span>
+                    <span class="status-badge ${lotStatus}" ${lot.holdReason ? `title="${Utils.sanitizeInput(lot.holdReason)}"` : ''}>${this.getStatusLabel(lotStatus)}</span>
+                    <span class="lot-actions">
+                        ${canOpen ? `
+                            <button type="button" class="action-btn edit" onclick="inventoryManager.handleOpenContainer('${lot.id}')" title="Open a container from this lot">
+                                <i class="fas fa-box-open"></i>
+                            </button>
+                        ` : ''}
+                    </span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handleOpenContainer(lotId) {
+        const itemId = Utils.$('#editItemId').value;
+        if (!itemId) return;
+
+        try {
+            const { item, lot } = await inventoryAPI.openContainer(itemId, lotId);
+
+            this.renderLotList(item);
+            this.renderLedger(itemId);
+            uiManager.showToast(`Container opened; use by ${Utils.formatDate(inventoryData.getLotExpiry(lot))}`, 'success');
+            this.refreshInventoryView();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to open container', 'error');
+                console.error('Error opening container:', error);
+            }
+        }
+    }
+
+    populateLotStatusOptions(lots) {
+        const select = Utils.$('#lotStatusLot');
+        if (!select) return;
+
+        select.innerHTML = lots.length
+            ? lots.map(lot => `
+                <option value="${lot.id}">
+                    ${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'} &middot; ${lot.quantity} units &middot; ${this.getStatusLabel(lot.status === 'available' ? 'in-stock' : lot.status)}
+                </option>
+            `).join('')
+            : '<option value="">No lots</option>';
+        Utils.$('#lotStatusReason').value = '';
+    }
+
+    async handleLotStatus() {
+        const itemId = Utils.$('#editItemId').value;
+        const lotId = Utils.$('#lotStatusLot').value;
+        if (!itemId || !lotId) return;
+
+        const status = Utils.$('#lotStatusValue').value;
+
+        try {
+            const item = await inventoryAPI.setLotStatus(itemId, lotId, {
+                status,
+                reason: Utils.$('#lotStatusReason').value
+            });
+
+            this.renderLotList(item);
+            uiManager.showToast(`Lot ${this.getStatusLabel(status).toLowerCase()}`, 'success');
+            this.refreshInventoryView();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update lot status', 'error');
+                console.error('Error updating lot status:', error);
+            }
+        }
+    }
+
+    // Stock and low stock thresholds per location; thresholds are saved with the form
+    renderLocationStock(item) {
+        const container = Utils.$('#editItemLocations');
+        if (!container) return;
+
+        container.innerHTML = inventoryData.getAllLocations().map(location => {
+            const quantity = inventoryData.getLocationQuantity(item, location.id);
+            const threshold = inventoryData.getLocationThreshold(item, location.id);
+            const isLow = threshold !== null && quantity <= threshold;
+            const incoming = inventoryData.getInTransitQuantity(item.id, location.id);
+
+            return `
+                <div class="lot-row location-stock-row" data-location-id="${location.id}">
+                    <span class="lot-batch">${Utils.sanitizeInput(location.name)}</span>
+                    <span class="lot-quantity ${isLow ? 'text-warning' : ''}">
+                        ${quantity}
+                        ${incoming > 0 ? `<small class="in-transit">+${incoming} incoming</small>` : ''}
+                    </span>
+                    <input type="number" min="0" step="any" class="location-threshold" placeholder="No threshold" title="Low stock threshold at ${Utils.sanitizeInput(location.name)}">
+                    ${isLow ? '<span class="status-badge low-stock">Low</span>' : '<span></span>'}
+                </div>
+            `;
+        }).join('');
+
+        // Values are set through the DOM so they never need escaping
+        container.querySelectorAll('.location-stock-row').forEach(row => {
+            const threshold = inventoryData.getLocationThreshold(item, row.dataset.locationId);
+            row.querySelector('.location-threshold').value = threshold === null ? '' : threshold;
+        });
+    }
+
+    getLocationThresholdsFromForm() {
+        return Utils.$$('#editItemLocations .location-stock-row').reduce((thresholds, row) => {
+            const value = row.querySelector('.location-threshold').value;
+            if (value !== '') thresholds[row.dataset.locationId] = parseFloat(value);
+            return thresholds;
+        }, {});
+    }
+
+    getLocationName(locationId) {
+        const location = inventoryData.getLocationById(locationId);
+        return location ? location.name : 'Unknown location';
+    }
+
+    // Reorder Planning
+    async loadPlanningSettings() {
+        const settings = await inventoryAPI.getSettings();
+        const serviceLevelSelect = Utils.$('#serviceLevelSelect');
+        if (serviceLevelSelect) {
+            serviceLevelSelect.value = String(settings.serviceLevel);
+        }
+    }
+
+    async handleServiceLevelChange(value) {
+        try {
+            await inventoryAPI.updateSettings({ serviceLevel: parseFloat(value) });
+            uiManager.showToast(`Reorder service level set to ${Math.round(parseFloat(value) * 1000) / 10}%`, 'success');
+        } catch (error) {
+            uiManager.showToast('Failed to update service level', 'error');
+            console.error('Error updating service level:', error);
+        }
+    }
+
+    async renderReorderSuggestion(itemId) {
+        const container = Utils.$('#reorderSuggestion');
+        if (!container) return;
+
+        const suggestion = await inventoryAPI.getReorderSuggestion(itemId);
+        if (!suggestion || suggestion.reorderPoint === null) {
+            container.innerHTML = suggestion ? `<small>${Utils.sanitizeInput(suggestion.reason)}</small>` : '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div>Suggested: reorder at <strong>${suggestion.reorderPoint}</strong>, order <strong>${suggestion.reorderQuantity}</strong></div>
+            <small>
+                ${suggestion.averageDailyUsage}/day &plusmn; ${suggestion.usageStandardDeviation} over ${suggestion.historyDays} day${suggestion.historyDays === 1 ? '' : 's'},
+                ${suggestion.leadTimeDays}-day lead time (${Utils.sanitizeInput(suggestion.leadTimeSource)}),
+                ${Math.round(suggestion.serviceLevel * 1000) / 10}% service level
+            </small>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="inventoryManager.applyReorderSuggestion('${itemId}')">
+                <i class="fas fa-check"></i>
+                Apply
+            </button>
+        `;
+    }
+
+    async applyReorderSuggestion(itemId) {
+        try {
+            const item = await inventoryAPI.applyReorderSuggestion(itemId);
+            Utils.$('#editLowStockThreshold').value = item.lowStockThreshold;
+            this.renderReorderSuggestion(itemId);
+            uiManager.showToast(`${item.name} will now reorder at ${item.lowStockThreshold}`, 'success');
+            this.refreshInventoryView();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to apply reorder suggestion', 'error');
+                console.error('Error applying reorder suggestion:', error);
+            }
         }
     }
 
+    async recalculateAllReorderPoints() {
+        if (!confirm('Recalculate reorder points for every item with dispensing history? Current thresholds will be replaced.')) {
+            return;
+        }
+
+        try {
+            uiManager.showLoading('Recalculating reorder points...');
+            const { updated, skipped } = await inventoryAPI.recalculateReorderPoints();
+            uiManager.showToast(
+                `Updated ${updated.length} item${updated.length === 1 ? '' : 's'}` +
+                (skipped.length ? `; ${skipped.length} skipped without dispensing history` : ''),
+                'success'
+            );
+            this.refreshInventoryView();
+        } catch (error) {
+            uiManager.showToast('Failed to recalculate reorder points', 'error');
+            console.error('Error recalculating reorder points:', error);
+        } finally {
+            uiManager.hideLoading();
+        }
+    }
+
+    // Supplier links are edited locally and saved with the rest of the form
+    renderSupplierLinks() {
+        const container = Utils.$('#editItemSuppliers');
+        if (!container) return;
+
+        const links = inventoryData.getItemSuppliers({ suppliers: this.editSupplierLinks });
+        if (links.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No suppliers linked.</p>';
+            return;
+        }
+
+        container.innerHTML = links.map(link => `
+            <div class="lot-row supplier-link-row" data-supplier-id="${link.supplierId}">
+                <span class="lot-batch">${Utils.sanitizeInput(link.supplier.name)}</span>
+                <span>${link.sku ? Utils.sanitizeInput(link.sku) : 'No SKU'}</span>
+                <span>${link.unitCost !== null ? Utils.formatCurrency(link.unitCost) : '-'}</span>
+                ${link.preferred ? 
+                    '<span class="status-badge in-stock">Preferred</span>' : 
+                    `<button type="button" class="btn btn-secondary" onclick="inventoryManager.setPreferredSupplierLink('${link.supplierId}')">Make preferred</button>`
+                }
+                <button type="button" class="action-btn delete" onclick="inventoryManager.removeSupplierLink('${link.supplierId}')" title="Unlink supplier">
+                    <i class="fas fa-unlink"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    handleAddSupplierLink() {
+        const supplierId = Utils.$('#newSupplierLink').value;
+        const unitCost = Utils.$('#newSupplierCost').value;
+
+        if (!supplierId) {
+            uiManager.showToast('Select a supplier to link', 'error');
+            return;
+        }
+
+        if (unitCost !== '' && (isNaN(unitCost) || parseFloat(unitCost) < 0)) {
+            uiManager.showToast('Unit cost must be a non-negative number', 'error');
+            return;
+        }
+
+        const link = {
+            supplierId,
+            sku: Utils.$('#newSupplierSku').value.trim(),
+            unitCost: unitCost === '' ? null : parseFloat(unitCost),
+            preferred: this.editSupplierLinks.length === 0
+        };
+
+        // Re-linking a supplier updates its SKU and cost rather than adding a duplicate
+        const existing = this.editSupplierLinks.find(candidate => candidate.supplierId === supplierId);
+        if (existing) {
+            Object.assign(existing, { sku: link.sku, unitCost: link.unitCost });
+        } else {
+            this.editSupplierLinks.push(link);
+        }
+
+        ['#newSupplierLink', '#newSupplierSku', '#newSupplierCost'].forEach(selector => {
+            Utils.$(selector).value = '';
+        });
+        this.renderSupplierLinks();
+    }
+
+    setPreferredSupplierLink(supplierId) {
+        this.editSupplierLinks.forEach(link => {
+            link.preferred = link.supplierId === supplierId;
+        });
+        this.renderSupplierLinks();
+    }
+
+    removeSupplierLink(supplierId) {
+        this.editSupplierLinks = inventoryData.normalizeSupplierLinks(
+            this.editSupplierLinks.filter(link => link.supplierId !== supplierId)
+        );
+        this.renderSupplierLinks();
+    }
+
     confirmDeleteItem(itemId) {
         // Use the edit modal for deletion confirmation
         this.editItem(itemId);
@@ -487,13 +1161,110 @@ class InventoryManager {
     adjustQuantityInModal(adjustment) {
         const quantityInput = Utils.$('#editItemQuantity');
         if (quantityInput) {
-            const currentQuantity = parseInt(quantityInput.value) || 0;
-            const newQuantity = Math.max(0, currentQuantity + adjustment);
+            const currentQuantity = parseFloat(quantityInput.value) || 0;
+            const newQuantity = Math.max(0, inventoryData.roundQuantity(currentQuantity + adjustment));
             quantityInput.value = newQuantity;
         }
     }
 
     // Form Management
+
+    // Maps the form field names onto the item record shape
+    getItemFromForm(formId) {
+        const formData = uiManager.getFormData(formId);
+        const item = {
+            name: formData.itemName,
+            category: formData.itemCategory,
+            quantity: formData.itemQuantity === '' ? '' : parseFloat(formData.itemQuantity),
+            description: formData.itemDescription || '',
+            controlled: formData.itemControlled !== undefined,
+            storageCondition: formData.itemStorageCondition,
+            stableDaysAfterOpening: formData.itemStableDays || null,
+            unit: (formData.itemUnit || '').trim() || 'unit',
+            packSizes: this.parsePackSizes(formData.itemPackSizes),
+            quantityPrecision: formData.itemPrecision
+        };
+
+        if (formData.itemDisplayUnit !== undefined) item.displayUnit = formData.itemDisplayUnit;
+
+        if (formData.lowStockThreshold !== undefined && formData.lowStockThreshold !== '') {
+            item.lowStockThreshold = parseFloat(formData.lowStockThreshold);
+        }
+
+        // The add form also describes the item's first lot and preferred supplier
+        if (formData.expiryDate !== undefined) item.expiryDate = formData.expiryDate;
+        if (formData.batchNumber !== undefined) item.batchNumber = formData.batchNumber;
+        if (formData.itemUnitCost) item.unitCost = parseFloat(formData.itemUnitCost);
+        if (formData.itemSupplier) item.suppliers = [{ supplierId: formData.itemSupplier, preferred: true }];
+        if (formData.itemLocation) item.locationId = formData.itemLocation;
+
+        // The edit modal manages the full list of supplier links and location thresholds
+        if (formId === '#editItemForm') {
+            item.suppliers = this.editSupplierLinks;
+            item.locationThresholds = this.getLocationThresholdsFromForm();
+        }
+
+        return item;
+    }
+
+    getFormValuesForItem(item) {
+        return {
+            itemName: item.name,
+            itemCategory: item.category,
+            itemQuantity: String(item.quantity),
+            lowStockThreshold: item.lowStockThreshold !== undefined ? String(item.lowStockThreshold) : '',
+            itemDescription: item.description,
+            itemControlled: item.controlled,
+            itemStorageCondition: item.storageCondition,
+            itemStableDays: item.stableDaysAfterOpening ? String(item.stableDaysAfterOpening) : '',
+            itemUnit: item.unit,
+            itemPackSizes: this.formatPackSizes(item.packSizes),
+            itemPrecision: String(item.quantityPrecision)
+        };
+    }
+
+    // Pack sizes are typed as "box = 100, carton = 1000": the unit and how many base units it holds
+    parsePackSizes(text = '') {
+        return text.split(/[\n,]/)
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [unit, factor = ''] = entry.split('=').map(part => part.trim());
+                return { unit, factor };
+            });
+    }
+
+    formatPackSizes(packSizes = []) {
+        return packSizes.map(pack => `${pack.unit} = ${pack.factor}`).join(', ');
+    }
+
+    // Unit pickers for entering quantities, plus the display unit choice in the edit form
+    populateUnitOptions(item) {
+        const options = inventoryData.getItemUnits(item).map(({ unit, factor }) =>
+            `<option value="${Utils.sanitizeInput(unit)}">${Utils.sanitizeInput(unit)}${factor > 1 ? ` (${factor} ${Utils.sanitizeInput(inventoryData.getUnitLabel(item.unit, factor))})` : ''}</option>`
+        ).join('');
+
+        ['#dispenseUnit', '#newLotUnit', '#editItemDisplayUnit'].forEach(selector => {
+            const select = Utils.$(selector);
+            if (select) select.innerHTML = options;
+        });
+        Utils.$('#editItemDisplayUnit').value = item.displayUnit;
+    }
+
+    // Inline unit picker for quantity cells in other tables; nothing when the item has no pack sizes
+    createUnitSelectHTML(itemId) {
+        const item = inventoryData.getItemById(itemId);
+        if (!item || item.packSizes.length === 0) return '';
+
+        return `
+            <select data-field="unit" title="Unit">
+                ${inventoryData.getItemUnits(item).map(({ unit }) =>
+                    `<option value="${Utils.sanitizeInput(unit)}">${Utils.sanitizeInput(unit)}</option>`
+                ).join('')}
+            </select>
+        `;
+    }
+
     resetAddForm() {
         const form = Utils.$('#addItemForm');
         if (form) {
@@ -520,17 +1291,25 @@ class InventoryManager {
         // Specific field validations
         switch (fieldName) {
             case 'itemQuantity':
-                if (value && (isNaN(value) || parseInt(value) < 0)) {
+                if (value && (isNaN(value) || parseFloat(value) < 0)) {
                     uiManager.showFieldError(field, 'Quantity must be a non-negative number');
                     return false;
                 }
+                if (value && !this.fitsFormPrecision(field, value)) {
+                    uiManager.showFieldError(field, 'Quantity has more decimal places than this item allows');
+                    return false;
+                }
                 break;
                 
             case 'lowStockThreshold':
-                if (value && (isNaN(value) || parseInt(value) < 0)) {
+                if (value && (isNaN(value) || parseFloat(value) < 0)) {
                     uiManager.showFieldError(field, 'Threshold must be a non-negative number');
                     return false;
                 }
+                if (value && !this.fitsFormPrecision(field, value)) {
+                    uiManager.showFieldError(field, 'Threshold has more decimal places than this item allows');
+                    return false;
+                }
                 break;
                 
             case 'expiryDate':
@@ -558,6 +1337,13 @@ class InventoryManager {
         return true;
     }
 
+    // Checks a value against the decimal places chosen in the same form
+    fitsFormPrecision(field, value) {
+        const precisionField = field.form ? field.form.elements.itemPrecision : null;
+        const precision = inventoryData.normalizeQuantityPrecision(precisionField ? precisionField.value : 0);
+        return inventoryData.roundQuantity(value, precision) === parseFloat(value);
+    }
+
     // Statistics Update
     updateInventoryStats(items) {
         // This will be called by the dashboard manager
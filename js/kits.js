@@ -0,0 +1,525 @@
+// Procedure Kits Module
+// Handles the kit list, the kit form and recording procedures that use up a kit
+
+class KitsManager {
+    constructor() {
+        this.editComponents = [];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetKitForm();
+        this.loadKits();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'kits') {
+                this.refreshKits();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'kits') {
+                this.refreshKits();
+            }
+        });
+
+        uiManager.onEvent('locationsUpdated', () => {
+            this.populateLocationOptions();
+        });
+
+        const kitForm = Utils.$('#kitForm');
+        const kitUsageForm = Utils.$('#kitUsageForm');
+        const addKitBtn = Utils.$('#addKitBtn');
+        const cancelKitBtn = Utils.$('#cancelKitBtn');
+        const addComponentBtn = Utils.$('#addKitComponentBtn');
+        const componentItemSelect = Utils.$('#newKitComponentItem');
+
+        if (kitForm) {
+            kitForm.addEventListener('submit', (e) => {
+                this.handleSaveKit(e);
+            });
+        }
+
+        if (kitUsageForm) {
+            kitUsageForm.addEventListener('submit', (e) => {
+                this.handlePerformKit(e);
+            });
+
+            ['#kitUsageKit', '#kitUsageCount', '#kitUsageLocation'].forEach(selector => {
+                Utils.$(selector).addEventListener('change', () => {
+                    this.renderUsageAvailability();
+                });
+            });
+        }
+
+        if (addKitBtn) {
+            addKitBtn.addEventListener('click', () => {
+                this.resetKitForm();
+                Utils.$('#kitName').focus();
+            });
+        }
+
+        if (cancelKitBtn) {
+            cancelKitBtn.addEventListener('click', () => {
+                this.resetKitForm();
+            });
+        }
+
+        if (addComponentBtn) {
+            addComponentBtn.addEventListener('click', () => {
+                this.handleAddComponent();
+            });
+        }
+
+        if (componentItemSelect) {
+            componentItemSelect.addEventListener('change', () => {
+                this.populateComponentUnitOptions();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadKits() {
+        try {
+            await this.populateLocationOptions();
+            await this.populateItemOptions();
+
+            const availability = await inventoryAPI.getKitAvailability();
+            this.renderKitTable(availability);
+            this.populateKitOptions(availability);
+            this.renderUsageAvailability();
+
+            const usages = await inventoryAPI.getKitUsages();
+            this.renderUsageTable(usages);
+        } catch (error) {
+            uiManager.showToast('Failed to load procedure kits', 'error');
+            console.error('Error loading kits:', error);
+        }
+    }
+
+    async refreshKits() {
+        await this.loadKits();
+    }
+
+    async populateLocationOptions() {
+        const select = Utils.$('#kitUsageLocation');
+        if (!select) return;
+
+        const locations = await inventoryAPI.getLocations();
+        const selected = select.value;
+        select.innerHTML = '<option value="">Any location</option>' + locations.map(location =>
+            `<option value="${location.id}">${Utils.sanitizeInput(location.name)}</option>`
+        ).join('');
+        select.value = locations.some(location => location.id === selected) ? selected : '';
+    }
+
+    async populateItemOptions() {
+        const select = Utils.$('#newKitComponentItem');
+        if (!select) return;
+
+        const items = Utils.sortBy(await inventoryAPI.getAllItems(), 'name');
+        const selected = select.value;
+        select.innerHTML = '<option value="">Select item</option>' + items.map(item =>
+            `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`
+        ).join('');
+        select.value = items.some(item => item.id === selected) ? selected : '';
+        this.populateComponentUnitOptions();
+    }
+
+    populateComponentUnitOptions() {
+        const select = Utils.$('#newKitComponentUnit');
+        const item = inventoryData.getItemById(Utils.$('#newKitComponentItem').value);
+        if (!select) return;
+
+        select.innerHTML = item ? inventoryData.getItemUnits(item).map(({ unit, factor }) =>
+            `<option value="${Utils.sanitizeInput(unit)}">${Utils.sanitizeInput(unit)}${factor > 1 ? ` (${factor} ${Utils.sanitizeInput(inventoryData.getUnitLabel(item.unit, factor))})` : ''}</option>`
+        ).join('') : '';
+        select.hidden = !item || item.packSizes.length === 0;
+    }
+
+    populateKitOptions(availability) {
+        const select = Utils.$('#kitUsageKit');
+        if (!select) return;
+
+        const selected = select.value;
+        const kits = Utils.sortBy(availability, 'name');
+        select.innerHTML = '<option value="">Select kit</option>' + kits.map(kit =>
+            `<option value="${kit.kitId}">${Utils.sanitizeInput(kit.name)} (${kit.available} available)</option>`
+        ).join('');
+        select.value = kits.some(kit => kit.kitId === selected) ? selected : '';
+    }
+
+    // Table Rendering
+    renderKitTable(availability) {
+        const tbody = Utils.$('#kitTableBody');
+        if (!tbody) return;
+
+        if (!availability || availability.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="empty-state">
+                        <i class="fas fa-briefcase-medical"></i>
+                        <h3>No procedure kits yet</h3>
+                        <p>Add a kit for each procedure that uses the same set of consumables.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = Utils.sortBy(availability, 'name').map(kit => this.createKitRowHTML(kit)).join('');
+    }
+
+    createKitRowHTML(availability) {
+        const kit = inventoryData.getKitById(availability.kitId);
+        const limiting = new Set(availability.limitedBy.map(component => component.itemId));
+
+        return `
+            <tr data-kit-id="${kit.id}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(kit.name)}</strong>
+                        ${kit.description ? `<small>${Utils.sanitizeInput(kit.description)}</small>` : ''}
+                    </div>
+                </td>
+                <td>
+                    <div class="kit-components">
+                        ${availability.components.map(component => `
+                            <span class="${component.missing || component.kits === 0 ? 'text-danger' : limiting.has(component.itemId) ? 'text-warning' : ''}">
+                                ${this.formatComponent(component)}${component.missing ? ' (no longer in inventory)' : ''}
+                            </span>
+                        `).join('')}
+                    </div>
+                </td>
+                <td>
+                    <span class="status-badge ${availability.available === 0 ? 'out-of-stock' : availability.available <= 2 ? 'low-stock' : 'in-stock'}">
+                        ${availability.available} kit${availability.available === 1 ? '' : 's'}
+                    </span>
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn decrease" onclick="kitsManager.startUsage('${kit.id}')" title="Use kit">
+                            <i class="fas fa-briefcase-medical"></i>
+                        </button>
+                        <button class="action-btn edit" onclick="kitsManager.editKit('${kit.id}')" title="Edit kit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete" onclick="kitsManager.confirmDeleteKit('${kit.id}')" title="Delete kit">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // In the item's display unit when it has pack sizes, e.g. "1 box + 20 gloves"
+    formatComponentQuantity(component) {
+        const item = inventoryData.getItemById(component.itemId);
+        return item ? inventoryData.formatQuantity(item, component.quantity) : component.quantity;
+    }
+
+    formatComponent(component) {
+        return `${this.formatComponentQuantity(component)} ${Utils.sanitizeInput(component.itemName)}`;
+    }
+
+    renderUsageTable(usages) {
+        const tbody = Utils.$('#kitUsageTableBody');
+        if (!tbody) return;
+
+        if (!usages || usages.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="lot-empty">No kits used yet.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = usages.map(usage => `
+            <tr>
+                <td>
+                    <div class="item-name">
+                        <strong>${usage.number}</strong>
+                        ${usage.notes ? `<small>${Utils.sanitizeInput(usage.notes)}</small>` : ''}
+                    </div>
+                </td>
+                <td>${Utils.formatDateTime(usage.performedDate)}</td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(usage.kitName)}</strong>
+                        <small>${usage.locationId ? Utils.sanitizeInput(inventoryManager.getLocationName(usage.locationId)) : 'Any location'}</small>
+                    </div>
+                </td>
+                <td>${usage.count}</td>
+                <td>
+                    <div class="kit-components">
+                        ${usage.lines.map(line => `<span>${this.formatComponent(line)}</span>`).join('')}
+                    </div>
+                </td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(usage.user)}</strong>
+                        ${usage.witness ? `<small>Witness: ${Utils.sanitizeInput(usage.witness)}</small>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // What the selected number of kits needs from stock, flagging anything short before submitting
+    renderUsageAvailability() {
+        const container = Utils.$('#kitUsageAvailability');
+        const kit = inventoryData.getKitById(Utils.$('#kitUsageKit').value);
+        if (!container) return;
+
+        // Controlled substances can only be used in front of a witness
+        Utils.$('#kitUsageWitnessGroup').hidden = !(kit && kit.components.some(component => {
+            const item = inventoryData.getItemById(component.itemId);
+            return item && item.controlled;
+        }));
+
+        if (!kit) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const count = Math.max(1, parseInt(Utils.$('#kitUsageCount').value) || 1);
+        const locationId = Utils.$('#kitUsageLocation').value || null;
+        const shortfalls = new Map(inventoryData.getKitShortfalls(kit, count, locationId).map(component => [component.itemId, component]));
+        const components = inventoryData.getKitComponents(kit, locationId);
+
+        container.innerHTML = `
+            <h4 class="breakdown-title">Uses</h4>
+            ${components.map(component => {
+                const item = inventoryData.getItemById(component.itemId);
+                const needed = inventoryData.roundQuantity(component.quantity * count);
+                const shortfall = shortfalls.get(component.itemId);
+                return `
+                    <div class="${shortfall ? 'text-danger' : ''}">
+                        ${this.formatComponent({ ...component, quantity: needed })}
+                        ${shortfall && item ? `&middot; only ${inventoryData.formatQuantity(item, component.available)} available` : ''}
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    // Kit Operations
+    startUsage(kitId) {
+        Utils.$('#kitUsageKit').value = kitId;
+        this.renderUsageAvailability();
+        Utils.$('#kitUsageCount').focus();
+    }
+
+    async handlePerformKit(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#kitUsageForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#kitUsageForm');
+
+        try {
+            const usage = await inventoryAPI.performKit(formData.kitUsageKit, {
+                count: parseInt(formData.kitUsageCount),
+                locationId: formData.kitUsageLocation || null,
+                notes: formData.kitUsageNotes.trim(),
+                witness: (formData.kitUsageWitness || '').trim() || null
+            });
+
+            uiManager.showToast(`${usage.number}: ${usage.count} × ${usage.kitName} used`, 'success');
+            this.resetUsageForm();
+            this.refreshKits();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record kit usage', 'error');
+                console.error('Error performing kit:', error);
+            }
+        }
+    }
+
+    async handleSaveKit(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#kitForm')) {
+            return;
+        }
+
+        try {
+            const kitId = Utils.$('#kitId').value;
+            const formData = uiManager.getFormData('#kitForm');
+            const kitData = {
+                name: formData.kitName.trim(),
+                description: formData.kitDescription.trim(),
+                components: this.editComponents.map(component => ({ ...component }))
+            };
+
+            const kit = kitId
+                ? await inventoryAPI.updateKit(kitId, kitData)
+                : await inventoryAPI.createKit(kitData);
+
+            uiManager.showToast(`${kit.name} ${kitId ? 'updated' : 'added'} successfully`, 'success');
+            this.resetKitForm();
+            this.refreshKits();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save kit', 'error');
+                console.error('Error saving kit:', error);
+            }
+        }
+    }
+
+    async editKit(kitId) {
+        try {
+            const kit = await inventoryAPI.getKit(kitId);
+            if (!kit) {
+                uiManager.showToast('Kit not found', 'error');
+                return;
+            }
+
+            uiManager.populateForm('#kitForm', {
+                kitId: kit.id,
+                kitName: kit.name,
+                kitDescription: kit.description
+            });
+            this.editComponents = kit.components.map(component => ({ ...component }));
+            this.renderComponents();
+            Utils.$('#kitFormTitle').textContent = `Edit ${kit.name}`;
+            Utils.$('#kitName').focus();
+        } catch (error) {
+            uiManager.showToast('Failed to load kit details', 'error');
+            console.error('Error loading kit:', error);
+        }
+    }
+
+    async confirmDeleteKit(kitId) {
+        try {
+            const kit = await inventoryAPI.getKit(kitId);
+            if (!kit) return;
+
+            if (confirm(`Are you sure you want to delete "${kit.name}"? Past uses of the kit are kept.`)) {
+                await inventoryAPI.deleteKit(kitId);
+                uiManager.showToast(`${kit.name} deleted successfully`, 'success');
+                if (Utils.$('#kitId').value === kitId) {
+                    this.resetKitForm();
+                }
+                this.refreshKits();
+                uiManager.emitEvent('inventoryUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete kit', 'error');
+                console.error('Error deleting kit:', error);
+            }
+        }
+    }
+
+    // Components are edited locally in base units and saved with the rest of the form
+    renderComponents() {
+        const container = Utils.$('#kitComponents');
+        if (!container) return;
+
+        if (this.editComponents.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No components yet.</p>';
+            return;
+        }
+
+        container.innerHTML = this.editComponents.map(component => `
+            <div class="lot-row kit-component-row" data-item-id="${component.itemId}">
+                <span class="lot-batch">${Utils.sanitizeInput(component.itemName)}</span>
+                <span>${this.formatComponentQuantity(component)} per kit</span>
+                <button type="button" class="action-btn delete" onclick="kitsManager.removeComponent('${component.itemId}')" title="Remove component">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    handleAddComponent() {
+        const item = inventoryData.getItemById(Utils.$('#newKitComponentItem').value);
+        const quantity = parseFloat(Utils.$('#newKitComponentQuantity').value);
+
+        if (!item) {
+            uiManager.showToast('Select an item to add', 'error');
+            return;
+        }
+
+        if (!(quantity > 0)) {
+            uiManager.showToast('Quantity must be greater than zero', 'error');
+            return;
+        }
+
+        try {
+            const unit = Utils.$('#newKitComponentUnit').value || null;
+            inventoryAPI.assertItemQuantity(item, quantity, unit);
+
+            // Adding an item that is already in the kit replaces its quantity rather than listing it twice
+            const component = { itemId: item.id, itemName: item.name, quantity: inventoryData.toBaseQuantity(item, quantity, unit) };
+            const existing = this.editComponents.find(candidate => candidate.itemId === item.id);
+            if (existing) {
+                existing.quantity = component.quantity;
+            } else {
+                this.editComponents.push(component);
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+                return;
+            }
+            throw error;
+        }
+
+        Utils.$('#newKitComponentItem').value = '';
+        Utils.$('#newKitComponentQuantity').value = '';
+        this.populateComponentUnitOptions();
+        this.renderComponents();
+    }
+
+    removeComponent(itemId) {
+        this.editComponents = this.editComponents.filter(component => component.itemId !== itemId);
+        this.renderComponents();
+    }
+
+    // Form Management
+    resetKitForm() {
+        const form = Utils.$('#kitForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#kitId').value = '';
+        Utils.$('#kitFormTitle').textContent = 'Add Kit';
+        this.editComponents = [];
+        this.renderComponents();
+        this.populateComponentUnitOptions();
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+
+    resetUsageForm() {
+        const form = Utils.$('#kitUsageForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#kitUsageWitnessGroup').hidden = true;
+        Utils.$('#kitUsageAvailability').innerHTML = '';
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Kits Manager
+window.kitsManager = new KitsManager();
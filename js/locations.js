@@ -0,0 +1,261 @@
+// Storage Locations Module
+// Handles the location list, location form, and location-specific operations
+
+class LocationsManager {
+    constructor() {
+        this.typeLabels = {
+            'store-room': 'Store Room',
+            'treatment-room': 'Treatment Room',
+            'crash-cart': 'Crash Cart',
+            'fridge': 'Fridge',
+            'other': 'Other'
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetLocationForm();
+        this.loadLocations();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'locations') {
+                this.refreshLocations();
+            }
+        });
+
+        uiManager.onEvent('departmentsUpdated', () => {
+            this.refreshLocations();
+        });
+
+        const locationForm = Utils.$('#locationForm');
+        const addLocationBtn = Utils.$('#addLocationBtn');
+        const cancelLocationBtn = Utils.$('#cancelLocationBtn');
+
+        if (locationForm) {
+            locationForm.addEventListener('submit', (e) => {
+                this.handleSaveLocation(e);
+            });
+        }
+
+        if (addLocationBtn) {
+            addLocationBtn.addEventListener('click', () => {
+                this.resetLocationForm();
+                Utils.$('#locationName').focus();
+            });
+        }
+
+        if (cancelLocationBtn) {
+            cancelLocationBtn.addEventListener('click', () => {
+                this.resetLocationForm();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadLocations() {
+        try {
+            await this.populateDepartmentOptions();
+            const locations = await inventoryAPI.getLocations();
+            this.renderLocationTable(locations);
+        } catch (error) {
+            uiManager.showToast('Failed to load locations', 'error');
+            console.error('Error loading locations:', error);
+        }
+    }
+
+    async refreshLocations() {
+        await this.loadLocations();
+    }
+
+    async populateDepartmentOptions() {
+        const select = Utils.$('#locationDepartment');
+        if (!select) return;
+
+        const departments = await inventoryAPI.getDepartments();
+        const selected = select.value;
+        select.innerHTML = '<option value="">No department</option>' + departments.map(department =>
+            `<option value="${department.id}">${Utils.sanitizeInput(department.name)}</option>`
+        ).join('');
+        select.value = departments.some(department => department.id === selected) ? selected : '';
+    }
+
+    // Table Rendering
+    renderLocationTable(locations) {
+        const tbody = Utils.$('#locationTableBody');
+        if (!tbody) return;
+
+        if (!locations || locations.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i class="fas fa-warehouse"></i>
+                        <h3>No locations yet</h3>
+                        <p>Add the rooms, carts and fridges where stock is kept.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const summary = inventoryData.getLocationSummary();
+        tbody.innerHTML = locations.map(location =>
+            this.createLocationRowHTML(location, summary.find(entry => entry.locationId === location.id))
+        ).join('');
+    }
+
+    createLocationRowHTML(location, totals = { itemCount: 0, totalUnits: 0, lowStockCount: 0 }) {
+        const isDefault = location.id === inventoryData.getDefaultLocationId();
+        const department = inventoryData.getDepartmentById(location.departmentId);
+
+        return `
+            <tr data-location-id="${location.id}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(location.name)}</strong>
+                        ${isDefault ? '<small>Default for deliveries</small>' :
+                            location.description ? `<small>${Utils.sanitizeInput(location.description)}</small>` : ''
+                        }
+                    </div>
+                </td>
+                <td>
+                    <div class="item-name">
+                        <strong>${this.typeLabels[location.type] || this.typeLabels.other}</strong>
+                        <small>${this.getStorageLabel(location)}</small>
+                    </div>
+                </td>
+                <td>${department ? Utils.sanitizeInput(department.name) : '-'}</td>
+                <td>${totals.itemCount}</td>
+                <td>${totals.totalUnits}</td>
+                <td>${totals.lowStockCount > 0 ? `<span class="text-warning">${totals.lowStockCount}</span>` : '0'}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="dashboardManager.viewLocation('${location.id}')" title="View stock">
+                            <i class="fas fa-boxes"></i>
+                        </button>
+                        <button class="action-btn edit" onclick="locationsManager.editLocation('${location.id}')" title="Edit location">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete" onclick="locationsManager.confirmDeleteLocation('${location.id}')" title="Delete location">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Location Operations
+    async handleSaveLocation(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#locationForm')) {
+            return;
+        }
+
+        try {
+            const locationId = Utils.$('#locationId').value;
+            const locationData = this.getLocationFromForm();
+
+            inventoryAPI.validateLocationData({ ...locationData, id: locationId });
+
+            const location = locationId
+                ? await inventoryAPI.updateLocation(locationId, locationData)
+                : await inventoryAPI.createLocation(locationData);
+
+            uiManager.showToast(`${location.name} ${locationId ? 'updated' : 'added'} successfully`, 'success');
+            this.resetLocationForm();
+            this.refreshLocations();
+            uiManager.emitEvent('locationsUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save location', 'error');
+                console.error('Error saving location:', error);
+            }
+        }
+    }
+
+    async editLocation(locationId) {
+        try {
+            const location = await inventoryAPI.getLocation(locationId);
+            if (!location) {
+                uiManager.showToast('Location not found', 'error');
+                return;
+            }
+
+            uiManager.populateForm('#locationForm', {
+                locationId: location.id,
+                locationName: location.name,
+                locationType: location.type,
+                locationStorageCondition: location.storageCondition,
+                locationDepartment: location.departmentId || '',
+                locationDescription: location.description
+            });
+            Utils.$('#locationFormTitle').textContent = `Edit ${location.name}`;
+            Utils.$('#locationName').focus();
+        } catch (error) {
+            uiManager.showToast('Failed to load location details', 'error');
+            console.error('Error loading location:', error);
+        }
+    }
+
+    async confirmDeleteLocation(locationId) {
+        try {
+            const location = await inventoryAPI.getLocation(locationId);
+            if (!location) return;
+
+            if (confirm(`Are you sure you want to delete "${location.name}"? Its per-item thresholds will be removed.`)) {
+                await inventoryAPI.deleteLocation(locationId);
+                uiManager.showToast(`${location.name} deleted successfully`, 'success');
+                if (Utils.$('#locationId').value === locationId) {
+                    this.resetLocationForm();
+                }
+                this.refreshLocations();
+                uiManager.emitEvent('locationsUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete location', 'error');
+                console.error('Error deleting location:', error);
+            }
+        }
+    }
+
+    getStorageLabel(location) {
+        const range = inventoryData.getStorageRange(location);
+        return `${range.label} (${range.min} to ${range.max}°C)`;
+    }
+
+    // Form Management
+    getLocationFromForm() {
+        const formData = uiManager.getFormData('#locationForm');
+        return {
+            name: formData.locationName.trim(),
+            type: formData.locationType,
+            storageCondition: formData.locationStorageCondition,
+            departmentId: formData.locationDepartment || null,
+            description: formData.locationDescription.trim()
+        };
+    }
+
+    resetLocationForm() {
+        const form = Utils.$('#locationForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#locationId').value = '';
+        Utils.$('#locationFormTitle').textContent = 'Add Location';
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Locations Manager
+window.locationsManager = new LocationsManager();
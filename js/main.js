@@ -250,7 +250,21 @@ class ClinicInventoryApp {
             { name: 'API Manager', instance: window.inventoryAPI },
             { name: 'Inventory Manager', instance: window.inventoryManager },
             { name: 'Dashboard Manager', instance: window.dashboardManager },
-            { name: 'Alerts Manager', instance: window.alertsManager }
+            { name: 'Alerts Manager', instance: window.alertsManager },
+            { name: 'Locations Manager', instance: window.locationsManager },
+            { name: 'Suppliers Manager', instance: window.suppliersManager },
+            { name: 'Purchase Orders Manager', instance: window.purchaseOrdersManager },
+            { name: 'Transfers Manager', instance: window.transfersManager },
+            { name: 'Patient Dispensing Manager', instance: window.patientDispensingManager },
+            { name: 'Kits Manager', instance: window.kitsManager },
+            { name: 'Substitutes Manager', instance: window.substitutesManager },
+            { name: 'Stocktake Manager', instance: window.stocktakeManager },
+            { name: 'Wastage Manager', instance: window.wastageManager },
+            { name: 'Valuation Manager', instance: window.valuationManager },
+            { name: 'Budgets Manager', instance: window.budgetsManager },
+            { name: 'Recalls Manager', instance: window.recallsManager },
+            { name: 'Controlled Register Manager', instance: window.controlledRegisterManager },
+            { name: 'Cold Chain Manager', instance: window.coldChainManager }
         ];
         
         for (const module of modules) {
@@ -440,6 +454,34 @@ class ClinicInventoryApp {
                 await inventoryManager.refreshInventoryView();
             } else if (uiManager.currentSection === 'alerts') {
                 await alertsManager.refreshAlerts();
+            } else if (uiManager.currentSection === 'locations') {
+                await locationsManager.refreshLocations();
+            } else if (uiManager.currentSection === 'suppliers') {
+                await suppliersManager.refreshSuppliers();
+            } else if (uiManager.currentSection === 'purchase-orders') {
+                await purchaseOrdersManager.refreshPurchaseOrders();
+            } else if (uiManager.currentSection === 'transfers') {
+                await transfersManager.refreshTransfers();
+            } else if (uiManager.currentSection === 'patient-dispensing') {
+                await patientDispensingManager.refreshPatientDispensing();
+            } else if (uiManager.currentSection === 'kits') {
+                await kitsManager.refreshKits();
+            } else if (uiManager.currentSection === 'substitutes') {
+                await substitutesManager.refreshSubstitutes();
+            } else if (uiManager.currentSection === 'stocktake') {
+                await stocktakeManager.refreshCountSessions();
+            } else if (uiManager.currentSection === 'wastage') {
+                await wastageManager.refreshWastage();
+            } else if (uiManager.currentSection === 'valuation') {
+                await valuationManager.refreshValuation();
+            } else if (uiManager.currentSection === 'budgets') {
+                await budgetsManager.refreshBudgets();
+            } else if (uiManager.currentSection === 'cold-chain') {
+                await coldChainManager.refreshColdChain();
+            } else if (uiManager.currentSection === 'recalls') {
+                await recallsManager.refreshRecalls();
+            } else if (uiManager.currentSection === 'controlled') {
+                await controlledRegisterManager.refreshRegister();
             }
         } catch (error) {
             console.error('Error refreshing after reconnect:', error);
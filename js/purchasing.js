@@ -0,0 +1,638 @@
+// Purchase Order Management Module
+// Handles purchase order drafting, submission, goods receipt, and the order list
+
+class PurchaseOrdersManager {
+    constructor() {
+        this.filters = {
+            status: '',
+            supplierId: ''
+        };
+        this.selectedOrderId = null;
+        this.departments = [];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadPurchaseOrders();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'purchase-orders') {
+                this.refreshPurchaseOrders();
+            }
+        });
+
+        uiManager.onEvent('suppliersUpdated', () => {
+            this.populateSupplierOptions();
+        });
+
+        uiManager.onEvent('departmentsUpdated', () => {
+            this.populateDepartmentOptions();
+        });
+
+        const draftFromLowStockBtn = Utils.$('#draftFromLowStockBtn');
+        const newPurchaseOrderBtn = Utils.$('#newPurchaseOrderBtn');
+        const statusFilter = Utils.$('#poStatusFilter');
+        const supplierFilter = Utils.$('#poSupplierFilter');
+
+        if (draftFromLowStockBtn) {
+            draftFromLowStockBtn.addEventListener('click', () => {
+                this.draftFromLowStock();
+            });
+        }
+
+        if (newPurchaseOrderBtn) {
+            newPurchaseOrderBtn.addEventListener('click', () => {
+                this.createPurchaseOrder(Utils.$('#newPoSupplier').value, [], Utils.$('#newPoDepartment').value || null);
+            });
+        }
+
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadPurchaseOrders();
+            });
+        }
+
+        if (supplierFilter) {
+            supplierFilter.addEventListener('change', (e) => {
+                this.filters.supplierId = e.target.value;
+                this.loadPurchaseOrders();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadPurchaseOrders() {
+        try {
+            await this.populateSupplierOptions();
+            await this.populateDepartmentOptions();
+            const orders = await inventoryAPI.getPurchaseOrders(this.filters);
+            this.renderPurchaseOrderTable(orders);
+            await this.renderPurchaseOrderDetail();
+        } catch (error) {
+            uiManager.showToast('Failed to load purchase orders', 'error');
+            console.error('Error loading purchase orders:', error);
+        }
+    }
+
+    async refreshPurchaseOrders() {
+        await this.loadPurchaseOrders();
+    }
+
+    async populateSupplierOptions() {
+        const suppliers = await inventoryAPI.getSuppliers();
+        [
+            { selector: '#poSupplierFilter', placeholder: 'All Suppliers' },
+            { selector: '#newPoSupplier', placeholder: 'Select supplier' }
+        ].forEach(({ selector, placeholder }) => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + suppliers.map(supplier =>
+                `<option value="${supplier.id}">${Utils.sanitizeInput(supplier.name)}</option>`
+            ).join('');
+            select.value = suppliers.some(supplier => supplier.id === selected) ? selected : '';
+        });
+    }
+
+    async populateDepartmentOptions() {
+        const select = Utils.$('#newPoDepartment');
+        if (!select) return;
+
+        this.departments = await inventoryAPI.getDepartments();
+        const selected = select.value;
+        select.innerHTML = '<option value="">No department</option>' + this.createDepartmentOptionsHTML();
+        select.value = this.departments.some(department => department.id === selected) ? selected : '';
+    }
+
+    createDepartmentOptionsHTML(selectedId = null) {
+        return this.departments.map(department =>
+            `<option value="${department.id}" ${department.id === selectedId ? 'selected' : ''}>${Utils.sanitizeInput(department.name)}</option>`
+        ).join('');
+    }
+
+    // Order List
+    renderPurchaseOrderTable(orders) {
+        const tbody = Utils.$('#purchaseOrderTableBody');
+        if (!tbody) return;
+
+        if (!orders || orders.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-file-invoice"></i>
+                        <h3>No purchase orders</h3>
+                        <p>Draft orders from low stock items or start a new order for a supplier.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedOrders = [...orders].sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate));
+        tbody.innerHTML = sortedOrders.map(order => this.createOrderRowHTML(order)).join('');
+    }
+
+    createOrderRowHTML(order) {
+        const ordered = order.lines.reduce((total, line) => total + line.quantityOrdered, 0);
+        const received = order.lines.reduce((total, line) => total + line.quantityReceived, 0);
+
+        return `
+            <tr data-order-id="${order.id}">
+                <td><strong>${order.number}</strong></td>
+                <td>${Utils.sanitizeInput(order.supplierName)}</td>
+                <td>
+                    <span class="status-badge ${order.status}">${this.getStatusLabel(order.status)}</span>
+                    ${order.overBudget ? '<span class="status-badge over-budget" title="Submitted over the department budget">Over Budget</span>' : ''}
+                </td>
+                <td>${order.lines.length}</td>
+                <td>${ordered}</td>
+                <td>${received}</td>
+                <td>${Utils.formatDate(order.createdDate)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="purchaseOrdersManager.selectOrder('${order.id}')" title="Open order">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'draft': 'Draft',
+            'submitted': 'Submitted',
+            'partially-received': 'Partially Received',
+            'received': 'Received',
+            'cancelled': 'Cancelled'
+        };
+        return labels[status] || 'Unknown';
+    }
+
+    // Order Detail
+    async selectOrder(orderId) {
+        this.selectedOrderId = orderId;
+        await this.renderPurchaseOrderDetail();
+
+        const detail = Utils.$('#purchaseOrderDetail');
+        if (detail && detail.scrollIntoView) {
+            detail.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    async renderPurchaseOrderDetail() {
+        const container = Utils.$('#purchaseOrderDetail');
+        if (!container) return;
+
+        const order = this.selectedOrderId ? await inventoryAPI.getPurchaseOrder(this.selectedOrderId) : null;
+        if (!order) {
+            this.selectedOrderId = null;
+            container.innerHTML = '';
+            return;
+        }
+
+        const isDraft = order.status === 'draft';
+        const isOpen = ['submitted', 'partially-received'].includes(order.status);
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${order.number} &middot; ${Utils.sanitizeInput(order.supplierName)}</h3>
+                    <p class="po-meta">
+                        Created ${Utils.formatDateTime(order.createdDate)} by ${Utils.sanitizeInput(order.createdBy || '')}
+                        ${order.submittedDate ? ` &middot; Submitted ${Utils.formatDateTime(order.submittedDate)}` : ''}
+                        ${order.closedDate ? ` &middot; Closed ${Utils.formatDateTime(order.closedDate)}` : ''}
+                    </p>
+                    ${isDraft ? `
+                        <p class="po-meta">
+                            <label for="poDepartmentSelect">Charge to</label>
+                            <select id="poDepartmentSelect" onchange="purchaseOrdersManager.changeDepartment('${order.id}', this.value)">
+                                <option value="">No department</option>
+                                ${this.createDepartmentOptionsHTML(order.departmentId)}
+                            </select>
+                        </p>
+                    ` : order.departmentName ? `<p class="po-meta">Charged to ${Utils.sanitizeInput(order.departmentName)}</p>` : ''}
+                    ${order.notes ? `<p class="po-meta">${Utils.sanitizeInput(order.notes)}</p>` : ''}
+                </div>
+                <span class="status-badge ${order.status}">${this.getStatusLabel(order.status)}</span>
+            </div>
+
+            <table class="inventory-table po-lines">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Supplier SKU</th>
+                        <th>Unit Cost</th>
+                        <th>Ordered</th>
+                        <th>Received</th>
+                        ${isOpen ? '<th>Receive Qty</th><th>Batch</th><th>Expiry</th>' : ''}
+                        ${isDraft ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${order.lines.map(line => this.createLineRowHTML(line, isDraft, isOpen)).join('') ||
+                        `<tr><td colspan="6" class="lot-empty">No lines on this order yet.</td></tr>`}
+                </tbody>
+            </table>
+
+            ${this.createVarianceHTML(order)}
+            ${isDraft ? await this.createBudgetCheckHTML(order) : ''}
+            ${isDraft ? await this.createAddLineHTML(order) : ''}
+
+            <div class="form-actions">
+                ${isDraft ? `
+                    <button type="button" class="btn btn-danger" onclick="purchaseOrdersManager.deleteOrder('${order.id}')">Delete Draft</button>
+                    <button type="button" class="btn btn-secondary" onclick="purchaseOrdersManager.saveDraftLines('${order.id}')">Save Lines</button>
+                    <button type="button" class="btn btn-primary" onclick="purchaseOrdersManager.submitOrder('${order.id}')">
+                        <i class="fas fa-paper-plane"></i>
+                        Submit Order
+                    </button>
+                ` : ''}
+                ${isOpen ? `
+                    <button type="button" class="btn btn-danger" onclick="purchaseOrdersManager.cancelOrder('${order.id}')">
+                        ${order.status === 'partially-received' ? 'Close Short' : 'Cancel Order'}
+                    </button>
+                    <button type="button" class="btn btn-primary" onclick="purchaseOrdersManager.receiveOrder('${order.id}')">
+                        <i class="fas fa-truck-loading"></i>
+                        Receive Goods
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary" onclick="purchaseOrdersManager.closeDetail()">Close</button>
+            </div>
+        `;
+    }
+
+    createLineRowHTML(line, isDraft, isOpen) {
+        const outstanding = Math.max(0, line.quantityOrdered - line.quantityReceived);
+        const receipts = line.receipts.map(receipt =>
+            `${receipt.quantity} × ${receipt.batchNumber ? Utils.sanitizeInput(receipt.batchNumber) : 'no batch'} (${Utils.formatDate(receipt.receivedDate)})`
+        ).join(', ');
+
+        return `
+            <tr data-line-id="${line.id}">
+                <td>
+                    <strong>${Utils.sanitizeInput(line.itemName)}</strong>
+                    ${receipts ? `<small class="po-receipts">Received: ${receipts}</small>` : ''}
+                </td>
+                <td>${line.supplierSku ? Utils.sanitizeInput(line.supplierSku) : '-'}</td>
+                <td>${line.unitCost !== null ? Utils.formatCurrency(line.unitCost) : '-'}</td>
+                <td>
+                    ${isDraft ?
+                        `<input type="number" min="0" step="any" data-field="quantityOrdered" value="${line.quantityOrdered}">` :
+                        line.quantityOrdered
+                    }
+                </td>
+                <td>${line.quantityReceived}</td>
+                ${isOpen ? `
+                    <td>
+                        <div class="unit-quantity">
+                            <input type="number" min="0" step="any" data-field="quantity" value="${outstanding}">
+                            ${inventoryManager.createUnitSelectHTML(line.itemId)}
+                        </div>
+                    </td>
+                    <td><input type="text" data-field="batchNumber" placeholder="Batch"></td>
+                    <td><input type="date" data-field="expiryDate"></td>
+                ` : ''}
+                ${isDraft ? `
+                    <td>
+                        <button type="button" class="action-btn delete" onclick="purchaseOrdersManager.removeLine('${line.id}')" title="Remove line">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                ` : ''}
+            </tr>
+        `;
+    }
+
+    // Over-receipts show as soon as they happen; shortfalls once the order is closed
+    createVarianceHTML(order) {
+        const variances = inventoryData.getPurchaseOrderVariances(order);
+        if (variances.length === 0) return '';
+
+        return `
+            <div class="po-variance">
+                <p class="breakdown-title">Receipt variances</p>
+                ${variances.map(line => `
+                    <div class="${line.variance > 0 ? 'text-warning' : 'text-danger'}">
+                        ${Utils.sanitizeInput(line.itemName)}: ${line.variance > 0 ? 'over-received by' : 'short by'} ${Math.abs(line.variance)}
+                        (ordered ${line.quantityOrdered}, received ${line.quantityReceived})
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // What the draft would bring its department's spend to this period
+    async createBudgetCheckHTML(order) {
+        const check = await inventoryAPI.getPurchaseOrderBudgetCheck(order.id);
+        if (!check) return '';
+
+        const settings = await inventoryAPI.getSettings();
+        const consequence = settings.budgetPolicy === 'block' ? 'it cannot be submitted' : 'it will be flagged when submitted';
+
+        return `
+            <div class="po-variance">
+                <p class="breakdown-title">${Utils.sanitizeInput(check.departmentName)} budget</p>
+                <div class="${check.exceeds ? 'text-danger' : ''}">
+                    This order (${Utils.formatCurrency(check.orderValue)}) brings spend to ${Utils.formatCurrency(check.projected)}
+                    of ${Utils.formatCurrency(check.budget)}, including ${Utils.formatCurrency(check.spent)} spent and
+                    ${Utils.formatCurrency(check.committed)} on other orders${check.exceeds ? `; ${consequence}` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    async createAddLineHTML(order) {
+        const items = await inventoryAPI.getAllItems();
+        const onOrder = new Set(order.lines.map(line => line.itemId));
+        const options = Utils.sortBy(items.filter(item => !onOrder.has(item.id)), 'name').map(item => {
+            const linked = (item.suppliers || []).some(link => link.supplierId === order.supplierId);
+            return `<option value="${item.id}">${Utils.sanitizeInput(item.name)}${linked ? '' : ' (not linked to supplier)'}</option>`;
+        }).join('');
+
+        return `
+            <div class="form-group full-width">
+                <label>Add Line</label>
+                <div class="lot-entry">
+                    <select id="poNewLineItem">
+                        <option value="">Select item</option>
+                        ${options}
+                    </select>
+                    <input type="number" id="poNewLineQuantity" min="0" step="any" placeholder="Qty">
+                    <button type="button" class="btn btn-secondary" onclick="purchaseOrdersManager.addLine('${order.id}')">
+                        <i class="fas fa-plus"></i>
+                        Add Line
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    closeDetail() {
+        this.selectedOrderId = null;
+        this.renderPurchaseOrderDetail();
+    }
+
+    // Reads the draft quantities currently typed into the line table
+    getDraftLinesFromDetail(order) {
+        return order.lines.map(line => {
+            const input = Utils.$(`#purchaseOrderDetail tr[data-line-id="${line.id}"] [data-field="quantityOrdered"]`);
+            return { ...line, quantityOrdered: input ? parseFloat(input.value) || 0 : line.quantityOrdered };
+        });
+    }
+
+    // Order Operations
+    async draftFromLowStock() {
+        try {
+            const { orders, unassigned } = await inventoryAPI.buildDraftPurchaseOrders();
+
+            if (orders.length === 0 && unassigned.length === 0) {
+                uiManager.showToast('No low stock items need ordering', 'info');
+            } else if (orders.length > 0) {
+                uiManager.showToast(`Drafted ${orders.length} purchase order${orders.length === 1 ? '' : 's'}`, 'success');
+            }
+
+            if (unassigned.length > 0) {
+                uiManager.showToast(`No supplier linked for: ${unassigned.map(item => item.name).join(', ')}`, 'warning');
+            }
+
+            this.selectedOrderId = orders.length === 1 ? orders[0].id : this.selectedOrderId;
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            uiManager.showToast('Failed to draft purchase orders', 'error');
+            console.error('Error drafting purchase orders:', error);
+        }
+    }
+
+    async createPurchaseOrder(supplierId, lines = [], departmentId = null) {
+        try {
+            const order = await inventoryAPI.createPurchaseOrder({ supplierId, departmentId, lines });
+            uiManager.showToast(`${order.number} created`, 'success');
+            this.selectedOrderId = order.id;
+            this.refreshPurchaseOrders();
+            return order;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to create purchase order', 'error');
+                console.error('Error creating purchase order:', error);
+            }
+            return null;
+        }
+    }
+
+    async addLine(orderId) {
+        const itemId = Utils.$('#poNewLineItem').value;
+        const quantity = parseFloat(Utils.$('#poNewLineQuantity').value) || 0;
+
+        if (!itemId || quantity <= 0) {
+            uiManager.showToast('Select an item and a quantity to order', 'error');
+            return;
+        }
+
+        const order = await inventoryAPI.getPurchaseOrder(orderId);
+        await this.updateDraftLines(order, [
+            ...this.getDraftLinesFromDetail(order),
+            { itemId, quantityOrdered: quantity }
+        ]);
+    }
+
+    async removeLine(lineId) {
+        const order = await inventoryAPI.getPurchaseOrder(this.selectedOrderId);
+        await this.updateDraftLines(order, this.getDraftLinesFromDetail(order).filter(line => line.id !== lineId));
+    }
+
+    async saveDraftLines(orderId) {
+        const order = await inventoryAPI.getPurchaseOrder(orderId);
+        if (await this.updateDraftLines(order, this.getDraftLinesFromDetail(order))) {
+            uiManager.showToast(`${order.number} saved`, 'success');
+        }
+    }
+
+    async updateDraftLines(order, lines) {
+        if (lines.some(line => line.quantityOrdered <= 0)) {
+            uiManager.showToast('Ordered quantities must be greater than zero', 'error');
+            return false;
+        }
+
+        try {
+            await inventoryAPI.updatePurchaseOrder(order.id, { lines });
+            this.refreshPurchaseOrders();
+            return true;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update purchase order', 'error');
+                console.error('Error updating purchase order:', error);
+            }
+            return false;
+        }
+    }
+
+    async submitOrder(orderId) {
+        try {
+            const order = await inventoryAPI.getPurchaseOrder(orderId);
+            const lines = this.getDraftLinesFromDetail(order);
+            if (!(await this.updateDraftLines(order, lines))) return;
+
+            const submitted = await inventoryAPI.submitPurchaseOrder(orderId);
+            uiManager.showToast(`${submitted.number} submitted to ${submitted.supplierName}`, 'success');
+            if (submitted.overBudget) {
+                uiManager.showToast(`${submitted.number} takes ${submitted.departmentName} over its budget`, 'warning');
+            }
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to submit purchase order', 'error');
+                console.error('Error submitting purchase order:', error);
+            }
+        }
+    }
+
+    async changeDepartment(orderId, departmentId) {
+        try {
+            await inventoryAPI.updatePurchaseOrder(orderId, { departmentId: departmentId || null });
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update purchase order', 'error');
+                console.error('Error updating purchase order:', error);
+            }
+        }
+    }
+
+    async receiveOrder(orderId) {
+        const receipts = Utils.$$('#purchaseOrderDetail tr[data-line-id]').map(row => ({
+            lineId: row.dataset.lineId,
+            quantity: parseFloat(row.querySelector('[data-field="quantity"]').value) || 0,
+            unit: row.querySelector('[data-field="unit"]') ? row.querySelector('[data-field="unit"]').value : null,
+            batchNumber: row.querySelector('[data-field="batchNumber"]').value.trim(),
+            expiryDate: row.querySelector('[data-field="expiryDate"]').value
+        }));
+
+        try {
+            const order = await inventoryAPI.receivePurchaseOrder(orderId, receipts);
+            const variances = inventoryData.getPurchaseOrderVariances(order);
+
+            uiManager.showToast(`Goods received on ${order.number}`, 'success');
+            if (variances.length > 0) {
+                uiManager.showToast(`${order.number} has ${variances.length} line${variances.length === 1 ? '' : 's'} received off the ordered quantity`, 'warning');
+            }
+
+            this.refreshPurchaseOrders();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to receive goods', 'error');
+                console.error('Error receiving purchase order:', error);
+            }
+        }
+    }
+
+    async cancelOrder(orderId) {
+        const order = await inventoryAPI.getPurchaseOrder(orderId);
+        if (!order) return;
+
+        const prompt = order.status === 'partially-received'
+            ? `Close ${order.number} short? Outstanding quantities will no longer be expected.`
+            : `Cancel ${order.number}?`;
+        if (!confirm(prompt)) return;
+
+        try {
+            await inventoryAPI.cancelPurchaseOrder(orderId);
+            uiManager.showToast(`${order.number} ${order.status === 'partially-received' ? 'closed short' : 'cancelled'}`, 'success');
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to cancel purchase order', 'error');
+                console.error('Error cancelling purchase order:', error);
+            }
+        }
+    }
+
+    async deleteOrder(orderId) {
+        const order = await inventoryAPI.getPurchaseOrder(orderId);
+        if (!order || !confirm(`Delete draft ${order.number}?`)) return;
+
+        try {
+            await inventoryAPI.deletePurchaseOrder(orderId);
+            uiManager.showToast(`${order.number} deleted`, 'success');
+            this.selectedOrderId = null;
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete purchase order', 'error');
+                console.error('Error deleting purchase order:', error);
+            }
+        }
+    }
+
+    // Restocking from an alert adds the item to an open draft for its preferred
+    // supplier, or starts a new one
+    async restockItem(itemId) {
+        try {
+            const item = await inventoryAPI.getItem(itemId);
+            if (!item) return;
+
+            const supplier = inventoryData.getPreferredSupplier(item);
+            if (!supplier) {
+                uiManager.showToast(`Link a supplier to ${item.name} before ordering`, 'warning');
+                inventoryManager.editItem(itemId);
+                return;
+            }
+
+            const quantityOrdered = inventoryData.getSuggestedOrderQuantity(item, supplier);
+            const drafts = await inventoryAPI.getPurchaseOrders({ status: 'draft', supplierId: supplier.id });
+            const draft = drafts[0];
+
+            if (draft) {
+                if (!draft.lines.some(line => line.itemId === itemId)) {
+                    await inventoryAPI.updatePurchaseOrder(draft.id, {
+                        lines: [...draft.lines, { itemId, quantityOrdered }]
+                    });
+                }
+                this.selectedOrderId = draft.id;
+                uiManager.showToast(`${item.name} is on draft ${draft.number}`, 'success');
+            } else {
+                const order = await inventoryAPI.createPurchaseOrder({
+                    supplierId: supplier.id,
+                    lines: [{ itemId, quantityOrdered }]
+                });
+                this.selectedOrderId = order.id;
+                uiManager.showToast(`${order.number} drafted for ${item.name}`, 'success');
+            }
+
+            uiManager.showSection('purchase-orders');
+            this.refreshPurchaseOrders();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to draft purchase order', 'error');
+                console.error('Error drafting purchase order:', error);
+            }
+        }
+    }
+}
+
+// Initialize Purchase Orders Manager
+window.purchaseOrdersManager = new PurchaseOrdersManager();
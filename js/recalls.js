@@ -0,0 +1,399 @@
+// Recalls Module
+// Handles recall entries, clearing quarantined stock and the per-recall report
+
+class RecallsManager {
+    constructor() {
+        this.filters = {
+            status: ''
+        };
+        this.selectedRecallId = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetRecallForm();
+        this.loadRecalls();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'recalls') {
+                this.refreshRecalls();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'recalls') {
+                this.refreshRecalls();
+            }
+        });
+
+        const recallForm = Utils.$('#recallForm');
+        const statusFilter = Utils.$('#recallStatusFilter');
+
+        if (recallForm) {
+            recallForm.addEventListener('submit', (e) => {
+                this.handleCreateRecall(e);
+            });
+        }
+
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadRecalls();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadRecalls() {
+        try {
+            await this.populateItemOptions();
+            const recalls = await inventoryAPI.getRecalls(this.filters);
+            this.renderRecallTable(recalls);
+            await this.renderRecallDetail();
+        } catch (error) {
+            uiManager.showToast('Failed to load recalls', 'error');
+            console.error('Error loading recalls:', error);
+        }
+    }
+
+    async refreshRecalls() {
+        await this.loadRecalls();
+    }
+
+    async populateItemOptions() {
+        const select = Utils.$('#recallItem');
+        if (!select) return;
+
+        const selected = select.value;
+        const items = await inventoryAPI.getAllItems();
+        select.innerHTML = '<option value="">Any product with these batches</option>' + items.map(item =>
+            `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`
+        ).join('');
+        select.value = items.some(item => item.id === selected) ? selected : '';
+    }
+
+    // Recall List
+    renderRecallTable(recalls) {
+        const tbody = Utils.$('#recallTableBody');
+        if (!tbody) return;
+
+        if (!recalls || recalls.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-ban"></i>
+                        <h3>No recalls</h3>
+                        <p>Record a manufacturer recall to find and quarantine the affected lots.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedRecalls = [...recalls].sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate));
+        tbody.innerHTML = sortedRecalls.map(recall => this.createRecallRowHTML(recall)).join('');
+    }
+
+    createRecallRowHTML(recall) {
+        const { totals } = inventoryData.getRecallReport(recall);
+
+        return `
+            <tr data-recall-id="${recall.id}">
+                <td><strong>${recall.number}</strong></td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(recall.product || 'Any product')}</strong>
+                        <small>${Utils.sanitizeInput(recall.reason)}</small>
+                    </div>
+                </td>
+                <td>${recall.batchNumbers.map(batch => Utils.sanitizeInput(batch)).join(', ')}</td>
+                <td>${Utils.formatDate(recall.recallDate)}</td>
+                <td><span class="status-badge ${recall.status}">${this.getStatusLabel(recall.status)}</span></td>
+                <td>${totals.lots}</td>
+                <td>
+                    ${totals.onHand > 0 ? `<span class="text-danger">${totals.onHand}</span>` : '0'}
+                    ${totals.inTransit > 0 ? `<small class="in-transit">+${totals.inTransit} in transit</small>` : ''}
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="recallsManager.viewRecall('${recall.id}')" title="Open recall report">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'open': 'Open',
+            'closed': 'Closed'
+        };
+        return labels[status] || 'Unknown';
+    }
+
+    // Recall Detail
+    // Open a recall from anywhere, e.g. a recall alert
+    async viewRecall(recallId) {
+        this.selectedRecallId = recallId;
+        uiManager.showSection('recalls');
+        await this.refreshRecalls();
+
+        const detail = Utils.$('#recallDetail');
+        if (detail && detail.scrollIntoView) {
+            detail.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    async renderRecallDetail() {
+        const container = Utils.$('#recallDetail');
+        if (!container) return;
+
+        const recall = this.selectedRecallId ? await inventoryAPI.getRecall(this.selectedRecallId) : null;
+        if (!recall) {
+            this.selectedRecallId = null;
+            container.innerHTML = '';
+            return;
+        }
+
+        const report = await inventoryAPI.getRecallReport(recall.id);
+        const isOpen = recall.status === 'open';
+        const { totals } = report;
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${recall.number} &middot; ${Utils.sanitizeInput(recall.product || 'Any product')}</h3>
+                    <p class="po-meta">
+                        Batches ${recall.batchNumbers.map(batch => Utils.sanitizeInput(batch)).join(', ')}
+                        &middot; Recalled ${Utils.formatDate(recall.recallDate)}
+                        &middot; Recorded ${Utils.formatDateTime(recall.createdDate)} by ${Utils.sanitizeInput(recall.createdBy || '')}
+                        ${recall.closedDate ? ` &middot; Closed ${Utils.formatDateTime(recall.closedDate)} by ${Utils.sanitizeInput(recall.closedBy || '')}` : ''}
+                    </p>
+                    <p class="po-meta"><strong>${Utils.sanitizeInput(recall.reason)}</strong>${recall.notes ? ` &middot; ${Utils.sanitizeInput(recall.notes)}` : ''}</p>
+                </div>
+                <span class="status-badge ${recall.status}">${this.getStatusLabel(recall.status)}</span>
+            </div>
+
+            ${report.lines.length ? `
+                <table class="inventory-table po-lines recall-lines">
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Batch</th>
+                            <th>Location</th>
+                            <th>Expiry</th>
+                            <th>Dispensed</th>
+                            <th>Returned</th>
+                            <th>Disposed</th>
+                            <th>On Hand</th>
+                            ${isOpen ? '<th>Clear Stock</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.lines.map(line => this.createLineRowHTML(recall, line, isOpen)).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colspan="4"><strong>${totals.lots} matched lot${totals.lots === 1 ? '' : 's'}</strong></td>
+                            <td>${totals.dispensed}</td>
+                            <td>${totals.returned}</td>
+                            <td>${totals.disposed}</td>
+                            <td class="${totals.onHand > 0 ? 'text-danger' : ''}">${totals.onHand}</td>
+                            ${isOpen ? '<td></td>' : ''}
+                        </tr>
+                    </tfoot>
+                </table>
+                ${totals.dispensed > 0 ? this.createPatientFollowUpHTML(recall, totals) : ''}
+            ` : '<p class="lot-empty">No lots in stock match this recall. Lots received later with these batch numbers will be quarantined as they arrive.</p>'}
+            ${report.inTransit.length ? this.createInTransitHTML(report.inTransit) : ''}
+
+            <div class="form-actions">
+                ${isOpen ? `
+                    <button type="button" class="btn btn-primary" onclick="recallsManager.closeRecall('${recall.id}')" ${totals.onHand > 0 || totals.inTransit > 0 ? 'disabled title="Clear the stock still on hand or in transit first"' : ''}>
+                        <i class="fas fa-check"></i>
+                        Close Recall
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary" onclick="recallsManager.closeDetail()">Close</button>
+            </div>
+        `;
+    }
+
+    // Recalled batches on dispatched transfers; they are quarantined when received
+    createInTransitHTML(lines) {
+        return `
+            <p class="lot-empty">
+                In transit, quarantined on receipt:
+                ${lines.map(line => `${Utils.sanitizeInput(line.itemName)} ${Utils.sanitizeInput(line.batchNumber)} &middot; ${line.quantity} on ${line.transferNumber} (${Utils.sanitizeInput(line.sourceLocationName)} to ${Utils.sanitizeInput(line.destinationLocationName)})`).join('; ')}
+            </p>
+        `;
+    }
+
+    // Patients who received stock from the recalled lots, and any dispensing without a patient record
+    createPatientFollowUpHTML(recall, totals) {
+        const unrecorded = inventoryData.roundQuantity(totals.dispensed - totals.dispensedToPatients);
+
+        return `
+            <p class="po-meta text-warning">
+                ${totals.dispensed} unit${totals.dispensed === 1 ? ' was' : 's were'} dispensed from these lots.
+                ${totals.patients.length > 0 ? `
+                    Patients who may need follow-up: ${totals.patients.map(patient => Utils.sanitizeInput(patient)).join(', ')}
+                    (see ${recall.batchNumbers.map((batch, index) => `<button class="btn-link" onclick="recallsManager.viewPatientRecords('${recall.id}', ${index})">${Utils.sanitizeInput(batch)}</button>`).join(', ')}).
+                ` : ''}
+                ${unrecorded > 0 ? `${unrecorded} unit${unrecorded === 1 ? ' was' : 's were'} dispensed without a patient record; check the stock ledger.` : ''}
+            </p>
+        `;
+    }
+
+    async viewPatientRecords(recallId, batchIndex) {
+        const recall = await inventoryAPI.getRecall(recallId);
+        if (recall) {
+            patientDispensingManager.searchBatch(recall.batchNumbers[batchIndex]);
+        }
+    }
+
+    createLineRowHTML(recall, line, isOpen) {
+        const item = inventoryData.getItemById(line.itemId);
+        const canClear = isOpen && line.onHand > 0;
+
+        return `
+            <tr data-lot-id="${line.lotId}">
+                <td><strong>${Utils.sanitizeInput(line.itemName)}</strong></td>
+                <td>${Utils.sanitizeInput(line.batchNumber)}</td>
+                <td>${Utils.sanitizeInput(line.locationName)}</td>
+                <td>${line.expiryDate ? Utils.formatDate(line.expiryDate) : '-'}</td>
+                <td>${line.dispensed}</td>
+                <td>${line.returned}</td>
+                <td>${line.disposed}</td>
+                <td class="${line.onHand > 0 ? 'text-danger' : ''}">${line.onHand}</td>
+                ${isOpen ? `
+                    <td>
+                        ${canClear ? `
+                            <div class="recall-clear">
+                                <input type="number" min="0" step="any" max="${line.onHand}" value="${line.onHand}" data-field="quantity" title="Quantity">
+                                <select data-field="action" title="Action">
+                                    <option value="returned">Return to supplier</option>
+                                    <option value="disposed">Dispose</option>
+                                </select>
+                                <select data-field="method" title="Disposal method">
+                                    ${Object.entries(wastageManager.methodLabels).map(([value, label]) =>
+                                        `<option value="${value}">${label}</option>`
+                                    ).join('')}
+                                </select>
+                                ${item && item.controlled ? '<input type="text" data-field="witness" placeholder="Witness">' : ''}
+                                <button type="button" class="btn btn-secondary" onclick="recallsManager.resolveLot('${recall.id}', '${line.lotId}')">Clear</button>
+                            </div>
+                        ` : 'Cleared'}
+                    </td>
+                ` : ''}
+            </tr>
+        `;
+    }
+
+    closeDetail() {
+        this.selectedRecallId = null;
+        this.renderRecallDetail();
+    }
+
+    // Recall Operations
+    async handleCreateRecall(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#recallForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#recallForm');
+
+        try {
+            const recall = await inventoryAPI.createRecall({
+                itemId: formData.recallItem || null,
+                product: formData.recallProduct.trim(),
+                batchNumbers: formData.recallBatches.split(/[\n,]/).map(batch => batch.trim()).filter(Boolean),
+                reason: formData.recallReason.trim(),
+                recallDate: formData.recallDate,
+                notes: formData.recallNotes.trim()
+            });
+
+            const matched = recall.matches.length;
+            uiManager.showToast(
+                `${recall.number} recorded; ${matched} lot${matched === 1 ? '' : 's'} quarantined`,
+                matched > 0 ? 'warning' : 'success'
+            );
+            this.resetRecallForm();
+            this.selectedRecallId = recall.id;
+            this.refreshRecalls();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record recall', 'error');
+                console.error('Error recording recall:', error);
+            }
+        }
+    }
+
+    async resolveLot(recallId, lotId) {
+        const row = Utils.$(`#recallDetail tr[data-lot-id="${lotId}"]`);
+        if (!row) return;
+
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const action = field('action').value;
+
+        try {
+            await inventoryAPI.resolveRecallLot(recallId, lotId, {
+                action,
+                quantity: parseFloat(field('quantity').value) || 0,
+                method: field('method').value,
+                witness: field('witness') ? field('witness').value.trim() : null
+            });
+
+            uiManager.showToast(action === 'returned' ? 'Recalled stock returned' : 'Recalled stock disposed of', 'success');
+            this.refreshRecalls();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to clear recalled stock', 'error');
+                console.error('Error clearing recalled stock:', error);
+            }
+        }
+    }
+
+    async closeRecall(recallId) {
+        try {
+            const recall = await inventoryAPI.closeRecall(recallId);
+            uiManager.showToast(`${recall.number} closed`, 'success');
+            this.refreshRecalls();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to close recall', 'error');
+                console.error('Error closing recall:', error);
+            }
+        }
+    }
+
+    // Form Management
+    resetRecallForm() {
+        const form = Utils.$('#recallForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#recallDate').value = new Date().toISOString().split('T')[0];
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Recalls Manager
+window.recallsManager = new RecallsManager();
@@ -0,0 +1,506 @@
+// Stocktake Module
+// Handles count sessions, count entry and scanning, and the variance report
+
+class StocktakeManager {
+    constructor() {
+        this.selectedSessionId = null;
+        this.scheduleFilters = {
+            abcClass: '',
+            category: ''
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadCountSessions();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'stocktake') {
+                this.refreshCountSessions();
+            }
+        });
+
+        uiManager.onEvent('locationsUpdated', () => {
+            this.populateScopeOptions();
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            this.populateScopeOptions();
+        });
+
+        const countSessionForm = Utils.$('#countSessionForm');
+        const classFilter = Utils.$('#cycleClassFilter');
+        const categoryFilter = Utils.$('#cycleCategoryFilter');
+        const startCycleCountBtn = Utils.$('#startCycleCountBtn');
+
+        if (countSessionForm) {
+            countSessionForm.addEventListener('submit', (e) => {
+                this.handleStartCount(e);
+            });
+        }
+
+        if (classFilter) {
+            classFilter.addEventListener('change', (e) => {
+                this.scheduleFilters.abcClass = e.target.value;
+                this.loadCycleCountSchedule();
+            });
+        }
+
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                this.scheduleFilters.category = e.target.value;
+                this.loadCycleCountSchedule();
+            });
+        }
+
+        if (startCycleCountBtn) {
+            startCycleCountBtn.addEventListener('click', () => {
+                this.startCycleCount();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadCountSessions() {
+        try {
+            await this.populateScopeOptions();
+            const sessions = await inventoryAPI.getCountSessions();
+            this.renderCountSessionTable(sessions);
+            await this.renderCountSessionDetail();
+            await this.loadCycleCountSchedule();
+        } catch (error) {
+            uiManager.showToast('Failed to load count sessions', 'error');
+            console.error('Error loading count sessions:', error);
+        }
+    }
+
+    async refreshCountSessions() {
+        await this.loadCountSessions();
+    }
+
+    async populateScopeOptions() {
+        const [items, locations] = await Promise.all([inventoryAPI.getAllItems(), inventoryAPI.getLocations()]);
+
+        const itemSelect = Utils.$('#countItems');
+        if (itemSelect) {
+            const selected = Array.from(itemSelect.selectedOptions).map(option => option.value);
+            itemSelect.innerHTML = Utils.sortBy(items, 'name').map(item =>
+                `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`
+            ).join('');
+            Array.from(itemSelect.options).forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+        }
+
+        const locationList = Utils.$('#countLocations');
+        if (locationList) {
+            const checked = Utils.$$('#countLocations input:checked').map(input => input.value);
+            locationList.innerHTML = locations.map(location => `
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${location.id}" ${checked.includes(location.id) ? 'checked' : ''}>
+                    ${Utils.sanitizeInput(location.name)}
+                </label>
+            `).join('');
+        }
+    }
+
+    // Session List
+    renderCountSessionTable(sessions) {
+        const tbody = Utils.$('#countSessionTableBody');
+        if (!tbody) return;
+
+        if (!sessions || sessions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i class="fas fa-clipboard-check"></i>
+                        <h3>No count sessions</h3>
+                        <p>Start a count to freeze expected quantities and record what is on the shelf.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedSessions = [...sessions].sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate));
+        tbody.innerHTML = sortedSessions.map(session => this.createSessionRowHTML(session)).join('');
+    }
+
+    createSessionRowHTML(session) {
+        const counted = session.lines.filter(line => line.countedQuantity !== null).length;
+
+        return `
+            <tr data-session-id="${session.id}">
+                <td><strong>${session.number}</strong></td>
+                <td>${Utils.sanitizeInput(session.name)}</td>
+                <td><span class="status-badge ${session.status}">${this.getStatusLabel(session.status)}</span></td>
+                <td>${session.lines.length}</td>
+                <td>${counted} / ${session.lines.length}</td>
+                <td>${Utils.formatDate(session.createdDate)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="stocktakeManager.selectSession('${session.id}')" title="Open count">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'open': 'Counting',
+            'posted': 'Posted',
+            'cancelled': 'Cancelled'
+        };
+        return labels[status] || 'Unknown';
+    }
+
+    // Cycle Count Schedule
+    async loadCycleCountSchedule() {
+        const tbody = Utils.$('#cycleCountTableBody');
+        if (!tbody) return;
+
+        const schedule = await inventoryAPI.getCycleCountSchedule(this.scheduleFilters);
+        if (schedule.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="7" class="lot-empty">No items match these filters.</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = schedule.map(entry => this.createScheduleRowHTML(entry)).join('');
+    }
+
+    createScheduleRowHTML(entry) {
+        const dueLabel = entry.daysUntilDue < 0 ? `${-entry.daysUntilDue} day${entry.daysUntilDue === -1 ? '' : 's'} overdue`
+            : entry.daysUntilDue === 0 ? 'Due today' : `in ${entry.daysUntilDue} day${entry.daysUntilDue === 1 ? '' : 's'}`;
+
+        return `
+            <tr data-item-id="${entry.itemId}">
+                <td><strong>${Utils.sanitizeInput(entry.name)}</strong></td>
+                <td>${Utils.sanitizeInput(entry.category)}</td>
+                <td><span class="abc-class class-${entry.abcClass.toLowerCase()}">${entry.abcClass}</span></td>
+                <td>
+                    ${Utils.formatCurrency(entry.consumptionValue)}
+                    <small class="po-receipts">${entry.unitsUsed} used${entry.unitCost === null ? ', no unit cost' : ''}</small>
+                </td>
+                <td>
+                    Every ${entry.intervalDays} days
+                    ${entry.varianceCount > 0 ? `<small class="po-receipts text-warning">${entry.varianceCount} recent variance${entry.varianceCount === 1 ? '' : 's'}, normally ${entry.baseIntervalDays}</small>` : ''}
+                </td>
+                <td>${entry.lastCountedDate ? Utils.formatDate(entry.lastCountedDate) : 'Never'}</td>
+                <td class="${entry.daysUntilDue <= 0 ? 'text-warning' : ''}">
+                    ${Utils.formatDate(entry.dueDate)}
+                    <small class="po-receipts">${dueLabel}</small>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Opens a session for everything due today across all locations
+    async startCycleCount() {
+        try {
+            const due = await inventoryAPI.getCycleCountsDue();
+            if (due.length === 0) {
+                uiManager.showToast('No cycle counts are due today', 'info');
+                return;
+            }
+
+            const session = await inventoryAPI.createCountSession({
+                name: `Cycle count ${Utils.formatDate(new Date())}`,
+                itemIds: due.map(entry => entry.itemId),
+                locationIds: []
+            });
+            uiManager.showToast(`${session.number} started for ${due.length} item${due.length === 1 ? '' : 's'}`, 'success');
+            this.selectedSessionId = session.id;
+            uiManager.showSection('stocktake');
+            await this.refreshCountSessions();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to start cycle count', 'error');
+                console.error('Error starting cycle count:', error);
+            }
+        }
+    }
+
+    // Session Detail
+    async selectSession(sessionId) {
+        this.selectedSessionId = sessionId;
+        await this.renderCountSessionDetail();
+
+        const detail = Utils.$('#countSessionDetail');
+        if (detail && detail.scrollIntoView) {
+            detail.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    async renderCountSessionDetail() {
+        const container = Utils.$('#countSessionDetail');
+        if (!container) return;
+
+        const session = this.selectedSessionId ? await inventoryAPI.getCountSession(this.selectedSessionId) : null;
+        if (!session) {
+            this.selectedSessionId = null;
+            container.innerHTML = '';
+            return;
+        }
+
+        const isOpen = session.status === 'open';
+        const variance = await inventoryAPI.getCountVariance(session.id);
+        const { totals } = variance;
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${session.number} &middot; ${Utils.sanitizeInput(session.name)}</h3>
+                    <p class="po-meta">
+                        Started ${Utils.formatDateTime(session.createdDate)} by ${Utils.sanitizeInput(session.createdBy || '')}
+                        ${session.postedDate ? ` &middot; Posted ${Utils.formatDateTime(session.postedDate)} by ${Utils.sanitizeInput(session.postedBy || '')}` : ''}
+                    </p>
+                    <p class="po-meta">Expected quantities were frozen when the count started.</p>
+                </div>
+                <span class="status-badge ${session.status}">${this.getStatusLabel(session.status)}</span>
+            </div>
+
+            ${isOpen ? `
+                <div class="form-group full-width">
+                    <label for="countScanInput">Scan</label>
+                    <input type="text" id="countScanInput" placeholder="Scan or type a batch number or SKU, then press Enter" autocomplete="off">
+                </div>
+            ` : ''}
+
+            <table class="inventory-table po-lines count-lines">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Batch</th>
+                        <th>Location</th>
+                        <th>Expected</th>
+                        <th>Counted</th>
+                        <th>Difference</th>
+                        <th>Value Impact</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${variance.lines.map(line => this.createLineRowHTML(line, isOpen)).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td colspan="3"><strong>Counted ${totals.counted} of ${totals.lines} lines</strong></td>
+                        <td>${totals.expectedQuantity}</td>
+                        <td>${totals.countedQuantity}</td>
+                        <td class="${this.getDifferenceClass(totals.difference)}">${this.formatDifference(totals.difference)}</td>
+                        <td class="${this.getDifferenceClass(totals.valueImpact)}">${Utils.formatCurrency(totals.valueImpact)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+
+            ${isOpen && totals.uncounted > 0 ? `
+                <p class="po-meta">${totals.uncounted} uncounted line${totals.uncounted === 1 ? '' : 's'} will be left as they are when the count is posted.</p>
+            ` : ''}
+
+            ${isOpen && session.lines.some(line => inventoryData.getItemById(line.itemId)?.controlled) ? `
+                <div class="form-group count-witness">
+                    <label for="countWitness">Witness for controlled substance variances</label>
+                    <input type="text" id="countWitness" placeholder="Name of the second person">
+                </div>
+            ` : ''}
+
+            <div class="form-actions">
+                ${isOpen ? `
+                    <button type="button" class="btn btn-danger" onclick="stocktakeManager.cancelSession('${session.id}')">Cancel Count</button>
+                    <button type="button" class="btn btn-secondary" onclick="stocktakeManager.saveCounts('${session.id}')">Save Counts</button>
+                    <button type="button" class="btn btn-primary" onclick="stocktakeManager.postSession('${session.id}')">
+                        <i class="fas fa-check"></i>
+                        Post Variances
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary" onclick="stocktakeManager.closeDetail()">Close</button>
+            </div>
+        `;
+
+        const scanInput = Utils.$('#countScanInput');
+        if (scanInput) {
+            scanInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleScan(session.id, scanInput.value);
+                }
+            });
+        }
+
+        // Counted values are set through the DOM so a blank stays distinct from zero
+        container.querySelectorAll('tr[data-line-id] [data-field="countedQuantity"]').forEach(input => {
+            const line = session.lines.find(candidate => candidate.id === input.closest('tr').dataset.lineId);
+            input.value = line.countedQuantity === null ? '' : line.countedQuantity;
+        });
+    }
+
+    createLineRowHTML(line, isOpen) {
+        return `
+            <tr data-line-id="${line.id}">
+                <td><strong>${Utils.sanitizeInput(line.itemName)}</strong></td>
+                <td>${line.batchNumber ? Utils.sanitizeInput(line.batchNumber) : '-'}</td>
+                <td>${Utils.sanitizeInput(line.locationName)}</td>
+                <td>${line.expectedQuantity}</td>
+                <td>
+                    ${isOpen ? `
+                        <div class="unit-quantity">
+                            <input type="number" min="0" step="any" data-field="countedQuantity" placeholder="Not counted">
+                            ${inventoryManager.createUnitSelectHTML(line.itemId)}
+                        </div>
+                    ` : line.counted ? line.countedQuantity : 'Not counted'
+                    }
+                </td>
+                <td class="${this.getDifferenceClass(line.difference)}">${line.counted ? this.formatDifference(line.difference) : '-'}</td>
+                <td class="${this.getDifferenceClass(line.valueImpact)}">${line.valueImpact !== null ? Utils.formatCurrency(line.valueImpact) : '-'}</td>
+            </tr>
+        `;
+    }
+
+    formatDifference(difference) {
+        return difference > 0 ? `+${difference}` : `${difference}`;
+    }
+
+    getDifferenceClass(difference) {
+        if (!difference) return '';
+        return difference < 0 ? 'text-danger' : 'text-warning';
+    }
+
+    closeDetail() {
+        this.selectedSessionId = null;
+        this.renderCountSessionDetail();
+    }
+
+    // Reads the counts currently typed into the line table; blank means not counted
+    getCountsFromDetail() {
+        return Utils.$$('#countSessionDetail tr[data-line-id]').map(row => {
+            const value = row.querySelector('[data-field="countedQuantity"]').value;
+            const unit = row.querySelector('[data-field="unit"]');
+            return { lineId: row.dataset.lineId, countedQuantity: value === '' ? null : parseFloat(value), unit: unit ? unit.value : null };
+        });
+    }
+
+    // Session Operations
+    async handleStartCount(e) {
+        e.preventDefault();
+
+        const itemIds = Array.from(Utils.$('#countItems').selectedOptions).map(option => option.value);
+        const locationIds = Utils.$$('#countLocations input:checked').map(input => input.value);
+
+        try {
+            const session = await inventoryAPI.createCountSession({
+                name: Utils.$('#countName').value.trim(),
+                itemIds,
+                locationIds
+            });
+            uiManager.showToast(`${session.number} started with ${session.lines.length} line${session.lines.length === 1 ? '' : 's'} to count`, 'success');
+            Utils.$('#countSessionForm').reset();
+            Utils.$$('#countLocations input:checked').forEach(input => { input.checked = false; });
+            this.selectedSessionId = session.id;
+            await this.refreshCountSessions();
+            const scanInput = Utils.$('#countScanInput');
+            if (scanInput) scanInput.focus();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to start count', 'error');
+                console.error('Error starting count session:', error);
+            }
+        }
+    }
+
+    // Typed counts are saved first so a scan never discards them
+    async handleScan(sessionId, code) {
+        if (!code.trim()) return;
+
+        try {
+            await inventoryAPI.recordCounts(sessionId, this.getCountsFromDetail());
+            const { line } = await inventoryAPI.scanCount(sessionId, code);
+            uiManager.showToast(`${line.itemName}${line.batchNumber ? ` (${line.batchNumber})` : ''}: ${line.countedQuantity} counted`, 'success');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record scan', 'error');
+                console.error('Error recording scan:', error);
+            }
+        }
+
+        await this.refreshCountSessions();
+        const scanInput = Utils.$('#countScanInput');
+        if (scanInput) scanInput.focus();
+    }
+
+    async saveCounts(sessionId) {
+        try {
+            const session = await inventoryAPI.recordCounts(sessionId, this.getCountsFromDetail());
+            uiManager.showToast(`${session.number} saved`, 'success');
+            this.refreshCountSessions();
+            return true;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save counts', 'error');
+                console.error('Error saving counts:', error);
+            }
+            return false;
+        }
+    }
+
+    async postSession(sessionId) {
+        try {
+            await inventoryAPI.recordCounts(sessionId, this.getCountsFromDetail());
+            const { number, totals } = await inventoryAPI.getCountVariance(sessionId);
+            const prompt = `Post ${number}? ${totals.counted} counted line${totals.counted === 1 ? '' : 's'} will be adjusted by ${this.formatDifference(totals.difference)} units (${Utils.formatCurrency(totals.valueImpact)}).`;
+            if (!confirm(prompt)) {
+                this.refreshCountSessions();
+                return;
+            }
+
+            const witnessInput = Utils.$('#countWitness');
+            const session = await inventoryAPI.postCountSession(sessionId, {
+                witness: witnessInput ? witnessInput.value.trim() : null
+            });
+            uiManager.showToast(`${session.number} posted`, 'success');
+            this.refreshCountSessions();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to post count', 'error');
+                console.error('Error posting count session:', error);
+            }
+        }
+    }
+
+    async cancelSession(sessionId) {
+        const session = await inventoryAPI.getCountSession(sessionId);
+        if (!session || !confirm(`Cancel ${session.number}? Entered counts will be discarded.`)) return;
+
+        try {
+            await inventoryAPI.cancelCountSession(sessionId);
+            uiManager.showToast(`${session.number} cancelled`, 'success');
+            this.refreshCountSessions();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to cancel count', 'error');
+                console.error('Error cancelling count session:', error);
+            }
+        }
+    }
+}
+
+// Initialize Stocktake Manager
+window.stocktakeManager = new StocktakeManager();
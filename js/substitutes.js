@@ -0,0 +1,272 @@
+// Substitute Groups Module
+// Handles the substitute group list, group form and each group's combined stock
+
+class SubstitutesManager {
+    constructor() {
+        this.basisLabels = {
+            'generic': 'Generic equivalents',
+            'therapeutic': 'Therapeutic equivalents'
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetGroupForm();
+        this.loadSubstitutes();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'substitutes') {
+                this.refreshSubstitutes();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'substitutes') {
+                this.refreshSubstitutes();
+            }
+        });
+
+        const groupForm = Utils.$('#substituteGroupForm');
+        const addGroupBtn = Utils.$('#addSubstituteGroupBtn');
+        const cancelGroupBtn = Utils.$('#cancelSubstituteGroupBtn');
+
+        if (groupForm) {
+            groupForm.addEventListener('submit', (e) => {
+                this.handleSaveGroup(e);
+            });
+        }
+
+        if (addGroupBtn) {
+            addGroupBtn.addEventListener('click', () => {
+                this.resetGroupForm();
+                Utils.$('#substituteGroupName').focus();
+            });
+        }
+
+        if (cancelGroupBtn) {
+            cancelGroupBtn.addEventListener('click', () => {
+                this.resetGroupForm();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadSubstitutes() {
+        try {
+            await this.populateItemOptions();
+            const groups = await inventoryAPI.getSubstituteGroupStock();
+            this.renderGroupTable(groups);
+        } catch (error) {
+            uiManager.showToast('Failed to load substitute groups', 'error');
+            console.error('Error loading substitute groups:', error);
+        }
+    }
+
+    async refreshSubstitutes() {
+        await this.loadSubstitutes();
+    }
+
+    // Items already in another group are left out; the group being edited keeps its own
+    async populateItemOptions() {
+        const select = Utils.$('#substituteGroupItems');
+        if (!select) return;
+
+        const groupId = Utils.$('#substituteGroupId').value;
+        const selected = Array.from(select.selectedOptions).map(option => option.value);
+        const items = Utils.sortBy(await inventoryAPI.getAllItems(), 'name').filter(item => {
+            const group = inventoryData.getItemSubstituteGroup(item.id);
+            return !group || group.id === groupId;
+        });
+
+        select.innerHTML = items.map(item => `
+            <option value="${item.id}" ${selected.includes(item.id) ? 'selected' : ''}>
+                ${Utils.sanitizeInput(item.name)} (${Utils.sanitizeInput(item.unit || 'unit')})
+            </option>
+        `).join('');
+    }
+
+    // Table Rendering
+    renderGroupTable(groups) {
+        const tbody = Utils.$('#substituteGroupTableBody');
+        if (!tbody) return;
+
+        if (!groups || groups.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="empty-state">
+                        <i class="fas fa-random"></i>
+                        <h3>No substitute groups yet</h3>
+                        <p>Group items that can be used in place of each other.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = groups.map(group => this.createGroupRowHTML(group)).join('');
+    }
+
+    createGroupRowHTML(group) {
+        const formatQuantity = (itemId, quantity) => {
+            const item = inventoryData.getItemById(itemId);
+            return item ? inventoryData.formatQuantity(item, quantity) : quantity;
+        };
+        const firstItemId = group.items.length > 0 ? group.items[0].itemId : null;
+
+        return `
+            <tr data-group-id="${group.groupId}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(group.name)}</strong>
+                        <small>${this.basisLabels[group.basis]}</small>
+                    </div>
+                </td>
+                <td>
+                    <div class="kit-components">
+                        ${group.items.map(member => `
+                            <span class="${member.quantity <= member.threshold ? 'text-warning' : ''}">
+                                ${Utils.sanitizeInput(member.name)} &middot; ${formatQuantity(member.itemId, member.quantity)}
+                            </span>
+                        `).join('')}
+                    </div>
+                </td>
+                <td>
+                    <div class="item-name">
+                        <strong class="${group.low ? 'text-danger' : ''}">${formatQuantity(firstItemId, group.quantity)}</strong>
+                        <small>Threshold ${formatQuantity(firstItemId, group.threshold)}</small>
+                    </div>
+                </td>
+                <td>
+                    <span class="status-badge ${group.evaluateAsGroup ? (group.low ? 'low-stock' : 'in-stock') : 'draft'}">
+                        ${group.evaluateAsGroup ? 'Group' : 'Per item'}
+                    </span>
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="substitutesManager.editGroup('${group.groupId}')" title="Edit group">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete" onclick="substitutesManager.confirmDeleteGroup('${group.groupId}')" title="Delete group">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Group Operations
+    async handleSaveGroup(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#substituteGroupForm')) {
+            return;
+        }
+
+        try {
+            const groupId = Utils.$('#substituteGroupId').value;
+            const groupData = this.getGroupFromForm();
+
+            const group = groupId
+                ? await inventoryAPI.updateSubstituteGroup(groupId, groupData)
+                : await inventoryAPI.createSubstituteGroup(groupData);
+
+            uiManager.showToast(`${group.name} ${groupId ? 'updated' : 'added'} successfully`, 'success');
+            this.resetGroupForm();
+            this.refreshSubstitutes();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save substitute group', 'error');
+                console.error('Error saving substitute group:', error);
+            }
+        }
+    }
+
+    async editGroup(groupId) {
+        try {
+            const group = await inventoryAPI.getSubstituteGroup(groupId);
+            if (!group) {
+                uiManager.showToast('Substitute group not found', 'error');
+                return;
+            }
+
+            uiManager.populateForm('#substituteGroupForm', {
+                substituteGroupId: group.id,
+                substituteGroupName: group.name,
+                substituteGroupBasis: group.basis,
+                substituteGroupThreshold: group.lowStockThreshold === null ? '' : group.lowStockThreshold,
+                substituteGroupEvaluate: group.evaluateAsGroup
+            });
+            await this.populateItemOptions();
+            Array.from(Utils.$('#substituteGroupItems').options).forEach(option => {
+                option.selected = group.itemIds.includes(option.value);
+            });
+            Utils.$('#substituteGroupFormTitle').textContent = `Edit ${group.name}`;
+            Utils.$('#substituteGroupName').focus();
+        } catch (error) {
+            uiManager.showToast('Failed to load substitute group details', 'error');
+            console.error('Error loading substitute group:', error);
+        }
+    }
+
+    async confirmDeleteGroup(groupId) {
+        try {
+            const group = await inventoryAPI.getSubstituteGroup(groupId);
+            if (!group) return;
+
+            if (confirm(`Are you sure you want to delete "${group.name}"? Its items will be checked for low stock on their own.`)) {
+                await inventoryAPI.deleteSubstituteGroup(groupId);
+                uiManager.showToast(`${group.name} deleted successfully`, 'success');
+                if (Utils.$('#substituteGroupId').value === groupId) {
+                    this.resetGroupForm();
+                }
+                this.refreshSubstitutes();
+                uiManager.emitEvent('inventoryUpdated');
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to delete substitute group', 'error');
+                console.error('Error deleting substitute group:', error);
+            }
+        }
+    }
+
+    // Form Management
+    getGroupFromForm() {
+        const formData = uiManager.getFormData('#substituteGroupForm');
+        return {
+            name: formData.substituteGroupName.trim(),
+            basis: formData.substituteGroupBasis,
+            itemIds: Array.from(Utils.$('#substituteGroupItems').selectedOptions).map(option => option.value),
+            lowStockThreshold: formData.substituteGroupThreshold === '' ? '' : parseFloat(formData.substituteGroupThreshold),
+            evaluateAsGroup: Utils.$('#substituteGroupEvaluate').checked
+        };
+    }
+
+    resetGroupForm() {
+        const form = Utils.$('#substituteGroupForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#substituteGroupId').value = '';
+        Utils.$('#substituteGroupFormTitle').textContent = 'Add Substitute Group';
+        Array.from(Utils.$('#substituteGroupItems').options).forEach(option => {
+            option.selected = false;
+        });
+        this.populateItemOptions();
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+}
+
+// Initialize Substitutes Manager
+window.substitutesManager = new SubstitutesManager();
@@ -0,0 +1,267 @@
+// Supplier Directory Module
+// Handles the supplier list, supplier form, and supplier-specific operations
+
+class SuppliersManager {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.resetSupplierForm();
+        this.loadSuppliers();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'suppliers') {
+                this.refreshSuppliers();
+            }
+        });
+
+        const supplierForm = Utils.$('#supplierForm');
+        const addSupplierBtn = Utils.$('#addSupplierBtn');
+        const addContactBtn = Utils.$('#addContactBtn');
+        const cancelSupplierBtn = Utils.$('#cancelSupplierBtn');
+
+        if (supplierForm) {
+            supplierForm.addEventListener('submit', (e) => {
+                this.handleSaveSupplier(e);
+            });
+        }
+
+        if (addSupplierBtn) {
+            addSupplierBtn.addEventListener('click', () => {
+                this.resetSupplierForm();
+                Utils.$('#supplierName').focus();
+            });
+        }
+
+        if (addContactBtn) {
+            addContactBtn.addEventListener('click', () => {
+                this.addContactRow();
+            });
+        }
+
+        if (cancelSupplierBtn) {
+            cancelSupplierBtn.addEventListener('click', () => {
+                this.resetSupplierForm();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadSuppliers() {
+        try {
+            const suppliers = await inventoryAPI.getSuppliers();
+            this.renderSupplierTable(suppliers);
+        } catch (error) {
+            uiManager.showToast('Failed to load suppliers', 'error');
+            console.error('Error loading suppliers:', error);
+        }
+    }
+
+    async refreshSuppliers() {
+        await this.loadSuppliers();
+    }
+
+    // Table Rendering
+    renderSupplierTable(suppliers) {
+        const tbody = Utils.$('#supplierTableBody');
+        if (!tbody) return;
+
+        if (!suppliers || suppliers.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <i class="fas fa-truck"></i>
+                        <h3>No suppliers yet</h3>
+                        <p>Add the suppliers you order from to link them to items.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedSuppliers = Utils.sortBy(suppliers, 'name');
+        tbody.innerHTML = sortedSuppliers.map(supplier => this.createSupplierRowHTML(supplier)).join('');
+    }
+
+    createSupplierRowHTML(supplier) {
+        const primaryContact = supplier.contacts[0];
+        const itemCount = inventoryData.getSupplierItems(supplier.id).length;
+
+        return `
+            <tr data-supplier-id="${supplier.id}">
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(supplier.name)}</strong>
+                        ${primaryContact ?
+                            `<small>${Utils.sanitizeInput([primaryContact.name, primaryContact.phone, primaryContact.email].filter(Boolean).join(' · '))}</small>` : ''
+                        }
+                    </div>
+                </td>
+                <td>${supplier.accountNumber ? Utils.sanitizeInput(supplier.accountNumber) : '-'}</td>
+                <td>${supplier.leadTimeDays} day${supplier.leadTimeDays === 1 ? '' : 's'}</td>
+                <td>${supplier.minimumOrderQuantity || '-'}</td>
+                <td>${supplier.paymentTerms ? Utils.sanitizeInput(supplier.paymentTerms) : '-'}</td>
+                <td>${itemCount}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="suppliersManager.editSupplier('${supplier.id}')" title="Edit supplier">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete" onclick="suppliersManager.confirmDeleteSupplier('${supplier.id}')" title="Delete supplier">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Supplier Operations
+    async handleSaveSupplier(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#supplierForm')) {
+            return;
+        }
+
+        try {
+            const supplierId = Utils.$('#supplierId').value;
+            const supplierData = this.getSupplierFromForm();
+
+            inventoryAPI.validateSupplierData(supplierData);
+
+            const supplier = supplierId
+                ? await inventoryAPI.updateSupplier(supplierId, supplierData)
+                : await inventoryAPI.createSupplier(supplierData);
+
+            uiManager.showToast(`${supplier.name} ${supplierId ? 'updated' : 'added'} successfully`, 'success');
+            this.resetSupplierForm();
+            this.refreshSuppliers();
+            uiManager.emitEvent('suppliersUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to save supplier', 'error');
+                console.error('Error saving supplier:', error);
+            }
+        }
+    }
+
+    async editSupplier(supplierId) {
+        try {
+            const supplier = await inventoryAPI.getSupplier(supplierId);
+            if (!supplier) {
+                uiManager.showToast('Supplier not found', 'error');
+                return;
+            }
+
+            uiManager.populateForm('#supplierForm', {
+                supplierId: supplier.id,
+                supplierName: supplier.name,
+                supplierAccountNumber: supplier.accountNumber,
+                supplierLeadTime: String(supplier.leadTimeDays),
+                supplierMinOrder: String(supplier.minimumOrderQuantity),
+                supplierPaymentTerms: supplier.paymentTerms
+            });
+            this.renderContactRows(supplier.contacts);
+            Utils.$('#supplierFormTitle').textContent = `Edit ${supplier.name}`;
+            Utils.$('#supplierName').focus();
+        } catch (error) {
+            uiManager.showToast('Failed to load supplier details', 'error');
+            console.error('Error loading supplier:', error);
+        }
+    }
+
+    async confirmDeleteSupplier(supplierId) {
+        try {
+            const supplier = await inventoryAPI.getSupplier(supplierId);
+            if (!supplier) return;
+
+            const itemCount = inventoryData.getSupplierItems(supplierId).length;
+            const warning = itemCount > 0 ? ` It will be unlinked from ${itemCount} item${itemCount === 1 ? '' : 's'}.` : '';
+
+            if (confirm(`Are you sure you want to delete "${supplier.name}"?${warning}`)) {
+                await inventoryAPI.deleteSupplier(supplierId);
+                uiManager.showToast(`${supplier.name} deleted successfully`, 'success');
+                if (Utils.$('#supplierId').value === supplierId) {
+                    this.resetSupplierForm();
+                }
+                this.refreshSuppliers();
+                uiManager.emitEvent('suppliersUpdated');
+            }
+        } catch (error) {
+            uiManager.showToast('Failed to delete supplier', 'error');
+            console.error('Error deleting supplier:', error);
+        }
+    }
+
+    // Form Management
+    getSupplierFromForm() {
+        const formData = uiManager.getFormData('#supplierForm');
+        const contacts = Utils.$$('#supplierContacts .contact-row').map(row => ({
+            name: row.querySelector('[data-field="name"]').value.trim(),
+            role: row.querySelector('[data-field="role"]').value.trim(),
+            phone: row.querySelector('[data-field="phone"]').value.trim(),
+            email: row.querySelector('[data-field="email"]').value.trim()
+        }));
+
+        return {
+            name: formData.supplierName.trim(),
+            accountNumber: formData.supplierAccountNumber.trim(),
+            leadTimeDays: formData.supplierLeadTime === '' ? '' : parseInt(formData.supplierLeadTime),
+            minimumOrderQuantity: formData.supplierMinOrder === '' ? '' : parseInt(formData.supplierMinOrder),
+            paymentTerms: formData.supplierPaymentTerms.trim(),
+            contacts: contacts.filter(contact => contact.name || contact.phone || contact.email)
+        };
+    }
+
+    renderContactRows(contacts) {
+        const container = Utils.$('#supplierContacts');
+        if (!container) return;
+
+        container.innerHTML = '';
+        (contacts.length ? contacts : [{}]).forEach(contact => this.addContactRow(contact));
+    }
+
+    addContactRow(contact = {}) {
+        const container = Utils.$('#supplierContacts');
+        if (!container) return;
+
+        const row = Utils.createElement('div', 'contact-row');
+        row.innerHTML = `
+            <input type="text" data-field="name" placeholder="Contact name">
+            <input type="text" data-field="role" placeholder="Role">
+            <input type="tel" data-field="phone" placeholder="Phone">
+            <input type="email" data-field="email" placeholder="Email">
+            <button type="button" class="action-btn delete" title="Remove contact">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        ['name', 'role', 'phone', 'email'].forEach(field => {
+            row.querySelector(`[data-field="${field}"]`).value = contact[field] || '';
+        });
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    resetSupplierForm() {
+        const form = Utils.$('#supplierForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#supplierId').value = '';
+        Utils.$('#supplierFormTitle').textContent = 'Add Supplier';
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+        this.renderContactRows([]);
+    }
+}
+
+// Initialize Suppliers Manager
+window.suppliersManager = new SuppliersManager();
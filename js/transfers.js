@@ -0,0 +1,503 @@
+// Stock Transfer Module
+// Handles transfer requests between locations, dispatch, receipt, and the discrepancy report
+
+class TransfersManager {
+    constructor() {
+        this.filters = {
+            status: '',
+            locationId: ''
+        };
+        this.selectedTransferId = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadTransfers();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'transfers') {
+                this.refreshTransfers();
+            }
+        });
+
+        uiManager.onEvent('locationsUpdated', () => {
+            this.populateLocationOptions();
+        });
+
+        const newTransferBtn = Utils.$('#newTransferBtn');
+        const statusFilter = Utils.$('#transferStatusFilter');
+        const locationFilter = Utils.$('#transferLocationFilter');
+
+        if (newTransferBtn) {
+            newTransferBtn.addEventListener('click', () => {
+                this.createTransfer(Utils.$('#newTransferSource').value, Utils.$('#newTransferDestination').value);
+            });
+        }
+
+        if (statusFilter) {
+            statusFilter.addEventListener('change', (e) => {
+                this.filters.status = e.target.value;
+                this.loadTransfers();
+            });
+        }
+
+        if (locationFilter) {
+            locationFilter.addEventListener('change', (e) => {
+                this.filters.locationId = e.target.value;
+                this.loadTransfers();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadTransfers() {
+        try {
+            await this.populateLocationOptions();
+            const transfers = await inventoryAPI.getTransfers(this.filters);
+            this.renderTransferTable(transfers);
+            await this.renderTransferDetail();
+            await this.renderDiscrepancies();
+        } catch (error) {
+            uiManager.showToast('Failed to load transfers', 'error');
+            console.error('Error loading transfers:', error);
+        }
+    }
+
+    async refreshTransfers() {
+        await this.loadTransfers();
+    }
+
+    async populateLocationOptions() {
+        const locations = await inventoryAPI.getLocations();
+        [
+            { selector: '#transferLocationFilter', placeholder: 'All Locations' },
+            { selector: '#newTransferSource', placeholder: 'From location' },
+            { selector: '#newTransferDestination', placeholder: 'To location' }
+        ].forEach(({ selector, placeholder }) => {
+            const select = Utils.$(selector);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + locations.map(location =>
+                `<option value="${location.id}">${Utils.sanitizeInput(location.name)}</option>`
+            ).join('');
+            select.value = locations.some(location => location.id === selected) ? selected : '';
+        });
+    }
+
+    // Transfer List
+    renderTransferTable(transfers) {
+        const tbody = Utils.$('#transferTableBody');
+        if (!tbody) return;
+
+        if (!transfers || transfers.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-exchange-alt"></i>
+                        <h3>No transfers</h3>
+                        <p>Request a transfer to move stock from one location to another.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sortedTransfers = [...transfers].sort((a, b) => new Date(b.requestedDate) - new Date(a.requestedDate));
+        tbody.innerHTML = sortedTransfers.map(transfer => this.createTransferRowHTML(transfer)).join('');
+    }
+
+    createTransferRowHTML(transfer) {
+        const field = transfer.status === 'requested' ? 'quantityRequested'
+            : transfer.status === 'received' ? 'quantityReceived' : 'quantityDispatched';
+        const units = transfer.lines.reduce((total, line) => total + line[field], 0);
+
+        return `
+            <tr data-transfer-id="${transfer.id}">
+                <td><strong>${transfer.number}</strong></td>
+                <td>${Utils.sanitizeInput(transfer.sourceLocationName)}</td>
+                <td>${Utils.sanitizeInput(transfer.destinationLocationName)}</td>
+                <td><span class="status-badge ${transfer.status}">${this.getStatusLabel(transfer.status)}</span></td>
+                <td>${transfer.lines.length}</td>
+                <td>${units}</td>
+                <td>${Utils.formatDate(transfer.requestedDate)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="action-btn edit" onclick="transfersManager.selectTransfer('${transfer.id}')" title="Open transfer">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    getStatusLabel(status) {
+        const labels = {
+            'requested': 'Requested',
+            'dispatched': 'In Transit',
+            'received': 'Received',
+            'cancelled': 'Cancelled'
+        };
+        return labels[status] || 'Unknown';
+    }
+
+    // Transfer Detail
+    async selectTransfer(transferId) {
+        this.selectedTransferId = transferId;
+        await this.renderTransferDetail();
+
+        const detail = Utils.$('#transferDetail');
+        if (detail && detail.scrollIntoView) {
+            detail.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    async renderTransferDetail() {
+        const container = Utils.$('#transferDetail');
+        if (!container) return;
+
+        const transfer = this.selectedTransferId ? await inventoryAPI.getTransfer(this.selectedTransferId) : null;
+        if (!transfer) {
+            this.selectedTransferId = null;
+            container.innerHTML = '';
+            return;
+        }
+
+        const isRequested = transfer.status === 'requested';
+        const inTransit = transfer.status === 'dispatched';
+
+        container.innerHTML = `
+            <div class="po-header">
+                <div>
+                    <h3>${transfer.number} &middot; ${Utils.sanitizeInput(transfer.sourceLocationName)} &rarr; ${Utils.sanitizeInput(transfer.destinationLocationName)}</h3>
+                    <p class="po-meta">
+                        Requested ${Utils.formatDateTime(transfer.requestedDate)} by ${Utils.sanitizeInput(transfer.requestedBy || '')}
+                        ${transfer.dispatchedDate ? ` &middot; Dispatched ${Utils.formatDateTime(transfer.dispatchedDate)} by ${Utils.sanitizeInput(transfer.dispatchedBy || '')}` : ''}
+                        ${transfer.receivedDate ? ` &middot; Received ${Utils.formatDateTime(transfer.receivedDate)} by ${Utils.sanitizeInput(transfer.receivedBy || '')}` : ''}
+                    </p>
+                    ${transfer.notes ? `<p class="po-meta">${Utils.sanitizeInput(transfer.notes)}</p>` : ''}
+                </div>
+                <span class="status-badge ${transfer.status}">${this.getStatusLabel(transfer.status)}</span>
+            </div>
+
+            <table class="inventory-table po-lines">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Batch</th>
+                        <th>Expiry</th>
+                        <th>Requested</th>
+                        <th>Dispatched</th>
+                        <th>Received</th>
+                        ${isRequested ? '<th>Dispatch Qty</th><th></th>' : ''}
+                        ${inTransit ? '<th>Receive Qty</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${transfer.lines.map(line => this.createLineRowHTML(line, isRequested, inTransit)).join('') ||
+                        `<tr><td colspan="6" class="lot-empty">No lines on this transfer yet.</td></tr>`}
+                </tbody>
+            </table>
+
+            ${isRequested ? await this.createAddLineHTML(transfer) : ''}
+
+            <div class="form-actions">
+                ${isRequested ? `
+                    <button type="button" class="btn btn-danger" onclick="transfersManager.cancelTransfer('${transfer.id}')">Cancel Transfer</button>
+                    <button type="button" class="btn btn-secondary" onclick="transfersManager.saveRequestedLines('${transfer.id}')">Save Lines</button>
+                    <button type="button" class="btn btn-primary" onclick="transfersManager.dispatchTransfer('${transfer.id}')">
+                        <i class="fas fa-dolly"></i>
+                        Dispatch
+                    </button>
+                ` : ''}
+                ${inTransit ? `
+                    <button type="button" class="btn btn-primary" onclick="transfersManager.receiveTransfer('${transfer.id}')">
+                        <i class="fas fa-truck-loading"></i>
+                        Receive at ${Utils.sanitizeInput(transfer.destinationLocationName)}
+                    </button>
+                ` : ''}
+                <button type="button" class="btn btn-secondary" onclick="transfersManager.closeDetail()">Close</button>
+            </div>
+        `;
+    }
+
+    createLineRowHTML(line, isRequested, inTransit) {
+        const differs = !isRequested && !inTransit && line.quantityReceived !== line.quantityDispatched;
+
+        return `
+            <tr data-line-id="${line.id}">
+                <td><strong>${Utils.sanitizeInput(line.itemName)}</strong></td>
+                <td>${line.batchNumber ? Utils.sanitizeInput(line.batchNumber) : '-'}</td>
+                <td>${line.expiryDate ? Utils.formatDate(line.expiryDate) : '-'}</td>
+                <td>
+                    ${isRequested ?
+                        `<input type="number" min="0" step="any" data-field="quantityRequested" value="${line.quantityRequested}">` :
+                        line.quantityRequested
+                    }
+                </td>
+                <td>${isRequested ? '-' : line.quantityDispatched}</td>
+                <td class="${differs ? 'text-warning' : ''}">${isRequested || inTransit ? '-' : line.quantityReceived}</td>
+                ${isRequested ? `
+                    <td><input type="number" min="0" step="any" data-field="quantityDispatched" value="${line.quantityRequested}"></td>
+                    <td>
+                        <button type="button" class="action-btn delete" onclick="transfersManager.removeLine('${line.id}')" title="Remove line">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                ` : ''}
+                ${inTransit ? `<td><input type="number" min="0" step="any" data-field="quantityReceived" value="${line.quantityDispatched}"></td>` : ''}
+            </tr>
+        `;
+    }
+
+    // Only items with unexpired stock at the source can be added
+    async createAddLineHTML(transfer) {
+        const items = await inventoryAPI.getAllItems({ location: transfer.sourceLocationId });
+        const options = Utils.sortBy(items, 'name')
+            .map(item => ({ item, available: this.getAvailableLots(item, transfer.sourceLocationId) }))
+            .filter(({ available }) => available.length > 0)
+            .map(({ item, available }) =>
+                `<option value="${item.id}">${Utils.sanitizeInput(item.name)} (${inventoryData.sumLots(available)} available)</option>`
+            ).join('');
+
+        return `
+            <div class="form-group full-width">
+                <label>Add Line</label>
+                <div class="lot-entry">
+                    <select id="transferNewLineItem" onchange="transfersManager.populateLotOptions()">
+                        <option value="">Select item</option>
+                        ${options}
+                    </select>
+                    <select id="transferNewLineLot">
+                        <option value="">First to expire</option>
+                    </select>
+                    <input type="number" id="transferNewLineQuantity" min="0" step="any" placeholder="Qty">
+                    <button type="button" class="btn btn-secondary" onclick="transfersManager.addLine('${transfer.id}')">
+                        <i class="fas fa-plus"></i>
+                        Add Line
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    getAvailableLots(item, locationId) {
+        return inventoryData.getDispensableLots(item).filter(lot => lot.locationId === locationId);
+    }
+
+    async populateLotOptions() {
+        const select = Utils.$('#transferNewLineLot');
+        const itemId = Utils.$('#transferNewLineItem').value;
+        const transfer = await inventoryAPI.getTransfer(this.selectedTransferId);
+        const item = itemId ? await inventoryAPI.getItem(itemId) : null;
+        if (!select || !transfer) return;
+
+        const lots = item ? this.getAvailableLots(item, transfer.sourceLocationId) : [];
+        select.innerHTML = '<option value="">First to expire</option>' + lots.map(lot =>
+            `<option value="${lot.id}">${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'} &middot; ${lot.quantity} units${lot.expiryDate ? ` &middot; exp ${Utils.formatDate(lot.expiryDate)}` : ''}</option>`
+        ).join('');
+    }
+
+    closeDetail() {
+        this.selectedTransferId = null;
+        this.renderTransferDetail();
+    }
+
+    // Reads the requested quantities currently typed into the line table
+    getRequestedLinesFromDetail(transfer) {
+        return transfer.lines.map(line => {
+            const input = Utils.$(`#transferDetail tr[data-line-id="${line.id}"] [data-field="quantityRequested"]`);
+            return { ...line, quantityRequested: input ? parseFloat(input.value) || 0 : line.quantityRequested };
+        });
+    }
+
+    // Discrepancy Report
+    async renderDiscrepancies() {
+        const container = Utils.$('#transferDiscrepancies');
+        if (!container) return;
+
+        const discrepancies = await inventoryAPI.getTransferDiscrepancies();
+        if (discrepancies.length === 0) {
+            container.innerHTML = '<p class="lot-empty">Every received transfer matched what was dispatched.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Transfer</th>
+                        <th>Route</th>
+                        <th>Item</th>
+                        <th>Batch</th>
+                        <th>Dispatched</th>
+                        <th>Received</th>
+                        <th>Difference</th>
+                        <th>Received By</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${discrepancies.map(entry => `
+                        <tr>
+                            <td><a href="#" onclick="transfersManager.selectTransfer('${entry.transferId}'); return false;">${entry.number}</a></td>
+                            <td>${Utils.sanitizeInput(entry.sourceLocationName)} &rarr; ${Utils.sanitizeInput(entry.destinationLocationName)}</td>
+                            <td>${Utils.sanitizeInput(entry.itemName)}</td>
+                            <td>${entry.batchNumber ? Utils.sanitizeInput(entry.batchNumber) : '-'}</td>
+                            <td>${entry.quantityDispatched}</td>
+                            <td>${entry.quantityReceived}</td>
+                            <td class="${entry.difference < 0 ? 'text-danger' : 'text-warning'}">${entry.difference > 0 ? '+' : ''}${entry.difference}</td>
+                            <td>${Utils.sanitizeInput(entry.receivedBy || '')} &middot; ${Utils.formatDate(entry.receivedDate)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Transfer Operations
+    async createTransfer(sourceLocationId, destinationLocationId) {
+        try {
+            const transfer = await inventoryAPI.createTransfer({ sourceLocationId, destinationLocationId });
+            uiManager.showToast(`${transfer.number} requested`, 'success');
+            this.selectedTransferId = transfer.id;
+            this.refreshTransfers();
+            return transfer;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to create transfer', 'error');
+                console.error('Error creating transfer:', error);
+            }
+            return null;
+        }
+    }
+
+    async addLine(transferId) {
+        const itemId = Utils.$('#transferNewLineItem').value;
+        const lotId = Utils.$('#transferNewLineLot').value;
+        const quantity = parseFloat(Utils.$('#transferNewLineQuantity').value) || 0;
+
+        if (!itemId || quantity <= 0) {
+            uiManager.showToast('Select an item and a quantity to transfer', 'error');
+            return;
+        }
+
+        const transfer = await inventoryAPI.getTransfer(transferId);
+        await this.updateRequestedLines(transfer, [
+            ...this.getRequestedLinesFromDetail(transfer),
+            { itemId, lotId: lotId || null, quantityRequested: quantity }
+        ]);
+    }
+
+    async removeLine(lineId) {
+        const transfer = await inventoryAPI.getTransfer(this.selectedTransferId);
+        await this.updateRequestedLines(transfer, this.getRequestedLinesFromDetail(transfer).filter(line => line.id !== lineId));
+    }
+
+    async saveRequestedLines(transferId) {
+        const transfer = await inventoryAPI.getTransfer(transferId);
+        if (await this.updateRequestedLines(transfer, this.getRequestedLinesFromDetail(transfer))) {
+            uiManager.showToast(`${transfer.number} saved`, 'success');
+        }
+    }
+
+    async updateRequestedLines(transfer, lines) {
+        if (lines.some(line => line.quantityRequested <= 0)) {
+            uiManager.showToast('Requested quantities must be greater than zero', 'error');
+            return false;
+        }
+
+        try {
+            await inventoryAPI.updateTransfer(transfer.id, { lines });
+            this.refreshTransfers();
+            return true;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update transfer', 'error');
+                console.error('Error updating transfer:', error);
+            }
+            return false;
+        }
+    }
+
+    async dispatchTransfer(transferId) {
+        try {
+            const transfer = await inventoryAPI.getTransfer(transferId);
+            const lines = this.getRequestedLinesFromDetail(transfer);
+            const dispatches = Utils.$$('#transferDetail tr[data-line-id]').map(row => ({
+                lineId: row.dataset.lineId,
+                quantity: parseFloat(row.querySelector('[data-field="quantityDispatched"]').value) || 0
+            }));
+            if (!(await this.updateRequestedLines(transfer, lines))) return;
+
+            const dispatched = await inventoryAPI.dispatchTransfer(transferId, dispatches);
+            uiManager.showToast(`${dispatched.number} dispatched to ${dispatched.destinationLocationName}`, 'success');
+            this.refreshTransfers();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to dispatch transfer', 'error');
+                console.error('Error dispatching transfer:', error);
+            }
+        }
+    }
+
+    async receiveTransfer(transferId) {
+        const receipts = Utils.$$('#transferDetail tr[data-line-id]').map(row => ({
+            lineId: row.dataset.lineId,
+            quantity: parseFloat(row.querySelector('[data-field="quantityReceived"]').value) || 0
+        }));
+
+        try {
+            const transfer = await inventoryAPI.receiveTransfer(transferId, receipts);
+            const discrepancies = await inventoryAPI.getTransferDiscrepancies();
+            const count = discrepancies.filter(entry => entry.transferId === transfer.id).length;
+
+            uiManager.showToast(`${transfer.number} received at ${transfer.destinationLocationName}`, 'success');
+            if (count > 0) {
+                uiManager.showToast(`${transfer.number} has ${count} line${count === 1 ? '' : 's'} received off the dispatched quantity`, 'warning');
+            }
+
+            this.refreshTransfers();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to receive transfer', 'error');
+                console.error('Error receiving transfer:', error);
+            }
+        }
+    }
+
+    async cancelTransfer(transferId) {
+        const transfer = await inventoryAPI.getTransfer(transferId);
+        if (!transfer || !confirm(`Cancel ${transfer.number}?`)) return;
+
+        try {
+            await inventoryAPI.cancelTransfer(transferId);
+            uiManager.showToast(`${transfer.number} cancelled`, 'success');
+            this.refreshTransfers();
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to cancel transfer', 'error');
+                console.error('Error cancelling transfer:', error);
+            }
+        }
+    }
+}
+
+// Initialize Transfers Manager
+window.transfersManager = new TransfersManager();
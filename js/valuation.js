@@ -0,0 +1,229 @@
+// Valuation Module
+// Handles the stock valuation report, the costing method and the cost of goods consumed
+
+class ValuationManager {
+    constructor() {
+        this.methodLabels = {
+            'fifo': 'FIFO',
+            'weighted-average': 'Weighted average'
+        };
+        this.consumptionFilters = {
+            from: '',
+            to: ''
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadValuation();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'valuation') {
+                this.refreshValuation();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'valuation') {
+                this.refreshValuation();
+            }
+        });
+
+        const methodSelect = Utils.$('#costingMethodSelect');
+        const fromFilter = Utils.$('#consumptionFromFilter');
+        const toFilter = Utils.$('#consumptionToFilter');
+
+        if (methodSelect) {
+            methodSelect.addEventListener('change', (e) => {
+                this.handleCostingMethodChange(e.target.value);
+            });
+        }
+
+        if (fromFilter) {
+            fromFilter.addEventListener('change', (e) => {
+                this.consumptionFilters.from = e.target.value;
+                this.loadConsumption();
+            });
+        }
+
+        if (toFilter) {
+            toFilter.addEventListener('change', (e) => {
+                this.consumptionFilters.to = e.target.value;
+                this.loadConsumption();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadValuation() {
+        try {
+            const settings = await inventoryAPI.getSettings();
+            const methodSelect = Utils.$('#costingMethodSelect');
+            if (methodSelect) {
+                methodSelect.value = settings.costingMethod;
+            }
+
+            const report = await inventoryAPI.getValuationReport();
+            this.renderValuationReport(report);
+            await this.loadConsumption();
+        } catch (error) {
+            uiManager.showToast('Failed to load valuation', 'error');
+            console.error('Error loading valuation:', error);
+        }
+    }
+
+    async refreshValuation() {
+        await this.loadValuation();
+    }
+
+    async loadConsumption() {
+        const report = await inventoryAPI.getCostOfGoodsConsumed(this.consumptionFilters);
+        this.renderConsumptionReport(report);
+    }
+
+    async handleCostingMethodChange(method) {
+        try {
+            await inventoryAPI.updateSettings({ costingMethod: method });
+            uiManager.showToast(`Stock is now valued ${method === 'fifo' ? 'first in, first out' : 'at weighted average cost'}`, 'success');
+            this.refreshValuation();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to update costing method', 'error');
+                console.error('Error updating costing method:', error);
+            }
+        }
+    }
+
+    // Report Rendering
+    renderValuationReport(report) {
+        const container = Utils.$('#valuationReport');
+        if (!container) return;
+
+        if (report.items.length === 0) {
+            container.innerHTML = '<p class="lot-empty">No stock on hand to value.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="valuation-totals">
+                <span><strong>${Utils.formatCurrency(report.totals.value)}</strong> in stock</span>
+                <span>${report.items.length} item${report.items.length === 1 ? '' : 's'}, ${this.methodLabels[report.method]} costing</span>
+                ${report.inTransit > 0 ? `<span class="in-transit">${Utils.formatCurrency(report.inTransit)} in transit</span>` : ''}
+                ${report.totals.unpriced > 0 ? `<span class="text-warning">${report.totals.unpriced} without a unit cost</span>` : ''}
+            </div>
+
+            <div class="valuation-breakdowns">
+                ${this.createBreakdownTableHTML('By Category', 'Category', report.categories, group => Utils.sanitizeInput(group.key))}
+                ${this.createBreakdownTableHTML('By Location', 'Location', report.locations, group => Utils.sanitizeInput(group.name))}
+            </div>
+
+            <h4>By Item</h4>
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        <th>Quantity</th>
+                        <th>Unit Cost</th>
+                        <th>Value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.items.map(row => `
+                        <tr>
+                            <td>
+                                <div class="item-name">
+                                    <strong>${Utils.sanitizeInput(row.name)}</strong>
+                                    <small>${Utils.sanitizeInput(row.category)}</small>
+                                </div>
+                            </td>
+                            <td>${row.quantity}</td>
+                            <td>${row.unitCost !== null ? Utils.formatCurrency(row.unitCost) : '-'}</td>
+                            <td class="${row.unpriced ? 'text-warning' : ''}">
+                                <strong>${Utils.formatCurrency(row.value)}</strong>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    createBreakdownTableHTML(title, heading, groups, formatKey) {
+        return `
+            <div>
+                <h4>${title}</h4>
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>${heading}</th>
+                            <th>Items</th>
+                            <th>Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${groups.map(group => `
+                            <tr>
+                                <td>${formatKey(group)}</td>
+                                <td>${group.items}</td>
+                                <td>${Utils.formatCurrency(group.value)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderConsumptionReport(report) {
+        const container = Utils.$('#consumptionReport');
+        if (!container) return;
+
+        if (report.totals.entries === 0) {
+            container.innerHTML = '<p class="lot-empty">Nothing was dispensed in this period.</p>';
+            return;
+        }
+
+        const categories = inventoryData.categories;
+        container.innerHTML = `
+            <div class="valuation-totals">
+                <span><strong>${Utils.formatCurrency(report.totals.value)}</strong> consumed</span>
+                <span>${report.totals.entries} dispensing entr${report.totals.entries === 1 ? 'y' : 'ies'}</span>
+            </div>
+
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        ${categories.map(category => `<th>${category}</th>`).join('')}
+                        <th>Entries</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.months.map(month => `
+                        <tr>
+                            <td>${this.formatMonth(month.key)}</td>
+                            ${categories.map(category => `<td>${month.byCategory[category] ? Utils.formatCurrency(month.byCategory[category]) : '-'}</td>`).join('')}
+                            <td>${month.entries}</td>
+                            <td><strong>${Utils.formatCurrency(month.value)}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    formatMonth(key) {
+        return Utils.formatDate(`${key}-01T00:00:00`, { day: undefined });
+    }
+}
+
+// Initialize Valuation Manager
+window.valuationManager = new ValuationManager();
@@ -0,0 +1,331 @@
+// Wastage Module
+// Handles disposals of stock and the wastage report
+
+class WastageManager {
+    constructor() {
+        this.reasonLabels = {
+            'expired': 'Expired',
+            'damaged': 'Damaged',
+            'contaminated': 'Contaminated',
+            'recalled': 'Recalled',
+            'other': 'Other'
+        };
+        this.methodLabels = {
+            'pharmacy-return': 'Pharmacy return',
+            'sharps-bin': 'Sharps bin',
+            'incineration': 'Incineration',
+            'general-waste': 'General waste',
+            'other': 'Other'
+        };
+        this.reportFilters = {
+            from: '',
+            to: ''
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.loadWastage();
+    }
+
+    setupEventListeners() {
+        // Listen for section changes
+        uiManager.onEvent('sectionChanged', (e) => {
+            if (e.detail.section === 'wastage') {
+                this.refreshWastage();
+            }
+        });
+
+        uiManager.onEvent('inventoryUpdated', () => {
+            if (uiManager.currentSection === 'wastage') {
+                this.populateItemOptions();
+            }
+        });
+
+        const disposalForm = Utils.$('#disposalForm');
+        const itemSelect = Utils.$('#disposalItem');
+        const lotSelect = Utils.$('#disposalLot');
+        const fromFilter = Utils.$('#wastageFromFilter');
+        const toFilter = Utils.$('#wastageToFilter');
+
+        if (disposalForm) {
+            disposalForm.addEventListener('submit', (e) => {
+                this.handleDispose(e);
+            });
+        }
+
+        if (itemSelect) {
+            itemSelect.addEventListener('change', () => {
+                this.populateLotOptions();
+            });
+        }
+
+        if (lotSelect) {
+            lotSelect.addEventListener('change', () => {
+                this.fillLotQuantity();
+            });
+        }
+
+        if (fromFilter) {
+            fromFilter.addEventListener('change', (e) => {
+                this.reportFilters.from = e.target.value;
+                this.loadWastageReport();
+            });
+        }
+
+        if (toFilter) {
+            toFilter.addEventListener('change', (e) => {
+                this.reportFilters.to = e.target.value;
+                this.loadWastageReport();
+            });
+        }
+    }
+
+    // Data Loading
+    async loadWastage() {
+        try {
+            await this.populateItemOptions();
+            await this.loadWastageReport();
+            const disposals = await inventoryAPI.getDisposals();
+            this.renderDisposalTable(disposals);
+        } catch (error) {
+            uiManager.showToast('Failed to load wastage', 'error');
+            console.error('Error loading wastage:', error);
+        }
+    }
+
+    async refreshWastage() {
+        await this.loadWastage();
+    }
+
+    async loadWastageReport() {
+        const report = await inventoryAPI.getWastageReport(this.reportFilters);
+        this.renderWastageReport(report);
+    }
+
+    // Items with stock on hand, keeping the current selection where possible
+    async populateItemOptions() {
+        const select = Utils.$('#disposalItem');
+        if (!select) return;
+
+        const selected = select.value;
+        const items = (await inventoryAPI.getAllItems()).filter(item => item.quantity > 0);
+        select.innerHTML = '<option value="">Select item</option>' + items.map(item =>
+            `<option value="${item.id}">${Utils.sanitizeInput(item.name)}</option>`
+        ).join('');
+        select.value = items.some(item => item.id === selected) ? selected : '';
+        await this.populateLotOptions();
+    }
+
+    // Expired lots are listed first since they are the usual reason to dispose of stock
+    async populateLotOptions(lotId = null) {
+        const select = Utils.$('#disposalLot');
+        const itemId = Utils.$('#disposalItem').value;
+        if (!select) return;
+
+        const item = itemId ? await inventoryAPI.getItem(itemId) : null;
+        const lots = item ? inventoryData.getSortedLots(item) : [];
+        select.innerHTML = '<option value="">Select lot</option>' + lots.map(lot => `
+            <option value="${lot.id}">
+                ${lot.batchNumber ? Utils.sanitizeInput(lot.batchNumber) : 'No batch'} &middot; ${lot.quantity} units &middot; ${Utils.sanitizeInput(inventoryManager.getLocationName(lot.locationId))}${lot.expiryDate ? ` &middot; exp ${Utils.formatDate(lot.expiryDate)}` : ''}${lot.openedDate ? ` &middot; opened ${Utils.formatDate(lot.openedDate)}` : ''}${inventoryData.isExpired(inventoryData.getLotExpiry(lot)) ? ' (expired)' : ''}
+            </option>
+        `).join('');
+
+        const preselected = lotId || (lots.length === 1 ? lots[0].id : '');
+        select.value = lots.some(lot => lot.id === preselected) ? preselected : '';
+        this.fillLotQuantity();
+
+        // Controlled substances can only be disposed of in front of a witness
+        Utils.$('#disposalWitnessGroup').hidden = !(item && item.controlled);
+    }
+
+    fillLotQuantity() {
+        const itemId = Utils.$('#disposalItem').value;
+        const lotId = Utils.$('#disposalLot').value;
+        const lot = itemId && lotId ? inventoryData.getLot(itemId, lotId) : null;
+        Utils.$('#disposalQuantity').value = lot ? lot.quantity : '';
+    }
+
+    // Open the disposal form for a lot, e.g. from an expiry alert
+    async startDisposal(itemId, lotId = null, reason = 'expired') {
+        uiManager.showSection('wastage');
+        await this.populateItemOptions();
+        Utils.$('#disposalItem').value = itemId;
+        await this.populateLotOptions(lotId);
+        Utils.$('#disposalReason').value = reason;
+        Utils.$('#disposalMethod').focus();
+    }
+
+    // Disposal Operations
+    async handleDispose(e) {
+        e.preventDefault();
+
+        if (!uiManager.validateForm('#disposalForm')) {
+            return;
+        }
+
+        const formData = uiManager.getFormData('#disposalForm');
+        const itemId = formData.disposalItem;
+
+        try {
+            const disposal = await inventoryAPI.disposeLot(itemId, {
+                lotId: formData.disposalLot,
+                quantity: parseFloat(formData.disposalQuantity),
+                reason: formData.disposalReason,
+                method: formData.disposalMethod,
+                notes: formData.disposalNotes.trim(),
+                witness: (formData.disposalWitness || '').trim() || null
+            });
+
+            uiManager.showToast(`${disposal.number}: ${disposal.quantity} × ${disposal.itemName} disposed of`, 'success');
+            this.resetDisposalForm();
+            this.refreshWastage();
+            uiManager.emitEvent('inventoryUpdated');
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                uiManager.showToast(error.message, 'error');
+            } else {
+                uiManager.showToast('Failed to record disposal', 'error');
+                console.error('Error recording disposal:', error);
+            }
+        }
+    }
+
+    resetDisposalForm() {
+        const form = Utils.$('#disposalForm');
+        if (!form) return;
+
+        form.reset();
+        Utils.$('#disposalWitnessGroup').hidden = true;
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+    }
+
+    // Report Rendering
+    renderWastageReport(report) {
+        const container = Utils.$('#wastageReport');
+        if (!container) return;
+
+        if (report.totals.disposals === 0) {
+            container.innerHTML = '<p class="lot-empty">No disposals recorded in this period.</p>';
+            return;
+        }
+
+        const categories = inventoryData.categories;
+        container.innerHTML = `
+            <div class="wastage-totals">
+                <span><strong>${Utils.formatCurrency(report.totals.value)}</strong> lost</span>
+                <span>${report.totals.quantity} unit${report.totals.quantity === 1 ? '' : 's'}</span>
+                <span>${report.totals.disposals} disposal${report.totals.disposals === 1 ? '' : 's'}</span>
+                ${report.totals.unpriced > 0 ? `<span class="text-warning">${report.totals.unpriced} without a unit cost</span>` : ''}
+            </div>
+
+            <h4>By Month</h4>
+            <table class="inventory-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        ${categories.map(category => `<th>${category}</th>`).join('')}
+                        <th>Units</th>
+                        <th>Value Lost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.months.map(month => `
+                        <tr>
+                            <td>${this.formatMonth(month.key)}</td>
+                            ${categories.map(category => `<td>${month.byCategory[category] ? Utils.formatCurrency(month.byCategory[category]) : '-'}</td>`).join('')}
+                            <td>${month.quantity}</td>
+                            <td><strong>${Utils.formatCurrency(month.value)}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <div class="wastage-breakdowns">
+                ${this.createBreakdownTableHTML('By Category', 'Category', report.categories, key => Utils.sanitizeInput(key))}
+                ${this.createBreakdownTableHTML('By Reason', 'Reason', report.reasons, key => this.reasonLabels[key] || key)}
+            </div>
+        `;
+    }
+
+    createBreakdownTableHTML(title, heading, groups, formatKey) {
+        return `
+            <div>
+                <h4>${title}</h4>
+                <table class="inventory-table">
+                    <thead>
+                        <tr>
+                            <th>${heading}</th>
+                            <th>Disposals</th>
+                            <th>Units</th>
+                            <th>Value Lost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${groups.map(group => `
+                            <tr>
+                                <td>${formatKey(group.key)}</td>
+                                <td>${group.disposals}</td>
+                                <td>${group.quantity}</td>
+                                <td>${Utils.formatCurrency(group.value)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    formatMonth(key) {
+        return Utils.formatDate(`${key}-01T00:00:00`, { day: undefined });
+    }
+
+    // Table Rendering
+    renderDisposalTable(disposals) {
+        const tbody = Utils.$('#disposalTableBody');
+        if (!tbody) return;
+
+        if (!disposals || disposals.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="9" class="empty-state">
+                        <i class="fas fa-dumpster"></i>
+                        <h3>No disposals yet</h3>
+                        <p>Expired, damaged or recalled stock disposed of here is listed with the value lost.</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = disposals.slice().reverse().map(disposal => `
+            <tr>
+                <td><strong>${Utils.sanitizeInput(disposal.number)}</strong></td>
+                <td>${Utils.formatDateTime(disposal.disposedDate)}</td>
+                <td>
+                    <div class="item-name">
+                        <strong>${Utils.sanitizeInput(disposal.itemName)}</strong>
+                        <small>${Utils.sanitizeInput(disposal.category)}</small>
+                    </div>
+                </td>
+                <td>${disposal.batchNumber ? Utils.sanitizeInput(disposal.batchNumber) : '-'}</td>
+                <td>${disposal.quantity}</td>
+                <td>
+                    ${this.reasonLabels[disposal.reason] || disposal.reason}
+                    ${disposal.notes ? `<small class="disposal-notes">${Utils.sanitizeInput(disposal.notes)}</small>` : ''}
+                </td>
+                <td>${this.methodLabels[disposal.method] || disposal.method}</td>
+                <td>${disposal.unitCost !== null ? Utils.formatCurrency(disposal.value) : '-'}</td>
+                <td>
+                    ${Utils.sanitizeInput(disposal.user)}
+                    ${disposal.witness ? `<small class="disposal-notes">Witness: ${Utils.sanitizeInput(disposal.witness)}</small>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+}
+
+// Initialize Wastage Manager
+window.wastageManager = new WastageManager();